@@ -0,0 +1,438 @@
+/**
+ * ============================================================================
+ * EMAIL TEMPLATES
+ * Template registry for all customer emails written to the `mail` collection.
+ * * Features:
+ * - Shared layout and partials (header, greeting, item lists, tracking block, footer).
+ * - Per-locale strings (see `strings.js`), currency and date formatting via `Intl`.
+ * - Every interpolated value is HTML-escaped by the `html` tagged template.
+ * - A plain-text alternative is generated from the HTML of every message.
+ * ============================================================================
+ */
+
+const STRINGS = require("./strings");
+
+const DEFAULT_LOCALE = "en";
+const INTL_LOCALES = { en: "en-GB", de: "de-DE", it: "it-IT" };
+const CURRENCY = "EUR";
+
+// Branding (environment config, see CLOUD_FUNCTIONS.md)
+const SHOP_NAME = process.env.SHOP_NAME || "WebShop";
+const LOGO_URL = process.env.MAIL_LOGO_URL || null;
+
+// =================================================================================
+// ESCAPING
+// =================================================================================
+
+/** Marks a string as already-safe HTML so `html` does not escape it again. */
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/** Escapes text before it is interpolated into HTML. */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/** Renders one interpolated value: safe HTML as is, arrays joined, empty values dropped, anything else escaped. */
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) return "";
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join("");
+  return escapeHtml(value);
+}
+
+/** Tagged template that escapes every interpolated value. Returns a `SafeHtml`. */
+function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((value, i) => {
+    out += renderValue(value) + strings[i + 1];
+  });
+  return new SafeHtml(out);
+}
+
+// =================================================================================
+// LOCALIZATION
+// =================================================================================
+
+/** Maps a profile locale (e.g. "de", "de-DE", "it_IT") to a supported locale, defaulting to English. */
+function resolveLocale(locale) {
+  const lang = String(locale || "").toLowerCase().split(/[-_]/)[0];
+  return STRINGS[lang] ? lang : DEFAULT_LOCALE;
+}
+
+/**
+ * Creates the rendering context for a locale:
+ * - `t(key, params)`: localized HTML (escaped, `**bold**` supported).
+ * - `plain(key, params)`: localized plain text (subjects).
+ * - `money(amount)` / `date(value)`: locale-aware formatting.
+ */
+function createContext(locale) {
+  const lang = resolveLocale(locale);
+  const intlLocale = INTL_LOCALES[lang] || INTL_LOCALES[DEFAULT_LOCALE];
+  const lookup = (key) => STRINGS[lang][key] || STRINGS[DEFAULT_LOCALE][key] || key;
+  const moneyFormat = new Intl.NumberFormat(intlLocale, { style: "currency", currency: CURRENCY });
+  const dateFormat = new Intl.DateTimeFormat(intlLocale, { dateStyle: "long" });
+
+  return {
+    locale: lang,
+    t(key, params = {}) {
+      const text = escapeHtml(lookup(key)).replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>");
+      return new SafeHtml(text.replace(/\{(\w+)\}/g, (m, name) => renderValue(params[name])));
+    },
+    plain(key, params = {}) {
+      return lookup(key)
+        .replace(/\*\*(.+?)\*\*/g, "$1")
+        .replace(/\{(\w+)\}/g, (m, name) => (params[name] === undefined || params[name] === null) ? "" : String(params[name]));
+    },
+    money(amount) {
+      return moneyFormat.format(Number(amount) || 0);
+    },
+    date(value) {
+      const d = (value && typeof value.toDate === "function") ? value.toDate() : new Date(value || Date.now());
+      return dateFormat.format(d);
+    },
+  };
+}
+
+// =================================================================================
+// LAYOUT & PARTIALS
+// =================================================================================
+
+/** Full HTML document with branded header and footer around the template body. */
+function layout(ctx, { color, title, subtitle, body }) {
+  const brand = LOGO_URL
+    ? html`<img src="${LOGO_URL}" alt="${SHOP_NAME}" width="120" style="display: block; margin: 0 auto 10px;">`
+    : html`<p style="color: rgba(255,255,255,0.9); margin: 0 0 10px 0; font-size: 14px; letter-spacing: 2px;">${SHOP_NAME.toUpperCase()}</p>`;
+
+  return html`<!DOCTYPE html>
+  <html lang="${ctx.locale}">
+  <body style="margin: 0; padding: 0; background-color: #f4f4f4; font-family: Arial, sans-serif;">
+    <div style="max-width: 600px; margin: 20px auto; background: white; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 15px rgba(0,0,0,0.1);">
+        <div style="background-color: ${color}; padding: 30px; text-align: center;">
+            ${brand}
+            <h1 style="color: #ffffff; margin: 0; font-size: 24px;">${title}</h1>
+            ${subtitle ? html`<p style="color: rgba(255,255,255,0.8); margin: 5px 0 0 0;">${subtitle}</p>` : ""}
+        </div>
+        <div style="padding: 30px; color: #555;">
+            ${body}
+        </div>
+    </div>
+    <p style="text-align: center; font-size: 12px; color: #bbb; margin-top: 20px;">${ctx.t("footer", { year: new Date().getFullYear(), shop: SHOP_NAME })}</p>
+  </body>
+  </html>`;
+}
+
+function greeting(ctx, name) {
+  return html`<p>${ctx.t("greeting", { name: name || ctx.plain("defaultCustomerName") })}</p>`;
+}
+
+function paragraph(content) {
+  return html`<p>${content}</p>`;
+}
+
+/** Compact item list (status emails). */
+function itemsList(ctx, items) {
+  if (!items || items.length === 0) return "";
+  return html`
+            <div style="background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0;">
+                <h3 style="margin-top:0;">${ctx.t("itemsHeading")}:</h3>
+                <ul style="padding-left: 20px;">${items.map(i => html`<li style="margin-bottom: 5px;">${i.quantity}x <strong>${i.productName || i.name}</strong></li>`)}</ul>
+            </div>`;
+}
+
+/** Item table with images and prices (order confirmation). */
+function itemsTable(ctx, items) {
+  const cell = "padding: 10px; border-bottom: 1px solid #eee;";
+  const rows = items.map(item => html`
+      <tr>
+        <td style="${cell}">${item.imageUrl ? html`<img src="${item.imageUrl}" alt="${item.productName}" width="50" height="50" style="border-radius: 8px; object-fit: cover;">` : ""}</td>
+        <td style="${cell}"><strong style="color: #333;">${item.productName}</strong></td>
+        <td style="${cell} text-align: center;">x${item.quantity}</td>
+        <td style="${cell} text-align: right;">${ctx.money(item.productPrice)}</td>
+      </tr>`);
+
+  return html`
+    <table width="100%" cellspacing="0" cellpadding="0" border="0" style="margin-top: 20px;">
+      <thead>
+        <tr>
+          <th align="left" style="color: #999; font-size: 12px;">${ctx.t("colItem")}</th>
+          <th align="left" style="color: #999; font-size: 12px;">${ctx.t("colName")}</th>
+          <th align="center" style="color: #999; font-size: 12px;">${ctx.t("colQty")}</th>
+          <th align="right" style="color: #999; font-size: 12px;">${ctx.t("colPrice")}</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+/** Label/amount rows of the totals table. `lines`: `[{ label, amount, negative, strong }]`. */
+function totalsTable(ctx, lines, total, color) {
+  const rows = lines.map(line => html`
+      <tr>
+        <td align="right" style="padding: 5px 0; color: ${line.negative ? "#2ecc71" : "#666"};">${line.label}:</td>
+        <td align="right" style="padding: 5px 0; font-weight: bold; width: 120px; color: ${line.negative ? "#2ecc71" : "#333"};">${line.negative ? "-" : ""}${ctx.money(line.amount)}</td>
+      </tr>`);
+
+  return html`
+    <table width="100%" cellspacing="0" cellpadding="0" border="0" style="margin-top: 20px;">
+      ${rows}
+      <tr><td colspan="2" style="border-top: 2px solid #eee; padding-top: 10px;"></td></tr>
+      <tr>
+        <td align="right" style="font-size: 18px; font-weight: bold;">${ctx.t("total")}:</td>
+        <td align="right" style="font-size: 18px; color: ${color}; font-weight: bold;">${ctx.money(total)}</td>
+      </tr>
+    </table>`;
+}
+
+/** Highlighted box (fidelity points, incentive codes, ...). */
+function highlightBox(content) {
+  return html`
+    <div style="background-color: #fff8e1; border: 1px dashed #FFD740; padding: 15px; border-radius: 8px; text-align: center; margin-top: 20px;">
+      <strong style="color: #ff8f00;">${content}</strong>
+    </div>`;
+}
+
+/** Carrier / tracking number block with a link to the carrier's tracking page (empty if not shipped). */
+function trackingBlock(ctx, data) {
+  if (!data.trackingNumber) return "";
+  return html`
+            <div style="background-color: #e3f2fd; padding: 15px; border-radius: 5px; margin: 20px 0;">
+                <p style="margin: 0;"><strong>${ctx.t("carrier")}:</strong> ${data.carrier || ""}</p>
+                <p style="margin: 5px 0 0 0;"><strong>${ctx.t("trackingNumber")}:</strong> ${data.trackingNumber}</p>
+                ${data.trackingUrl ? html`<p style="margin: 10px 0 0 0;"><a href="${data.trackingUrl}" style="color: #1976D2; font-weight: bold;">${ctx.t("trackPackage")}</a></p>` : ""}
+            </div>`;
+}
+
+/** Localized label of an order discount line (see `buildDiscountLines` in index.js). */
+function discountLabel(ctx, line) {
+  if (line.type === "promotion") return line.description || ctx.t("discountPromotion", { code: line.code });
+  if (line.type === "fidelity") return ctx.t("discountFidelity", { points: line.points });
+  if (line.type === "giftCard") return ctx.t("discountGiftCard");
+  return line.label || "";
+}
+
+/** Builds a simple status-update template (title, body text, items and tracking). */
+function statusTemplate(prefix, color, extra) {
+  return {
+    color: color,
+    render: (data, ctx) => ({
+      subject: ctx.plain(`${prefix}Subject`, { orderId: data.orderId }),
+      title: ctx.t(`${prefix}Title`),
+      body: html`
+        ${greeting(ctx, data.customerName)}
+        ${paragraph(ctx.t(`${prefix}Body`, { orderId: data.orderId }))}
+        ${extra ? extra(data, ctx) : ""}
+        ${itemsList(ctx, data.items)}
+        ${trackingBlock(ctx, data)}
+        ${paragraph(ctx.t("thanks"))}`,
+    }),
+  };
+}
+
+/** Builds a return status template: body text, admin note, returned items and the refund (once received). */
+function returnTemplate(prefix, color) {
+  return {
+    color: color,
+    render: (data, ctx) => ({
+      subject: ctx.plain(`${prefix}Subject`, { orderId: data.orderId }),
+      title: ctx.t(`${prefix}Title`),
+      body: html`
+        ${greeting(ctx, data.customerName)}
+        ${paragraph(ctx.t(`${prefix}Body`, { orderId: data.orderId, amount: ctx.money(data.refundAmount) }))}
+        ${data.note ? html`<p><strong>${ctx.t(prefix === "returnRejected" ? "reason" : "note")}:</strong> ${data.note}</p>` : ""}
+        ${itemsList(ctx, data.items)}
+        ${data.refund && data.refund.giftCardAmount > 0
+          ? highlightBox(ctx.t("returnRefundGiftCard", { amount: ctx.money(data.refund.giftCardAmount), code: data.refund.giftCardCode }))
+          : ""}
+        ${data.refund && data.refund.paymentAmount > 0
+          ? paragraph(ctx.t("returnRefundPayment", { amount: ctx.money(data.refund.paymentAmount) }))
+          : ""}
+        ${paragraph(ctx.t("thanks"))}`,
+    }),
+  };
+}
+
+// =================================================================================
+// TEMPLATE REGISTRY
+// =================================================================================
+/**
+ * Each template has a header `color` and a `render(data, ctx)` function returning
+ * `{ subject, title, subtitle?, body }`. `renderEmail` wraps the body in the shared layout.
+ */
+const TEMPLATES = {
+  orderConfirmation: {
+    color: "#6200EA",
+    render: (data, ctx) => ({
+      subject: ctx.plain("orderConfirmationSubject", { orderId: data.orderId }),
+      title: ctx.t("orderConfirmationTitle"),
+      subtitle: `#${data.orderId}`,
+      body: html`
+        ${greeting(ctx, data.customerName)}
+        ${paragraph(ctx.t("orderConfirmationIntro", { date: ctx.date(data.orderDate) }))}
+        ${itemsTable(ctx, data.items || [])}
+        ${totalsTable(ctx, [
+          { label: ctx.t("subtotal"), amount: data.subtotal },
+          ...(data.discountLines || []).map(line => ({ label: discountLabel(ctx, line), amount: line.amount, negative: true })),
+          ...(data.shippingMethodName ? [{ label: ctx.t("shipping", { method: data.shippingMethodName }), amount: data.shippingCost || 0 }] : []),
+        ], data.total, "#6200EA")}
+        ${data.pointsEarned > 0 ? highlightBox(ctx.t("pointsEarned", { points: data.pointsEarned })) : ""}`,
+    }),
+  },
+
+  orderProcessing: statusTemplate("orderProcessing", "#1976D2"),
+  orderShipped: statusTemplate("orderShipped", "#00C853"),
+  orderDelivered: statusTemplate("orderDelivered", "#2E7D32"),
+  orderReturned: statusTemplate("orderReturned", "#6D4C41"),
+  orderCancelled: {
+    color: "#D32F2F",
+    render: (data, ctx) => ({
+      subject: ctx.plain("orderCancelledSubject", { orderId: data.orderId }),
+      title: ctx.t("orderCancelledTitle"),
+      body: html`
+        ${greeting(ctx, data.customerName)}
+        ${paragraph(ctx.t("orderCancelledBody", { orderId: data.orderId }))}
+        ${data.reason ? html`<p><strong>${ctx.t("reason")}:</strong> ${data.reason}</p>` : ""}
+        ${paragraph(ctx.t("orderCancelledRefund"))}`,
+    }),
+  },
+
+  returnRequested: returnTemplate("returnRequested", "#6D4C41"),
+  returnApproved: returnTemplate("returnApproved", "#2E7D32"),
+  returnRejected: returnTemplate("returnRejected", "#D32F2F"),
+  returnReceived: returnTemplate("returnReceived", "#1976D2"),
+
+  wishlistBackInStock: {
+    color: "#00897B",
+    render: (data, ctx) => wishlistAlert("wishlistBackInStock", data, ctx),
+  },
+  wishlistPriceDrop: {
+    color: "#F57C00",
+    render: (data, ctx) => wishlistAlert("wishlistPriceDrop", data, ctx),
+  },
+
+  abandonedCart: {
+    color: "#6200EA",
+    render: (data, ctx) => ({
+      subject: ctx.plain(data.isLast ? "abandonedCartLastSubject" : "abandonedCartSubject"),
+      title: ctx.t("abandonedCartTitle"),
+      body: html`
+        ${greeting(ctx, data.customerName)}
+        ${paragraph(ctx.t("abandonedCartBody"))}
+        ${itemsTable(ctx, data.items || [])}
+        ${totalsTable(ctx, [], data.subtotal, "#6200EA")}
+        ${data.incentive ? highlightBox(ctx.t("abandonedCartIncentive", {
+          code: data.incentive.code,
+          percent: data.incentive.percent,
+          date: ctx.date(data.incentive.expiresAt),
+        })) : ""}
+        ${paragraph(ctx.t("abandonedCartPriceNote"))}`,
+    }),
+  },
+
+  giftCardIssued: {
+    color: "#C2185B",
+    render: (data, ctx) => ({
+      subject: ctx.plain("giftCardIssuedSubject", { amount: ctx.money(data.amount) }),
+      title: ctx.t("giftCardIssuedTitle"),
+      body: html`
+        ${greeting(ctx, data.recipientName)}
+        ${paragraph(ctx.t("giftCardIssuedBody", { amount: ctx.money(data.amount) }))}
+        ${data.message ? html`<p><strong>${ctx.t("giftCardIssuedMessage")}:</strong> ${data.message}</p>` : ""}
+        ${highlightBox(ctx.t("giftCardIssuedCode", { code: data.code }))}
+        ${data.expiresAt ? paragraph(ctx.t("giftCardIssuedExpiry", { date: ctx.date(data.expiresAt) })) : ""}
+        ${paragraph(ctx.t("thanks"))}`,
+    }),
+  },
+};
+
+/** Shared body of the wishlist alerts: product card with the current (and previous) price. */
+function wishlistAlert(prefix, data, ctx) {
+  return {
+    subject: ctx.plain(`${prefix}Subject`, { productName: data.productName }),
+    title: ctx.t(`${prefix}Title`),
+    body: html`
+        ${greeting(ctx, data.customerName)}
+        ${paragraph(ctx.t(`${prefix}Body`, { productName: data.productName }))}
+        <div style="text-align: center; margin: 20px 0;">
+            ${data.imageUrl ? html`<img src="${data.imageUrl}" alt="${data.productName}" width="160" style="border-radius: 8px;">` : ""}
+            <p style="margin: 10px 0 0 0;">
+                ${data.priceDrop ? html`<span style="text-decoration: line-through; color: #999;">${ctx.t("wishlistPriceWas")}: ${ctx.money(data.oldPrice)}</span><br>` : ""}
+                <strong style="font-size: 18px; color: #333;">${ctx.t("wishlistPriceNow")}: ${ctx.money(data.newPrice)}</strong>
+            </p>
+        </div>
+        <p style="font-size: 12px; color: #999;">${ctx.t("wishlistOptOut")}</p>`,
+  };
+}
+
+// =================================================================================
+// PLAIN-TEXT ALTERNATIVE
+// =================================================================================
+
+/** Converts the rendered HTML of an email into a readable plain-text alternative. */
+function htmlToText(source) {
+  return source
+    .replace(/<(head|style|script)[\s\S]*?<\/\1>/gi, "")
+    .replace(/\s+/g, " ") // source formatting is irrelevant, structure comes from the tags below
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, "$2 ($1)")
+    .replace(/<img[^>]*>/gi, "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li[^>]*>/gi, "- ")
+    .replace(/<\/(td|th)>/gi, " ")
+    .replace(/<\/(p|div|h[1-6]|li|tr|table|ul)>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .split("\n")
+    .map(line => line.replace(/[ \t]+/g, " ").trim())
+    .filter((line, i, lines) => line !== "" || (i > 0 && lines[i - 1] !== ""))
+    .join("\n")
+    .trim();
+}
+
+// =================================================================================
+// PUBLIC API
+// =================================================================================
+
+/**
+ * Renders a registered template.
+ * Returns the `message` payload for a `mail` document: `{ subject, html, text }`.
+ */
+function renderEmail(templateName, data, locale) {
+  const template = TEMPLATES[templateName];
+  if (!template) throw new Error(`Unknown email template: ${templateName}`);
+
+  const ctx = createContext(locale);
+  const parts = template.render(data, ctx);
+  const htmlOut = layout(ctx, { color: template.color, ...parts }).value;
+
+  return {
+    subject: parts.subject,
+    html: htmlOut,
+    text: htmlToText(htmlOut),
+  };
+}
+
+module.exports = {
+  renderEmail,
+  resolveLocale,
+  createContext,
+  escapeHtml,
+  html,
+  TEMPLATES,
+};
@@ -0,0 +1,326 @@
+/**
+ * ============================================================================
+ * EMAIL STRINGS
+ * Per-locale texts used by the email templates (see `emails/index.js`).
+ * * Conventions:
+ * - `{name}` placeholders are replaced with the (escaped) parameter value.
+ * - `**text**` is rendered as bold in HTML and kept as plain text in the text part.
+ * - Subjects are plain text.
+ * ============================================================================
+ */
+
+module.exports = {
+  en: {
+    // Layout / Partials
+    greeting: "Hi **{name}**,",
+    thanks: "Thank you for shopping with us!",
+    footer: "© {year} {shop}. All rights reserved.",
+    defaultCustomerName: "Customer",
+    itemsHeading: "Items",
+    colItem: "ITEM",
+    colName: "NAME",
+    colQty: "QTY",
+    colPrice: "PRICE",
+    carrier: "Carrier",
+    trackingNumber: "Tracking number",
+    trackPackage: "Track your package",
+    reason: "Reason",
+
+    // Order Confirmation
+    orderConfirmationSubject: "Order Confirmation #{orderId}",
+    orderConfirmationTitle: "Order Confirmed!",
+    orderConfirmationIntro: "Thank you for your order placed on {date}.",
+    subtotal: "Subtotal",
+    total: "Total",
+    discountPromotion: "Promotion {code}",
+    discountFidelity: "Fidelity points ({points})",
+    discountGiftCard: "Gift card",
+    shipping: "Shipping ({method})",
+    pointsEarned: "🌟 You earned {points} points!",
+
+    // Status Updates
+    orderProcessingSubject: "Your Order #{orderId} is being prepared",
+    orderProcessingTitle: "We're preparing your order 📦",
+    orderProcessingBody: "Your order **#{orderId}** is now being processed. We'll let you know as soon as it ships.",
+    orderShippedSubject: "Your Order #{orderId} has been Shipped! 🚚",
+    orderShippedTitle: "Order Shipped! 🚚",
+    orderShippedBody: "Great news! Your order **#{orderId}** has been shipped and is on its way.",
+    orderDeliveredSubject: "Your Order #{orderId} has been Delivered",
+    orderDeliveredTitle: "Order Delivered ✅",
+    orderDeliveredBody: "Your order **#{orderId}** has been delivered. We hope you enjoy your purchase!",
+    orderCancelledSubject: "Order #{orderId} Cancelled",
+    orderCancelledTitle: "Order Cancelled",
+    orderCancelledBody: "Your order **#{orderId}** has been cancelled.",
+    orderCancelledRefund: "If you have already been charged, a refund will be processed shortly.",
+    orderReturnedSubject: "Order #{orderId} Returned",
+    orderReturnedTitle: "Return Received",
+    orderReturnedBody: "We have received the return of your order **#{orderId}**. Any refund will be processed shortly.",
+
+    // Returns
+    note: "Note",
+    returnRequestedSubject: "Return request for order #{orderId}",
+    returnRequestedTitle: "Return Requested",
+    returnRequestedBody: "We have received your return request for order **#{orderId}** ({amount}). We will review it shortly.",
+    returnApprovedSubject: "Your return for order #{orderId} was approved",
+    returnApprovedTitle: "Return Approved ✅",
+    returnApprovedBody: "Your return for order **#{orderId}** was approved. Please send the items below back to us.",
+    returnRejectedSubject: "Your return for order #{orderId} was declined",
+    returnRejectedTitle: "Return Declined",
+    returnRejectedBody: "Unfortunately we cannot accept the return for order **#{orderId}**.",
+    returnReceivedSubject: "Refund for order #{orderId}",
+    returnReceivedTitle: "Return Received 📦",
+    returnReceivedBody: "We have received the returned items of order **#{orderId}**. Your refund: **{amount}**.",
+    returnRefundGiftCard: "{amount} has been credited to gift card {code}.",
+    returnRefundPayment: "{amount} will be refunded to your original payment method.",
+
+    // Wishlist Alerts
+    wishlistBackInStockSubject: "{productName} is back in stock!",
+    wishlistBackInStockTitle: "Back in Stock 🎉",
+    wishlistBackInStockBody: "Good news! **{productName}** from your wishlist is available again. Get it before it's gone!",
+    wishlistPriceDropSubject: "Price drop: {productName}",
+    wishlistPriceDropTitle: "Price Drop 💸",
+    wishlistPriceDropBody: "**{productName}** from your wishlist is now cheaper.",
+    wishlistPriceWas: "Was",
+    wishlistPriceNow: "Now",
+    wishlistOptOut: "You receive this email because the product is on your wishlist. You can turn off wishlist alerts in your account settings.",
+
+    // Abandoned Cart
+    abandonedCartSubject: "You left something in your cart",
+    abandonedCartLastSubject: "Last reminder: your cart is still waiting",
+    abandonedCartTitle: "Still thinking it over? 🛒",
+    abandonedCartBody: "The items below are still in your cart. Complete your order before they sell out!",
+    abandonedCartIncentive: "Use code {code} for {percent}% off your order. Valid until {date}.",
+    abandonedCartPriceNote: "Prices shown are current prices and may change.",
+
+    // Gift Cards
+    giftCardIssuedSubject: "You have received a {amount} gift card",
+    giftCardIssuedTitle: "A gift card for you 🎁",
+    giftCardIssuedBody: "You have received a gift card worth **{amount}**. Enter the code below at checkout.",
+    giftCardIssuedCode: "Your code: **{code}**",
+    giftCardIssuedExpiry: "Valid until {date}.",
+    giftCardIssuedMessage: "Message",
+
+    // Invoices (see `invoices/`)
+    invoiceTitle: "Invoice",
+    creditNoteTitle: "Credit Note",
+    invoiceNumber: "Number",
+    invoiceDate: "Date",
+    invoiceOrder: "Order",
+    invoiceReferences: "Refers to invoice",
+    invoiceBillTo: "Bill to",
+    invoiceVatId: "VAT ID",
+    colVat: "VAT",
+    colNet: "NET",
+    colGross: "GROSS",
+    invoiceDiscount: "incl. discount {amount}",
+    invoiceNetTotal: "Net total",
+    invoiceVatLine: "VAT {rate} on {net}",
+    invoicePaidGiftCard: "Paid with gift card",
+    invoiceAmountPaid: "Amount paid",
+    invoicePricesNote: "All prices include VAT.",
+  },
+
+  de: {
+    greeting: "Hallo **{name}**,",
+    thanks: "Vielen Dank für Ihren Einkauf!",
+    footer: "© {year} {shop}. Alle Rechte vorbehalten.",
+    defaultCustomerName: "Kunde",
+    itemsHeading: "Artikel",
+    colItem: "ARTIKEL",
+    colName: "NAME",
+    colQty: "MENGE",
+    colPrice: "PREIS",
+    carrier: "Versanddienstleister",
+    trackingNumber: "Sendungsnummer",
+    trackPackage: "Sendung verfolgen",
+    reason: "Grund",
+
+    orderConfirmationSubject: "Bestellbestätigung #{orderId}",
+    orderConfirmationTitle: "Bestellung bestätigt!",
+    orderConfirmationIntro: "Vielen Dank für Ihre Bestellung vom {date}.",
+    subtotal: "Zwischensumme",
+    total: "Gesamt",
+    discountPromotion: "Aktion {code}",
+    discountFidelity: "Treuepunkte ({points})",
+    discountGiftCard: "Geschenkkarte",
+    shipping: "Versand ({method})",
+    pointsEarned: "🌟 Sie haben {points} Punkte gesammelt!",
+
+    orderProcessingSubject: "Ihre Bestellung #{orderId} wird vorbereitet",
+    orderProcessingTitle: "Wir bereiten Ihre Bestellung vor 📦",
+    orderProcessingBody: "Ihre Bestellung **#{orderId}** wird jetzt bearbeitet. Wir informieren Sie, sobald sie versendet wird.",
+    orderShippedSubject: "Ihre Bestellung #{orderId} wurde versendet! 🚚",
+    orderShippedTitle: "Bestellung versendet! 🚚",
+    orderShippedBody: "Gute Nachrichten! Ihre Bestellung **#{orderId}** wurde versendet und ist unterwegs.",
+    orderDeliveredSubject: "Ihre Bestellung #{orderId} wurde zugestellt",
+    orderDeliveredTitle: "Bestellung zugestellt ✅",
+    orderDeliveredBody: "Ihre Bestellung **#{orderId}** wurde zugestellt. Viel Freude mit Ihrem Einkauf!",
+    orderCancelledSubject: "Bestellung #{orderId} storniert",
+    orderCancelledTitle: "Bestellung storniert",
+    orderCancelledBody: "Ihre Bestellung **#{orderId}** wurde storniert.",
+    orderCancelledRefund: "Falls Ihnen bereits etwas berechnet wurde, wird der Betrag in Kürze erstattet.",
+    orderReturnedSubject: "Bestellung #{orderId} zurückgesendet",
+    orderReturnedTitle: "Rücksendung erhalten",
+    orderReturnedBody: "Wir haben die Rücksendung Ihrer Bestellung **#{orderId}** erhalten. Eine Erstattung wird in Kürze bearbeitet.",
+
+    note: "Hinweis",
+    returnRequestedSubject: "Rücksendeanfrage für Bestellung #{orderId}",
+    returnRequestedTitle: "Rücksendung angefragt",
+    returnRequestedBody: "Wir haben Ihre Rücksendeanfrage für die Bestellung **#{orderId}** ({amount}) erhalten und prüfen sie in Kürze.",
+    returnApprovedSubject: "Ihre Rücksendung für Bestellung #{orderId} wurde genehmigt",
+    returnApprovedTitle: "Rücksendung genehmigt ✅",
+    returnApprovedBody: "Ihre Rücksendung für die Bestellung **#{orderId}** wurde genehmigt. Bitte senden Sie uns die folgenden Artikel zurück.",
+    returnRejectedSubject: "Ihre Rücksendung für Bestellung #{orderId} wurde abgelehnt",
+    returnRejectedTitle: "Rücksendung abgelehnt",
+    returnRejectedBody: "Leider können wir die Rücksendung für die Bestellung **#{orderId}** nicht annehmen.",
+    returnReceivedSubject: "Erstattung für Bestellung #{orderId}",
+    returnReceivedTitle: "Rücksendung erhalten 📦",
+    returnReceivedBody: "Wir haben die zurückgesendeten Artikel der Bestellung **#{orderId}** erhalten. Ihre Erstattung: **{amount}**.",
+    returnRefundGiftCard: "{amount} wurden der Geschenkkarte {code} gutgeschrieben.",
+    returnRefundPayment: "{amount} werden auf Ihre ursprüngliche Zahlungsmethode erstattet.",
+
+    wishlistBackInStockSubject: "{productName} ist wieder verfügbar!",
+    wishlistBackInStockTitle: "Wieder verfügbar 🎉",
+    wishlistBackInStockBody: "Gute Nachrichten! **{productName}** von Ihrer Wunschliste ist wieder erhältlich. Schnell zugreifen!",
+    wishlistPriceDropSubject: "Preissenkung: {productName}",
+    wishlistPriceDropTitle: "Preissenkung 💸",
+    wishlistPriceDropBody: "**{productName}** von Ihrer Wunschliste ist jetzt günstiger.",
+    wishlistPriceWas: "Vorher",
+    wishlistPriceNow: "Jetzt",
+    wishlistOptOut: "Sie erhalten diese E-Mail, weil sich der Artikel auf Ihrer Wunschliste befindet. Sie können Wunschlisten-Benachrichtigungen in Ihren Kontoeinstellungen deaktivieren.",
+
+    abandonedCartSubject: "Sie haben etwas in Ihrem Warenkorb vergessen",
+    abandonedCartLastSubject: "Letzte Erinnerung: Ihr Warenkorb wartet noch",
+    abandonedCartTitle: "Noch unentschlossen? 🛒",
+    abandonedCartBody: "Die folgenden Artikel liegen noch in Ihrem Warenkorb. Schließen Sie Ihre Bestellung ab, bevor sie ausverkauft sind!",
+    abandonedCartIncentive: "Mit dem Code {code} erhalten Sie {percent}% Rabatt auf Ihre Bestellung. Gültig bis {date}.",
+    abandonedCartPriceNote: "Die angezeigten Preise sind aktuelle Preise und können sich ändern.",
+
+    giftCardIssuedSubject: "Sie haben eine Geschenkkarte über {amount} erhalten",
+    giftCardIssuedTitle: "Eine Geschenkkarte für Sie 🎁",
+    giftCardIssuedBody: "Sie haben eine Geschenkkarte im Wert von **{amount}** erhalten. Geben Sie den folgenden Code an der Kasse ein.",
+    giftCardIssuedCode: "Ihr Code: **{code}**",
+    giftCardIssuedExpiry: "Gültig bis {date}.",
+    giftCardIssuedMessage: "Nachricht",
+
+    invoiceTitle: "Rechnung",
+    creditNoteTitle: "Gutschrift",
+    invoiceNumber: "Nummer",
+    invoiceDate: "Datum",
+    invoiceOrder: "Bestellung",
+    invoiceReferences: "Bezieht sich auf Rechnung",
+    invoiceBillTo: "Rechnungsempfänger",
+    invoiceVatId: "USt-IdNr.",
+    colVat: "MWST",
+    colNet: "NETTO",
+    colGross: "BRUTTO",
+    invoiceDiscount: "inkl. Rabatt {amount}",
+    invoiceNetTotal: "Nettobetrag",
+    invoiceVatLine: "MwSt. {rate} auf {net}",
+    invoicePaidGiftCard: "Mit Geschenkkarte bezahlt",
+    invoiceAmountPaid: "Bezahlter Betrag",
+    invoicePricesNote: "Alle Preise inklusive MwSt.",
+  },
+
+  it: {
+    greeting: "Ciao **{name}**,",
+    thanks: "Grazie per aver acquistato da noi!",
+    footer: "© {year} {shop}. Tutti i diritti riservati.",
+    defaultCustomerName: "Cliente",
+    itemsHeading: "Articoli",
+    colItem: "ARTICOLO",
+    colName: "NOME",
+    colQty: "QTÀ",
+    colPrice: "PREZZO",
+    carrier: "Corriere",
+    trackingNumber: "Numero di tracciamento",
+    trackPackage: "Traccia la spedizione",
+    reason: "Motivo",
+
+    orderConfirmationSubject: "Conferma ordine #{orderId}",
+    orderConfirmationTitle: "Ordine confermato!",
+    orderConfirmationIntro: "Grazie per il tuo ordine del {date}.",
+    subtotal: "Subtotale",
+    total: "Totale",
+    discountPromotion: "Promozione {code}",
+    discountFidelity: "Punti fedeltà ({points})",
+    discountGiftCard: "Carta regalo",
+    shipping: "Spedizione ({method})",
+    pointsEarned: "🌟 Hai guadagnato {points} punti!",
+
+    orderProcessingSubject: "Il tuo ordine #{orderId} è in preparazione",
+    orderProcessingTitle: "Stiamo preparando il tuo ordine 📦",
+    orderProcessingBody: "Il tuo ordine **#{orderId}** è in lavorazione. Ti avviseremo non appena verrà spedito.",
+    orderShippedSubject: "Il tuo ordine #{orderId} è stato spedito! 🚚",
+    orderShippedTitle: "Ordine spedito! 🚚",
+    orderShippedBody: "Ottime notizie! Il tuo ordine **#{orderId}** è stato spedito ed è in viaggio.",
+    orderDeliveredSubject: "Il tuo ordine #{orderId} è stato consegnato",
+    orderDeliveredTitle: "Ordine consegnato ✅",
+    orderDeliveredBody: "Il tuo ordine **#{orderId}** è stato consegnato. Speriamo che tu sia soddisfatto del tuo acquisto!",
+    orderCancelledSubject: "Ordine #{orderId} annullato",
+    orderCancelledTitle: "Ordine annullato",
+    orderCancelledBody: "Il tuo ordine **#{orderId}** è stato annullato.",
+    orderCancelledRefund: "Se ti è già stato addebitato l'importo, il rimborso verrà elaborato a breve.",
+    orderReturnedSubject: "Ordine #{orderId} restituito",
+    orderReturnedTitle: "Reso ricevuto",
+    orderReturnedBody: "Abbiamo ricevuto il reso del tuo ordine **#{orderId}**. L'eventuale rimborso verrà elaborato a breve.",
+
+    note: "Nota",
+    returnRequestedSubject: "Richiesta di reso per l'ordine #{orderId}",
+    returnRequestedTitle: "Reso richiesto",
+    returnRequestedBody: "Abbiamo ricevuto la tua richiesta di reso per l'ordine **#{orderId}** ({amount}). La esamineremo a breve.",
+    returnApprovedSubject: "Il reso per l'ordine #{orderId} è stato approvato",
+    returnApprovedTitle: "Reso approvato ✅",
+    returnApprovedBody: "Il reso per l'ordine **#{orderId}** è stato approvato. Rispediscici gli articoli qui sotto.",
+    returnRejectedSubject: "Il reso per l'ordine #{orderId} è stato rifiutato",
+    returnRejectedTitle: "Reso rifiutato",
+    returnRejectedBody: "Purtroppo non possiamo accettare il reso per l'ordine **#{orderId}**.",
+    returnReceivedSubject: "Rimborso per l'ordine #{orderId}",
+    returnReceivedTitle: "Reso ricevuto 📦",
+    returnReceivedBody: "Abbiamo ricevuto gli articoli restituiti dell'ordine **#{orderId}**. Il tuo rimborso: **{amount}**.",
+    returnRefundGiftCard: "{amount} sono stati accreditati sulla carta regalo {code}.",
+    returnRefundPayment: "{amount} verranno rimborsati sul tuo metodo di pagamento originale.",
+
+    wishlistBackInStockSubject: "{productName} è di nuovo disponibile!",
+    wishlistBackInStockTitle: "Di nuovo disponibile 🎉",
+    wishlistBackInStockBody: "Buone notizie! **{productName}** della tua lista desideri è di nuovo disponibile. Affrettati!",
+    wishlistPriceDropSubject: "Prezzo ribassato: {productName}",
+    wishlistPriceDropTitle: "Prezzo ribassato 💸",
+    wishlistPriceDropBody: "**{productName}** della tua lista desideri ora costa meno.",
+    wishlistPriceWas: "Prima",
+    wishlistPriceNow: "Ora",
+    wishlistOptOut: "Ricevi questa email perché il prodotto è nella tua lista desideri. Puoi disattivare gli avvisi nelle impostazioni del tuo account.",
+
+    abandonedCartSubject: "Hai dimenticato qualcosa nel carrello",
+    abandonedCartLastSubject: "Ultimo promemoria: il tuo carrello ti aspetta",
+    abandonedCartTitle: "Ci stai ancora pensando? 🛒",
+    abandonedCartBody: "Gli articoli qui sotto sono ancora nel tuo carrello. Completa l'ordine prima che finiscano!",
+    abandonedCartIncentive: "Usa il codice {code} per uno sconto del {percent}% sul tuo ordine. Valido fino al {date}.",
+    abandonedCartPriceNote: "I prezzi indicati sono quelli attuali e possono variare.",
+
+    giftCardIssuedSubject: "Hai ricevuto una carta regalo da {amount}",
+    giftCardIssuedTitle: "Una carta regalo per te 🎁",
+    giftCardIssuedBody: "Hai ricevuto una carta regalo del valore di **{amount}**. Inserisci il codice qui sotto al momento del pagamento.",
+    giftCardIssuedCode: "Il tuo codice: **{code}**",
+    giftCardIssuedExpiry: "Valida fino al {date}.",
+    giftCardIssuedMessage: "Messaggio",
+
+    invoiceTitle: "Fattura",
+    creditNoteTitle: "Nota di credito",
+    invoiceNumber: "Numero",
+    invoiceDate: "Data",
+    invoiceOrder: "Ordine",
+    invoiceReferences: "Riferita alla fattura",
+    invoiceBillTo: "Intestatario",
+    invoiceVatId: "P. IVA",
+    colVat: "IVA",
+    colNet: "IMPONIBILE",
+    colGross: "TOTALE",
+    invoiceDiscount: "incl. sconto {amount}",
+    invoiceNetTotal: "Totale imponibile",
+    invoiceVatLine: "IVA {rate} su {net}",
+    invoicePaidGiftCard: "Pagato con carta regalo",
+    invoiceAmountPaid: "Importo pagato",
+    invoicePricesNote: "Tutti i prezzi sono comprensivi di IVA.",
+  },
+};
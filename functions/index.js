@@ -7,11 +7,230 @@
 
 const functions = require("firebase-functions/v1");
 const admin = require("firebase-admin");
+const nodemailer = require("nodemailer");
+const crypto = require("crypto");
+const { renderEmail, resolveLocale } = require("./emails");
+const { renderInvoiceHtml, renderInvoicePdf } = require("./invoices");
+const { getPaymentProvider, PaymentSignatureError } = require("./payments");
+const { hasReturnedItems, computeCancellationRefund, remainingInvoiceLines } = require("./returns");
 
 // Initialize Firebase Admin SDK
 admin.initializeApp();
 const db = admin.firestore();
 
+// Fidelity program rules (server-authoritative).
+// Customers earn 1 point per full Euro of merchandise value and can redeem
+// points as a cart discount at a fixed rate.
+const FIDELITY_POINTS_PER_EURO = 1;
+const FIDELITY_POINT_VALUE_EUR = 0.01; // 100 points = 1 EUR
+
+// Supported `promotions/{code}.type` values.
+const PROMOTION_TYPES = ["percentage", "fixed", "buy_x_get_y"];
+
+// Stock reservations (see `reserveCart`): how long checkout holds the cart quantities.
+// Configurable via the STOCK_RESERVATION_MINUTES environment variable.
+const STOCK_RESERVATION_MINUTES = Number(process.env.STOCK_RESERVATION_MINUTES) || 15;
+
+// Shipping (see `getShippingOptions`): methods are read from `shippingMethods/{id}`; these defaults
+// apply while that collection is empty. A zone matches the destination postcode by prefix (longest
+// prefix wins, "*" matches any postcode); its rate is picked by the total cart weight.
+// `freeShippingThreshold` waives the cost from that merchandise subtotal on.
+const DEFAULT_PRODUCT_WEIGHT_KG = 0.5; // used for products without `weightKg`
+const DEFAULT_SHIPPING_METHODS = [
+  {
+    id: "standard", name: "Standard", type: "standard", deliveryDays: 3, freeShippingThreshold: 50, sortOrder: 1,
+    zones: [{ id: "domestic", postcodePrefixes: ["*"], rates: [{ maxWeightKg: 2, price: 4.90 }, { maxWeightKg: 10, price: 7.90 }, { maxWeightKg: 30, price: 14.90 }] }],
+  },
+  {
+    id: "express", name: "Express", type: "express", deliveryDays: 1, freeShippingThreshold: null, sortOrder: 2,
+    zones: [{ id: "domestic", postcodePrefixes: ["*"], rates: [{ maxWeightKg: 2, price: 9.90 }, { maxWeightKg: 10, price: 14.90 }, { maxWeightKg: 30, price: 24.90 }] }],
+  },
+  {
+    id: "pickup", name: "Store Pickup", type: "pickup", deliveryDays: 0, freeShippingThreshold: null, sortOrder: 3,
+    zones: [{ id: "all", postcodePrefixes: ["*"], rates: [{ maxWeightKg: null, price: 0 }] }],
+  },
+];
+
+// Invoicing (see `completeOrder` / `getInvoice`): catalogue prices are gross (VAT included).
+// VAT rates per product category come from `settings/tax` ({ defaultRate, categoryRates });
+// these defaults apply while that document does not exist. Shipping uses the default rate.
+// Invoice and credit note numbers are gapless per year (`counters/{type}-{year}`).
+const DEFAULT_TAX_SETTINGS = { defaultRate: 0.22, categoryRates: {} };
+const INVOICE_NUMBER_PREFIXES = { invoice: "INV", credit_note: "CN" };
+
+// Wishlist alerts (see `notifyWishlistOnProductChange`): at most one mail per user and product per window.
+const WISHLIST_NOTIFICATION_THROTTLE_MS = 24 * 60 * 60 * 1000;
+const WISHLIST_FANOUT_PAGE_SIZE = 200;
+
+// Review moderation (see `onReviewWrite`): every rule returns a reason when a review needs
+// manual approval, or null. Add rules here to extend the pipeline.
+// Extra blocked words can be configured via REVIEW_BLOCKED_WORDS (comma separated).
+const REVIEW_BLOCKED_WORDS = ["fuck", "shit", "bitch", "asshole", "cazzo", "merda", "scheisse", "arschloch"]
+  .concat(String(process.env.REVIEW_BLOCKED_WORDS || "").split(","))
+  .map(w => w.trim().toLowerCase())
+  .filter(Boolean);
+const REVIEW_MODERATION_RULES = [
+  (review) => containsBlockedWord(review.comment) ? "profanity" : null,
+  (review) => containsLink(review.comment) ? "link" : null,
+];
+
+// Abandoned cart reminders (see `sendAbandonedCartReminders`): idle hours after which each
+// reminder is sent, e.g. ABANDONED_CART_REMINDER_HOURS="24,72" (one mail per entry).
+// The last reminder can carry a personal discount code: ABANDONED_CART_INCENTIVE_PERCENT
+// (0 = no code) valid for ABANDONED_CART_INCENTIVE_DAYS.
+const ABANDONED_CART_REMINDER_HOURS = String(process.env.ABANDONED_CART_REMINDER_HOURS || "24,72")
+  .split(",").map(Number).filter(h => h > 0).sort((a, b) => a - b);
+const ABANDONED_CART_MAX_IDLE_HOURS = ABANDONED_CART_REMINDER_HOURS[ABANDONED_CART_REMINDER_HOURS.length - 1] + 24;
+const ABANDONED_CART_INCENTIVE_PERCENT = Number(process.env.ABANDONED_CART_INCENTIVE_PERCENT) || 0;
+const ABANDONED_CART_INCENTIVE_DAYS = Number(process.env.ABANDONED_CART_INCENTIVE_DAYS) || 3;
+const ABANDONED_CART_PAGE_SIZE = 200;
+
+// Sales statistics (see `getSalesReport`): aggregates per UTC day and month in
+// `stats/day-YYYY-MM-DD` and `stats/month-YYYY-MM`.
+const SALES_SUMMARY_FIELDS = ["orderCount", "revenue", "averageOrderValue", "giftCardAmount", "giftCardOrderCount",
+  "unitsSold", "cancellationCount", "cancelledAmount"];
+const SALES_STATS_MAX_REPORT_DAYS = 366;
+const SALES_STATS_MAX_REPORT_MONTHS = 36;
+const SALES_STATS_REFRESH_BATCH = 100;
+const SALES_STATS_PAGE_SIZE = 500;
+
+// Product search (see `searchProducts`): index documents live in `productSearch/{productId}`.
+// Prefix tokens are 2-15 characters long; only the first words of long descriptions are indexed.
+const SEARCH_MIN_PREFIX = 2;
+const SEARCH_MAX_PREFIX = 15;
+const SEARCH_MAX_DESCRIPTION_WORDS = 100;
+const SEARCH_CANDIDATE_LIMIT = 1000;
+// Ranked results of a signed-in search with more than one page are kept in `searchResults/{id}`
+// (server-only, removed by a TTL policy on `expiresAt`), so later pages don't run the query again.
+// Only the first SEARCH_STORED_PAGES pages are stored; anonymous cursors carry the search instead.
+const SEARCH_RESULT_TTL_MINUTES = 30;
+const SEARCH_STORED_PAGES = 5;
+const SEARCH_DEFAULT_PAGE_SIZE = 20;
+const SEARCH_MAX_PAGE_SIZE = 50;
+const SEARCH_REBUILD_PAGE_SIZE = 400;
+// Sort orders accepted by `searchProducts`.
+const SEARCH_COMPARATORS = {
+  relevance: (a, b) => (b.score - a.score) || compareSearchByRating(a, b) || compareSearchByName(a, b),
+  price_asc: (a, b) => (a.entry.price - b.entry.price) || compareSearchByName(a, b),
+  price_desc: (a, b) => (b.entry.price - a.entry.price) || compareSearchByName(a, b),
+  rating: (a, b) => compareSearchByRating(a, b) || compareSearchByName(a, b),
+  name: compareSearchByName,
+};
+
+// Roles (see `requireRole`), lowest to highest. Carried as the `role` custom claim and stored in
+// `users/{uid}.role`; the profile's `isAdmin` flag is kept in sync for the app.
+const USER_ROLES = ["customer", "admin", "super_admin"];
+
+// Product import/export (see `importProducts`). The accepted categories mirror `productCategories`
+// in lib/utils/constants.dart; `required` fields are needed to create a product.
+const PRODUCT_CATEGORIES = ["Electronics", "Clothing", "Home", "Beauty", "Sports", "Gadget", "Music", "Food", "General"];
+const PRODUCT_IMPORT_FIELDS = {
+  productName: { type: "string", required: true, maxLength: 200 },
+  productDescription: { type: "string", maxLength: 5000 },
+  productPrice: { type: "number", required: true, min: 0 },
+  originalPrice: { type: "number", min: 0 },
+  discountPercentage: { type: "integer", min: 0, max: 100 },
+  category: { type: "category", required: true },
+  stock: { type: "integer", required: true, min: 0 },
+  imageUrl: { type: "url" },
+  deliveryDays: { type: "integer", min: 1 },
+  weightKg: { type: "number", min: 0 },
+};
+const PRODUCT_EXPORT_READONLY_FIELDS = ["averageRating", "reviewCount"];
+const PRODUCT_IMPORT_MAX_ROWS = 2000;
+const PRODUCT_IMPORT_BATCH_SIZE = 200; // each row also writes an audit entry (max. 500 writes per batch)
+const PRODUCT_EXPORT_PAGE_SIZE = 500;
+
+// Payments (see `createPaymentIntent` and `payments/`). PAYMENT_PROVIDER selects the integration
+// ("mock" by default) and PAYMENT_WEBHOOK_SECRET signs its webhook deliveries.
+// `confirmMockPayment` only works in the emulator, or with PAYMENT_MOCK_ENABLED="true" for demo deployments.
+const PAYMENT_CURRENCY = "EUR";
+const PAYMENT_MOCK_CONFIRM_ENABLED = process.env.FUNCTIONS_EMULATOR === "true" || process.env.PAYMENT_MOCK_ENABLED === "true";
+// `orders/{id}.paymentStatus` values that still expect a payment.
+const UNPAID_PAYMENT_STATUSES = ["awaiting_payment", "payment_failed"];
+// Order statuses that fulfil an order; only reachable once the payment is settled (see `isOrderPaid`).
+const FULFILMENT_ORDER_STATUSES = ["processing", "shipped", "delivered"];
+
+// Returns (see `requestReturn`). The window (RETURN_WINDOW_DAYS, environment config) starts at delivery,
+// or at shipping while the order is not delivered yet.
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS) || 14;
+const RETURN_REASON_MAX_LENGTH = 500;
+const RETURNABLE_ORDER_STATUSES = ["shipped", "delivered"];
+const RETURN_REFUND_METHODS = ["payment", "gift_card"];
+// Return lifecycle: allowed transitions per status, and the customer email sent on entering it.
+const RETURN_STATUS_TRANSITIONS = {
+  requested: ["approved", "rejected"],
+  approved: ["received", "rejected"],
+  received: [],
+  rejected: [],
+};
+const RETURN_EMAIL_TEMPLATES = {
+  requested: "returnRequested",
+  approved: "returnApproved",
+  rejected: "returnRejected",
+  received: "returnReceived",
+};
+// Returns still in progress; an order with one of these cannot be cancelled.
+const OPEN_RETURN_STATUSES = ["requested", "approved"];
+
+// Gift cards (see `issueGiftCard`). Codes are 16 random characters of Crockford base32 (80 bits),
+// printed as "XXXX-XXXX-XXXX-XXXX". Every balance change is written to `giftCards/{code}/ledger`.
+// `applyGiftCard` locks a user out for GIFT_CARD_LOCKOUT_MINUTES after GIFT_CARD_MAX_FAILED_ATTEMPTS
+// invalid codes within GIFT_CARD_ATTEMPT_WINDOW_MINUTES (environment config).
+const GIFT_CARD_CODE_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const GIFT_CARD_CODE_LENGTH = 16;
+const GIFT_CARD_MAX_AMOUNT = 1000;
+const GIFT_CARD_MESSAGE_MAX_LENGTH = 500;
+const GIFT_CARD_MAX_FAILED_ATTEMPTS = Number(process.env.GIFT_CARD_MAX_FAILED_ATTEMPTS) || 5;
+const GIFT_CARD_ATTEMPT_WINDOW_MINUTES = Number(process.env.GIFT_CARD_ATTEMPT_WINDOW_MINUTES) || 15;
+const GIFT_CARD_LOCKOUT_MINUTES = Number(process.env.GIFT_CARD_LOCKOUT_MINUTES) || 30;
+const GIFT_CARD_EXPIRY_PAGE_SIZE = 200;
+
+// Account data (see `exportMyData` / `deleteMyAccount`). Deleting an account requires a sign-in within
+// ACCOUNT_DELETION_MAX_AUTH_AGE_MINUTES (environment config) and no orders or returns still in progress.
+const ACCOUNT_EXPORT_VERSION = 1;
+const ACCOUNT_DELETION_MAX_AUTH_AGE_MINUTES = Number(process.env.ACCOUNT_DELETION_MAX_AUTH_AGE_MINUTES) || 10;
+const ACCOUNT_DELETION_BLOCKING_ORDER_STATUSES = ["pending", "processing"];
+const ACCOUNT_DELETION_BLOCKING_RETURN_STATUSES = ["requested", "approved"];
+const ACCOUNT_DELETION_BATCH_SIZE = 400;
+const ACCOUNT_ANONYMOUS_NAME = "Anonymous"; // shown on the reviews of deleted accounts
+
+// Mail delivery (see `deliverMail`). SMTP settings come from environment config
+// (`functions/.env` or the deployment environment):
+// SMTP_HOST, SMTP_PORT, SMTP_SECURE ("true"/"false"), SMTP_USER, SMTP_PASS, MAIL_FROM.
+const MAIL_MAX_ATTEMPTS = 5;
+const MAIL_RETRY_BASE_DELAY_MS = 60 * 1000; // 1 min, doubled after every failed attempt
+const MAIL_LEASE_MS = 2 * 60 * 1000; // a "processing" claim older than this is considered stale
+
+// Order lifecycle: allowed transitions per status (terminal states have none).
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ["processing", "cancelled"],
+  processing: ["shipped", "cancelled"],
+  shipped: ["delivered", "returned", "cancelled"],
+  delivered: ["returned"],
+  cancelled: [],
+  returned: [],
+};
+
+// Customer email template (see `emails/`) sent for each order status.
+const ORDER_STATUS_EMAIL_TEMPLATES = {
+  processing: "orderProcessing",
+  shipped: "orderShipped",
+  delivered: "orderDelivered",
+  cancelled: "orderCancelled",
+  returned: "orderReturned",
+};
+
+// Tracking page per carrier; `{tracking}` is replaced by the tracking number.
+const CARRIER_TRACKING_URLS = {
+  dhl: "https://www.dhl.com/en/express/tracking.html?AWB={tracking}",
+  ups: "https://www.ups.com/track?tracknum={tracking}",
+  fedex: "https://www.fedex.com/fedextrack/?trknbr={tracking}",
+  gls: "https://gls-group.com/track/{tracking}",
+  dpd: "https://tracking.dpd.de/status/en_US/parcel/{tracking}",
+  poste: "https://www.poste.it/cerca/index.html#/risultati-spedizioni/{tracking}",
+};
+
 // =================================================================================
 // 1. CALCULATE CART TOTAL (Background Trigger)
 // =================================================================================
@@ -19,9 +238,11 @@ const db = admin.firestore();
  * Trigger: Firestore `onWrite` event on any item inside `carts/{cartId}/items`.
  * * Mechanism:
  * 1. Fetches all items in the cart to ensure the total is calculated from scratch (prevents drift).
- * 2. Sums up quantity and price.
- * 3. Checks the parent Cart document for any applied Gift Cards.
- * 4. Updates the parent Cart document with the new `totalPrice`, `itemCount`, and `finalAmountToPay`.
+ * 2. Sums up quantity and the current price from `products/{id}` (cart item prices are not trusted).
+ * 3. Checks the parent Cart document for an applied Promotion (recomputing its discount),
+ *    redeemed Fidelity Points and applied Gift Cards.
+ * 4. Re-quotes the chosen shipping method, whose cost depends on the cart weight and subtotal.
+ * 5. Updates the parent Cart document with the new `totalPrice`, `itemCount`, and `finalAmountToPay`.
  */
 exports.calculateCartTotal = functions.firestore
   .document("carts/{cartId}/items/{itemId}")
@@ -31,39 +252,56 @@ exports.calculateCartTotal = functions.firestore
     const itemsRef = cartRef.collection("items");
 
     try {
-      // 1. Fetch all items (Read Operation)
-      const itemsSnapshot = await itemsRef.get();
-      let newTotalPrice = 0;
-      let newItemCount = 0;
-
-      // 2. Iterate and Sum
-      itemsSnapshot.forEach((doc) => {
-        const d = doc.data();
-        // Fallback logic for different naming conventions (price vs productPrice)
-        const p = (typeof d.productPrice === 'number') ? d.productPrice : (d.price || 0);
-        const q = (typeof d.quantity === 'number') ? d.quantity : 0;
-        newTotalPrice += p * q;
-        newItemCount += q;
-      });
+      // 1. & 2. Fetch all items and sum them using the current catalogue prices
+      // (cart items are client-written, so their stored prices are not trusted)
+      const { lines, subtotal: newTotalPrice, itemCount: newItemCount } = await loadCartLines(itemsRef);
 
-      // 3. Check for Discounts (Gift Cards)
+      // 3. Check for Discounts (Promotion, Fidelity Points, Gift Cards)
       const cartDoc = await cartRef.get();
+      // Nothing to total for a deleted cart (e.g. `deleteMyAccount`); do not recreate it.
+      if (!cartDoc.exists && newItemCount === 0) return null;
       const cartData = cartDoc.data() || {};
-      
-      let finalAmount = newTotalPrice;
-      const giftAmt = (typeof cartData.giftCardAppliedAmount === 'number') ? cartData.giftCardAppliedAmount : 0;
-      
-      if (cartData.appliedGiftCardCode && giftAmt > 0) {
-          // Ensure total doesn't go below zero
-          finalAmount = Math.max(0, newTotalPrice - giftAmt);
+
+      // The promotion discount depends on the cart content, so it is recomputed here.
+      // If the promotion is no longer valid (e.g. minimum spend), the discount drops to 0
+      // and `completeOrder` will reject the order until the code is removed.
+      let promoUpdate = {};
+      if (cartData.appliedPromoCode) {
+        const promo = await loadPromotion(cartData.appliedPromoCode, cartId);
+        const promoError = validatePromotion(promo.data, promo.userUses, newTotalPrice, cartId);
+        const promoDiscount = promoError ? 0 : computePromotionDiscount(promo.data, lines);
+        promoUpdate = { promoDiscountAmount: promoDiscount, promoError: promoError || null };
+        cartData.promoDiscountAmount = promoDiscount;
       }
 
-      // 4. Update Cart (Write Operation)
+      // 4. Shipping: if the chosen method no longer fits the cart (e.g. weight), its cost drops
+      // to 0 and `shippingError` is set; `completeOrder` requires an eligible method.
+      let shippingUpdate = {};
+      if (cartData.shippingMethodId) {
+        const methods = await loadShippingMethods();
+        const method = methods.find(m => m.id === cartData.shippingMethodId);
+        const quote = method ? quoteShipping(method, {
+          postcode: cartData.shippingPostcode,
+          weightKg: computeCartWeight(lines),
+          subtotal: newTotalPrice
+        }) : null;
+        shippingUpdate = {
+          shippingCost: quote ? quote.price : 0,
+          shippingError: quote ? null : "Shipping method not available for this cart.",
+        };
+        cartData.shippingCost = shippingUpdate.shippingCost;
+      }
+      
+      const finalAmount = computeFinalAmount(cartData, newTotalPrice);
+
+      // 5. Update Cart (Write Operation)
       await cartRef.set({
           totalPrice: newTotalPrice,
           itemCount: newItemCount,
           finalAmountToPay: finalAmount,
           subtotal: newTotalPrice, // Used for fidelity points
+          ...promoUpdate,
+          ...shippingUpdate,
           lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
       }, { merge: true });
       
@@ -82,51 +320,83 @@ exports.calculateCartTotal = functions.firestore
  * * Mechanism:
  * Uses a Transaction to ensure the Gift Card balance is checked and deducted atomically.
  * It prevents race conditions where a user might use the same card twice simultaneously.
+ * The deduction is recorded in the card's ledger and held in `giftCardHolds/{uid}` (server-only):
+ * checkout and removal read the amount from there, the cart fields are for display only.
+ * * Codes are matched case-insensitively (issued codes are upper-case; the exact input is tried
+ * as well for older hand-made codes), so a code typed in lower case is not a failed attempt.
+ * * Brute-force protection: unknown, inactive, expired and empty cards all fail with the same
+ * error and count as a failed attempt in `giftCardAttempts/{uid}` (written in the same
+ * transaction). Too many failures lock the user out temporarily (`resource-exhausted`).
  */
 exports.applyGiftCard = functions.https.onCall(async (data, context) => {
   if (!context.auth) throw new functions.https.HttpsError("unauthenticated", "Auth required.");
   
-  const giftCardCode = data.giftCardCode || data.code;
+  const rawCode = data.giftCardCode || data.code;
   const cartId = context.auth.uid;
 
-  if (!giftCardCode) throw new functions.https.HttpsError("invalid-argument", "Invalid data.");
+  if (!rawCode) throw new functions.https.HttpsError("invalid-argument", "Invalid data.");
+  const candidates = giftCardCodeCandidates(rawCode);
 
-  const giftRef = db.collection("giftCards").doc(giftCardCode);
   const cartRef = db.collection("carts").doc(cartId);
+  const attemptsRef = db.collection("giftCardAttempts").doc(cartId);
+  const holdRef = db.collection("giftCardHolds").doc(cartId);
 
-  return db.runTransaction(async (t) => {
-    const gDoc = await t.get(giftRef);
+  const result = await db.runTransaction(async (t) => {
+    const aDoc = await t.get(attemptsRef);
+    let gDoc = null;
+    for (const code of candidates) {
+      gDoc = await t.get(db.collection("giftCards").doc(code));
+      if (gDoc.exists) break;
+    }
     const cDoc = await t.get(cartRef);
+    const hDoc = await t.get(holdRef);
 
-    // Validations
-    if (!gDoc.exists) throw new functions.https.HttpsError("not-found", "Card not found.");
-    const gData = gDoc.data();
-    
-    if (gData.isActive === false || gData.balance <= 0) {
-        throw new functions.https.HttpsError("failed-precondition", "Card invalid or empty.");
+    const attempts = aDoc.exists ? aDoc.data() : null;
+    const lockout = giftCardLockoutError(attempts);
+    if (lockout) throw lockout;
+
+    // Validations (an invalid code is counted, not thrown, so the attempt is persisted)
+    if (!gDoc || !gDoc.exists || !isGiftCardRedeemable(gDoc.data())) {
+      t.set(attemptsRef, {
+        ...nextGiftCardAttempts(attempts),
+        lastFailureAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+      return { invalid: true };
     }
+    const gData = gDoc.data();
+    const giftCardCode = gDoc.id;
 
     if (!cDoc.exists) throw new functions.https.HttpsError("not-found", "Cart not found.");
     const cData = cDoc.data();
     
-    if (cData.appliedGiftCardCode) throw new functions.https.HttpsError("failed-precondition", "Card already applied.");
+    if (hDoc.exists || cData.appliedGiftCardCode) throw new functions.https.HttpsError("failed-precondition", "Card already applied.");
 
-    // Calculation
+    // Calculation (the gift card only covers what other discounts leave open)
     const total = cData.totalPrice || 0;
-    const amount = Math.min(gData.balance, total);
+    const amount = Math.min(gData.balance, computeFinalAmount(cData, total));
     
     if (amount <= 0) throw new functions.https.HttpsError("failed-precondition", "Nothing to apply.");
 
     // Updates
-    t.update(giftRef, { balance: gData.balance - amount });
+    changeGiftCardBalance(t, gDoc, -amount, { type: "apply", userId: cartId });
+    t.set(holdRef, {
+      code: giftCardCode,
+      amount: amount,
+      heldAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
     t.update(cartRef, {
       giftCardAppliedAmount: amount,
       appliedGiftCardCode: giftCardCode,
-      finalAmountToPay: total - amount,
+      finalAmountToPay: computeFinalAmount({ ...cData, appliedGiftCardCode: giftCardCode, giftCardAppliedAmount: amount }, total),
       lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
     });
     return { success: true, discountAmount: amount };
   });
+
+  if (result.invalid) {
+    throw new functions.https.HttpsError("failed-precondition", "Gift card invalid, expired or empty.", { reason: "gift-card-invalid" });
+  }
+  return result;
 });
 
 // =================================================================================
@@ -135,42 +405,470 @@ exports.applyGiftCard = functions.https.onCall(async (data, context) => {
 /**
  * Callable Function: Removes a gift card from the cart.
  * * Mechanism:
- * Restores the deducted amount back to the Gift Card's balance and resets the cart totals.
+ * Restores the amount held in `giftCardHolds/{uid}` back to the Gift Card's balance
+ * (recorded in its ledger) and resets the cart totals.
  */
 exports.removeGiftCard = functions.https.onCall(async (data, context) => {
   if (!context.auth) throw new functions.https.HttpsError("unauthenticated", "Auth required.");
   const cartId = context.auth.uid;
   const cartRef = db.collection("carts").doc(cartId);
+  const holdRef = db.collection("giftCardHolds").doc(cartId);
 
   return db.runTransaction(async (t) => {
     const cDoc = await t.get(cartRef);
     if (!cDoc.exists) throw new functions.https.HttpsError("not-found", "Cart not found.");
+    const hDoc = await t.get(holdRef);
     
     const cData = cDoc.data();
-    const code = cData.appliedGiftCardCode;
-    const amt = cData.giftCardAppliedAmount || 0;
-
-    if (!code) return { message: "No card." };
+    if (!hDoc.exists && !cData.appliedGiftCardCode) return { message: "No card." };
 
-    const gRef = db.collection("giftCards").doc(code);
-    const gDoc = await t.get(gRef);
+    // Only the held amount is restored: the cart fields are not trusted
+    const hold = hDoc.exists ? hDoc.data() : null;
+    const gDoc = hold ? await t.get(db.collection("giftCards").doc(hold.code)) : null;
     
     // Restore balance if card still exists
-    if (gDoc.exists) {
-      t.update(gRef, { balance: gDoc.data().balance + amt });
+    if (gDoc && gDoc.exists && hold.amount > 0) {
+      changeGiftCardBalance(t, gDoc, hold.amount, { type: "remove", userId: cartId });
     }
+    if (hold) t.delete(holdRef);
 
     // Reset Cart
     t.update(cartRef, {
       giftCardAppliedAmount: admin.firestore.FieldValue.delete(),
       appliedGiftCardCode: admin.firestore.FieldValue.delete(),
-      finalAmountToPay: cData.totalPrice || 0,
+      finalAmountToPay: computeFinalAmount({ ...cData, appliedGiftCardCode: null }, cData.totalPrice || 0),
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { success: true };
+  });
+});
+
+// =================================================================================
+// 3a. GIFT CARD ISSUANCE & EXPIRY (HTTPS Callable, Admin + Scheduled)
+// =================================================================================
+/**
+ * Callable Function: Issues a new gift card and emails its code to the recipient (Admin only).
+ * * Mechanism:
+ * Generates a high-entropy code (see `generateGiftCardCode`), creates `giftCards/{code}` with
+ * its "issue" ledger entry, queues the `giftCardIssued` email and writes an audit entry, all in
+ * one transaction. `expiresAt` (optional, ISO date or timestamp) must lie in the future.
+ * Returns the code so the admin can hand it over in person as well.
+ */
+exports.issueGiftCard = functions.https.onCall(async (data, context) => {
+  const actor = await requireRole(context, "admin");
+
+  const amount = roundCurrency(Number(data.amount));
+  if (!Number.isFinite(amount) || amount <= 0 || amount > GIFT_CARD_MAX_AMOUNT) {
+    throw new functions.https.HttpsError("invalid-argument", `Amount must be between 0 and ${GIFT_CARD_MAX_AMOUNT}.`);
+  }
+  const recipientEmail = (typeof data.recipientEmail === 'string') ? data.recipientEmail.trim().toLowerCase() : '';
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipientEmail)) {
+    throw new functions.https.HttpsError("invalid-argument", "A valid recipient email is required.");
+  }
+  const recipientName = (typeof data.recipientName === 'string') ? data.recipientName.trim().slice(0, 100) : '';
+  const message = (typeof data.message === 'string') ? data.message.trim().slice(0, GIFT_CARD_MESSAGE_MAX_LENGTH) : '';
+  const expiresAt = parseGiftCardExpiry(data.expiresAt);
+  const userId = (typeof data.userId === 'string' && data.userId) ? data.userId : null;
+
+  return db.runTransaction(async (t) => {
+    const code = createGiftCard(t, {
+      amount: amount,
+      source: "issued",
+      userId: userId,
+      expiresAt: expiresAt,
+      recipientEmail: recipientEmail,
+      issuedBy: actor.uid,
+    });
+
+    t.set(db.collection("mail").doc(), {
+      to: recipientEmail,
+      message: renderEmail("giftCardIssued", {
+        code: code,
+        amount: amount,
+        recipientName: recipientName || null,
+        message: message || null,
+        expiresAt: expiresAt ? expiresAt.toDate() : null,
+      }, data.locale),
+    });
+
+    writeAuditLog(t, actor, {
+      action: "giftCard.issue",
+      targetType: "giftCard",
+      targetId: code,
+      after: { amount: amount, recipientEmail: recipientEmail, userId: userId, expiresAt: expiresAt ? expiresAt.toDate().toISOString() : null },
+    });
+
+    return { code: code, amount: amount, expiresAt: expiresAt ? expiresAt.toDate().toISOString() : null };
+  });
+});
+
+/**
+ * Scheduled Function: Expires gift cards past their `expiresAt`.
+ * * Mechanism:
+ * Pages through active cards with `expiresAt <= now`; each one is deactivated in its own
+ * transaction and the remaining balance is written off with an "expiry" ledger entry.
+ * Amounts already applied to a cart stay applied.
+ */
+exports.expireGiftCards = functions
+  .runWith({ timeoutSeconds: 540 })
+  .pubsub.schedule("every 24 hours")
+  .onRun(async () => {
+    const now = admin.firestore.Timestamp.now();
+
+    let lastDoc = null;
+    let expired = 0;
+    do {
+      let query = db.collection("giftCards")
+        .where("isActive", "==", true)
+        .where("expiresAt", "<=", now)
+        .orderBy("expiresAt")
+        .limit(GIFT_CARD_EXPIRY_PAGE_SIZE);
+      if (lastDoc) query = query.startAfter(lastDoc);
+
+      const page = await query.get();
+      if (page.empty) break;
+      lastDoc = page.docs[page.docs.length - 1];
+
+      for (const doc of page.docs) {
+        try {
+          if (await expireGiftCard(doc.ref)) expired++;
+        } catch (e) {
+          console.error(`[expireGiftCards] Card ${doc.id} failed:`, e);
+        }
+      }
+      if (page.size < GIFT_CARD_EXPIRY_PAGE_SIZE) break;
+    } while (lastDoc);
+
+    console.log(`[expireGiftCards] ${expired} card(s) expired.`);
+    return null;
+  });
+
+// =================================================================================
+// 3b. REDEEM FIDELITY POINTS (HTTPS Callable)
+// =================================================================================
+/**
+ * Callable Function: Redeems fidelity points as a discount on the user's cart.
+ * * Mechanism:
+ * Validates the requested amount against the user's balance and records it on the cart
+ * (`fidelityPointsRedeemed`, `fidelityDiscountAmount`), adjusting `finalAmountToPay`.
+ * The points themselves are only debited by `completeOrder`, inside the order transaction,
+ * so an abandoned cart never costs the user any points.
+ * Passing `points: 0` removes the redemption from the cart.
+ */
+exports.redeemFidelityPoints = functions.https.onCall(async (data, context) => {
+  if (!context.auth) throw new functions.https.HttpsError("unauthenticated", "Auth required.");
+  const userId = context.auth.uid;
+
+  const points = Number(data.points);
+  if (!Number.isInteger(points) || points < 0) {
+    throw new functions.https.HttpsError("invalid-argument", "Points must be a non-negative integer.");
+  }
+
+  const userRef = db.collection("users").doc(userId);
+  const cartRef = db.collection("carts").doc(userId);
+
+  return db.runTransaction(async (t) => {
+    const uDoc = await t.get(userRef);
+    const cDoc = await t.get(cartRef);
+
+    if (!cDoc.exists) throw new functions.https.HttpsError("not-found", "Cart not found.");
+    const cData = cDoc.data();
+    const total = cData.totalPrice || 0;
+
+    // Removal
+    if (points === 0) {
+      t.update(cartRef, {
+        fidelityPointsRedeemed: admin.firestore.FieldValue.delete(),
+        fidelityDiscountAmount: admin.firestore.FieldValue.delete(),
+        finalAmountToPay: computeFinalAmount({ ...cData, fidelityDiscountAmount: 0 }, total),
+        lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { success: true, pointsRedeemed: 0, discountAmount: 0 };
+    }
+
+    // Validations
+    const uData = uDoc.exists ? uDoc.data() : {};
+    if (!uData.isFidelityActive) {
+      throw new functions.https.HttpsError("failed-precondition", "Fidelity card not active.");
+    }
+    const balance = uData.fidelityPoints || 0;
+    if (points > balance) {
+      throw new functions.https.HttpsError("failed-precondition", "Not enough fidelity points.");
+    }
+
+    // Calculation: never discount more than what is still left to pay
+    const openAmount = computeFinalAmount({ ...cData, fidelityDiscountAmount: 0 }, total);
+    const discount = Math.min(roundCurrency(points * FIDELITY_POINT_VALUE_EUR), openAmount);
+    if (discount <= 0) throw new functions.https.HttpsError("failed-precondition", "Nothing to apply.");
+
+    // Only the points actually needed for the discount are reserved
+    const pointsUsed = Math.ceil(roundCurrency(discount / FIDELITY_POINT_VALUE_EUR));
+
+    t.update(cartRef, {
+      fidelityPointsRedeemed: pointsUsed,
+      fidelityDiscountAmount: discount,
+      finalAmountToPay: computeFinalAmount({ ...cData, fidelityDiscountAmount: discount }, total),
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { success: true, pointsRedeemed: pointsUsed, discountAmount: discount };
+  });
+});
+
+// =================================================================================
+// 3c. APPLY / REMOVE PROMO CODE (HTTPS Callable)
+// =================================================================================
+/**
+ * Callable Function: Applies a promotion code to the user's cart.
+ * * Mechanism:
+ * Validates the `promotions/{code}` document (active, start/expiry dates, global and per-user
+ * usage limits, minimum spend) and computes the discount from the current catalogue prices.
+ * Only one promotion can be applied at a time. Usage is only counted by `completeOrder`.
+ */
+exports.applyPromoCode = functions.https.onCall(async (data, context) => {
+  if (!context.auth) throw new functions.https.HttpsError("unauthenticated", "Auth required.");
+  const userId = context.auth.uid;
+
+  const code = (typeof data.code === 'string') ? data.code.trim().toUpperCase() : '';
+  if (!code) throw new functions.https.HttpsError("invalid-argument", "Invalid data.");
+
+  const cartRef = db.collection("carts").doc(userId);
+
+  return db.runTransaction(async (t) => {
+    const cDoc = await t.get(cartRef);
+    if (!cDoc.exists) throw new functions.https.HttpsError("not-found", "Cart not found.");
+    const cData = cDoc.data();
+
+    if (cData.appliedPromoCode) throw new functions.https.HttpsError("failed-precondition", "Promo code already applied.");
+
+    const { lines, subtotal } = await loadCartLines(cartRef.collection("items"), t);
+    const promo = await loadPromotion(code, userId, t);
+
+    const promoError = validatePromotion(promo.data, promo.userUses, subtotal, userId);
+    if (promoError) {
+      const errCode = promo.data ? "failed-precondition" : "not-found";
+      throw new functions.https.HttpsError(errCode, promoError);
+    }
+
+    const discount = computePromotionDiscount(promo.data, lines);
+    if (discount <= 0) throw new functions.https.HttpsError("failed-precondition", "No eligible items for this promo code.");
+
+    const updated = { ...cData, appliedPromoCode: code, promoDiscountAmount: discount };
+    t.update(cartRef, {
+      appliedPromoCode: code,
+      promoDiscountAmount: discount,
+      promoError: null,
+      totalPrice: subtotal,
+      finalAmountToPay: computeFinalAmount(updated, subtotal),
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return { success: true, code: code, discountAmount: discount, description: promo.data.description || null };
+  });
+});
+
+/**
+ * Callable Function: Removes the promotion code from the cart and resets the cart totals.
+ */
+exports.removePromoCode = functions.https.onCall(async (data, context) => {
+  if (!context.auth) throw new functions.https.HttpsError("unauthenticated", "Auth required.");
+  const cartRef = db.collection("carts").doc(context.auth.uid);
+
+  return db.runTransaction(async (t) => {
+    const cDoc = await t.get(cartRef);
+    if (!cDoc.exists) throw new functions.https.HttpsError("not-found", "Cart not found.");
+    const cData = cDoc.data();
+
+    if (!cData.appliedPromoCode) return { message: "No promo code." };
+
+    t.update(cartRef, {
+      appliedPromoCode: admin.firestore.FieldValue.delete(),
+      promoDiscountAmount: admin.firestore.FieldValue.delete(),
+      promoError: admin.firestore.FieldValue.delete(),
+      finalAmountToPay: computeFinalAmount({ ...cData, appliedPromoCode: null }, cData.totalPrice || 0),
       lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
     });
     return { success: true };
   });
 });
 
+// =================================================================================
+// 3d. STOCK RESERVATIONS (HTTPS Callable + Scheduled Release)
+// =================================================================================
+/**
+ * Callable Function: Holds the cart quantities against `products.stock` while the user checks out.
+ * * Mechanism:
+ * One reservation per user in `reservations/{uid}` (`items: { productId: qty }`, `expiresAt`, `status`).
+ * The held quantities are added to `products/{id}.reservedStock`, so other checkouts (and the
+ * displayed stock) only see `stock - reservedStock`. Calling it again replaces the previous hold
+ * and restarts the window of `STOCK_RESERVATION_MINUTES`.
+ * `completeOrder` converts an active reservation into the sale; `releaseExpiredReservations` frees expired ones.
+ */
+exports.reserveCart = functions.https.onCall(async (data, context) => {
+  if (!context.auth) throw new functions.https.HttpsError("unauthenticated", "Auth required.");
+  const userId = context.auth.uid;
+
+  const itemsRef = db.collection("carts").doc(userId).collection("items");
+  const reservationRef = db.collection("reservations").doc(userId);
+  const expiresAt = admin.firestore.Timestamp.fromMillis(Date.now() + STOCK_RESERVATION_MINUTES * 60 * 1000);
+
+  return db.runTransaction(async (t) => {
+    // ---------------------------------------------------------
+    // PHASE 1: READ
+    // ---------------------------------------------------------
+    const iSnaps = await t.get(itemsRef);
+    if (iSnaps.empty) throw new functions.https.HttpsError("failed-precondition", "Cart empty.");
+
+    const rDoc = await t.get(reservationRef);
+    const previous = (rDoc.exists && rDoc.data().status === "active") ? (rDoc.data().items || {}) : {};
+
+    const needed = {};
+    const names = {};
+    const issues = [];
+    iSnaps.forEach(doc => {
+      const d = doc.data();
+      if (!d.productId) return;
+      names[d.productId] = d.productName || 'Unknown';
+      if (quantityIssueType(d.quantity, Infinity)) {
+        issues.push({ type: "invalid_quantity", productId: d.productId, productName: names[d.productId], requestedQuantity: d.quantity, availableStock: null });
+        return;
+      }
+      needed[d.productId] = (needed[d.productId] || 0) + d.quantity;
+    });
+
+    const products = {};
+    for (const pid of new Set([...Object.keys(needed), ...Object.keys(previous)])) {
+      const pSnap = await t.get(db.collection("products").doc(pid));
+      products[pid] = pSnap;
+    }
+
+    // ---------------------------------------------------------
+    // PHASE 2: LOGIC
+    // ---------------------------------------------------------
+    Object.entries(needed).forEach(([pid, qty]) => {
+      const pSnap = products[pid];
+      const available = pSnap.exists ? getAvailableStock(pSnap.data(), previous[pid] || 0) : 0;
+      if (available < qty) {
+        issues.push({
+          type: "unavailable",
+          productId: pid,
+          productName: pSnap.exists ? (pSnap.data().productName || names[pid]) : names[pid],
+          requestedQuantity: qty,
+          availableStock: Math.max(0, available)
+        });
+      }
+    });
+    if (issues.length > 0) throw cartChangedError(issues);
+
+    // ---------------------------------------------------------
+    // PHASE 3: WRITE
+    // ---------------------------------------------------------
+    Object.entries(products).forEach(([pid, pSnap]) => {
+      if (!pSnap.exists) return;
+      const reserved = Math.max(0, (pSnap.data().reservedStock || 0) - (previous[pid] || 0)) + (needed[pid] || 0);
+      t.update(pSnap.ref, { reservedStock: reserved });
+    });
+
+    t.set(reservationRef, {
+      userId: userId,
+      items: needed,
+      status: "active",
+      expiresAt: expiresAt,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return { success: true, items: needed, expiresAt: expiresAt.toDate().toISOString() };
+  });
+});
+
+/**
+ * Scheduled Function: Releases reservations whose hold window has expired.
+ */
+exports.releaseExpiredReservations = functions.pubsub
+  .schedule("every 5 minutes")
+  .onRun(async () => {
+    const expired = await db.collection("reservations")
+      .where("status", "==", "active")
+      .where("expiresAt", "<=", admin.firestore.Timestamp.now())
+      .limit(200)
+      .get();
+
+    for (const doc of expired.docs) {
+      try {
+        await releaseReservation(doc.ref, "expired");
+      } catch (e) {
+        console.error(`[releaseExpiredReservations] ${doc.id}:`, e);
+      }
+    }
+    return null;
+  });
+
+// =================================================================================
+// 3e. SHIPPING METHODS (HTTPS Callable)
+// =================================================================================
+/**
+ * Callable Function: Lists the shipping methods available for the user's cart.
+ * * Mechanism:
+ * Quotes every active method (`shippingMethods` or `DEFAULT_SHIPPING_METHODS`) for the
+ * destination postcode (`postcode`, defaulting to the user profile), the total cart weight
+ * and the merchandise subtotal. Methods without a matching zone or weight band are left out.
+ */
+exports.getShippingOptions = functions.https.onCall(async (data, context) => {
+  if (!context.auth) throw new functions.https.HttpsError("unauthenticated", "Auth required.");
+  const userId = context.auth.uid;
+
+  const postcode = await resolveShippingPostcode(userId, data.postcode);
+  const { lines, subtotal } = await loadCartLines(db.collection("carts").doc(userId).collection("items"));
+  const weightKg = computeCartWeight(lines);
+
+  const methods = await loadShippingMethods();
+  const options = methods
+    .map(m => quoteShipping(m, { postcode: postcode, weightKg: weightKg, subtotal: subtotal }))
+    .filter(Boolean);
+
+  return { options: options, postcode: postcode, weightKg: weightKg, subtotal: subtotal };
+});
+
+/**
+ * Callable Function: Stores the chosen shipping method and its cost on the cart.
+ * * Mechanism:
+ * Quotes the method like `getShippingOptions` and rejects it if it is not available for the cart.
+ * The cart keeps `shippingMethodId`, `shippingMethodName`, `shippingCost` and `shippingPostcode`;
+ * `calculateCartTotal` re-quotes it whenever the cart changes.
+ */
+exports.selectShippingMethod = functions.https.onCall(async (data, context) => {
+  if (!context.auth) throw new functions.https.HttpsError("unauthenticated", "Auth required.");
+  const userId = context.auth.uid;
+
+  const methodId = (typeof data.methodId === 'string') ? data.methodId.trim() : '';
+  if (!methodId) throw new functions.https.HttpsError("invalid-argument", "Shipping method required.");
+
+  const cartRef = db.collection("carts").doc(userId);
+  const cDoc = await cartRef.get();
+  if (!cDoc.exists) throw new functions.https.HttpsError("not-found", "Cart not found.");
+
+  const postcode = await resolveShippingPostcode(userId, data.postcode);
+  const { lines, subtotal } = await loadCartLines(cartRef.collection("items"));
+  const methods = await loadShippingMethods();
+  const method = methods.find(m => m.id === methodId);
+  const quote = method ? quoteShipping(method, { postcode: postcode, weightKg: computeCartWeight(lines), subtotal: subtotal }) : null;
+  if (!quote) {
+    throw new functions.https.HttpsError("failed-precondition", "This shipping method is not available for your cart.");
+  }
+
+  const updated = { ...cDoc.data(), shippingMethodId: quote.methodId, shippingCost: quote.price };
+  const finalAmount = computeFinalAmount(updated, subtotal);
+  await cartRef.update({
+    shippingMethodId: quote.methodId,
+    shippingMethodName: quote.name,
+    shippingCost: quote.price,
+    shippingPostcode: postcode,
+    shippingError: null,
+    finalAmountToPay: finalAmount,
+    lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return { success: true, shipping: quote, finalAmountToPay: finalAmount };
+});
+
 // =================================================================================
 // 4. COMPLETE ORDER
 // =================================================================================
@@ -179,9 +877,21 @@ exports.removeGiftCard = functions.https.onCall(async (data, context) => {
  * * Mechanism:
  * Uses a strict "Read-Before-Write" Transaction pattern to avoid Firestore "INTERNAL" errors.
  * * Steps:
- * 1. PHASE 1 (READS): Fetches User, Cart, Cart Items, and ALL referenced Products.
- * 2. PHASE 2 (LOGIC): Iterates through items in memory to check availability and calculate new stock.
- * 3. PHASE 3 (WRITES): Updates Product stocks, creates the Order, and deletes Cart content.
+ * 1. PHASE 1 (READS): Fetches User, Cart, Cart Items, the user's Stock Reservation and ALL referenced Products.
+ *    Quantities reserved by other users' checkouts are not available to this order.
+ * 2. PHASE 2 (LOGIC):
+ *    a. Iterates through items in memory to check availability, verify prices against
+ *       `products/{id}` and calculate new stock. Price changes and unavailable items abort the order
+ *       with a `failed-precondition` error whose `details.issues` lists the affected lines.
+ *    b. Computes the fidelity points redeemed and earned for this order. Promotions are re-validated,
+ *       and discounts are applied in the order promotion -> fidelity points -> gift card.
+ *       The chosen shipping method is re-quoted for the shipping address; its cost is added before the gift card.
+ *    c. Checks the payment: any amount left after the gift card needs a `paymentIntentId` from
+ *       `createPaymentIntent` for exactly that amount (`failed-precondition` with `details.reason` otherwise).
+ * 3. PHASE 3 (WRITES): Updates Product stocks, creates the Order, credits/debits Fidelity Points
+ *    (with a `users/{uid}/fidelityLedger/{orderId}` entry), counts promotion usage and deletes Cart content.
+ *    The order gets the next gapless invoice number and an `invoices/{number}` snapshot with the VAT breakdown.
+ *    The payment intent is linked to the order; `paymentWebhook` later marks it `paid` or `payment_failed`.
  */
 exports.completeOrder = functions.https.onCall(async (data, context) => {
   // 1. Authentication Check
@@ -193,6 +903,11 @@ exports.completeOrder = functions.https.onCall(async (data, context) => {
   if (typeof email === 'string') email = email.trim();
   if (!email) throw new functions.https.HttpsError("invalid-argument", "Email required.");
 
+  const paymentIntentId = data.paymentIntentId || null;
+  if (paymentIntentId !== null && typeof paymentIntentId !== 'string') {
+    throw new functions.https.HttpsError("invalid-argument", "Invalid payment intent.");
+  }
+
   // Database References
   const userRef = db.collection("users").doc(userId);
   const cartRef = db.collection("carts").doc(cartId);
@@ -214,6 +929,9 @@ exports.completeOrder = functions.https.onCall(async (data, context) => {
     const uData = uDoc.exists ? uDoc.data() : {};
     const cData = cDoc.data();
 
+    // Email language follows the user profile (stored on the order for later status emails)
+    const locale = resolveLocale(uData.locale);
+
     // Prepare Address
     const address = {
         name: uData.name || '',
@@ -223,131 +941,960 @@ exports.completeOrder = functions.https.onCall(async (data, context) => {
         postcode: uData.postcode || ''
     };
 
+    // LOAD STOCK RESERVATION (quantities held for this user by `reserveCart`)
+    const reservationRef = db.collection("reservations").doc(userId);
+    const rDoc = await t.get(reservationRef);
+    const held = (rDoc.exists && rDoc.data().status === "active") ? (rDoc.data().items || {}) : {};
+
     // LOAD PRODUCTS:
-    // We collect all unique Product IDs first to avoid duplicate reads inside the loop.
-    const productMap = {}; // Will hold { ref, data, currentStock }
+    // We collect all unique Product IDs first to avoid duplicate reads inside the loop
+    // (cart items plus anything still held by the reservation).
+    // Missing products are kept as `data: null` and reported as unavailable in Phase 2.
+    // `currentStock` is what this user may buy: stock minus the quantities reserved by others.
+    const productMap = {}; // Will hold { ref, data, stock, reserved, ownHeld, currentStock }
+    const productIds = new Set([...iSnaps.docs.map(d => d.data().productId).filter(Boolean), ...Object.keys(held)]);
     
-    for (const doc of iSnaps.docs) {
-        const pid = doc.data().productId;
-        if (pid && !productMap[pid]) {
-            const pRef = productsRef.doc(pid);
-            const pSnap = await t.get(pRef); // Safe Read
-            
-            if (!pSnap.exists) throw new functions.https.HttpsError("not-found", `Product missing: ${pid}`);
-            
-            const pData = pSnap.data();
-            const stock = (typeof pData.stock === 'number') ? pData.stock : (pData.productStock || 0);
-            
-            productMap[pid] = {
-                ref: pRef,
-                data: pData,
-                currentStock: stock
-            };
-        }
+    for (const pid of productIds) {
+        const pRef = productsRef.doc(pid);
+        const pSnap = await t.get(pRef); // Safe Read
+        const pData = pSnap.exists ? pSnap.data() : null;
+        const ownHeld = held[pid] || 0;
+        const available = pData ? getAvailableStock(pData, ownHeld) : 0;
+
+        productMap[pid] = {
+            ref: pRef,
+            data: pData,
+            stock: pData ? getProductStock(pData) : 0,
+            reserved: pData ? (pData.reservedStock || 0) : 0,
+            ownHeld: ownHeld,
+            initialAvailable: available,
+            currentStock: available
+        };
+    }
+
+    // LOAD PROMOTION (and this user's usage of it)
+    let promoRef = null;
+    let promoDoc = null;
+    let usageDoc = null;
+    if (cData.appliedPromoCode) {
+        promoRef = db.collection("promotions").doc(cData.appliedPromoCode);
+        promoDoc = await t.get(promoRef);
+        usageDoc = await t.get(promoRef.collection("usages").doc(userId));
+    }
+
+    // LOAD SHIPPING METHODS (the chosen one is re-quoted for the shipping address in Phase 2)
+    const shippingMethods = await loadShippingMethods(t);
+
+    // LOAD TAX SETTINGS & INVOICE COUNTER (the invoice number is taken in this transaction, so it is gapless)
+    const taxSettings = await loadTaxSettings(t);
+    const invoiceCounterDoc = await t.get(documentCounterRef("invoice"));
+
+    // LOAD GIFT CARD HOLD (what `applyGiftCard` debited; any part not needed after the
+    // other discounts is credited back)
+    const holdRef = db.collection("giftCardHolds").doc(userId);
+    const holdDoc = await t.get(holdRef);
+    const giftHold = holdDoc.exists ? holdDoc.data() : null;
+    let giftDoc = null;
+    if (giftHold) {
+        giftDoc = await t.get(db.collection("giftCards").doc(giftHold.code));
     }
 
+    // LOAD PAYMENT INTENT (created by `createPaymentIntent` for the amount left to pay)
+    const intentRef = paymentIntentId ? db.collection("paymentIntents").doc(paymentIntentId) : null;
+    const intentDoc = intentRef ? await t.get(intentRef) : null;
+
     // ---------------------------------------------------------
     // PHASE 2: BUSINESS LOGIC (No Reads, No Writes)
     // ---------------------------------------------------------
-    const finalItems = [];
-    
-    for (const doc of iSnaps.docs) {
-        const val = doc.data();
-        const pid = val.productId;
-        const qty = (typeof val.quantity === 'number') ? val.quantity : 1;
-        
-        // Retrieve loaded product data
-        const pInfo = productMap[pid];
-        if (!pInfo) continue; // Should not happen given Phase 1
 
-        // Check Stock availability
-        if (pInfo.currentStock < qty) {
-            throw new functions.https.HttpsError("resource-exhausted", `Insufficient stock for ${pInfo.data.productName || 'product'}.`);
+    // Prices come from `products`, never from the cart item documents.
+    // Any price change or unavailable line aborts the order with a structured error.
+    const { lines: finalItems, issues, subtotal } = verifyCartItems(iSnaps.docs, productMap);
+    if (issues.length > 0) throw cartChangedError(issues);
+
+    // Promotion: re-validated against the verified lines and the usage counters read above
+    let promoDiscount = 0;
+    let promoData = null;
+    if (promoRef) {
+        promoData = promoDoc.exists ? promoDoc.data() : null;
+        const userUses = usageDoc.exists ? (usageDoc.data().count || 0) : 0;
+        const promoError = validatePromotion(promoData, userUses, subtotal, userId);
+        if (promoError) {
+            throw new functions.https.HttpsError("failed-precondition", promoError, { reason: "promo-invalid", code: cData.appliedPromoCode });
         }
+        promoDiscount = computePromotionDiscount(promoData, finalItems);
+    }
 
-        // Deduct from temporary memory (handles multiple rows of same product)
-        pInfo.currentStock -= qty;
+    // Fidelity Points: only the number of points is taken from the cart. It is re-validated
+    // against the balance read in this transaction and the discount is computed from it here
+    // (the cart's `fidelityDiscountAmount` is for display only), as are the earned points.
+    const pointsBalance = uData.fidelityPoints || 0;
+    const pointsRequested = cData.fidelityPointsRedeemed || 0;
+    if (!Number.isInteger(pointsRequested) || pointsRequested < 0) {
+        throw new functions.https.HttpsError("failed-precondition", "Invalid fidelity points redemption.");
+    }
+    if (pointsRequested > 0) {
+        if (!uData.isFidelityActive || pointsRequested > pointsBalance) {
+            throw new functions.https.HttpsError("failed-precondition", "Not enough fidelity points.");
+        }
+    }
 
-        finalItems.push({
-            productId: pid,
-            productName: pInfo.data.productName || val.productName || 'Unknown',
-            productPrice: (typeof val.productPrice==='number') ? val.productPrice : 0,
-            quantity: qty,
-            imageUrl: val.imageUrl || pInfo.data.imageUrl || null
-        });
+    // Shipping: a method must be chosen and still be available for the address and cart
+    const shippingMethod = shippingMethods.find(m => m.id === cData.shippingMethodId);
+    if (!shippingMethod) {
+        throw new functions.https.HttpsError("failed-precondition", "Please choose a shipping method.", { reason: "shipping-required" });
     }
+    const shipping = quoteShipping(shippingMethod, { postcode: address.postcode, weightKg: computeCartWeight(finalItems), subtotal: subtotal });
+    if (!shipping) {
+        throw new functions.https.HttpsError("failed-precondition", "The chosen shipping method is not available for this order.", { reason: "shipping-unavailable" });
+    }
+
+    // Discounts are applied in a fixed order: promotion -> fidelity points -> (shipping) -> gift card
+    const totals = computeOrderTotals(subtotal, {
+        promoDiscount: promoDiscount,
+        fidelityDiscount: roundCurrency(pointsRequested * FIDELITY_POINT_VALUE_EUR),
+        shippingCost: shipping.price,
+        giftCardAmount: giftHold ? (giftHold.amount || 0) : 0
+    });
+    const fidelityDiscount = totals.fidelityDiscount;
+    const pointsRedeemed = (fidelityDiscount > 0)
+        ? Math.min(pointsRequested, Math.ceil(roundCurrency(fidelityDiscount / FIDELITY_POINT_VALUE_EUR)))
+        : 0;
+    const giftAmt = totals.giftCardAmount;
+    const giftRefund = giftHold ? roundCurrency((giftHold.amount || 0) - giftAmt) : 0;
+    const finalAmount = totals.finalAmount;
+
+    // Payment: `null` intent when the gift card and discounts cover everything
+    const payment = checkOrderPayment(intentDoc, userId, finalAmount);
+    const paymentSettled = isOrderPaid({ paymentStatus: payment.status });
+
+    const pointsEarned = uData.isFidelityActive
+        ? Math.floor(Math.max(0, subtotal - promoDiscount - fidelityDiscount) * FIDELITY_POINTS_PER_EURO)
+        : 0;
+
+    const discountLines = buildDiscountLines({
+        promoCode: cData.appliedPromoCode,
+        promoDescription: promoData ? promoData.description : null,
+        promoDiscount: totals.promoDiscount,
+        pointsRedeemed: pointsRedeemed,
+        fidelityDiscount: fidelityDiscount,
+        giftCardCode: giftHold ? giftHold.code : null,
+        giftCardAmount: giftAmt
+    });
+
+    // VAT: promotion and points reduce the taxable amount; the gift card is a means of payment
+    const tax = computeTaxBreakdown(finalItems, {
+        discount: totals.promoDiscount + fidelityDiscount,
+        shippingCost: totals.shippingCost,
+        shippingName: shipping.name
+    }, taxSettings);
 
     // ---------------------------------------------------------
     // PHASE 3: WRITE
     // ---------------------------------------------------------
+    const orderId = `${userId}_${Date.now()}`;
+    const orderRef = db.collection("orders").doc(orderId);
+    const invoiceNumber = takeDocumentNumber(t, invoiceCounterDoc, "invoice");
 
-    // 1. Update Product Stocks in DB
+    // 1. Update Product Stocks in DB (the reservation, if any, is converted into the sale)
     Object.values(productMap).forEach(info => {
-        t.update(info.ref, { stock: info.currentStock });
+        if (!info.data) return;
+        const sold = info.initialAvailable - info.currentStock;
+        const update = { stock: info.stock - sold };
+        if (info.ownHeld > 0) update.reservedStock = Math.max(0, info.reserved - info.ownHeld);
+        t.update(info.ref, update);
     });
+    if (rDoc.exists && rDoc.data().status === "active") {
+        t.update(reservationRef, {
+            status: "converted",
+            orderId: orderId,
+            closedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+    }
 
     // 2. Create Order Document
-    const finalAmount = (typeof cData.finalAmountToPay==='number') ? cData.finalAmountToPay : (cData.totalPrice || 0);
-    const orderId = `${userId}_${Date.now()}`;
-    const orderRef = db.collection("orders").doc(orderId);
-
     t.set(orderRef, {
       orderId: orderId,
       userId: userId,
       customerEmail: email,
-      items: finalItems,
-      totalPrice: cData.totalPrice || 0,
-      giftCardAppliedAmount: cData.giftCardAppliedAmount || 0,
+      items: tax.items,
+      totalPrice: subtotal,
+      appliedPromoCode: promoRef ? cData.appliedPromoCode : null,
+      promoDiscountAmount: totals.promoDiscount,
+      giftCardAppliedAmount: giftAmt,
       finalAmountPaid: finalAmount,
-      appliedGiftCardCode: cData.appliedGiftCardCode || null,
+      appliedGiftCardCode: giftHold ? giftHold.code : null,
+      discountLines: discountLines,
+      fidelityPointsRedeemed: pointsRedeemed,
+      fidelityDiscountAmount: fidelityDiscount,
+      fidelityPointsEarned: pointsEarned,
+      fidelityPointsCredited: paymentSettled,
+      shippingMethod: { id: shipping.methodId, name: shipping.name, type: shipping.type, deliveryDays: shipping.deliveryDays },
+      shippingCost: totals.shippingCost,
       shippingAddress: address,
+      invoiceNumber: invoiceNumber,
+      taxTotals: tax.totals,
+      vatBreakdown: tax.vatBreakdown,
+      locale: locale,
       status: "pending", 
+      paymentStatus: payment.status,
+      paymentIntentId: payment.intent ? intentDoc.id : null,
+      paymentProvider: payment.intent ? payment.intent.provider : null,
+      ...(payment.status === "paid" ? { paidAt: admin.firestore.FieldValue.serverTimestamp() } : {}),
       timestamp: admin.firestore.FieldValue.serverTimestamp(),
     });
+    if (payment.intent) {
+        t.update(intentRef, { orderId: orderId, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    }
+
+    appendOrderHistory(t, orderRef, { from: null, to: "pending", actorId: userId, actorRole: "customer" });
+
+    // Invoice: an immutable snapshot for accounting (`getInvoice` renders it)
+    t.set(db.collection("invoices").doc(invoiceNumber), {
+      type: "invoice",
+      number: invoiceNumber,
+      orderId: orderId,
+      userId: userId,
+      customer: { ...address, email: email },
+      lines: tax.lines,
+      vatBreakdown: tax.vatBreakdown,
+      totals: tax.totals,
+      giftCardAmount: giftAmt,
+      amountPaid: finalAmount,
+      currency: "EUR",
+      locale: locale,
+      issuedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    // 3. Update Fidelity Balance and write the ledger entry for this order. Earned points of an
+    // order that still awaits its payment are credited by `processPaymentEvent` once it is paid.
+    const pointsCredited = paymentSettled ? pointsEarned : 0;
+    if (pointsRedeemed > 0 || pointsCredited > 0) {
+        const balanceAfter = pointsBalance - pointsRedeemed + pointsCredited;
+        t.update(userRef, { fidelityPoints: balanceAfter });
+        t.set(userRef.collection("fidelityLedger").doc(orderId), {
+            orderId: orderId,
+            pointsEarned: pointsCredited,
+            pointsRedeemed: pointsRedeemed,
+            discountAmount: fidelityDiscount,
+            balanceBefore: pointsBalance,
+            balanceAfter: balanceAfter,
+            timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        });
+    }
+
+    // 4. Count Promotion usage (global and per user)
+    if (promoRef) {
+        t.update(promoRef, { usageCount: (promoData.usageCount || 0) + 1 });
+        t.set(usageDoc.ref, {
+            count: (usageDoc.exists ? (usageDoc.data().count || 0) : 0) + 1,
+            lastOrderId: orderId,
+            lastUsedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }, { merge: true });
+    }
 
-    // 3. Clear Cart Items
+    // 5. Credit back the part of the gift card that was not needed (never more than was held)
+    if (giftRefund > 0 && giftDoc && giftDoc.exists) {
+        changeGiftCardBalance(t, giftDoc, giftRefund, { type: "refund", userId: userId, orderId: orderId, note: "Not needed at checkout" });
+    }
+    if (giftHold) t.delete(holdRef);
+
+    // 6. Clear Cart Items
     iSnaps.forEach(d => t.delete(d.ref));
     
-    // 4. Reset Cart Metadata
+    // 7. Reset Cart Metadata
     t.update(cartRef, {
         totalPrice: 0, 
         itemCount: 0,
         giftCardAppliedAmount: admin.firestore.FieldValue.delete(),
         appliedGiftCardCode: admin.firestore.FieldValue.delete(),
+        appliedPromoCode: admin.firestore.FieldValue.delete(),
+        promoDiscountAmount: admin.firestore.FieldValue.delete(),
+        fidelityPointsRedeemed: admin.firestore.FieldValue.delete(),
+        fidelityDiscountAmount: admin.firestore.FieldValue.delete(),
+        shippingMethodId: admin.firestore.FieldValue.delete(),
+        shippingMethodName: admin.firestore.FieldValue.delete(),
+        shippingCost: admin.firestore.FieldValue.delete(),
+        shippingPostcode: admin.firestore.FieldValue.delete(),
+        shippingError: admin.firestore.FieldValue.delete(),
         finalAmountToPay: 0,
         lastUpdated: admin.firestore.FieldValue.serverTimestamp()
     });
 
-    // 5. Trigger Email (Write to 'mail' collection)
+    // 8. Trigger Email (Write to 'mail' collection)
     if (email) {
-        const prettyHtml = generateOrderEmailHtml({
+        const message = renderEmail("orderConfirmation", {
             orderId: orderId,
             customerName: address.name || email.split('@')[0],
             items: finalItems,
-            subtotal: cData.totalPrice || 0,
-            discount: cData.giftCardAppliedAmount || 0,
-            total: finalAmount
-        });
+            subtotal: subtotal,
+            discountLines: discountLines,
+            shippingMethodName: shipping.name,
+            shippingCost: totals.shippingCost,
+            total: finalAmount,
+            pointsEarned: pointsEarned,
+            orderDate: new Date()
+        }, locale);
         
         const mailRef = db.collection("mail").doc();
-        t.set(mailRef, { 
-            to: email, 
-            message: { subject: `Order Confirmation #${orderId}`, html: prettyHtml } 
+        t.set(mailRef, { to: email, message: message });
+    }
+
+    return {
+      orderId: orderId,
+      success: true,
+      finalAmountPaid: finalAmount,
+      pointsEarned: pointsEarned,
+      invoiceNumber: invoiceNumber,
+      paymentStatus: payment.status,
+    };
+  });
+});
+
+// =================================================================================
+// 4a. VALIDATE CART (HTTPS Callable)
+// =================================================================================
+/**
+ * Callable Function: Checks the cart against the current catalogue before checkout.
+ * * Mechanism:
+ * Runs the same price/availability verification as `completeOrder` without placing an order,
+ * so the cart page can show changed prices or unavailable items up front.
+ * With `acceptChanges: true`, the cart item snapshots are updated to the current prices.
+ */
+exports.validateCart = functions.https.onCall(async (data, context) => {
+  if (!context.auth) throw new functions.https.HttpsError("unauthenticated", "Auth required.");
+  const cartRef = db.collection("carts").doc(context.auth.uid);
+
+  const iSnaps = await cartRef.collection("items").get();
+  if (iSnaps.empty) return { valid: true, issues: [], subtotal: 0 };
+
+  const rDoc = await db.collection("reservations").doc(context.auth.uid).get();
+  const held = (rDoc.exists && rDoc.data().status === "active") ? (rDoc.data().items || {}) : {};
+
+  const productMap = {};
+  const productIds = [...new Set(iSnaps.docs.map(d => d.data().productId).filter(Boolean))];
+  // Items without a product are reported as `unavailable` by `verifyCartItems`
+  const productSnaps = productIds.length > 0
+    ? await db.getAll(...productIds.map(id => db.collection("products").doc(id)))
+    : [];
+  productSnaps.forEach(snap => {
+    productMap[snap.id] = {
+      ref: snap.ref,
+      data: snap.exists ? snap.data() : null,
+      currentStock: snap.exists ? getAvailableStock(snap.data(), held[snap.id] || 0) : 0
+    };
+  });
+
+  const { issues, subtotal } = verifyCartItems(iSnaps.docs, productMap);
+
+  if (data.acceptChanges === true) {
+    const batch = db.batch();
+    iSnaps.docs.forEach(doc => {
+      const info = productMap[doc.data().productId];
+      if (info && info.data) batch.update(doc.ref, { productPrice: getProductPrice(info.data) });
+    });
+    await batch.commit();
+  }
+
+  return { valid: issues.length === 0, issues: issues, subtotal: subtotal };
+});
+
+// =================================================================================
+// 4b. CANCEL ORDER (HTTPS Callable)
+// =================================================================================
+/**
+ * Callable Function: Cancels an order and reverses its side effects.
+ * * Authorization:
+ * The customer who placed the order may cancel it while it is still `pending`.
+ * Admins (role `admin` or higher, see `requireRole`) may cancel any order the state machine allows
+ * (pending, processing, shipped); their cancellations are recorded in the `auditLog`.
+ * A shipped order with a return still open (requested or approved) cannot be cancelled. After received
+ * returns, only what they have not reversed is (see `computeCancellationRefund` in `returns/`).
+ * * Mechanism (single "Read-Before-Write" Transaction):
+ * 1. PHASE 1 (READS): Order, its open returns, order owner, referenced Products, the applied Gift Card
+ *    and Promotion, the order's invoice and the credit note counter.
+ * 2. PHASE 2 (WRITES): Restocks the units not returned, credits the gift card amount not yet refunded
+ *    back, marks the rest of the payment for refund, reverses the fidelity points earned/redeemed by
+ *    the order, releases the promotion usage, issues a credit note for the invoice lines not yet
+ *    credited and marks the order as `cancelled` together with who cancelled it and why.
+ * The cancellation email is sent by `onOrderStatusChange`.
+ */
+exports.cancelOrder = functions.https.onCall(async (data, context) => {
+  if (!context.auth) throw new functions.https.HttpsError("unauthenticated", "Auth required.");
+  const actor = await resolveActor(context);
+
+  const orderId = data.orderId;
+  if (!orderId || typeof orderId !== 'string') throw new functions.https.HttpsError("invalid-argument", "Order ID required.");
+  const reason = (typeof data.reason === 'string') ? data.reason.trim().slice(0, 500) : '';
+
+  return cancelOrderTransaction(orderId, actor, reason);
+});
+
+/**
+ * Runs the cancellation transaction used by `cancelOrder` and `updateOrderStatus`.
+ * `actor` is `{ uid, role }` (see `resolveActor`). Admins may cancel whenever the order state
+ * machine allows it; customers only while `pending`.
+ */
+function cancelOrderTransaction(orderId, actor, reason) {
+  const orderRef = db.collection("orders").doc(orderId);
+  const callerId = actor.uid;
+
+  return db.runTransaction(async (t) => {
+    // ---------------------------------------------------------
+    // PHASE 1: READ
+    // ---------------------------------------------------------
+    const oDoc = await t.get(orderRef);
+    if (!oDoc.exists) throw new functions.https.HttpsError("not-found", "Order not found.");
+    const oData = oDoc.data();
+
+    const isAdmin = hasRole(actor.role, "admin");
+    const isOwner = oData.userId === callerId;
+
+    if (!isAdmin && !isOwner) throw new functions.https.HttpsError("permission-denied", "Not your order.");
+    if (oData.status === "cancelled") throw new functions.https.HttpsError("failed-precondition", "Order already cancelled.");
+    if (!isAdmin && oData.status !== "pending") {
+        throw new functions.https.HttpsError("failed-precondition", "Only pending orders can be cancelled.");
+    }
+    if (!canTransitionOrder(oData.status, "cancelled")) {
+        throw new functions.https.HttpsError("failed-precondition", `Cannot cancel an order that is ${oData.status}.`);
+    }
+
+    // Open returns (their units and refunds are not settled yet)
+    if (RETURNABLE_ORDER_STATUSES.includes(oData.status)) {
+        const openReturns = await t.get(db.collection("returns")
+            .where("orderId", "==", orderId)
+            .where("status", "in", OPEN_RETURN_STATUSES)
+            .limit(1));
+        if (!openReturns.empty) {
+            throw new functions.https.HttpsError("failed-precondition", "Settle the open return of this order before cancelling it.", { reason: "return-open" });
+        }
+    }
+
+    // What received returns have not reversed yet (the whole order without returns)
+    const remaining = computeCancellationRefund(oData);
+
+    // Products (missing products are simply not restocked)
+    const restock = {}; // { pid: { ref, stock } }
+    for (const pid of Object.keys(remaining.restock)) {
+        const pRef = db.collection("products").doc(pid);
+        const pSnap = await t.get(pRef);
+        if (pSnap.exists) {
+            const pData = pSnap.data();
+            const stock = (typeof pData.stock === 'number') ? pData.stock : (pData.productStock || 0);
+            restock[pid] = { ref: pRef, stock: stock };
+        }
+    }
+
+    // Gift Card
+    const giftAmt = remaining.giftCardRefund;
+    let giftRef = null;
+    let giftDoc = null;
+    if (oData.appliedGiftCardCode && giftAmt > 0) {
+        giftRef = db.collection("giftCards").doc(oData.appliedGiftCardCode);
+        giftDoc = await t.get(giftRef);
+    }
+
+    // Order owner (for the fidelity reversal)
+    const ownerRef = db.collection("users").doc(oData.userId);
+    const ownerDoc = await t.get(ownerRef);
+
+    // Promotion usage (released so the code can be used again)
+    let promoRef = null;
+    let promoDoc = null;
+    let usageDoc = null;
+    if (oData.appliedPromoCode) {
+        promoRef = db.collection("promotions").doc(oData.appliedPromoCode);
+        promoDoc = await t.get(promoRef);
+        usageDoc = await t.get(promoRef.collection("usages").doc(oData.userId));
+    }
+
+    // Invoice (a credit note reverses it; orders from before invoicing have none)
+    let invoiceDoc = null;
+    let creditCounterDoc = null;
+    if (oData.invoiceNumber) {
+        invoiceDoc = await t.get(db.collection("invoices").doc(oData.invoiceNumber));
+        if (invoiceDoc.exists) creditCounterDoc = await t.get(documentCounterRef("credit_note"));
+    }
+
+    // ---------------------------------------------------------
+    // PHASE 2: WRITE
+    // ---------------------------------------------------------
+
+    // 1. Restock (returned units are back in stock already)
+    Object.entries(restock).forEach(([pid, info]) => t.update(info.ref, { stock: info.stock + remaining.restock[pid] }));
+
+    // 2. Gift Card refund
+    if (giftDoc && giftDoc.exists) {
+        changeGiftCardBalance(t, giftDoc, giftAmt, { type: "refund", userId: oData.userId, orderId: orderId, actorId: callerId, note: "Order cancelled" });
+    }
+
+    // 3. Fidelity reversal: give back redeemed points, take back earned ones
+    const pointsEarned = (oData.fidelityPointsCredited === false) ? 0 : (oData.fidelityPointsEarned || 0);
+    const pointsRedeemed = oData.fidelityPointsRedeemed || 0;
+    if (ownerDoc.exists && (pointsEarned > 0 || pointsRedeemed > 0)) {
+        const balanceBefore = ownerDoc.data().fidelityPoints || 0;
+        const balanceAfter = Math.max(0, balanceBefore + pointsRedeemed - pointsEarned);
+        t.update(ownerRef, { fidelityPoints: balanceAfter });
+        t.set(ownerRef.collection("fidelityLedger").doc(`${orderId}_cancel`), {
+            orderId: orderId,
+            pointsEarned: -pointsEarned,
+            pointsRedeemed: -pointsRedeemed,
+            discountAmount: -(oData.fidelityDiscountAmount || 0),
+            balanceBefore: balanceBefore,
+            balanceAfter: balanceAfter,
+            reason: "order_cancelled",
+            timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        });
+    }
+
+    // 4. Release Promotion usage
+    if (promoDoc && promoDoc.exists) {
+        t.update(promoRef, { usageCount: Math.max(0, (promoDoc.data().usageCount || 0) - 1) });
+        if (usageDoc.exists) t.update(usageDoc.ref, { count: Math.max(0, (usageDoc.data().count || 0) - 1) });
+    }
+
+    // 5. Credit note for the invoice (without the lines already credited by returns)
+    let creditNoteNumber = null;
+    if (creditCounterDoc) {
+        creditNoteNumber = takeDocumentNumber(t, creditCounterDoc, "credit_note");
+        const creditNote = hasReturnedItems(oData)
+            ? buildCreditNote(invoiceDoc.data(), creditNoteNumber, reason || "Order cancelled", {
+                returnedQuantities: oData.returnedQuantities,
+                giftCardAmount: remaining.giftCardRefund,
+                amountPaid: remaining.paymentRefund,
+            })
+            : buildCreditNote(invoiceDoc.data(), creditNoteNumber, reason || "Order cancelled");
+        t.set(db.collection("invoices").doc(creditNoteNumber), creditNote);
+    }
+
+    // 6. Mark Order as cancelled
+    t.update(orderRef, {
+        status: "cancelled",
+        cancelledBy: callerId,
+        cancelledByRole: isAdmin ? "admin" : "customer",
+        cancellationReason: reason || null,
+        cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+        giftCardRefundedAmount: (giftDoc && giftDoc.exists) ? giftAmt : 0,
+        // The captured payment (less return refunds) has to be refunded through the payment provider
+        ...((oData.paymentStatus === "paid" && remaining.paymentRefund > 0) ? {
+            paymentStatus: "refund_pending",
+            paymentRefundAmount: roundCurrency((oData.paymentRefundAmount || 0) + remaining.paymentRefund),
+        } : {}),
+        ...(creditNoteNumber ? { creditNoteNumbers: admin.firestore.FieldValue.arrayUnion(creditNoteNumber) } : {}),
+    });
+    appendOrderHistory(t, orderRef, {
+        from: oData.status,
+        to: "cancelled",
+        actorId: callerId,
+        actorRole: isAdmin ? "admin" : "customer",
+        note: reason || null,
+    });
+    if (isAdmin) {
+        writeAuditLog(t, actor, {
+            action: "order.cancel",
+            targetType: "order",
+            targetId: orderId,
+            before: { status: oData.status },
+            after: { status: "cancelled", creditNoteNumber: creditNoteNumber },
+            note: reason || null,
         });
     }
 
-    return { orderId: orderId, success: true };
+    return { success: true, orderId: orderId, creditNoteNumber: creditNoteNumber };
+  });
+}
+
+// =================================================================================
+// 4c. UPDATE ORDER STATUS (HTTPS Callable, Admin)
+// =================================================================================
+/**
+ * Callable Function: Moves an order to a new lifecycle status.
+ * * Mechanism:
+ * Only transitions listed in `ORDER_STATUS_TRANSITIONS` are accepted
+ * (pending → processing → shipped → delivered, plus cancelled/returned).
+ * Shipping requires `carrier` and `trackingNumber`; the tracking URL is derived from the carrier
+ * unless `trackingUrl` is given. Cancellation is delegated to the `cancelOrder` transaction so that
+ * stock, gift card and points are restored. Fulfilment (`FULFILMENT_ORDER_STATUSES`) requires a
+ * settled payment (`paid` or `not_required`). Every transition is appended to `orders/{id}/history`.
+ * Customer emails are sent by `onOrderStatusChange`.
+ */
+exports.updateOrderStatus = functions.https.onCall(async (data, context) => {
+  const actor = await requireRole(context, "admin");
+
+  const { orderId, status } = data;
+  if (!orderId || typeof orderId !== 'string') throw new functions.https.HttpsError("invalid-argument", "Order ID required.");
+  if (!ORDER_STATUS_TRANSITIONS[status]) throw new functions.https.HttpsError("invalid-argument", `Unknown status: ${status}`);
+  const note = (typeof data.note === 'string') ? data.note.trim().slice(0, 500) : '';
+
+  if (status === "cancelled") return cancelOrderTransaction(orderId, actor, note);
+
+  const shipping = {};
+  if (status === "shipped") {
+    const carrier = (typeof data.carrier === 'string') ? data.carrier.trim() : '';
+    const trackingNumber = (typeof data.trackingNumber === 'string') ? data.trackingNumber.trim() : '';
+    if (!carrier || !trackingNumber) {
+      throw new functions.https.HttpsError("invalid-argument", "Carrier and tracking number are required to ship an order.");
+    }
+    shipping.carrier = carrier;
+    shipping.trackingNumber = trackingNumber;
+    shipping.trackingUrl = (typeof data.trackingUrl === 'string' && data.trackingUrl.startsWith("https://"))
+      ? data.trackingUrl
+      : buildTrackingUrl(carrier, trackingNumber);
+    shipping.shippedAt = admin.firestore.FieldValue.serverTimestamp();
+  } else if (status === "delivered") {
+    shipping.deliveredAt = admin.firestore.FieldValue.serverTimestamp();
+  } else if (status === "returned") {
+    shipping.returnedAt = admin.firestore.FieldValue.serverTimestamp();
+  }
+
+  const orderRef = db.collection("orders").doc(orderId);
+  return db.runTransaction(async (t) => {
+    const oDoc = await t.get(orderRef);
+    if (!oDoc.exists) throw new functions.https.HttpsError("not-found", "Order not found.");
+    const current = oDoc.data().status;
+
+    if (!canTransitionOrder(current, status)) {
+      throw new functions.https.HttpsError("failed-precondition", `Illegal status change: ${current} → ${status}.`);
+    }
+    if (FULFILMENT_ORDER_STATUSES.includes(status) && !isOrderPaid(oDoc.data())) {
+      throw new functions.https.HttpsError("failed-precondition", "The order has not been paid yet.", { reason: "payment-pending" });
+    }
+
+    t.update(orderRef, {
+      status: status,
+      statusUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...shipping,
+    });
+    appendOrderHistory(t, orderRef, {
+      from: current,
+      to: status,
+      actorId: actor.uid,
+      actorRole: "admin",
+      note: note || null,
+      carrier: shipping.carrier || null,
+      trackingNumber: shipping.trackingNumber || null,
+    });
+    writeAuditLog(t, actor, {
+      action: "order.status",
+      targetType: "order",
+      targetId: orderId,
+      before: { status: current },
+      after: { status: status, carrier: shipping.carrier || null, trackingNumber: shipping.trackingNumber || null },
+      note: note || null,
+    });
+
+    return { success: true, orderId: orderId, status: status };
+  });
+});
+
+// =================================================================================
+// 4d. INVOICES (HTTPS Callable)
+// =================================================================================
+/**
+ * Callable Function: Renders an invoice or credit note for printing/download.
+ * * Mechanism:
+ * Looks the document up by `number`, or the invoice of `orderId`. Only the order owner
+ * or an admin may read it. Returns the printable HTML, and with `format: "pdf"` a
+ * base64-encoded PDF as well. Rendering uses the locale stored with the document.
+ */
+exports.getInvoice = functions.https.onCall(async (data, context) => {
+  if (!context.auth) throw new functions.https.HttpsError("unauthenticated", "Auth required.");
+
+  let number = (typeof data.number === 'string') ? data.number.trim() : '';
+  if (!number && typeof data.orderId === 'string' && data.orderId) {
+    const oDoc = await db.collection("orders").doc(data.orderId).get();
+    if (!oDoc.exists) throw new functions.https.HttpsError("not-found", "Order not found.");
+    number = oDoc.data().invoiceNumber || '';
+  }
+  if (!number) throw new functions.https.HttpsError("not-found", "No invoice for this order.");
+
+  const invDoc = await db.collection("invoices").doc(number).get();
+  if (!invDoc.exists) throw new functions.https.HttpsError("not-found", "Invoice not found.");
+  const invoice = invDoc.data();
+  if (invoice.userId !== context.auth.uid) await requireRole(context, "admin");
+
+  const result = { number: number, type: invoice.type, html: renderInvoiceHtml(invoice, invoice.locale) };
+  if (data.format === "pdf") {
+    const pdf = await renderInvoicePdf(invoice, invoice.locale);
+    result.pdf = pdf.toString("base64");
+  }
+  return result;
+});
+
+// =================================================================================
+// 4e. PAYMENTS (HTTPS Callable + Webhook)
+// =================================================================================
+/**
+ * Callable Function: Starts a payment with the configured provider (see `payments/`).
+ * * Mechanism:
+ * Without arguments the amount is the cart's current `finalAmountToPay`; the returned
+ * `paymentIntentId` is then passed to `completeOrder`. With `orderId`, a new intent is created
+ * for an unpaid order (retry after `payment_failed`) and becomes the order's current intent.
+ * The intent is stored in `paymentIntents/{provider}_{providerIntentId}`; the `clientSecret`
+ * is only returned to the client, which uses it to confirm the payment with the provider.
+ */
+exports.createPaymentIntent = functions.https.onCall(async (data, context) => {
+  if (!context.auth) throw new functions.https.HttpsError("unauthenticated", "Auth required.");
+  const userId = context.auth.uid;
+
+  const orderId = data.orderId || null;
+  if (orderId !== null && typeof orderId !== 'string') {
+    throw new functions.https.HttpsError("invalid-argument", "Invalid order ID.");
+  }
+
+  // Amount due: the cart before checkout, or the unpaid order
+  let amount = 0;
+  if (orderId) {
+    const oDoc = await db.collection("orders").doc(orderId).get();
+    if (!oDoc.exists || oDoc.data().userId !== userId) throw new functions.https.HttpsError("not-found", "Order not found.");
+    assertOrderAwaitsPayment(oDoc.data());
+    amount = oDoc.data().finalAmountPaid || 0;
+  } else {
+    const cDoc = await db.collection("carts").doc(userId).get();
+    amount = cDoc.exists ? (cDoc.data().finalAmountToPay || 0) : 0;
+  }
+  const amountMinor = toMinorUnits(amount);
+  if (amountMinor <= 0) {
+    throw new functions.https.HttpsError("failed-precondition", "Nothing to pay.", { reason: "payment-not-required" });
+  }
+
+  const provider = getPaymentProvider();
+  const created = await provider.createIntent({
+    amount: amountMinor,
+    currency: PAYMENT_CURRENCY,
+    metadata: { userId: userId, orderId: orderId },
+  });
+
+  const intentRef = db.collection("paymentIntents").doc(paymentIntentDocId(provider.name, created.providerIntentId));
+  const intent = {
+    provider: provider.name,
+    providerIntentId: created.providerIntentId,
+    userId: userId,
+    orderId: orderId,
+    amount: roundCurrency(amount),
+    amountMinor: amountMinor,
+    currency: PAYMENT_CURRENCY,
+    status: created.status,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  if (orderId) {
+    // Re-checked in a transaction: the previous intent may have succeeded in the meantime
+    const orderRef = db.collection("orders").doc(orderId);
+    await db.runTransaction(async (t) => {
+      const oDoc = await t.get(orderRef);
+      assertOrderAwaitsPayment(oDoc.data());
+      t.set(intentRef, intent);
+      t.update(orderRef, { paymentIntentId: intentRef.id, paymentProvider: provider.name, paymentStatus: "awaiting_payment" });
+    });
+  } else {
+    await intentRef.set(intent);
+  }
+
+  return {
+    paymentIntentId: intentRef.id,
+    provider: provider.name,
+    clientSecret: created.clientSecret,
+    amount: intent.amount,
+    currency: PAYMENT_CURRENCY,
+  };
+});
+
+/**
+ * HTTPS Endpoint: Receives payment events from the provider.
+ * * Mechanism:
+ * The provider verifies the signature over the raw request body (400 for unsigned or forged
+ * deliveries). Each event is processed once: `paymentEvents/{provider}_{eventId}` is created in
+ * the same transaction that updates the intent and the order, so redelivered events are
+ * acknowledged without side effects. Processing errors answer 500 so the provider retries.
+ */
+exports.paymentWebhook = functions.https.onRequest(async (req, res) => {
+  if (req.method !== "POST") {
+    res.set("Allow", "POST").status(405).send("Method Not Allowed");
+    return;
+  }
+
+  const provider = getPaymentProvider();
+  let event;
+  try {
+    event = provider.verifyWebhook(req.rawBody ? req.rawBody.toString("utf8") : "", req.headers);
+  } catch (e) {
+    const invalidSignature = e instanceof PaymentSignatureError;
+    console.warn(`[paymentWebhook] Rejected delivery: ${e.message}`);
+    res.status(400).send(invalidSignature ? "Invalid signature." : "Invalid payload.");
+    return;
+  }
+
+  try {
+    const result = await processPaymentEvent(provider.name, event);
+    res.status(200).json({ received: true, duplicate: result.duplicate, outcome: result.outcome });
+  } catch (e) {
+    console.error(`[paymentWebhook] Event ${event.id} failed:`, e);
+    res.status(500).send("Processing failed.");
+  }
+});
+
+/**
+ * Callable Function: Confirms a payment with the built-in mock provider.
+ * * Mechanism:
+ * Stands in for the provider's checkout UI: builds a signed webhook delivery for the intent
+ * (`outcome` "succeeded" by default, or "failed") and runs it through the same verification and
+ * processing as `paymentWebhook`. Only available with the mock provider in the emulator,
+ * or when PAYMENT_MOCK_ENABLED is set.
+ */
+exports.confirmMockPayment = functions.https.onCall(async (data, context) => {
+  if (!context.auth) throw new functions.https.HttpsError("unauthenticated", "Auth required.");
+
+  const provider = getPaymentProvider();
+  if (provider.name !== "mock" || !PAYMENT_MOCK_CONFIRM_ENABLED) {
+    throw new functions.https.HttpsError("failed-precondition", "Mock payments are disabled.");
+  }
+
+  const outcome = data.outcome || "succeeded";
+  if (!["succeeded", "failed"].includes(outcome)) {
+    throw new functions.https.HttpsError("invalid-argument", "Outcome must be \"succeeded\" or \"failed\".");
+  }
+  if (typeof data.paymentIntentId !== 'string' || !data.paymentIntentId) {
+    throw new functions.https.HttpsError("invalid-argument", "Payment intent required.");
+  }
+
+  const intentDoc = await db.collection("paymentIntents").doc(data.paymentIntentId).get();
+  if (!intentDoc.exists || intentDoc.data().userId !== context.auth.uid) {
+    throw new functions.https.HttpsError("not-found", "Payment intent not found.");
+  }
+
+  const delivery = provider.simulateEvent(intentDoc.data(), outcome);
+  const result = await processPaymentEvent(provider.name, provider.verifyWebhook(delivery.rawBody, delivery.headers));
+  return { success: true, outcome: result.outcome, orderId: intentDoc.data().orderId || null };
+});
+
+// =================================================================================
+// 4f. RETURNS (HTTPS Callable)
+// =================================================================================
+/**
+ * Callable Function: Requests the return of shipped items.
+ * * Mechanism:
+ * Accepts `items: [{ productId, quantity }]` of a shipped or delivered order within
+ * RETURN_WINDOW_DAYS of delivery (of shipping while not yet delivered). Quantities are
+ * checked against `orders/{id}.returnedQuantities` in a transaction, so concurrent requests
+ * can never return more than was bought. The refund per line is its amount paid after discounts
+ * (shipping is not refunded). `refundMethod` is the customer's preference: "payment" (default
+ * for orders paid by card) or "gift_card". Creates `returns/{returnId}` and emails the customer.
+ */
+exports.requestReturn = functions.https.onCall(async (data, context) => {
+  if (!context.auth) throw new functions.https.HttpsError("unauthenticated", "Auth required.");
+  const userId = context.auth.uid;
+
+  const { orderId } = data;
+  if (!orderId || typeof orderId !== 'string') throw new functions.https.HttpsError("invalid-argument", "Order ID required.");
+  if (!Array.isArray(data.items) || data.items.length === 0) {
+    throw new functions.https.HttpsError("invalid-argument", "Choose at least one item to return.");
+  }
+  if (data.refundMethod !== undefined && !RETURN_REFUND_METHODS.includes(data.refundMethod)) {
+    throw new functions.https.HttpsError("invalid-argument", `Refund method must be one of: ${RETURN_REFUND_METHODS.join(", ")}.`);
+  }
+  const reason = (typeof data.reason === 'string') ? data.reason.trim().slice(0, RETURN_REASON_MAX_LENGTH) : '';
+
+  const orderRef = db.collection("orders").doc(orderId);
+  const returnRef = db.collection("returns").doc();
+
+  return db.runTransaction(async (t) => {
+    // ---------------------------------------------------------
+    // PHASE 1: READ
+    // ---------------------------------------------------------
+    const oDoc = await t.get(orderRef);
+    if (!oDoc.exists || oDoc.data().userId !== userId) throw new functions.https.HttpsError("not-found", "Order not found.");
+    const order = oDoc.data();
+
+    // ---------------------------------------------------------
+    // PHASE 2: LOGIC
+    // ---------------------------------------------------------
+    if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+      throw new functions.https.HttpsError("failed-precondition", "Only shipped or delivered orders can be returned.");
+    }
+    if (UNPAID_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+      throw new functions.https.HttpsError("failed-precondition", "This order has not been paid yet.", { reason: "payment-required" });
+    }
+    const since = toMillis(order.deliveredAt) || toMillis(order.shippedAt) || toMillis(order.statusUpdatedAt) || toMillis(order.timestamp);
+    if (since && Date.now() - since > RETURN_WINDOW_DAYS * 24 * 3600 * 1000) {
+      throw new functions.https.HttpsError("failed-precondition", `The return window of ${RETURN_WINDOW_DAYS} days has passed.`, { reason: "return-window-expired" });
+    }
+
+    const { lines, errors } = buildReturnLines(order, data.items);
+    if (errors.length > 0) {
+      throw new functions.https.HttpsError("invalid-argument", errors.join(" "), { reason: "return-invalid-items", errors: errors });
+    }
+
+    const refundAmount = roundCurrency(lines.reduce((sum, l) => sum + l.refundAmount, 0));
+    const refundMethod = data.refundMethod || (orderPaidByPayment(order) ? "payment" : "gift_card");
+    const returnedQuantities = { ...(order.returnedQuantities || {}) };
+    lines.forEach(l => { returnedQuantities[l.productId] = (returnedQuantities[l.productId] || 0) + l.quantity; });
+
+    // ---------------------------------------------------------
+    // PHASE 3: WRITE
+    // ---------------------------------------------------------
+    const returnDoc = {
+      returnId: returnRef.id,
+      orderId: orderId,
+      userId: userId,
+      customerEmail: order.customerEmail || null,
+      customerName: (order.shippingAddress && order.shippingAddress.name) || null,
+      locale: order.locale || null,
+      items: lines,
+      refundAmount: refundAmount,
+      refundMethod: refundMethod,
+      reason: reason || null,
+      status: "requested",
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    t.set(returnRef, returnDoc);
+    t.update(orderRef, { returnedQuantities: returnedQuantities });
+    queueReturnEmail(t, returnDoc, "requested");
+
+    return { success: true, returnId: returnRef.id, refundAmount: refundAmount, refundMethod: refundMethod };
   });
 });
 
+/**
+ * Callable Functions (Admin): Move a return through its lifecycle
+ * (see `RETURN_STATUS_TRANSITIONS`).
+ * * approveReturn: The customer may send the items back.
+ * * rejectReturn: Requires a `reason`. The quantities become returnable again.
+ * * receiveReturn: The items arrived. Restocks them, issues a credit note for the returned lines
+ *   and refunds the amount: to the original payment (added to the order's `paymentRefundAmount`
+ *   for the payment provider, up to the amount paid by card) or as a new gift card. Whatever cannot
+ *   go back to the payment is credited to the gift card.
+ * Each step emails the customer and writes an audit log entry.
+ */
+exports.approveReturn = functions.https.onCall(async (data, context) => {
+  const actor = await requireRole(context, "admin");
+  return transitionReturn(data.returnId, actor, "approved", data.note);
+});
+
+exports.rejectReturn = functions.https.onCall(async (data, context) => {
+  const actor = await requireRole(context, "admin");
+  if (typeof data.reason !== 'string' || !data.reason.trim()) {
+    throw new functions.https.HttpsError("invalid-argument", "A reason is required to reject a return.");
+  }
+  return transitionReturn(data.returnId, actor, "rejected", data.reason);
+});
+
+exports.receiveReturn = functions.https.onCall(async (data, context) => {
+  const actor = await requireRole(context, "admin");
+  return transitionReturn(data.returnId, actor, "received", data.note);
+});
+
 // =================================================================================
 // 5. ORDER STATUS MONITORING (Background Trigger)
 // =================================================================================
 /**
  * Trigger: Firestore `onUpdate` event for orders.
  * * Mechanism:
- * Monitors the 'status' field. If it changes to 'shipped' or 'cancelled', 
- * it sends a formatted HTML email to the customer.
+ * Monitors the 'status' field and sends a localized email (see `emails/`) to the customer for every
+ * lifecycle state (processing, shipped, delivered, cancelled, returned). Emails include the
+ * tracking link once the order has shipped.
  */
 exports.onOrderStatusChange = functions.firestore
   .document("orders/{orderId}")
@@ -361,38 +1908,33 @@ exports.onOrderStatusChange = functions.firestore
     const newStatus = newData.status;
     const orderId = context.params.orderId;
     const customerEmail = newData.customerEmail;
-    
-    let customerName = "Customer";
-    if (newData.shippingAddress && newData.shippingAddress.name) {
-       customerName = newData.shippingAddress.name;
-    }
 
     if (!customerEmail) return null;
 
-    let subject = "";
-    let htmlContent = "";
+    const templateName = ORDER_STATUS_EMAIL_TEMPLATES[newStatus];
+    if (!templateName) return null;
 
-    if (newStatus === "shipped") {
-      subject = `Your Order #${orderId} has been Shipped! 🚚`;
-      htmlContent = generateShippingEmailHtml({
-        orderId: orderId,
-        customerName: customerName,
-        items: newData.items || []
-      });
-    } else if (newStatus === "cancelled") {
-      subject = `Order #${orderId} Cancelled`;
-      htmlContent = generateCancellationEmailHtml({
-        orderId: orderId,
-        customerName: customerName
-      });
-    } else {
-      return null;
+    // Orders placed before localization have no `locale`: fall back to the profile
+    let locale = newData.locale;
+    if (!locale && newData.userId) {
+      const uDoc = await db.collection("users").doc(newData.userId).get();
+      locale = uDoc.exists ? uDoc.data().locale : null;
     }
 
+    const message = renderEmail(templateName, {
+      orderId: orderId,
+      customerName: (newData.shippingAddress && newData.shippingAddress.name) || null,
+      items: newData.items || [],
+      carrier: newData.carrier || null,
+      trackingNumber: newData.trackingNumber || null,
+      trackingUrl: newData.trackingUrl || null,
+      reason: newData.cancellationReason || null
+    }, locale);
+
     try {
       await db.collection("mail").add({
         to: customerEmail,
-        message: { subject: subject, html: htmlContent },
+        message: message,
       });
     } catch (e) { console.error(e); }
 
@@ -401,148 +1943,3278 @@ exports.onOrderStatusChange = functions.firestore
 
 
 // =================================================================================
-// HELPER FUNCTIONS (Email Templates)
-// =================================================================================
-
-function generateOrderEmailHtml(order) {
-  const logoUrl = "https://via.placeholder.com/150x50?text=WebShop"; 
-  const primaryColor = "#6200EA"; 
-  const accentColor = "#FFD740";
-
-  const itemsHtml = order.items.map(item => `
-    <tr>
-      <td style="padding: 10px; border-bottom: 1px solid #eee;">
-        <img src="${item.imageUrl || 'https://via.placeholder.com/50'}" alt="${item.productName}" width="50" height="50" style="border-radius: 8px; object-fit: cover;">
-      </td>
-      <td style="padding: 10px; border-bottom: 1px solid #eee; font-family: Arial, sans-serif;">
-        <strong style="color: #333;">${item.productName}</strong>
-      </td>
-      <td style="padding: 10px; border-bottom: 1px solid #eee; font-family: Arial, sans-serif; text-align: center;">
-        x${item.quantity}
-      </td>
-      <td style="padding: 10px; border-bottom: 1px solid #eee; font-family: Arial, sans-serif; text-align: right;">
-        €${Number(item.productPrice).toFixed(2)}
-      </td>
-    </tr>
-  `).join('');
-
-  return `
-  <!DOCTYPE html>
-  <html>
-  <body style="margin: 0; padding: 0; background-color: #f4f4f4; font-family: Arial, sans-serif;">
-    <table role="presentation" width="100%" cellspacing="0" cellpadding="0" border="0">
-      <tr>
-        <td align="center" style="padding: 20px 0;">
-          <table role="presentation" width="600" cellspacing="0" cellpadding="0" border="0" style="background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 15px rgba(0,0,0,0.1);">
-            <tr>
-              <td align="center" style="background-color: ${primaryColor}; padding: 30px;">
-                <img src="${logoUrl}" alt="Logo" width="120" style="display: block; margin-bottom: 10px;">
-                <h1 style="color: #ffffff; margin: 0; font-size: 24px;">Order Confirmed!</h1>
-                <p style="color: rgba(255,255,255,0.8); margin: 5px 0 0 0;">#${order.orderId}</p>
-              </td>
-            </tr>
-            <tr>
-              <td style="padding: 30px;">
-                <p style="color: #555;">Hi <strong>${order.customerName}</strong>, thank you for your order.</p>
-                <table width="100%" cellspacing="0" cellpadding="0" border="0" style="margin-top: 20px;">
-                  <thead>
-                    <tr>
-                      <th align="left" style="color: #999; font-size: 12px;">ITEM</th>
-                      <th align="left" style="color: #999; font-size: 12px;">NAME</th>
-                      <th align="center" style="color: #999; font-size: 12px;">QTY</th>
-                      <th align="right" style="color: #999; font-size: 12px;">PRICE</th>
-                    </tr>
-                  </thead>
-                  <tbody>${itemsHtml}</tbody>
-                </table>
-              </td>
-            </tr>
-            <tr>
-              <td style="padding: 0 30px 30px 30px;">
-                <table width="100%" cellspacing="0" cellpadding="0" border="0">
-                  <tr>
-                    <td align="right" style="padding: 5px 0; color: #666;">Subtotal:</td>
-                    <td align="right" style="padding: 5px 0; font-weight: bold; width: 100px;">€${Number(order.subtotal).toFixed(2)}</td>
-                  </tr>
-                  <tr>
-                    <td align="right" style="padding: 5px 0; color: #2ecc71;">Discount:</td>
-                    <td align="right" style="padding: 5px 0; color: #2ecc71; font-weight: bold;">-€${Number(order.discount).toFixed(2)}</td>
-                  </tr>
-                  <tr>
-                    <td colspan="2" style="border-top: 2px solid #eee; padding-top: 10px; margin-top: 10px;"></td>
-                  </tr>
-                  <tr>
-                    <td align="right" style="font-size: 18px; font-weight: bold;">Total:</td>
-                    <td align="right" style="font-size: 18px; color: ${primaryColor}; font-weight: bold;">€${Number(order.total).toFixed(2)}</td>
-                  </tr>
-                </table>
-              </td>
-            </tr>
-            <tr>
-               <td style="padding: 0 30px 30px 30px;">
-                 <div style="background-color: #fff8e1; border: 1px dashed ${accentColor}; padding: 15px; border-radius: 8px; text-align: center;">
-                   <strong style="color: #ff8f00;">🌟 You earned ${Math.floor(Number(order.subtotal))} points!</strong>
-                 </div>
-               </td>
-            </tr>
-          </table>
-          <p style="text-align: center; font-size: 12px; color: #bbb; margin-top: 20px;">© 2024 WebShop Inc.</p>
-        </td>
-      </tr>
-    </table>
-  </body>
-  </html>
-  `;
-}
-
-function generateShippingEmailHtml(order) {
-  const logoUrl = "https://via.placeholder.com/150x50?text=WebShop";
-  const primaryColor = "#00C853"; 
-
-  const itemsSummary = order.items.map(i => `<li style="margin-bottom: 5px;">${i.quantity}x <strong>${i.productName || i.name}</strong></li>`).join('');
-
-  return `
-  <!DOCTYPE html>
-  <html>
-  <body style="margin: 0; padding: 0; background-color: #f4f4f4; font-family: Arial, sans-serif;">
-    <div style="max-width: 600px; margin: 20px auto; background: white; border-radius: 8px; overflow: hidden; font-family: sans-serif;">
-        <div style="background-color: ${primaryColor}; padding: 20px; text-align: center;">
-            <img src="${logoUrl}" alt="Logo" width="120" style="display: block; margin: 0 auto 10px;">
-            <h1 style="color: white; margin:0;">Order Shipped! 🚚</h1>
-        </div>
-        <div style="padding: 20px;">
-            <p>Hi <strong>${order.customerName}</strong>,</p>
-            <p>Great news! Your order <strong>#${order.orderId}</strong> has been shipped and is on its way.</p>
-            <div style="background-color: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0;">
-                <h3 style="margin-top:0;">Items:</h3>
-                <ul style="padding-left: 20px;">${itemsSummary}</ul>
-            </div>
-            <p>Thank you for shopping with us!</p>
-        </div>
-    </div>
-  </body>
-  </html>`;
-}
-
-function generateCancellationEmailHtml(order) {
-  const logoUrl = "https://via.placeholder.com/150x50?text=WebShop";
-  const primaryColor = "#D32F2F"; 
-
-  return `
-  <!DOCTYPE html>
-  <html>
-  <body style="margin: 0; padding: 0; background-color: #f4f4f4; font-family: Arial, sans-serif;">
-    <div style="max-width: 600px; margin: 20px auto; background: white; border-radius: 8px; overflow: hidden; font-family: sans-serif;">
-        <div style="background-color: ${primaryColor}; padding: 20px; text-align: center;">
-            <img src="${logoUrl}" alt="Logo" width="120" style="display: block; margin: 0 auto 10px;">
-            <h1 style="color: white; margin:0;">Order Cancelled</h1>
-        </div>
-        <div style="padding: 20px;">
-            <p>Hi <strong>${order.customerName}</strong>,</p>
-            <p>Your order <strong>#${order.orderId}</strong> has been cancelled.</p>
-            <p>If you have already been charged, a refund will be processed shortly.</p>
-        </div>
-    </div>
-  </body>
-  </html>`;
-}
\ No newline at end of file
+// 6. MAIL DELIVERY (Background Trigger + Scheduled Retry)
+// =================================================================================
+/**
+ * Trigger: Firestore `onCreate` event for documents in `mail`.
+ * * Mechanism:
+ * Sends the message through the SMTP transport configured via environment variables and
+ * records the outcome in the `delivery` map of the document:
+ * `{ state: "pending" | "processing" | "sent" | "error" | "dead_letter", attempts, lastError, messageId, nextAttemptAt }`.
+ * Failed sends are retried by `retryMailDelivery` with exponential backoff; after
+ * `MAIL_MAX_ATTEMPTS` the message moves to the `dead_letter` state and is no longer retried.
+ * For local testing, point SMTP_HOST/SMTP_PORT at an SMTP stand-in (e.g. Mailpit on localhost:1025).
+ */
+exports.deliverMail = functions.firestore
+  .document("mail/{mailId}")
+  .onCreate(async (snap) => {
+    await processMail(snap.ref);
+    return null;
+  });
+
+/**
+ * Scheduled Function: Retries failed mail deliveries whose backoff has elapsed
+ * and picks up messages left in a stale `processing` state.
+ */
+exports.retryMailDelivery = functions.pubsub
+  .schedule("every 5 minutes")
+  .onRun(async () => {
+    const now = admin.firestore.Timestamp.now();
+    const due = await db.collection("mail")
+      .where("delivery.state", "in", ["error", "processing"])
+      .where("delivery.nextAttemptAt", "<=", now)
+      .limit(100)
+      .get();
+
+    for (const doc of due.docs) {
+      await processMail(doc.ref);
+    }
+    return null;
+  });
+
+// =================================================================================
+// 7. WISHLIST NOTIFICATIONS (Background Triggers)
+// =================================================================================
+/**
+ * Trigger: Firestore `onWrite` event for `users/{userId}/wishlist/{productId}`.
+ * * Mechanism:
+ * Stamps the price the user saw when saving the item (`priceWhenAdded`), read from the
+ * product document so the client cannot influence later price-drop alerts.
+ * Entries that already carry the stamp are left alone (this also ends the write loop).
+ */
+exports.stampWishlistPrice = functions.firestore
+  .document("users/{userId}/wishlist/{productId}")
+  .onWrite(async (change, context) => {
+    if (!change.after.exists || typeof change.after.data().priceWhenAdded === 'number') return null;
+    try {
+      const pDoc = await db.collection("products").doc(context.params.productId).get();
+      if (!pDoc.exists) return null;
+      await change.after.ref.set({
+        productId: context.params.productId,
+        priceWhenAdded: getProductPrice(pDoc.data()),
+      }, { merge: true });
+    } catch (e) {
+      console.error("[stampWishlistPrice] Error:", e);
+    }
+    return null;
+  });
+
+/**
+ * Trigger: Firestore `onUpdate` event for `products/{productId}`.
+ * * Mechanism:
+ * Detects two changes and queues a mail to every user who wishlisted the product:
+ * 1. Back in stock: stock goes from 0 to available.
+ * 2. Price drop: the new price is lower than the previous one; only users whose
+ *    `priceWhenAdded` is above the new price are notified.
+ * Users can opt out with `users/{uid}.notificationPreferences.wishlistAlerts = false`.
+ * Throttling: at most one mail per user and product per 24h (`users/{uid}/wishlistAlerts/{productId}`).
+ * Fan-out: wishlisters are paged through a collection group query, one batch per page.
+ */
+exports.notifyWishlistOnProductChange = functions
+  .runWith({ timeoutSeconds: 540 })
+  .firestore
+  .document("products/{productId}")
+  .onUpdate(async (change, context) => {
+    const before = change.before.data();
+    const after = change.after.data();
+    const productId = context.params.productId;
+
+    const backInStock = getProductStock(before) <= 0 && getProductStock(after) > 0;
+    const oldPrice = getProductPrice(before);
+    const newPrice = getProductPrice(after);
+    const priceDrop = newPrice > 0 && newPrice < oldPrice;
+
+    if (!backInStock && !priceDrop) return null;
+
+    const product = {
+      productId: productId,
+      productName: after.productName || 'Product',
+      imageUrl: after.imageUrl || null,
+      oldPrice: oldPrice,
+      newPrice: newPrice
+    };
+
+    let lastDoc = null;
+    let notified = 0;
+    do {
+      let query = db.collectionGroup("wishlist")
+        .where("productId", "==", productId)
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(WISHLIST_FANOUT_PAGE_SIZE);
+      if (lastDoc) query = query.startAfter(lastDoc);
+
+      const page = await query.get();
+      if (page.empty) break;
+      lastDoc = page.docs[page.docs.length - 1];
+
+      try {
+        notified += await notifyWishlistPage(page.docs, product, { backInStock, priceDrop });
+      } catch (e) {
+        console.error(`[notifyWishlistOnProductChange] Page failed for ${productId}:`, e);
+      }
+      if (page.size < WISHLIST_FANOUT_PAGE_SIZE) break;
+    } while (lastDoc);
+
+    console.log(`[notifyWishlistOnProductChange] ${productId}: ${notified} notification(s) queued.`);
+    return null;
+  });
+
+// =================================================================================
+// 8. REVIEW MODERATION & RATING AGGREGATION (Background Trigger + HTTPS Callable)
+// =================================================================================
+/**
+ * Trigger: Firestore `onWrite` event for `products/{productId}/reviews/{reviewId}`.
+ * * Mechanism:
+ * 1. New or edited review (rating/comment changed, or never checked): stamps the server-verified
+ *    `verifiedPurchase` flag from `orders` and runs `REVIEW_MODERATION_RULES`. Reviews that hit a
+ *    rule are set to `status: "pending"` with their `moderationReasons`, all others to `"approved"`.
+ *    The stamping write triggers this function again, which then does the aggregation.
+ * 2. Any change that affects the rating (create, delete, rating or status change) recomputes
+ *    `averageRating`, `reviewCount` and `ratingHistogram` on the product from all published reviews.
+ *    Recomputing from scratch keeps the aggregates correct for edits, deletes and retried events.
+ */
+exports.onReviewWrite = functions.firestore
+  .document("products/{productId}/reviews/{reviewId}")
+  .onWrite(async (change, context) => {
+    const productId = context.params.productId;
+    const before = change.before.exists ? change.before.data() : null;
+    const after = change.after.exists ? change.after.data() : null;
+
+    try {
+      // 1. Verify & moderate
+      if (after && needsReviewCheck(before, after)) {
+        const verifiedPurchase = await hasPurchasedProduct(after.userId, productId);
+        const reasons = moderateReview(after);
+        await change.after.ref.update({
+          verifiedPurchase: verifiedPurchase,
+          status: reasons.length > 0 ? "pending" : "approved",
+          moderationReasons: reasons,
+          moderatedBy: "system",
+          moderatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return null;
+      }
+
+      // 2. Aggregate
+      const ratingChanged = !before || !after ||
+        before.rating !== after.rating || before.status !== after.status;
+      if (!ratingChanged) return null;
+
+      const stats = await recomputeProductRating(productId);
+      console.log(`[onReviewWrite] ${productId}: ${stats.reviewCount} review(s), avg ${stats.averageRating}.`);
+    } catch (e) {
+      console.error(`[onReviewWrite] Error for product ${productId}:`, e);
+    }
+    return null;
+  });
+
+/**
+ * Callable Function: Approves or rejects a review held for moderation (Admin).
+ * * Mechanism:
+ * Sets `status` to `approved` or `rejected`. Only `approved` reviews count towards
+ * the product rating; the aggregates are refreshed by `onReviewWrite`.
+ */
+exports.moderateReview = functions.https.onCall(async (data, context) => {
+  const actor = await requireRole(context, "admin");
+
+  const { productId, reviewId, decision } = data;
+  if (!productId || typeof productId !== 'string' || !reviewId || typeof reviewId !== 'string') {
+    throw new functions.https.HttpsError("invalid-argument", "Product ID and review ID required.");
+  }
+  if (!["approve", "reject"].includes(decision)) {
+    throw new functions.https.HttpsError("invalid-argument", "Decision must be 'approve' or 'reject'.");
+  }
+
+  const reviewRef = db.collection("products").doc(productId).collection("reviews").doc(reviewId);
+  const reviewDoc = await reviewRef.get();
+  if (!reviewDoc.exists) throw new functions.https.HttpsError("not-found", "Review not found.");
+
+  const status = decision === "approve" ? "approved" : "rejected";
+  const batch = db.batch();
+  batch.update(reviewRef, {
+    status: status,
+    moderatedBy: actor.uid,
+    moderatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  writeAuditLog(batch, actor, {
+    action: "review.moderate",
+    targetType: "review",
+    targetId: `${productId}/${reviewId}`,
+    before: { status: reviewDoc.data().status || null },
+    after: { status: status },
+  });
+  await batch.commit();
+  return { success: true, status: status };
+});
+
+// =================================================================================
+// 9. ABANDONED CART REMINDERS (Scheduled)
+// =================================================================================
+/**
+ * Scheduled Function: Reminds customers of carts they left untouched.
+ * * Mechanism:
+ * 1. Pages through carts whose `lastUpdated` lies between the first reminder threshold and
+ *    `ABANDONED_CART_MAX_IDLE_HOURS` (older carts are given up on).
+ * 2. For each cart that still has items, sends the next reminder once its idle time passes the
+ *    matching entry of `ABANDONED_CART_REMINDER_HOURS`. The mail lists the items at current prices.
+ * 3. Sent reminders are recorded in `carts/{uid}.abandonedCartReminders` together with the
+ *    `lastUpdated` they belong to. Any cart change starts a new cycle; checked-out or emptied
+ *    carts (`itemCount` 0) are skipped.
+ * 4. The last reminder may include a personal, expiring promo code (`promotions/{CODE}` with `userId`).
+ * Users can opt out with `users/{uid}.notificationPreferences.cartReminders = false`.
+ */
+exports.sendAbandonedCartReminders = functions
+  .runWith({ timeoutSeconds: 540 })
+  .pubsub.schedule("every 60 minutes")
+  .onRun(async () => {
+    if (ABANDONED_CART_REMINDER_HOURS.length === 0) return null;
+
+    const now = Date.now();
+    const newest = admin.firestore.Timestamp.fromMillis(now - ABANDONED_CART_REMINDER_HOURS[0] * 3600 * 1000);
+    const oldest = admin.firestore.Timestamp.fromMillis(now - ABANDONED_CART_MAX_IDLE_HOURS * 3600 * 1000);
+
+    let lastDoc = null;
+    let sent = 0;
+    do {
+      let query = db.collection("carts")
+        .where("lastUpdated", ">=", oldest)
+        .where("lastUpdated", "<=", newest)
+        .orderBy("lastUpdated")
+        .limit(ABANDONED_CART_PAGE_SIZE);
+      if (lastDoc) query = query.startAfter(lastDoc);
+
+      const page = await query.get();
+      if (page.empty) break;
+      lastDoc = page.docs[page.docs.length - 1];
+
+      for (const cartDoc of page.docs) {
+        try {
+          if (await sendCartReminder(cartDoc, now)) sent++;
+        } catch (e) {
+          console.error(`[sendAbandonedCartReminders] Cart ${cartDoc.id} failed:`, e);
+        }
+      }
+      if (page.size < ABANDONED_CART_PAGE_SIZE) break;
+    } while (lastDoc);
+
+    console.log(`[sendAbandonedCartReminders] ${sent} reminder(s) queued.`);
+    return null;
+  });
+
+// =================================================================================
+// 10. SALES STATISTICS (Background Trigger + Scheduled + HTTPS Callable)
+// =================================================================================
+/**
+ * Trigger: Firestore `onWrite` event for orders.
+ * * Mechanism:
+ * Flags the daily aggregates an order write affects as `dirty`: the day the order was placed
+ * and, once cancelled, the day of the cancellation. `refreshSalesStats` and `getSalesReport`
+ * recompute flagged days from the orders themselves, so retried events and later changes
+ * can never count an order twice.
+ */
+exports.onOrderWriteStats = functions.firestore
+  .document("orders/{orderId}")
+  .onWrite(async (change, context) => {
+    const before = change.before.exists ? change.before.data() : null;
+    const after = change.after.exists ? change.after.data() : null;
+    if (before && after && salesSnapshot(before) === salesSnapshot(after)) return null;
+
+    const days = new Set();
+    [before, after].forEach(order => {
+      if (!order) return;
+      [order.timestamp, order.cancelledAt].map(statsDayKey).filter(Boolean).forEach(day => days.add(day));
+    });
+
+    try {
+      await Promise.all([...days].map(day => db.collection("stats").doc(`day-${day}`).set({
+        period: "day",
+        date: day,
+        dirty: true,
+        dirtyAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true })));
+    } catch (e) {
+      console.error(`[onOrderWriteStats] Order ${context.params.orderId}:`, e);
+    }
+    return null;
+  });
+
+/**
+ * Scheduled Function: Recomputes flagged daily aggregates and their months.
+ * * Mechanism:
+ * 1. Reads up to `SALES_STATS_REFRESH_BATCH` days marked `dirty` by `onOrderWriteStats`.
+ * 2. Rebuilds each day from its orders (`stats/day-YYYY-MM-DD`), then sums the days of
+ *    every touched month into `stats/month-YYYY-MM`.
+ */
+exports.refreshSalesStats = functions
+  .runWith({ timeoutSeconds: 540 })
+  .pubsub.schedule("every 30 minutes")
+  .onRun(async () => {
+    const dirty = await db.collection("stats").where("dirty", "==", true).limit(SALES_STATS_REFRESH_BATCH).get();
+    const refreshed = await refreshSalesDays(dirty.docs.map(d => d.data().date).filter(Boolean));
+    console.log(`[refreshSalesStats] ${refreshed.length} day(s) recomputed.`);
+    return null;
+  });
+
+/**
+ * Callable Function: Sales report for the admin dashboard (Admin).
+ * * Mechanism:
+ * 1. Validates the range (`from`/`to` as `YYYY-MM-DD`, inclusive, UTC days) and the
+ *    `granularity` (`day` or `month`; months cover the whole calendar months of the range).
+ * 2. Brings the range up to date: days still flagged `dirty` are recomputed first. With
+ *    `rebuild: true` every day of the range is recomputed from the orders (backfill).
+ * 3. Returns one row per period (missing periods are zero), the range totals and the units
+ *    and revenue per product and category. `format: "csv"` also returns the tables as CSV.
+ */
+exports.getSalesReport = functions
+  .runWith({ timeoutSeconds: 300 })
+  .https.onCall(async (data, context) => {
+    await requireRole(context, "admin");
+
+    const from = parseStatsDate(data.from);
+    const to = parseStatsDate(data.to);
+    if (!from || !to) throw new functions.https.HttpsError("invalid-argument", "Dates must be YYYY-MM-DD.");
+    if (from > to) throw new functions.https.HttpsError("invalid-argument", "'from' must not be after 'to'.");
+
+    const granularity = data.granularity === "month" ? "month" : "day";
+    const days = granularity === "month"
+      ? listStatsDays(`${from.slice(0, 7)}-01`, lastDayOfMonth(to.slice(0, 7)))
+      : listStatsDays(from, to);
+    const maxDays = granularity === "month" ? SALES_STATS_MAX_REPORT_MONTHS * 31 : SALES_STATS_MAX_REPORT_DAYS;
+    if (days.length > maxDays) {
+      throw new functions.https.HttpsError("invalid-argument", `Range too long (max ${maxDays} days).`);
+    }
+    if (data.rebuild === true && days.length > SALES_STATS_MAX_REPORT_DAYS) {
+      throw new functions.https.HttpsError("invalid-argument", `Rebuild is limited to ${SALES_STATS_MAX_REPORT_DAYS} days.`);
+    }
+
+    // 1. Refresh stale days
+    let stale;
+    if (data.rebuild === true) {
+      stale = days;
+    } else {
+      const dirty = await db.collection("stats").where("dirty", "==", true).get();
+      stale = dirty.docs.map(d => d.data().date).filter(day => day && day >= days[0] && day <= days[days.length - 1]);
+    }
+    await refreshSalesDays(stale);
+
+    // 2. Read the aggregates
+    const periods = granularity === "month" ? [...new Set(days.map(d => d.slice(0, 7)))] : days;
+    const docs = await db.getAll(...periods.map(p => db.collection("stats").doc(`${granularity}-${p}`)));
+
+    const totals = emptySalesStats();
+    const series = docs.map((doc, i) => {
+      const stats = doc.exists ? doc.data() : emptySalesStats();
+      mergeSalesStats(totals, stats);
+      return { period: periods[i], ...salesSummary(stats) };
+    });
+    finalizeSalesStats(totals);
+
+    const products = Object.entries(totals.products)
+      .map(([productId, p]) => ({ productId: productId, name: p.name, category: p.category, units: p.units, revenue: p.revenue }))
+      .sort((a, b) => b.revenue - a.revenue);
+    const categories = Object.entries(totals.categories)
+      .map(([category, c]) => ({ category: category, units: c.units, revenue: c.revenue }))
+      .sort((a, b) => b.revenue - a.revenue);
+
+    const report = {
+      granularity: granularity,
+      from: from,
+      to: to,
+      series: series,
+      totals: salesSummary(totals),
+      products: products,
+      categories: categories,
+    };
+
+    if (data.format === "csv") {
+      report.csv = {
+        series: toCsv(SALES_SUMMARY_FIELDS, series, "period"),
+        products: toCsv(["productId", "name", "category", "units", "revenue"], products),
+        categories: toCsv(["category", "units", "revenue"], categories),
+      };
+    }
+    return report;
+  });
+
+// =================================================================================
+// 11. PRODUCT SEARCH (Background Trigger + HTTPS Callable)
+// =================================================================================
+/**
+ * Trigger: Firestore `onWrite` event for products.
+ * * Mechanism:
+ * Keeps `productSearch/{productId}` in sync with the product: normalized words (lowercased,
+ * accent-folded) of name, category and description, their prefixes as `tokens`, and the
+ * filter fields (price, rating, availability). Deleted products are removed from the index.
+ * Writes that change none of these fields (e.g. wishlist stamps) are skipped.
+ */
+exports.indexProductSearch = functions.firestore
+  .document("products/{productId}")
+  .onWrite(async (change, context) => {
+    const ref = db.collection("productSearch").doc(context.params.productId);
+    try {
+      if (!change.after.exists) {
+        await ref.delete();
+        return null;
+      }
+      const entry = buildSearchEntry(change.after.data());
+      if (change.before.exists && JSON.stringify(buildSearchEntry(change.before.data())) === JSON.stringify(entry)) {
+        return null;
+      }
+      await ref.set({ ...entry, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    } catch (e) {
+      console.error(`[indexProductSearch] Product ${context.params.productId}:`, e);
+    }
+    return null;
+  });
+
+/**
+ * Callable Function: Rebuilds the search index for the whole catalogue (Admin).
+ * Used once to index products created before the trigger existed.
+ */
+exports.rebuildSearchIndex = functions
+  .runWith({ timeoutSeconds: 540 })
+  .https.onCall(async (data, context) => {
+    await requireRole(context, "admin");
+
+    let lastDoc = null;
+    let indexed = 0;
+    do {
+      let query = db.collection("products").orderBy(admin.firestore.FieldPath.documentId()).limit(SEARCH_REBUILD_PAGE_SIZE);
+      if (lastDoc) query = query.startAfter(lastDoc);
+
+      const page = await query.get();
+      if (page.empty) break;
+      const batch = db.batch();
+      page.docs.forEach(doc => {
+        batch.set(db.collection("productSearch").doc(doc.id), {
+          ...buildSearchEntry(doc.data()),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+      await batch.commit();
+      indexed += page.size;
+      lastDoc = page.size < SEARCH_REBUILD_PAGE_SIZE ? null : page.docs[page.docs.length - 1];
+    } while (lastDoc);
+
+    return { success: true, indexed: indexed };
+  });
+
+/**
+ * Callable Function: Searches the catalogue.
+ * * Mechanism:
+ * 1. Every query word must match a word of the product (whole word or prefix), so results
+ *    narrow while the customer types. Candidates are read with the most selective word
+ *    (`tokens` array-contains) and the category filter, at most `SEARCH_CANDIDATE_LIMIT`.
+ * 2. Price range, minimum rating and availability are applied to the candidates.
+ * 3. Ranking (`sort: "relevance"`, the default with a query): name matches outrank category
+ *    matches, which outrank description matches; whole words outrank prefixes. Ties go to the
+ *    better rated product. Other sorts: `price_asc`, `price_desc`, `rating`, `name`.
+ * 4. Returns one page of full product documents and an opaque `nextCursor` (null on the last page).
+ *    For signed-in callers the first `SEARCH_STORED_PAGES` pages of ranked IDs are stored in
+ *    `searchResults/{id}` for `SEARCH_RESULT_TTL_MINUTES`; the cursor points into them, so following
+ *    pages read that document instead of the candidates again. Anonymous cursors (and pages past
+ *    the stored ones) carry the search itself and rank it again, so anonymous calls write nothing.
+ *    Either way the filters and sort of a cursor call are those of the first call.
+ * `truncated` is true when more than `SEARCH_CANDIDATE_LIMIT` candidates matched the query, so
+ * only part of them was ranked; the client should ask for a narrower search.
+ * No authentication needed: the catalogue is public.
+ */
+exports.searchProducts = functions.https.onCall(async (data, context) => {
+  const params = parseSearchParams(data || {});
+  const cursor = params.cursor;
+  const offset = cursor ? cursor.offset : 0;
+
+  // 1.-3. Ranked IDs: from the stored results of an earlier page, or a (repeated) search
+  let results = (cursor && cursor.resultId)
+    ? await loadSearchResults(cursor.resultId)
+    : await rankSearchHits(cursor ? cursor.search : params);
+  if (results.ids.length < Math.min(results.total, offset + params.limit)) {
+    // Past the stored pages
+    results = { ...(await rankSearchHits(results.search)), id: null };
+  }
+
+  // 4. Page
+  const pageIds = results.ids.slice(offset, offset + params.limit);
+  const docs = pageIds.length > 0
+    ? await db.getAll(...pageIds.map(id => db.collection("products").doc(id)))
+    : [];
+  const products = docs.filter(d => d.exists).map(d => ({ id: d.id, ...d.data() }));
+  const nextOffset = offset + pageIds.length;
+
+  let nextCursor = null;
+  if (nextOffset < results.total) {
+    if (!results.id && !cursor && context.auth) results.id = await saveSearchResults(results, params.limit);
+    nextCursor = (results.id && nextOffset < results.ids.length)
+      ? encodeSearchCursor({ r: results.id, o: nextOffset })
+      : encodeSearchCursor({ s: results.search, o: nextOffset });
+  }
+
+  return {
+    products: products,
+    total: results.total,
+    truncated: results.truncated,
+    nextCursor: nextCursor,
+  };
+});
+
+// =================================================================================
+// 12. PRODUCT MANAGEMENT & IMPORT / EXPORT (HTTPS Callable, Admin)
+// =================================================================================
+/**
+ * Callable Function: Creates or updates a single product (Admin).
+ * * Mechanism:
+ * Validates `product` with the import rules (`PRODUCT_IMPORT_FIELDS`): without an `id` (or with
+ * an unknown one) a product is created, otherwise only the given fields change. The write and
+ * its `auditLog` entry (changed fields before/after) are committed together.
+ */
+exports.saveProduct = functions.https.onCall(async (data, context) => {
+  const actor = await requireRole(context, "admin");
+  const product = (data && typeof data.product === 'object' && data.product) || {};
+  const id = (typeof data.id === 'string' && data.id) ? data.id : null;
+  if (id && !isValidProductId(id)) throw new functions.https.HttpsError("invalid-argument", "Invalid product ID.");
+
+  const ref = id ? db.collection("products").doc(id) : db.collection("products").doc();
+  return db.runTransaction(async (t) => {
+    const pDoc = await t.get(ref);
+    const existing = new Map(pDoc.exists ? [[ref.id, pDoc.data()]] : []);
+    const result = validateImportRow({ ...product, id: ref.id }, existing);
+    if (result.errors.length > 0) {
+      throw new functions.https.HttpsError("invalid-argument", result.errors.join(" "));
+    }
+
+    if (pDoc.exists) t.update(ref, result.fields);
+    else t.set(ref, result.fields);
+    writeAuditLog(t, actor, {
+      action: pDoc.exists ? "product.update" : "product.create",
+      targetType: "product",
+      targetId: ref.id,
+      before: pDoc.exists ? pickFields(pDoc.data(), Object.keys(result.fields)) : null,
+      after: result.fields,
+    });
+    return { success: true, id: ref.id, action: result.action };
+  });
+});
+
+/**
+ * Callable Function: Deletes a product (Admin).
+ * The `auditLog` entry keeps the catalogue fields of the deleted product.
+ */
+exports.deleteProduct = functions.https.onCall(async (data, context) => {
+  const actor = await requireRole(context, "admin");
+  if (!isValidProductId(data.id)) throw new functions.https.HttpsError("invalid-argument", "Product ID required.");
+
+  const ref = db.collection("products").doc(data.id);
+  return db.runTransaction(async (t) => {
+    const pDoc = await t.get(ref);
+    if (!pDoc.exists) throw new functions.https.HttpsError("not-found", "Product not found.");
+
+    t.delete(ref);
+    writeAuditLog(t, actor, {
+      action: "product.delete",
+      targetType: "product",
+      targetId: ref.id,
+      before: pickFields(pDoc.data(), Object.keys(PRODUCT_IMPORT_FIELDS)),
+      after: null,
+    });
+    return { success: true, id: ref.id };
+  });
+});
+
+/**
+ * Callable Function: Bulk upserts products from CSV or JSON (Admin).
+ * * Mechanism:
+ * 1. Parses the payload (`format: "csv"` with a header row, or `"json"`: an array of objects)
+ *    using the columns of `PRODUCT_IMPORT_FIELDS`. `averageRating`/`reviewCount` from an export
+ *    are ignored, other unknown columns are reported in `ignoredColumns`.
+ * 2. Validates every row: rows with an `id` of an existing product are updates (only the given
+ *    cells change), all others are creates and need the required fields. Prices and stock must
+ *    be numeric, categories must be one of `PRODUCT_CATEGORIES`.
+ * 3. Writes the valid rows in batches of `PRODUCT_IMPORT_BATCH_SIZE`, each with its `auditLog`
+ *    entry (skipped with `dryRun`).
+ * 4. Returns a report with the action and errors per row.
+ */
+exports.importProducts = functions
+  .runWith({ timeoutSeconds: 300 })
+  .https.onCall(async (data, context) => {
+    const actor = await requireRole(context, "admin");
+
+    const dryRun = data.dryRun === true;
+    const { rows, columns } = parseImportPayload(data);
+    const ignoredColumns = columns.filter(c =>
+      c !== "id" && !PRODUCT_IMPORT_FIELDS[c] && !PRODUCT_EXPORT_READONLY_FIELDS.includes(c));
+
+    // 1. Look up the products the rows refer to
+    const ids = [...new Set(rows.map(r => r.values.id).filter(id => typeof id === 'string' && isValidProductId(id)))];
+    const existing = new Map();
+    for (let i = 0; i < ids.length; i += PRODUCT_IMPORT_BATCH_SIZE) {
+      const docs = await db.getAll(...ids.slice(i, i + PRODUCT_IMPORT_BATCH_SIZE).map(id => db.collection("products").doc(id)));
+      docs.forEach(doc => { if (doc.exists) existing.set(doc.id, doc.data()); });
+    }
+
+    // 2. Validate
+    const seenIds = new Set();
+    const results = rows.map(({ row, values }) => {
+      const result = validateImportRow(values, existing);
+      if (result.id && seenIds.has(result.id)) result.errors.push("Duplicate id in this import.");
+      if (result.id) seenIds.add(result.id);
+      return { row: row, ...result };
+    });
+
+    // 3. Write
+    const valid = results.filter(r => r.errors.length === 0);
+    if (!dryRun) {
+      for (let i = 0; i < valid.length; i += PRODUCT_IMPORT_BATCH_SIZE) {
+        const chunk = valid.slice(i, i + PRODUCT_IMPORT_BATCH_SIZE);
+        const batch = db.batch();
+        chunk.forEach(r => {
+          const ref = r.id ? db.collection("products").doc(r.id) : db.collection("products").doc();
+          r.id = ref.id;
+          if (r.action === "updated") batch.update(ref, r.fields);
+          else batch.set(ref, r.fields);
+          writeAuditLog(batch, actor, {
+            action: r.action === "updated" ? "product.update" : "product.create",
+            targetType: "product",
+            targetId: ref.id,
+            before: r.action === "updated" ? pickFields(existing.get(r.id), Object.keys(r.fields)) : null,
+            after: r.fields,
+            note: "import",
+          });
+        });
+        try {
+          await batch.commit();
+        } catch (e) {
+          console.error(`[importProducts] Batch starting at row ${chunk[0].row} failed:`, e);
+          chunk.forEach(r => r.errors.push(`Write failed: ${e.message}`));
+        }
+      }
+    }
+
+    // 4. Report
+    const report = results.map(r => ({
+      row: r.row,
+      id: r.id || null,
+      action: r.errors.length > 0 ? "rejected" : r.action,
+      errors: r.errors,
+    }));
+    const count = (action) => report.filter(r => r.action === action).length;
+
+    return {
+      dryRun: dryRun,
+      summary: { created: count("created"), updated: count("updated"), rejected: count("rejected") },
+      ignoredColumns: ignoredColumns,
+      rows: report,
+    };
+  });
+
+/**
+ * Callable Function: Exports the whole catalogue (Admin).
+ * * Mechanism:
+ * Returns every product with the import columns plus `averageRating` and `reviewCount`,
+ * as CSV (`format: "csv"`, default) or as a JSON array. The output can be edited and
+ * fed back into `importProducts`.
+ */
+exports.exportProducts = functions
+  .runWith({ timeoutSeconds: 300 })
+  .https.onCall(async (data, context) => {
+    await requireRole(context, "admin");
+
+    const format = (data && data.format === "json") ? "json" : "csv";
+    const columns = ["id", ...Object.keys(PRODUCT_IMPORT_FIELDS), ...PRODUCT_EXPORT_READONLY_FIELDS];
+    const products = [];
+
+    let lastDoc = null;
+    do {
+      let query = db.collection("products").orderBy(admin.firestore.FieldPath.documentId()).limit(PRODUCT_EXPORT_PAGE_SIZE);
+      if (lastDoc) query = query.startAfter(lastDoc);
+
+      const page = await query.get();
+      if (page.empty) break;
+      page.docs.forEach(doc => {
+        const pData = doc.data();
+        const row = { id: doc.id };
+        columns.slice(1).forEach(key => {
+          row[key] = (pData[key] === undefined) ? null : pData[key];
+        });
+        products.push(row);
+      });
+      lastDoc = page.size < PRODUCT_EXPORT_PAGE_SIZE ? null : page.docs[page.docs.length - 1];
+    } while (lastDoc);
+
+    return {
+      format: format,
+      count: products.length,
+      data: format === "json" ? products : toCsv(columns, products),
+    };
+  });
+
+// =================================================================================
+// 13. ROLES & AUDIT LOG (Background Trigger + HTTPS Callable)
+// =================================================================================
+/**
+ * Callable Function: Assigns a role to a user (Super Admin).
+ * * Mechanism:
+ * 1. Validates the role (`USER_ROLES`). Super admins cannot change their own role, so the
+ *    last super admin can't lock everyone out.
+ * 2. Transaction: stores `role` (and the derived `isAdmin`) on the profile and appends an
+ *    `auditLog` entry with the previous role.
+ * 3. Sets the `role` custom claim right away (`syncUserRoleClaims` does the same once the profile
+ *    changes). The user sees the new rights after the next ID token refresh; demoted users must sign in again.
+ */
+exports.setUserRole = functions.https.onCall(async (data, context) => {
+  const actor = await requireRole(context, "super_admin");
+  const { uid, role } = data;
+  if (!uid || typeof uid !== 'string') throw new functions.https.HttpsError("invalid-argument", "User ID required.");
+  if (!USER_ROLES.includes(role)) {
+    throw new functions.https.HttpsError("invalid-argument", `Role must be one of: ${USER_ROLES.join(", ")}.`);
+  }
+  if (uid === actor.uid) throw new functions.https.HttpsError("failed-precondition", "You cannot change your own role.");
+
+  const userRef = db.collection("users").doc(uid);
+  const uDoc = await userRef.get();
+  if (!uDoc.exists) throw new functions.https.HttpsError("not-found", "User not found.");
+
+  // Set the claim first, so a failed claim update never leaves a profile showing rights the user lacks
+  const previous = await claimRole(uid);
+  await applyRoleClaim(uid, role);
+
+  const batch = db.batch();
+  batch.update(userRef, {
+    role: role,
+    isAdmin: hasRole(role, "admin"),
+    roleUpdatedBy: actor.uid,
+    roleUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  writeAuditLog(batch, actor, {
+    action: "user.role",
+    targetType: "user",
+    targetId: uid,
+    before: { role: previous },
+    after: { role: role },
+  });
+  try {
+    await batch.commit();
+  } catch (e) {
+    // No audit entry, no role change
+    await applyRoleClaim(uid, previous).catch(err => console.error(`[setUserRole] Restoring the claim of ${uid} failed:`, err));
+    throw e;
+  }
+
+  return { success: true, uid: uid, role: role, previousRole: previous };
+});
+
+/**
+ * Trigger: Firestore `onWrite` event for user profiles.
+ * * Mechanism:
+ * Keeps the `role` custom claim in sync with the profile's `role`. Both `role` and `isAdmin` are
+ * server-only fields (see `firestore.rules`), so only `setUserRole`, the Admin SDK or the console
+ * change them. Profiles from before roles existed only carry `isAdmin: true` and map to `admin`
+ * (see `profileRole`); `role` and `isAdmin` are then written back consistently.
+ * Existing profiles are migrated once with `functions/scripts/migrate-role-claims.js`.
+ */
+exports.syncUserRoleClaims = functions.firestore
+  .document("users/{uid}")
+  .onWrite(async (change, context) => {
+    const uid = context.params.uid;
+    const before = change.before.exists ? change.before.data() : null;
+    const after = change.after.exists ? change.after.data() : null;
+    if (!after) return null;
+    if (before && before.role === after.role && before.isAdmin === after.isAdmin) return null;
+
+    const role = profileRole(after);
+    try {
+      if (await applyRoleClaim(uid, role)) {
+        console.log(`[syncUserRoleClaims] User ${uid}: role claim set to "${role}".`);
+      }
+      if (after.role !== role || after.isAdmin !== hasRole(role, "admin")) {
+        await change.after.ref.update({ role: role, isAdmin: hasRole(role, "admin") });
+      }
+    } catch (e) {
+      if (e.code === "auth/user-not-found") return null;
+      console.error(`[syncUserRoleClaims] User ${uid}:`, e);
+    }
+    return null;
+  });
+
+// =================================================================================
+// 14. ACCOUNT DATA: EXPORT & DELETION (HTTPS Callable)
+// =================================================================================
+/**
+ * Callable Function: Exports everything stored about the caller as one JSON archive.
+ * * Mechanism:
+ * Collects the profile (with wishlist and fidelity ledger), cart, orders, invoices, returns,
+ * reviews, gift cards, payment intents and personal promotion codes (see `collectUserData`).
+ * Timestamps become ISO strings. The export is recorded in the audit log (`user.export`).
+ */
+exports.exportMyData = functions
+  .runWith({ timeoutSeconds: 120 })
+  .https.onCall(async (data, context) => {
+    const actor = await requireRole(context, "customer");
+
+    const archive = await collectUserData(actor.uid);
+    await writeAuditLog(null, actor, {
+      action: "user.export",
+      targetType: "user",
+      targetId: actor.uid,
+      after: countExportRecords(archive),
+    });
+    return archive;
+  });
+
+/**
+ * Callable Function: Deletes the caller's account.
+ * * Mechanism:
+ * 1. Guards: customers only (staff must lose their role first), signed in within
+ *    `ACCOUNT_DELETION_MAX_AUTH_AGE_MINUTES`, and no order or return still being processed
+ *    (`details.reason`: "staff-account", "recent-login-required", "account-has-open-orders").
+ * 2. Erases the data (see `eraseUserData`): profile, cart and wishlist are deleted, orders,
+ *    returns and reviews are anonymized. Orders and invoices are kept for accounting.
+ * 3. Records the deletion in the audit log (`user.delete`) and deletes the Auth user last,
+ *    so a failed call can simply be retried.
+ */
+exports.deleteMyAccount = functions
+  .runWith({ timeoutSeconds: 300 })
+  .https.onCall(async (data, context) => {
+    const actor = await requireRole(context, "customer");
+    const uid = actor.uid;
+
+    if (hasRole(actor.role, "admin")) {
+      throw new functions.https.HttpsError("failed-precondition",
+        "Staff accounts cannot be deleted. Ask a super admin to remove your role first.", { reason: "staff-account" });
+    }
+    const authTime = Number(context.auth.token.auth_time) || 0;
+    if (Date.now() / 1000 - authTime > ACCOUNT_DELETION_MAX_AUTH_AGE_MINUTES * 60) {
+      throw new functions.https.HttpsError("failed-precondition",
+        "Please sign in again to delete your account.", { reason: "recent-login-required" });
+    }
+
+    const queries = userDataQueries(uid);
+    const [orders, returns] = await Promise.all([queries.orders.get(), queries.returns.get()]);
+    const openOrderIds = orders.docs
+      .filter(d => ACCOUNT_DELETION_BLOCKING_ORDER_STATUSES.includes(d.data().status))
+      .map(d => d.id);
+    const openReturnIds = returns.docs
+      .filter(d => ACCOUNT_DELETION_BLOCKING_RETURN_STATUSES.includes(d.data().status))
+      .map(d => d.id);
+    if (openOrderIds.length > 0 || openReturnIds.length > 0) {
+      throw new functions.https.HttpsError("failed-precondition",
+        "Your account can be deleted once your open orders and returns are completed.",
+        { reason: "account-has-open-orders", orderIds: openOrderIds, returnIds: openReturnIds });
+    }
+
+    const uDoc = await db.collection("users").doc(uid).get();
+    const email = (uDoc.exists && uDoc.data().email) || context.auth.token.email || null;
+    const erased = await eraseUserData(uid, email);
+
+    await writeAuditLog(null, actor, {
+      action: "user.delete",
+      targetType: "user",
+      targetId: uid,
+      after: erased,
+    });
+
+    try {
+      await admin.auth().deleteUser(uid);
+    } catch (e) {
+      if (e.code !== "auth/user-not-found") {
+        console.error(`[deleteMyAccount] Auth user ${uid}:`, e);
+        throw new functions.https.HttpsError("internal", "Your data was deleted, but the login could not be removed. Please try again.");
+      }
+    }
+    return { success: true, ...erased };
+  });
+
+// =================================================================================
+// HELPER FUNCTIONS (Account Data)
+// =================================================================================
+
+/** Queries for the documents linked to a user outside `users/{uid}` and `carts/{uid}`. */
+function userDataQueries(uid) {
+  return {
+    orders: db.collection("orders").where("userId", "==", uid),
+    invoices: db.collection("invoices").where("userId", "==", uid),
+    returns: db.collection("returns").where("userId", "==", uid),
+    reviews: db.collectionGroup("reviews").where("userId", "==", uid),
+    giftCards: db.collection("giftCards").where("userId", "==", uid),
+    paymentIntents: db.collection("paymentIntents").where("userId", "==", uid),
+    promotions: db.collection("promotions").where("userId", "==", uid),
+  };
+}
+
+/** Makes a Firestore value JSON-safe: timestamps become ISO strings, references their path. */
+function toExportValue(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (value instanceof admin.firestore.DocumentReference) return value.path;
+  if (Array.isArray(value)) return value.map(toExportValue);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, toExportValue(v)]));
+  }
+  return value;
+}
+
+function exportDocs(snap) {
+  return snap.docs.map(d => ({ id: d.id, ...toExportValue(d.data()) }));
+}
+
+/** Builds the `exportMyData` archive. Reviews also carry the `productId` they belong to. */
+async function collectUserData(uid) {
+  const userRef = db.collection("users").doc(uid);
+  const cartRef = db.collection("carts").doc(uid);
+  const queries = userDataQueries(uid);
+  const names = Object.keys(queries);
+
+  const [profile, wishlist, fidelityLedger, wishlistAlerts, cart, cartItems, ...results] = await Promise.all([
+    userRef.get(),
+    userRef.collection("wishlist").get(),
+    userRef.collection("fidelityLedger").get(),
+    userRef.collection("wishlistAlerts").get(),
+    cartRef.get(),
+    cartRef.collection("items").get(),
+    ...names.map(name => queries[name].get()),
+  ]);
+
+  const archive = {
+    exportVersion: ACCOUNT_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    userId: uid,
+    profile: profile.exists ? toExportValue(profile.data()) : null,
+    wishlist: exportDocs(wishlist),
+    fidelityLedger: exportDocs(fidelityLedger),
+    wishlistAlerts: exportDocs(wishlistAlerts),
+    cart: (cart.exists || !cartItems.empty)
+      ? { ...toExportValue(cart.data() || {}), items: exportDocs(cartItems) }
+      : null,
+  };
+  names.forEach((name, i) => { archive[name] = exportDocs(results[i]); });
+  archive.reviews = results[names.indexOf("reviews")].docs
+    .map(d => ({ id: d.id, productId: d.ref.parent.parent.id, ...toExportValue(d.data()) }));
+  return archive;
+}
+
+/** Number of records per list in an export archive (for the audit log). */
+function countExportRecords(archive) {
+  return Object.fromEntries(Object.entries(archive)
+    .filter(([, value]) => Array.isArray(value))
+    .map(([key, value]) => [key, value.length]));
+}
+
+/** Credits a gift card amount still held for the cart (`giftCardHolds/{uid}`) back to the card. */
+function releaseCartGiftCard(cartRef, uid) {
+  const holdRef = db.collection("giftCardHolds").doc(uid);
+  return db.runTransaction(async (t) => {
+    const cDoc = await t.get(cartRef);
+    const hDoc = await t.get(holdRef);
+    if (!hDoc.exists) return false;
+
+    const { code, amount } = hDoc.data();
+    const gDoc = await t.get(db.collection("giftCards").doc(code));
+    if (gDoc.exists && amount > 0) changeGiftCardBalance(t, gDoc, amount, { type: "remove", userId: uid, note: "Account deleted" });
+    t.delete(holdRef);
+    if (cDoc.exists) {
+      t.update(cartRef, {
+        appliedGiftCardCode: admin.firestore.FieldValue.delete(),
+        giftCardAppliedAmount: admin.firestore.FieldValue.delete(),
+      });
+    }
+    return true;
+  });
+}
+
+/**
+ * Order fields that identify the customer, blanked on account deletion. The address keeps its
+ * shape (see `completeOrder`) and its postcode, which only locates the shipping zone.
+ */
+function anonymizedOrderFields(order) {
+  return {
+    customerEmail: null,
+    shippingAddress: {
+      name: "",
+      surname: "",
+      address: "",
+      city: "",
+      postcode: (order.shippingAddress && order.shippingAddress.postcode) || "",
+    },
+    anonymizedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+/**
+ * Erases a user's data for `deleteMyAccount`. Safe to run again after a partial failure.
+ * 1. A gift card amount applied to the cart goes back to the card; reserved stock is released.
+ * 2. Deleted: profile (with wishlist, fidelity ledger and alert throttles), cart, reservation,
+ *    gift card attempts, personal promotion codes and emails queued to the user's address.
+ * 3. Kept but anonymized: orders and returns lose contact and address data, reviews show
+ *    `ACCOUNT_ANONYMOUS_NAME`, gift cards are unlinked (their codes stay valid).
+ *    Invoices and credit notes are not changed (retention for accounting).
+ * Returns the number of documents per kind.
+ */
+async function eraseUserData(uid, email) {
+  const userRef = db.collection("users").doc(uid);
+  const cartRef = db.collection("carts").doc(uid);
+  const reservationRef = db.collection("reservations").doc(uid);
+
+  // 1. Give back what the cart holds
+  await releaseCartGiftCard(cartRef, uid);
+  await releaseReservation(reservationRef, "released");
+
+  // 2. Linked documents
+  const queries = userDataQueries(uid);
+  const [orders, returns, reviews, giftCards, promotions, mails] = await Promise.all([
+    queries.orders.get(),
+    queries.returns.get(),
+    queries.reviews.get(),
+    queries.giftCards.get(),
+    queries.promotions.get(),
+    email ? db.collection("mail").where("to", "==", email).get() : Promise.resolve({ docs: [] }),
+  ]);
+
+  const anonymizedAt = admin.firestore.FieldValue.serverTimestamp();
+  const writes = [
+    ...orders.docs.map(d => b => b.update(d.ref, anonymizedOrderFields(d.data()))),
+    ...returns.docs.map(d => b => b.update(d.ref, { customerEmail: null, customerName: null, reason: null, anonymizedAt: anonymizedAt })),
+    ...reviews.docs.map(d => b => b.update(d.ref, { userId: null, userName: ACCOUNT_ANONYMOUS_NAME, anonymizedAt: anonymizedAt })),
+    ...giftCards.docs.map(d => b => b.update(d.ref, { userId: null })),
+    ...promotions.docs.map(d => b => b.delete(d.ref)),
+    ...mails.docs.map(d => b => b.delete(d.ref)),
+    b => b.delete(reservationRef),
+    b => b.delete(db.collection("giftCardHolds").doc(uid)),
+    b => b.delete(db.collection("giftCardAttempts").doc(uid)),
+  ];
+  for (let i = 0; i < writes.length; i += ACCOUNT_DELETION_BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(i, i + ACCOUNT_DELETION_BATCH_SIZE).forEach(write => write(batch));
+    await batch.commit();
+  }
+
+  // 3. Profile and cart with all their subcollections. The cart document goes first, so
+  // `calculateCartTotal` (triggered by the item deletes) does not recreate it.
+  await cartRef.delete();
+  await db.recursiveDelete(cartRef);
+  await db.recursiveDelete(userRef);
+
+  return {
+    orders: orders.size,
+    returns: returns.size,
+    reviews: reviews.size,
+    giftCards: giftCards.size,
+    promotions: promotions.size,
+    mails: mails.docs.length,
+  };
+}
+
+// =================================================================================
+// HELPER FUNCTIONS (Gift Cards)
+// =================================================================================
+
+/**
+ * New random code, e.g. "7K2M-Q9XD-4TNB-H3RA". The alphabet has 32 characters, so every
+ * random byte maps to one character without bias (5 bits each, 80 bits in total).
+ */
+function generateGiftCardCode() {
+  const chars = Array.from(crypto.randomBytes(GIFT_CARD_CODE_LENGTH),
+    b => GIFT_CARD_CODE_ALPHABET[b % GIFT_CARD_CODE_ALPHABET.length]);
+  return chars.join("").match(/.{4}/g).join("-");
+}
+
+/**
+ * The `giftCards` document IDs to look up for a code as typed by the customer: upper-cased first
+ * (every issued code is), then the trimmed input for older hand-made codes. Empty if it cannot be an ID.
+ */
+function giftCardCodeCandidates(value) {
+  const code = String(value || "").trim();
+  if (!/^[A-Za-z0-9_-]{1,64}$/.test(code)) return [];
+  const upper = code.toUpperCase();
+  return upper === code ? [code] : [upper, code];
+}
+
+/** Whether a card can be redeemed: active, with a balance left and not past `expiresAt`. */
+function isGiftCardRedeemable(card, now = Date.now()) {
+  if (card.isActive === false || !(card.balance > 0)) return false;
+  const expiresAt = toMillis(card.expiresAt);
+  return expiresAt === null || expiresAt > now;
+}
+
+/**
+ * Appends an entry to `giftCards/{code}/ledger`. `amount` is signed (debits are negative).
+ * `type`: "issue", "apply", "remove", "refund" or "expiry".
+ */
+function writeGiftCardLedger(t, giftRef, { type, amount, balanceBefore, balanceAfter, userId = null, orderId = null, actorId = null, note = null }) {
+  t.set(giftRef.collection("ledger").doc(), {
+    type: type,
+    amount: amount,
+    balanceBefore: balanceBefore,
+    balanceAfter: balanceAfter,
+    userId: userId,
+    orderId: orderId,
+    actorId: actorId,
+    note: note,
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+/**
+ * Debits (negative `amount`) or credits a card read in the same transaction and records the
+ * change in its ledger. `extraUpdate` is merged into the card update. Returns the new balance.
+ */
+function changeGiftCardBalance(t, giftDoc, amount, entry, extraUpdate = {}) {
+  const balanceBefore = giftDoc.data().balance || 0;
+  const balanceAfter = roundCurrency(balanceBefore + amount);
+  t.update(giftDoc.ref, { balance: balanceAfter, ...extraUpdate });
+  writeGiftCardLedger(t, giftDoc.ref, {
+    ...entry,
+    amount: roundCurrency(amount),
+    balanceBefore: balanceBefore,
+    balanceAfter: balanceAfter,
+  });
+  return balanceAfter;
+}
+
+/**
+ * Creates a card with a generated code and its "issue" ledger entry. Returns the code.
+ * `t.create` aborts the transaction instead of overwriting should the code already exist.
+ */
+function createGiftCard(t, { amount, source, userId = null, expiresAt = null, recipientEmail = null, issuedBy = null, orderId = null, returnId = null }) {
+  const code = generateGiftCardCode();
+  const ref = db.collection("giftCards").doc(code);
+  t.create(ref, {
+    balance: amount,
+    initialBalance: amount,
+    isActive: true,
+    source: source,
+    userId: userId,
+    expiresAt: expiresAt,
+    recipientEmail: recipientEmail,
+    issuedBy: issuedBy,
+    orderId: orderId,
+    returnId: returnId,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  writeGiftCardLedger(t, ref, {
+    type: "issue",
+    amount: amount,
+    balanceBefore: 0,
+    balanceAfter: amount,
+    userId: userId,
+    orderId: orderId,
+    actorId: issuedBy,
+  });
+  return code;
+}
+
+/** Parses the optional `expiresAt` of `issueGiftCard`. A plain date ("YYYY-MM-DD") lasts until the end of that UTC day. */
+function parseGiftCardExpiry(value, now = Date.now()) {
+  if (value === undefined || value === null || value === "") return null;
+  const text = String(value);
+  const ms = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T23:59:59.999Z` : text).getTime();
+  if (!Number.isFinite(ms) || ms <= now) {
+    throw new functions.https.HttpsError("invalid-argument", "expiresAt must be a future date.");
+  }
+  return admin.firestore.Timestamp.fromMillis(ms);
+}
+
+/** The lockout error while `giftCardAttempts/{uid}` locks the user out, otherwise null. */
+function giftCardLockoutError(attempts, now = Date.now()) {
+  const lockedUntil = attempts ? toMillis(attempts.lockedUntil) : null;
+  if (!lockedUntil || lockedUntil <= now) return null;
+  const retryAfterSeconds = Math.ceil((lockedUntil - now) / 1000);
+  return new functions.https.HttpsError("resource-exhausted",
+    `Too many invalid gift card codes. Try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s).`,
+    { reason: "gift-card-locked", retryAfterSeconds: retryAfterSeconds });
+}
+
+/**
+ * Next state of `giftCardAttempts/{uid}` after an invalid code. Failures are counted per window;
+ * reaching the limit sets `lockedUntil` and starts over. Successful redemptions do not reset
+ * the count, so guesses cannot be interleaved with a known valid card.
+ */
+function nextGiftCardAttempts(attempts, now = Date.now()) {
+  const windowStart = attempts ? toMillis(attempts.windowStart) : null;
+  const inWindow = windowStart !== null && now - windowStart < GIFT_CARD_ATTEMPT_WINDOW_MINUTES * 60 * 1000;
+  const failures = (inWindow ? (attempts.failures || 0) : 0) + 1;
+
+  if (failures >= GIFT_CARD_MAX_FAILED_ATTEMPTS) {
+    return {
+      failures: 0,
+      windowStart: null,
+      lockedUntil: admin.firestore.Timestamp.fromMillis(now + GIFT_CARD_LOCKOUT_MINUTES * 60 * 1000),
+    };
+  }
+  return {
+    failures: failures,
+    windowStart: inWindow ? attempts.windowStart : admin.firestore.Timestamp.fromMillis(now),
+    lockedUntil: null,
+  };
+}
+
+/** Expires a card past its `expiresAt`; the remaining balance is written off in the ledger. */
+async function expireGiftCard(giftRef) {
+  return db.runTransaction(async (t) => {
+    const doc = await t.get(giftRef);
+    if (!doc.exists) return false;
+    const card = doc.data();
+    const expiresAt = toMillis(card.expiresAt);
+    if (card.isActive === false || expiresAt === null || expiresAt > Date.now()) return false;
+
+    const update = { isActive: false, expiredAt: admin.firestore.FieldValue.serverTimestamp() };
+    if ((card.balance || 0) > 0) {
+      changeGiftCardBalance(t, doc, -card.balance, { type: "expiry", userId: card.userId || null }, update);
+    } else {
+      t.update(giftRef, update);
+    }
+    return true;
+  });
+}
+
+// =================================================================================
+// HELPER FUNCTIONS (Returns)
+// =================================================================================
+
+/** Whether the order was (partly) paid through the payment provider. Older orders count as paid. */
+function orderPaidByPayment(order) {
+  const status = order.paymentStatus || "paid";
+  return (order.finalAmountPaid || 0) > 0 && ["paid", "refund_pending"].includes(status);
+}
+
+/**
+ * Validates requested return lines against the order.
+ * Returns `{ lines: [{ productId, productName, imageUrl, quantity, unitRefund, refundAmount }], errors }`.
+ * The unit refund is the line amount after discounts divided by the quantity bought.
+ */
+function buildReturnLines(order, requested) {
+  const errors = [];
+  const wanted = {};
+  requested.forEach((entry, i) => {
+    const quantity = entry && entry.quantity;
+    if (!entry || typeof entry.productId !== 'string' || !Number.isInteger(quantity) || quantity < 1) {
+      errors.push(`Item ${i + 1}: productId and a positive quantity are required.`);
+      return;
+    }
+    wanted[entry.productId] = (wanted[entry.productId] || 0) + quantity;
+  });
+
+  const lines = [];
+  Object.entries(wanted).forEach(([productId, quantity]) => {
+    const item = (order.items || []).find(i => i.productId === productId);
+    if (!item) {
+      errors.push(`${productId} is not part of this order.`);
+      return;
+    }
+    const returnable = (item.quantity || 0) - ((order.returnedQuantities || {})[productId] || 0);
+    if (quantity > returnable) {
+      errors.push(`Only ${Math.max(0, returnable)} of ${item.productName || productId} can be returned.`);
+      return;
+    }
+    const lineAmount = (typeof item.grossAmount === 'number') ? item.grossAmount : (item.productPrice || 0) * item.quantity;
+    const unitRefund = roundCurrency(lineAmount / item.quantity);
+    lines.push({
+      productId: productId,
+      productName: item.productName || null,
+      imageUrl: item.imageUrl || null,
+      quantity: quantity,
+      unitRefund: unitRefund,
+      // Returning the rest of a line refunds exactly what is left of it (no rounding drift)
+      refundAmount: (quantity === returnable)
+        ? roundCurrency(lineAmount - unitRefund * (item.quantity - returnable))
+        : roundCurrency(unitRefund * quantity),
+    });
+  });
+  return { lines: lines, errors: errors };
+}
+
+/** Queues the customer email for a return status (see `RETURN_EMAIL_TEMPLATES`) inside a transaction. */
+function queueReturnEmail(t, returnDoc, status, extra = {}) {
+  if (!returnDoc.customerEmail) return;
+  const message = renderEmail(RETURN_EMAIL_TEMPLATES[status], {
+    orderId: returnDoc.orderId,
+    customerName: returnDoc.customerName,
+    items: returnDoc.items,
+    refundAmount: returnDoc.refundAmount,
+    ...extra,
+  }, returnDoc.locale);
+  t.set(db.collection("mail").doc(), { to: returnDoc.customerEmail, message: message });
+}
+
+/**
+ * Moves a return to `to` (approved, rejected or received) in one transaction:
+ * status, order bookkeeping, stock, refund, credit note, email and audit log.
+ */
+function transitionReturn(returnId, actor, to, note) {
+  if (!returnId || typeof returnId !== 'string') throw new functions.https.HttpsError("invalid-argument", "Return ID required.");
+  const text = (typeof note === 'string') ? note.trim().slice(0, RETURN_REASON_MAX_LENGTH) : '';
+  const returnRef = db.collection("returns").doc(returnId);
+
+  return db.runTransaction(async (t) => {
+    // ---------------------------------------------------------
+    // PHASE 1: READ
+    // ---------------------------------------------------------
+    const rDoc = await t.get(returnRef);
+    if (!rDoc.exists) throw new functions.https.HttpsError("not-found", "Return not found.");
+    const ret = rDoc.data();
+    if (!(RETURN_STATUS_TRANSITIONS[ret.status] || []).includes(to)) {
+      throw new functions.https.HttpsError("failed-precondition", `Illegal return status change: ${ret.status} → ${to}.`);
+    }
+
+    const orderRef = db.collection("orders").doc(ret.orderId);
+    const oDoc = await t.get(orderRef);
+    if (!oDoc.exists) throw new functions.https.HttpsError("not-found", "Order not found.");
+    const order = oDoc.data();
+
+    // Receiving needs the products (restock) and the invoice (credit note)
+    const productSnaps = {};
+    let invoiceDoc = null;
+    let creditCounterDoc = null;
+    if (to === "received") {
+      for (const item of ret.items) {
+        productSnaps[item.productId] = await t.get(db.collection("products").doc(item.productId));
+      }
+      if (order.invoiceNumber) {
+        invoiceDoc = await t.get(db.collection("invoices").doc(order.invoiceNumber));
+        if (invoiceDoc.exists) creditCounterDoc = await t.get(documentCounterRef("credit_note"));
+      }
+    }
+
+    // ---------------------------------------------------------
+    // PHASE 2: WRITE
+    // ---------------------------------------------------------
+    const update = {
+      status: to,
+      [`${to}At`]: admin.firestore.FieldValue.serverTimestamp(),
+      [`${to}By`]: actor.uid,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    if (to === "rejected") update.rejectionReason = text;
+    else if (text) update.adminNote = text;
+
+    const emailData = { note: text || null };
+    const auditAfter = { status: to };
+
+    if (to === "rejected") {
+      // The quantities can be requested again
+      const returnedQuantities = { ...(order.returnedQuantities || {}) };
+      ret.items.forEach(l => { returnedQuantities[l.productId] = Math.max(0, (returnedQuantities[l.productId] || 0) - l.quantity); });
+      t.update(orderRef, { returnedQuantities: returnedQuantities });
+    }
+
+    if (to === "received") {
+      // 1. Restock (products deleted in the meantime are skipped)
+      ret.items.forEach(l => {
+        const pSnap = productSnaps[l.productId];
+        if (pSnap.exists) t.update(pSnap.ref, { stock: getProductStock(pSnap.data()) + l.quantity });
+      });
+
+      // 2. Refund: back to the payment as far as it was paid by card, the rest as a gift card
+      const paymentRefundable = orderPaidByPayment(order)
+        ? Math.max(0, roundCurrency((order.finalAmountPaid || 0) - (order.paymentRefundAmount || 0)))
+        : 0;
+      const paymentAmount = (ret.refundMethod === "payment") ? roundCurrency(Math.min(ret.refundAmount, paymentRefundable)) : 0;
+      const giftCardAmount = roundCurrency(ret.refundAmount - paymentAmount);
+      let giftCardCode = null;
+      if (giftCardAmount > 0) {
+        giftCardCode = createGiftCard(t, {
+          amount: giftCardAmount,
+          source: "return",
+          userId: ret.userId,
+          issuedBy: actor.uid,
+          orderId: ret.orderId,
+          returnId: returnId,
+        });
+      }
+      update.refund = {
+        giftCardAmount: giftCardAmount,
+        giftCardCode: giftCardCode,
+        paymentAmount: paymentAmount,
+        paymentRefundStatus: paymentAmount > 0 ? "pending" : null,
+      };
+
+      // 3. Credit note for the returned lines
+      let creditNoteNumber = null;
+      if (creditCounterDoc) {
+        creditNoteNumber = takeDocumentNumber(t, creditCounterDoc, "credit_note");
+        t.set(db.collection("invoices").doc(creditNoteNumber),
+          buildReturnCreditNote(invoiceDoc.data(), creditNoteNumber, ret.items, `Return ${returnId}`));
+        update.creditNoteNumber = creditNoteNumber;
+      }
+
+      // 4. Order bookkeeping
+      t.update(orderRef, {
+        refundedAmount: roundCurrency((order.refundedAmount || 0) + ret.refundAmount),
+        paymentRefundAmount: roundCurrency((order.paymentRefundAmount || 0) + paymentAmount),
+        ...(creditNoteNumber ? { creditNoteNumbers: admin.firestore.FieldValue.arrayUnion(creditNoteNumber) } : {}),
+      });
+
+      emailData.refund = update.refund;
+      Object.assign(auditAfter, update.refund, { creditNoteNumber: creditNoteNumber });
+    }
+
+    t.update(returnRef, update);
+    queueReturnEmail(t, ret, to, emailData);
+    writeAuditLog(t, actor, {
+      action: { approved: "return.approve", rejected: "return.reject", received: "return.receive" }[to],
+      targetType: "return",
+      targetId: returnId,
+      before: { status: ret.status },
+      after: auditAfter,
+      note: text || null,
+    });
+
+    return { success: true, returnId: returnId, status: to, refund: update.refund || null, creditNoteNumber: update.creditNoteNumber || null };
+  });
+}
+
+/**
+ * Builds a credit note for returned lines of an invoice (amounts negated).
+ * The gross amount of each line is the refund; net and VAT are split at the line's rate.
+ */
+function buildReturnCreditNote(invoice, number, items, reason) {
+  const lines = [];
+  items.forEach(item => {
+    const line = (invoice.lines || []).find(l => l.kind === "product" && l.productId === item.productId);
+    const rate = line ? line.vatRate : 0;
+    const gross = roundCurrency(item.refundAmount);
+    const net = roundCurrency(gross / (1 + rate));
+    lines.push({
+      kind: "product",
+      productId: item.productId,
+      description: line ? line.description : item.productName,
+      quantity: item.quantity,
+      unitPrice: roundCurrency(-(line ? line.unitPrice : item.unitRefund)),
+      vatRate: rate,
+      discountAmount: line && line.quantity ? roundCurrency(-(line.discountAmount || 0) * item.quantity / line.quantity) : 0,
+      grossAmount: -gross,
+      netAmount: -net,
+      taxAmount: roundCurrency(net - gross),
+    });
+  });
+  const { vatBreakdown, totals } = summarizeVat(lines);
+
+  return {
+    type: "credit_note",
+    number: number,
+    referencesInvoice: invoice.number,
+    orderId: invoice.orderId,
+    userId: invoice.userId,
+    customer: invoice.customer,
+    reason: reason || null,
+    lines: lines,
+    vatBreakdown: vatBreakdown,
+    totals: totals,
+    giftCardAmount: 0,
+    amountPaid: totals.gross,
+    currency: invoice.currency || "EUR",
+    locale: invoice.locale || null,
+    issuedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+// =================================================================================
+// HELPER FUNCTIONS (Payments)
+// =================================================================================
+
+/** Converts a Euro amount to cents. */
+function toMinorUnits(amount) {
+  return Math.round(roundCurrency(amount || 0) * 100);
+}
+
+/** Document ID of an intent in `paymentIntents` (provider IDs are only unique per provider). */
+function paymentIntentDocId(providerName, providerIntentId) {
+  return `${providerName}_${providerIntentId}`;
+}
+
+/**
+ * Whether an order's payment is settled (`paid` or `not_required`). Orders from before payments
+ * existed carry no `paymentStatus` and count as paid.
+ */
+function isOrderPaid(order) {
+  return !order.paymentStatus || ["paid", "not_required"].includes(order.paymentStatus);
+}
+
+/** Credits the points an order earned once its payment arrived, with their own ledger entry. */
+function creditOrderFidelityPoints(t, ownerDoc, orderId, points) {
+  const balanceBefore = ownerDoc.data().fidelityPoints || 0;
+  const balanceAfter = balanceBefore + points;
+  t.update(ownerDoc.ref, { fidelityPoints: balanceAfter });
+  t.set(ownerDoc.ref.collection("fidelityLedger").doc(`${orderId}_paid`), {
+    orderId: orderId,
+    pointsEarned: points,
+    pointsRedeemed: 0,
+    discountAmount: 0,
+    balanceBefore: balanceBefore,
+    balanceAfter: balanceAfter,
+    reason: "order_paid",
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+/** Throws unless the order is still pending and unpaid (new intents may only be created then). */
+function assertOrderAwaitsPayment(order) {
+  if (!order || order.status !== "pending" || !UNPAID_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    throw new functions.https.HttpsError("failed-precondition", "This order does not need a payment.", { reason: "payment-not-required" });
+  }
+}
+
+/**
+ * Checks the payment intent passed to `completeOrder` against the order total.
+ * Returns `{ status, intent }`: "not_required" when nothing is left to pay, otherwise
+ * "awaiting_payment" (or "paid" if the webhook already arrived).
+ */
+function checkOrderPayment(intentDoc, userId, finalAmount) {
+  const amountMinor = toMinorUnits(finalAmount);
+  if (amountMinor <= 0) return { status: "not_required", intent: null };
+
+  const intent = (intentDoc && intentDoc.exists) ? intentDoc.data() : null;
+  if (!intent || intent.userId !== userId) {
+    throw new functions.https.HttpsError("failed-precondition", "Payment required.", { reason: "payment-required" });
+  }
+  if (intent.orderId) {
+    throw new functions.https.HttpsError("failed-precondition", "This payment belongs to another order.", { reason: "payment-required" });
+  }
+  if (intent.status === "failed") {
+    throw new functions.https.HttpsError("failed-precondition", "The payment failed.", { reason: "payment-failed" });
+  }
+  if (intent.amountMinor !== amountMinor || intent.currency !== PAYMENT_CURRENCY) {
+    // The cart changed after the intent was created: the client creates a new one
+    throw new functions.https.HttpsError("failed-precondition", "The amount to pay has changed.", {
+      reason: "payment-amount-mismatch",
+      amount: roundCurrency(finalAmount),
+    });
+  }
+  return { status: intent.status === "succeeded" ? "paid" : "awaiting_payment", intent: intent };
+}
+
+/**
+ * Decides what a verified provider event does to its intent:
+ * "succeeded"/"failed" are applied, anything else is only recorded.
+ * A succeeded intent is final, so late or out-of-order failures cannot undo a payment.
+ */
+function resolvePaymentEvent(event, intent) {
+  if (!event.type) return "ignored";
+  if (!intent) return "unknown_intent";
+  if (event.amount !== intent.amountMinor || event.currency !== intent.currency) return "amount_mismatch";
+  if (intent.status === "succeeded") return "already_succeeded";
+  return event.type;
+}
+
+/**
+ * Applies a verified provider event exactly once (see `paymentWebhook`).
+ * Resolves with `{ duplicate, outcome }`.
+ */
+async function processPaymentEvent(providerName, event) {
+  if (!event.id) return { duplicate: false, outcome: "ignored" };
+
+  const eventRef = db.collection("paymentEvents").doc(`${providerName}_${event.id}`);
+  const intentRef = db.collection("paymentIntents").doc(paymentIntentDocId(providerName, event.providerIntentId));
+
+  const result = await db.runTransaction(async (t) => {
+    // ---------------------------------------------------------
+    // PHASE 1: READ
+    // ---------------------------------------------------------
+    const eventDoc = await t.get(eventRef);
+    if (eventDoc.exists) return { duplicate: true, outcome: eventDoc.data().outcome };
+
+    const intentDoc = await t.get(intentRef);
+    const intent = intentDoc.exists ? intentDoc.data() : null;
+    const orderRef = (intent && intent.orderId) ? db.collection("orders").doc(intent.orderId) : null;
+    const orderDoc = orderRef ? await t.get(orderRef) : null;
+    const order = (orderDoc && orderDoc.exists) ? orderDoc.data() : null;
+    // Earned points that wait for this payment (see `completeOrder`)
+    const ownerRef = (order && order.fidelityPointsCredited === false && order.fidelityPointsEarned > 0)
+      ? db.collection("users").doc(order.userId) : null;
+    const ownerDoc = ownerRef ? await t.get(ownerRef) : null;
+
+    // ---------------------------------------------------------
+    // PHASE 2: WRITE
+    // ---------------------------------------------------------
+    const outcome = resolvePaymentEvent(event, intent);
+
+    t.set(eventRef, {
+      eventId: event.id,
+      provider: providerName,
+      type: event.type,
+      providerIntentId: event.providerIntentId || null,
+      intentId: intent ? intentRef.id : null,
+      orderId: order ? intent.orderId : null,
+      outcome: outcome,
+      receivedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    if (outcome === "succeeded" || outcome === "failed") {
+      t.update(intentRef, {
+        status: outcome,
+        failureReason: outcome === "failed" ? (event.failureReason || "unknown") : null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    // Money captured for a cancelled or already paid order has to go back
+    let refundRequired = false;
+    if (order && outcome === "succeeded" && order.paymentStatus !== "paid") {
+      refundRequired = order.status === "cancelled";
+      t.update(orderRef, {
+        paymentStatus: refundRequired ? "refund_pending" : "paid",
+        paymentIntentId: intentRef.id,
+        paidAt: admin.firestore.FieldValue.serverTimestamp(),
+        paymentFailureReason: null,
+        ...(ownerDoc && !refundRequired ? { fidelityPointsCredited: true } : {}),
+      });
+      if (ownerDoc && ownerDoc.exists && !refundRequired) {
+        creditOrderFidelityPoints(t, ownerDoc, intent.orderId, order.fidelityPointsEarned);
+      }
+    } else if (order && outcome === "failed" && order.paymentIntentId === intentRef.id && UNPAID_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+      // Only the order's current intent counts; a retry may already be under way
+      t.update(orderRef, {
+        paymentStatus: "payment_failed",
+        paymentFailureReason: event.failureReason || "unknown",
+      });
+    } else if (order && outcome === "succeeded") {
+      refundRequired = true;
+    }
+
+    return { duplicate: false, outcome: outcome, refundRequired: refundRequired, orderId: order ? intent.orderId : null };
+  });
+
+  if (result.refundRequired) {
+    console.warn(`[processPaymentEvent] Payment ${intentRef.id} for order ${result.orderId} needs a refund.`);
+  } else if (!result.duplicate && !["succeeded", "failed"].includes(result.outcome)) {
+    console.warn(`[processPaymentEvent] Event ${event.id} (${event.type}) for ${event.providerIntentId}: ${result.outcome}.`);
+  }
+  return { duplicate: result.duplicate, outcome: result.outcome };
+}
+
+// =================================================================================
+// HELPER FUNCTIONS (Roles & Audit Log)
+// =================================================================================
+
+/** Whether `role` is at least `minRole` in `USER_ROLES`. */
+function hasRole(role, minRole) {
+  return USER_ROLES.indexOf(role) >= USER_ROLES.indexOf(minRole);
+}
+
+/** The role stored on a profile. Profiles from before roles existed only carry `isAdmin`. */
+function profileRole(profile) {
+  if (USER_ROLES.includes(profile.role)) return profile.role;
+  return profile.isAdmin === true ? "admin" : "customer";
+}
+
+/** The role in a user's `role` custom claim (customers carry none). */
+async function claimRole(uid) {
+  const user = await admin.auth().getUser(uid);
+  const claim = user.customClaims ? user.customClaims.role : null;
+  return USER_ROLES.includes(claim) ? claim : "customer";
+}
+
+/**
+ * Identifies the caller of a callable as `{ uid, role }`. The role comes from the `role` custom
+ * claim of the ID token only (kept in sync with the profile by `syncUserRoleClaims`).
+ */
+async function resolveActor(context) {
+  const claim = context.auth.token ? context.auth.token.role : null;
+  return { uid: context.auth.uid, role: USER_ROLES.includes(claim) ? claim : "customer" };
+}
+
+/**
+ * Shared guard for privileged callables: throws `unauthenticated` / `permission-denied` unless
+ * the caller has at least `minRole`. Returns the caller (`{ uid, role }`) for audit entries.
+ */
+async function requireRole(context, minRole) {
+  if (!context.auth) throw new functions.https.HttpsError("unauthenticated", "Auth required.");
+  const actor = await resolveActor(context);
+  if (!hasRole(actor.role, minRole)) {
+    throw new functions.https.HttpsError("permission-denied", `Role '${minRole}' required.`);
+  }
+  return actor;
+}
+
+/**
+ * Sets the `role` custom claim (customers carry none). Other claims are kept.
+ * Losing admin rights revokes the refresh tokens, so the old claim can't be renewed.
+ */
+async function applyRoleClaim(uid, role) {
+  const user = await admin.auth().getUser(uid);
+  const claims = { ...(user.customClaims || {}) };
+  const current = USER_ROLES.includes(claims.role) ? claims.role : "customer";
+  if (current === role) return false;
+
+  if (role === "customer") delete claims.role;
+  else claims.role = role;
+  await admin.auth().setCustomUserClaims(uid, claims);
+  if (hasRole(current, "admin") && !hasRole(role, "admin")) await admin.auth().revokeRefreshTokens(uid);
+  return true;
+}
+
+/**
+ * Appends an entry to `auditLog` (never updated or deleted). `writer` is the transaction or
+ * batch of the audited change, so both commit together, or null to write on its own.
+ */
+function writeAuditLog(writer, actor, { action, targetType, targetId, before = null, after = null, note = null }) {
+  const ref = db.collection("auditLog").doc();
+  const entry = {
+    action: action,
+    targetType: targetType,
+    targetId: targetId,
+    actorId: actor.uid,
+    actorRole: actor.role,
+    before: before,
+    after: after,
+    note: note,
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  return writer ? writer.set(ref, entry) : ref.set(entry);
+}
+
+/** Copies the given keys of a document (missing ones as null), for audit `before` values. */
+function pickFields(data, keys) {
+  const picked = {};
+  keys.forEach(key => { picked[key] = (data && data[key] !== undefined) ? data[key] : null; });
+  return picked;
+}
+
+// =================================================================================
+// HELPER FUNCTIONS (Product Import/Export)
+// =================================================================================
+
+/**
+ * Turns the `importProducts` payload into `{ rows: [{ row, values }], columns }`.
+ * `row` is the line in the CSV file (header = 1) or the 1-based index in the JSON array.
+ */
+function parseImportPayload(data) {
+  const invalid = (message) => new functions.https.HttpsError("invalid-argument", message);
+  let rows;
+
+  if (data.format === "json") {
+    let list = data.data;
+    if (typeof list === 'string') {
+      try { list = JSON.parse(list); } catch (e) { throw invalid("Invalid JSON."); }
+    }
+    if (!Array.isArray(list)) throw invalid("JSON payload must be an array of products.");
+    rows = list.map((item, i) => ({
+      row: i + 1,
+      values: (item && typeof item === 'object' && !Array.isArray(item)) ? item : {},
+    }));
+  } else if (data.format === "csv") {
+    if (typeof data.data !== 'string') throw invalid("CSV payload must be a string.");
+    let lines;
+    try { lines = parseCsv(data.data); } catch (e) { throw invalid(`Invalid CSV: ${e.message}`); }
+    if (lines.length === 0) throw invalid("CSV payload is empty.");
+
+    const header = lines[0].cells.map(h => h.trim());
+    rows = lines.slice(1).map(line => {
+      const values = {};
+      header.forEach((key, i) => {
+        const cell = line.cells[i];
+        // Empty cells leave the field unchanged; `'` in front of a formula character undoes `toCsv`'s guard
+        if (key && cell !== undefined && cell.trim() !== "") values[key] = cell.replace(/^'(?=[=+\-@\t\r])/, "");
+      });
+      return { row: line.line, values: values };
+    });
+  } else {
+    throw invalid("Format must be 'csv' or 'json'.");
+  }
+
+  if (rows.length === 0) throw invalid("No products to import.");
+  if (rows.length > PRODUCT_IMPORT_MAX_ROWS) throw invalid(`Too many rows (max ${PRODUCT_IMPORT_MAX_ROWS}).`);
+
+  const columns = [...new Set(rows.flatMap(r => Object.keys(r.values)))];
+  return { rows: rows, columns: columns };
+}
+
+/**
+ * Parses CSV text (RFC 4180: quoted cells, `""` escapes, CRLF or LF). The delimiter is `,`, or `;`
+ * when the header uses it (spreadsheet exports in many European locales). Blank lines are skipped.
+ * Returns `[{ line, cells }]` with the file line each record starts on.
+ */
+function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, "");
+  const header = source.split(/\r?\n/, 1)[0];
+  const delimiter = header.split(";").length > header.split(",").length ? ";" : ",";
+
+  const records = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.some(c => c.trim() !== "")) records.push({ line: startLine, cells: cells });
+    cells = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === "\n") line++;
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      cells.push(cell);
+      cell = "";
+    } else if (ch === "\r" || ch === "\n") {
+      if (ch === "\r" && source[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      startLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) throw new Error(`unterminated quote in line ${startLine}`);
+  if (cell !== "" || cells.length > 0) endRecord();
+  return records;
+}
+
+/** Document IDs must not contain `/` and must stay short. */
+function isValidProductId(id) {
+  return typeof id === 'string' && id.trim() !== "" && id.length <= 100 && !id.includes("/") && id !== "." && id !== "..";
+}
+
+/**
+ * Validates one import row against `PRODUCT_IMPORT_FIELDS`. `existingIds` holds the ids of
+ * existing products (a Set, or a Map keyed by id).
+ * Returns `{ id, action: "created" | "updated", fields, errors }`.
+ */
+function validateImportRow(values, existingIds) {
+  const errors = [];
+  let id = null;
+  if (values.id !== undefined && values.id !== null && values.id !== "") {
+    id = String(values.id).trim();
+    if (!isValidProductId(id)) {
+      errors.push("Invalid id.");
+      id = null;
+    }
+  }
+  const action = (id && existingIds.has(id)) ? "updated" : "created";
+
+  const fields = {};
+  Object.entries(PRODUCT_IMPORT_FIELDS).forEach(([key, spec]) => {
+    const raw = values[key];
+    if (raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === "")) {
+      if (spec.required && action === "created") errors.push(`${key} is required.`);
+      return;
+    }
+    const parsed = parseImportValue(raw, spec);
+    if (parsed.error) errors.push(`${key} ${parsed.error}`);
+    else fields[key] = parsed.value;
+  });
+
+  // New products get the same defaults as products created in the app
+  if (action === "created") {
+    if (fields.productDescription === undefined) fields.productDescription = "";
+    if (fields.imageUrl === undefined) fields.imageUrl = "";
+    if (fields.discountPercentage === undefined) fields.discountPercentage = 0;
+    if (fields.originalPrice === undefined && fields.productPrice !== undefined) fields.originalPrice = fields.productPrice;
+    if (fields.deliveryDays === undefined) fields.deliveryDays = 3;
+  }
+  if (action === "updated" && Object.keys(fields).length === 0) errors.push("No fields to update.");
+
+  return { id: id, action: action, fields: fields, errors: errors };
+}
+
+/** Converts one cell according to its field spec. Returns `{ value }` or `{ error }`. */
+function parseImportValue(raw, spec) {
+  if (spec.type === "number" || spec.type === "integer") {
+    let n = raw;
+    if (typeof raw === 'string') {
+      const text = raw.trim();
+      // Accept decimal commas ("19,90") from spreadsheets
+      n = /^-?\d+,\d+$/.test(text) ? Number(text.replace(",", ".")) : Number(text);
+    }
+    if (typeof n !== 'number' || !Number.isFinite(n)) return { error: "must be a number." };
+    if (spec.type === "integer" && !Number.isInteger(n)) return { error: "must be a whole number." };
+    if (spec.min !== undefined && n < spec.min) return { error: `must be at least ${spec.min}.` };
+    if (spec.max !== undefined && n > spec.max) return { error: `must be at most ${spec.max}.` };
+    return { value: n };
+  }
+
+  const text = String(raw).trim();
+  if (spec.type === "category") {
+    const match = PRODUCT_CATEGORIES.find(c => c.toLowerCase() === text.toLowerCase());
+    return match ? { value: match } : { error: `must be one of: ${PRODUCT_CATEGORIES.join(", ")}.` };
+  }
+  if (spec.type === "url" && !/^https?:\/\/\S+$/.test(text)) return { error: "must be an http(s) URL." };
+  if (spec.maxLength && text.length > spec.maxLength) return { error: `must be at most ${spec.maxLength} characters.` };
+  return { value: text };
+}
+
+// =================================================================================
+// HELPER FUNCTIONS (Product Search)
+// =================================================================================
+
+/** Lowercases, folds accents (é → e, ß → ss) and collapses everything but letters/digits to spaces. */
+function normalizeSearchText(value) {
+  return String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/ß/g, "ss")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/** Unique normalized words of a text, in order of appearance. */
+function searchWords(value) {
+  const text = normalizeSearchText(value);
+  return text ? [...new Set(text.split(" "))] : [];
+}
+
+/** The index document of a product (see `indexProductSearch`). */
+function buildSearchEntry(pData) {
+  const nameWords = searchWords(pData.productName);
+  const categoryWords = searchWords(pData.category);
+  const descriptionWords = searchWords(pData.productDescription).slice(0, SEARCH_MAX_DESCRIPTION_WORDS);
+
+  const tokens = new Set();
+  [...nameWords, ...categoryWords, ...descriptionWords].forEach(word => {
+    for (let len = SEARCH_MIN_PREFIX; len <= Math.min(word.length, SEARCH_MAX_PREFIX); len++) {
+      tokens.add(word.slice(0, len));
+    }
+  });
+
+  return {
+    tokens: [...tokens],
+    nameWords: nameWords,
+    categoryWords: categoryWords,
+    descriptionWords: descriptionWords,
+    name: normalizeSearchText(pData.productName),
+    category: normalizeSearchText(pData.category),
+    price: getProductPrice(pData),
+    averageRating: Number(pData.averageRating) || 0,
+    reviewCount: Number(pData.reviewCount) || 0,
+    inStock: getProductStock(pData) - (pData.reservedStock || 0) > 0,
+  };
+}
+
+/**
+ * Relevance of an index entry for the query words; 0 if any word doesn't match.
+ * Per word the best field counts: name (10 whole word / 6 prefix), category (5 / 3),
+ * description (2 / 1). A name starting with the whole query gets a bonus.
+ */
+function scoreSearchEntry(entry, terms) {
+  const fieldScore = (words, term, whole, prefix) => {
+    if ((words || []).includes(term)) return whole;
+    return (words || []).some(w => w.startsWith(term)) ? prefix : 0;
+  };
+
+  let score = 0;
+  for (const term of terms) {
+    const best = Math.max(
+      fieldScore(entry.nameWords, term, 10, 6),
+      fieldScore(entry.categoryWords, term, 5, 3),
+      fieldScore(entry.descriptionWords, term, 2, 1)
+    );
+    if (best === 0) return 0;
+    score += best;
+  }
+  if ((entry.name || "").startsWith(terms.join(" "))) score += 5;
+  return score;
+}
+
+/** Orders search hits by normalized name. */
+function compareSearchByName(a, b) {
+  return (a.entry.name || "").localeCompare(b.entry.name || "");
+}
+
+/** Orders search hits by rating, then by number of reviews. */
+function compareSearchByRating(a, b) {
+  return (b.entry.averageRating - a.entry.averageRating) || (b.entry.reviewCount - a.entry.reviewCount);
+}
+
+/**
+ * Runs a search (steps 1-3 of `searchProducts`): reads the candidates, applies the filters and
+ * ranks the hits. Returns `{ id: null, ids, total, truncated, search }`, where `search` holds the
+ * ranking inputs (see `searchInputs`) for a cursor.
+ */
+async function rankSearchHits(params) {
+  const terms = searchWords(params.query).filter(w => w.length >= SEARCH_MIN_PREFIX);
+
+  // 1. Candidates (one more than the limit tells whether there were more)
+  let query = db.collection("productSearch");
+  if (terms.length > 0) {
+    const selective = terms.reduce((a, b) => (b.length > a.length ? b : a));
+    query = query.where("tokens", "array-contains", selective.slice(0, SEARCH_MAX_PREFIX));
+  }
+  if (params.category) query = query.where("category", "==", normalizeSearchText(params.category));
+  const snap = await query.limit(SEARCH_CANDIDATE_LIMIT + 1).get();
+  const truncated = snap.size > SEARCH_CANDIDATE_LIMIT;
+
+  // 2. Filters & scoring
+  const hits = [];
+  snap.docs.slice(0, SEARCH_CANDIDATE_LIMIT).forEach(doc => {
+    const entry = doc.data();
+    if (params.minPrice !== null && entry.price < params.minPrice) return;
+    if (params.maxPrice !== null && entry.price > params.maxPrice) return;
+    if (params.minRating !== null && entry.averageRating < params.minRating) return;
+    if (params.inStock && !entry.inStock) return;
+    const score = terms.length > 0 ? scoreSearchEntry(entry, terms) : 0;
+    if (terms.length > 0 && score === 0) return;
+    hits.push({ id: doc.id, entry: entry, score: score });
+  });
+
+  // 3. Ranking
+  const sort = params.sort || (terms.length > 0 ? "relevance" : "name");
+  hits.sort(SEARCH_COMPARATORS[sort]);
+
+  return { id: null, ids: hits.map(h => h.id), total: hits.length, truncated: truncated, search: searchInputs(params) };
+}
+
+/**
+ * Stores the first `SEARCH_STORED_PAGES` pages of ranked search results (with the search itself,
+ * for the pages after them). Returns the `searchResults` document ID.
+ */
+async function saveSearchResults(results, pageSize) {
+  const ref = db.collection("searchResults").doc();
+  await ref.set({
+    ids: results.ids.slice(0, pageSize * SEARCH_STORED_PAGES),
+    total: results.total,
+    truncated: results.truncated,
+    search: results.search,
+    expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + SEARCH_RESULT_TTL_MINUTES * 60 * 1000),
+  });
+  return ref.id;
+}
+
+/** Loads stored search results; expired ones fail with `failed-precondition` (search again). */
+async function loadSearchResults(resultId) {
+  const doc = await db.collection("searchResults").doc(resultId).get();
+  const expiresAt = doc.exists ? toMillis(doc.data().expiresAt) : null;
+  if (expiresAt === null || expiresAt <= Date.now()) {
+    throw new functions.https.HttpsError("failed-precondition", "The search has expired. Please search again.", { reason: "search-expired" });
+  }
+  const stored = doc.data();
+  const ids = stored.ids || [];
+  return {
+    id: doc.id,
+    ids: ids,
+    total: (typeof stored.total === 'number') ? stored.total : ids.length,
+    truncated: stored.truncated === true,
+    search: parseSearchFilters(stored.search || {}),
+  };
+}
+
+/** The ranking inputs of a search (filters and sort), as stored and carried in cursors. */
+function searchInputs(params) {
+  return {
+    query: params.query,
+    category: params.category,
+    minPrice: params.minPrice,
+    maxPrice: params.maxPrice,
+    minRating: params.minRating,
+    inStock: params.inStock,
+    sort: params.sort,
+  };
+}
+
+/** Validates the `searchProducts` input. Throws `invalid-argument` on bad values. */
+function parseSearchParams(data) {
+  return {
+    ...parseSearchFilters(data),
+    limit: Math.min(SEARCH_MAX_PAGE_SIZE, Math.max(1, parseInt(data.limit, 10) || SEARCH_DEFAULT_PAGE_SIZE)),
+    cursor: decodeSearchCursor(data.cursor),
+  };
+}
+
+/** Validates the filters and sort of a search (see `searchInputs`). Throws `invalid-argument` on bad values. */
+function parseSearchFilters(data) {
+  const invalid = (message) => new functions.https.HttpsError("invalid-argument", message);
+  const optionalNumber = (value, name) => {
+    if (value === undefined || value === null || value === "") return null;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) throw invalid(`${name} must be a positive number.`);
+    return n;
+  };
+
+  if (data.query !== undefined && data.query !== null && typeof data.query !== 'string') throw invalid("Query must be a string.");
+  if (typeof data.query === 'string' && data.query.length > 200) throw invalid("Query too long.");
+  if (data.sort && !Object.prototype.hasOwnProperty.call(SEARCH_COMPARATORS, data.sort)) {
+    throw invalid(`Sort must be one of: ${Object.keys(SEARCH_COMPARATORS).join(", ")}.`);
+  }
+
+  const params = {
+    query: data.query || "",
+    category: (typeof data.category === 'string' && data.category.trim() && data.category !== "All") ? data.category : null,
+    minPrice: optionalNumber(data.minPrice, "minPrice"),
+    maxPrice: optionalNumber(data.maxPrice, "maxPrice"),
+    minRating: optionalNumber(data.minRating, "minRating"),
+    inStock: data.inStock === true,
+    sort: data.sort || null,
+  };
+  if (params.minPrice !== null && params.maxPrice !== null && params.minPrice > params.maxPrice) {
+    throw invalid("minPrice must not exceed maxPrice.");
+  }
+  return params;
+}
+
+/**
+ * Cursors are opaque to clients. They encode the offset (`o`) and either the stored results (`r`)
+ * or the search to run again (`s`, see `searchInputs`).
+ */
+function encodeSearchCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+/** Returns `{ resultId, search, offset }` (one of `resultId` / `search` is null), or null without a cursor. */
+function decodeSearchCursor(cursor) {
+  if (!cursor) return null;
+  let decoded = null;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch (e) { /* falls through */ }
+  const { r, s, o } = decoded || {};
+  if (Number.isInteger(o) && o >= 0) {
+    if (typeof r === 'string' && /^[A-Za-z0-9]{1,40}$/.test(r)) return { resultId: r, search: null, offset: o };
+    if (s && typeof s === 'object') return { resultId: null, search: parseSearchFilters(s), offset: o };
+  }
+  throw new functions.https.HttpsError("invalid-argument", "Invalid cursor.");
+}
+
+// =================================================================================
+// HELPER FUNCTIONS (Sales Statistics)
+// =================================================================================
+
+/** The order fields that feed the aggregates; other writes don't touch the stats. */
+function salesSnapshot(order) {
+  return JSON.stringify([
+    order.status,
+    isOrderPaid(order),
+    order.finalAmountPaid,
+    order.giftCardAppliedAmount,
+    toMillis(order.timestamp),
+    toMillis(order.cancelledAt),
+    (order.items || []).map(i => [i.productId, i.quantity, i.grossAmount]),
+  ]);
+}
+
+/** UTC calendar day (`YYYY-MM-DD`) of a timestamp, or null. */
+function statsDayKey(value) {
+  const ms = toMillis(value);
+  return ms === null ? null : new Date(ms).toISOString().slice(0, 10);
+}
+
+/** Validates a `YYYY-MM-DD` string; returns it or null. */
+function parseStatsDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  return statsDayKey(Date.parse(`${value}T00:00:00Z`)) === value ? value : null;
+}
+
+/** All days from `from` to `to` (inclusive). */
+function listStatsDays(from, to) {
+  const days = [];
+  for (let ms = Date.parse(`${from}T00:00:00Z`); ms <= Date.parse(`${to}T00:00:00Z`); ms += 24 * 3600 * 1000) {
+    days.push(statsDayKey(ms));
+  }
+  return days;
+}
+
+/** Last day (`YYYY-MM-DD`) of a `YYYY-MM` month. */
+function lastDayOfMonth(month) {
+  const [year, m] = month.split("-").map(Number);
+  return statsDayKey(Date.UTC(year, m, 0));
+}
+
+function emptySalesStats() {
+  return {
+    orderCount: 0,
+    revenue: 0,
+    giftCardAmount: 0,
+    giftCardOrderCount: 0,
+    unitsSold: 0,
+    cancellationCount: 0,
+    cancelledAmount: 0,
+    products: {},
+    categories: {},
+  };
+}
+
+/**
+ * Counts a placed order. Orders that were cancelled later only appear as cancellations, unpaid
+ * orders not at all (they are counted on the day they were placed once the payment arrives).
+ */
+function addOrderToStats(stats, order) {
+  if (order.status === "cancelled" || !isOrderPaid(order)) return;
+  const giftCard = order.giftCardAppliedAmount || 0;
+  stats.orderCount += 1;
+  stats.revenue += (order.finalAmountPaid || 0) + giftCard;
+  stats.giftCardAmount += giftCard;
+  if (giftCard > 0) stats.giftCardOrderCount += 1;
+
+  (order.items || []).forEach(item => {
+    const units = item.quantity || 0;
+    // Lines carry their share of the order discounts since invoicing; older orders use the list price
+    const revenue = (typeof item.grossAmount === 'number') ? item.grossAmount : (item.productPrice || 0) * units;
+    const category = item.category || "Uncategorized";
+    stats.unitsSold += units;
+
+    const product = stats.products[item.productId] || { name: item.productName || "", category: category, units: 0, revenue: 0 };
+    product.units += units;
+    product.revenue += revenue;
+    stats.products[item.productId] = product;
+
+    const cat = stats.categories[category] || { units: 0, revenue: 0 };
+    cat.units += units;
+    cat.revenue += revenue;
+    stats.categories[category] = cat;
+  });
+}
+
+/** Counts a cancellation on the day it happened (orders cancelled before payment are left out). */
+function addCancellationToStats(stats, order) {
+  if (UNPAID_PAYMENT_STATUSES.includes(order.paymentStatus)) return;
+  stats.cancellationCount += 1;
+  stats.cancelledAmount += (order.finalAmountPaid || 0) + (order.giftCardAppliedAmount || 0);
+}
+
+/** Adds the aggregates of `source` to `target` (used for months and report totals). */
+function mergeSalesStats(target, source) {
+  ["orderCount", "revenue", "giftCardAmount", "giftCardOrderCount", "unitsSold", "cancellationCount", "cancelledAmount"]
+    .forEach(key => { target[key] += source[key] || 0; });
+  Object.entries(source.products || {}).forEach(([id, p]) => {
+    const product = target.products[id] || { name: p.name, category: p.category, units: 0, revenue: 0 };
+    product.units += p.units || 0;
+    product.revenue += p.revenue || 0;
+    target.products[id] = product;
+  });
+  Object.entries(source.categories || {}).forEach(([name, c]) => {
+    const cat = target.categories[name] || { units: 0, revenue: 0 };
+    cat.units += c.units || 0;
+    cat.revenue += c.revenue || 0;
+    target.categories[name] = cat;
+  });
+  return target;
+}
+
+/** Rounds the amounts and derives the average order value. */
+function finalizeSalesStats(stats) {
+  ["revenue", "giftCardAmount", "cancelledAmount"].forEach(key => { stats[key] = roundCurrency(stats[key]); });
+  Object.values(stats.products).forEach(p => { p.revenue = roundCurrency(p.revenue); });
+  Object.values(stats.categories).forEach(c => { c.revenue = roundCurrency(c.revenue); });
+  stats.averageOrderValue = stats.orderCount > 0 ? roundCurrency(stats.revenue / stats.orderCount) : 0;
+  return stats;
+}
+
+/** One report row: the scalar figures of an aggregate. */
+function salesSummary(stats) {
+  const summary = {};
+  SALES_SUMMARY_FIELDS.forEach(key => { summary[key] = stats[key] || 0; });
+  return summary;
+}
+
+/** Calls `fn` for every order whose `field` lies in [start, end), page by page. */
+async function forEachOrderBetween(field, start, end, fn) {
+  let lastDoc = null;
+  do {
+    let query = db.collection("orders")
+      .where(field, ">=", admin.firestore.Timestamp.fromMillis(start))
+      .where(field, "<", admin.firestore.Timestamp.fromMillis(end))
+      .orderBy(field)
+      .limit(SALES_STATS_PAGE_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+
+    const page = await query.get();
+    if (page.empty) break;
+    page.docs.forEach(doc => fn(doc.data()));
+    lastDoc = page.size < SALES_STATS_PAGE_SIZE ? null : page.docs[page.docs.length - 1];
+  } while (lastDoc);
+}
+
+/**
+ * Rebuilds `stats/day-{day}` from the orders placed and cancelled that day.
+ * A write flagged while counting (a newer `dirtyAt`) keeps the day dirty for the next run.
+ */
+async function recomputeDailyStats(day) {
+  const ref = db.collection("stats").doc(`day-${day}`);
+  const marker = await ref.get();
+  const dirtyAt = marker.exists ? toMillis(marker.data().dirtyAt) : null;
+
+  const start = Date.parse(`${day}T00:00:00Z`);
+  const end = start + 24 * 3600 * 1000;
+  const stats = emptySalesStats();
+  await forEachOrderBetween("timestamp", start, end, order => addOrderToStats(stats, order));
+  await forEachOrderBetween("cancelledAt", start, end, order => addCancellationToStats(stats, order));
+  finalizeSalesStats(stats);
+
+  await db.runTransaction(async (t) => {
+    const current = await t.get(ref);
+    const currentDirtyAt = current.exists ? (current.data().dirtyAt || null) : null;
+    t.set(ref, {
+      ...stats,
+      period: "day",
+      date: day,
+      dirty: toMillis(currentDirtyAt) !== dirtyAt,
+      dirtyAt: currentDirtyAt,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+  return stats;
+}
+
+/** Sums the daily aggregates of a month into `stats/month-{YYYY-MM}`. */
+async function recomputeMonthlyStats(month) {
+  const days = listStatsDays(`${month}-01`, lastDayOfMonth(month));
+  const docs = await db.getAll(...days.map(day => db.collection("stats").doc(`day-${day}`)));
+  const stats = emptySalesStats();
+  docs.forEach(doc => { if (doc.exists) mergeSalesStats(stats, doc.data()); });
+  finalizeSalesStats(stats);
+
+  await db.collection("stats").doc(`month-${month}`).set({
+    ...stats,
+    period: "month",
+    date: month,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return stats;
+}
+
+/** Recomputes the given days, then their months. Returns the days that succeeded. */
+async function refreshSalesDays(days) {
+  const done = [];
+  for (const day of new Set(days)) {
+    try {
+      await recomputeDailyStats(day);
+      done.push(day);
+    } catch (e) {
+      console.error(`[SalesStats] Day ${day} failed:`, e);
+    }
+  }
+  for (const month of new Set(done.map(day => day.slice(0, 7)))) {
+    await recomputeMonthlyStats(month);
+  }
+  return done;
+}
+
+/**
+ * Builds a CSV table (RFC 4180, CRLF) from objects. `firstColumn` is written first when given.
+ * Text starting with a formula character is prefixed with `'` so spreadsheets don't evaluate it.
+ */
+function toCsv(columns, rows, firstColumn = null) {
+  const header = firstColumn ? [firstColumn, ...columns] : columns;
+  const cell = (value) => {
+    if (value === null || value === undefined) return "";
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [header, ...rows.map(row => header.map(key => row[key]))]
+    .map(values => values.map(cell).join(","))
+    .join("\r\n");
+}
+
+// =================================================================================
+// HELPER FUNCTIONS (Abandoned Carts)
+// =================================================================================
+
+/** Number of reminders already sent for the current idle cycle of a cart. */
+function cartRemindersSent(cartData) {
+  const state = cartData.abandonedCartReminders;
+  if (!state || toMillis(state.cartUpdatedAt) !== toMillis(cartData.lastUpdated)) return 0;
+  return state.sentCount || 0;
+}
+
+/**
+ * Queues the due reminder for one cart. Returns true if a mail was queued.
+ * The reminder state is re-checked in a transaction, so overlapping runs cannot send it twice.
+ */
+async function sendCartReminder(cartDoc, now) {
+  const cData = cartDoc.data();
+  if (!(cData.itemCount > 0)) return false;
+
+  const idleMs = now - toMillis(cData.lastUpdated);
+  const stage = ABANDONED_CART_REMINDER_HOURS.filter(h => idleMs >= h * 3600 * 1000).length;
+  if (stage <= cartRemindersSent(cData)) return false;
+
+  const userId = cartDoc.id;
+  const uDoc = await db.collection("users").doc(userId).get();
+  const uData = uDoc.exists ? uDoc.data() : {};
+  if (!uData.email) return false;
+  if (uData.notificationPreferences && uData.notificationPreferences.cartReminders === false) return false;
+
+  const { lines, subtotal } = await loadCartLines(cartDoc.ref.collection("items"));
+  if (lines.length === 0) return false;
+
+  // Optional incentive on the last reminder: a single-use code only this user can redeem
+  const isLast = stage === ABANDONED_CART_REMINDER_HOURS.length;
+  let incentive = null;
+  if (isLast && ABANDONED_CART_INCENTIVE_PERCENT > 0) {
+    incentive = {
+      code: `CART-${crypto.randomBytes(4).toString("hex").toUpperCase()}`,
+      percent: ABANDONED_CART_INCENTIVE_PERCENT,
+      expiresAt: new Date(now + ABANDONED_CART_INCENTIVE_DAYS * 24 * 3600 * 1000),
+    };
+  }
+
+  const message = renderEmail("abandonedCart", {
+    customerName: uData.name || null,
+    items: lines,
+    subtotal: subtotal,
+    isLast: isLast,
+    incentive: incentive,
+  }, uData.locale);
+
+  return db.runTransaction(async (t) => {
+    // PHASE 1: READ (re-check, the cart may have changed or another run may have sent it)
+    const fresh = await t.get(cartDoc.ref);
+    if (!fresh.exists) return false;
+    const fData = fresh.data();
+    if (!(fData.itemCount > 0) || toMillis(fData.lastUpdated) !== toMillis(cData.lastUpdated)) return false;
+    if (stage <= cartRemindersSent(fData)) return false;
+
+    // PHASE 2: WRITES
+    if (incentive) {
+      t.set(db.collection("promotions").doc(incentive.code), {
+        type: "percentage",
+        value: incentive.percent,
+        description: `Abandoned cart incentive (${incentive.percent}%)`,
+        userId: userId,
+        maxUses: 1,
+        maxUsesPerUser: 1,
+        usageCount: 0,
+        isActive: true,
+        expiresAt: admin.firestore.Timestamp.fromDate(incentive.expiresAt),
+        source: "abandoned_cart",
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+    t.set(db.collection("mail").doc(), { to: uData.email, message: message });
+    t.update(cartDoc.ref, {
+      abandonedCartReminders: {
+        sentCount: stage,
+        cartUpdatedAt: cData.lastUpdated,
+        lastSentAt: admin.firestore.FieldValue.serverTimestamp(),
+        incentiveCode: incentive ? incentive.code : null,
+      },
+    });
+    return true;
+  });
+}
+
+// =================================================================================
+// HELPER FUNCTIONS (Reviews)
+// =================================================================================
+
+/** A review is (re)checked when it is new, its content changed, or it was never moderated. */
+function needsReviewCheck(before, after) {
+  if (!after.moderatedAt) return true;
+  return !!before && (before.rating !== after.rating || before.comment !== after.comment);
+}
+
+/** Runs `REVIEW_MODERATION_RULES` and returns the reasons of all rules that matched. */
+function moderateReview(review) {
+  return REVIEW_MODERATION_RULES.map(rule => rule(review)).filter(Boolean);
+}
+
+/** Whole-word match against `REVIEW_BLOCKED_WORDS` (case insensitive). */
+function containsBlockedWord(text) {
+  const words = String(text || "").toLowerCase().split(/[^\p{L}\p{N}]+/u);
+  return words.some(w => REVIEW_BLOCKED_WORDS.includes(w));
+}
+
+/** Detects URLs, `www.` hosts and bare domains such as `example.com`. */
+function containsLink(text) {
+  return /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|org|io|de|it|info|biz|ru|xyz|shop)\b/i.test(String(text || ""));
+}
+
+/** True if the user has a non-cancelled order containing the product. */
+async function hasPurchasedProduct(userId, productId) {
+  if (!userId) return false;
+  const orders = await db.collection("orders").where("userId", "==", userId).select("items", "status").get();
+  return orders.docs.some(doc => {
+    const o = doc.data();
+    return o.status !== "cancelled" && (o.items || []).some(item => item.productId === productId);
+  });
+}
+
+/** Published = approved by moderation; reviews from before moderation existed have no status. */
+function isReviewPublished(review) {
+  return review.status === undefined || review.status === "approved";
+}
+
+/**
+ * Recomputes the rating aggregates of a product from all its published reviews.
+ * Half-star ratings are counted in the histogram under the rounded star value.
+ */
+async function recomputeProductRating(productId) {
+  const productRef = db.collection("products").doc(productId);
+  const reviewsQuery = productRef.collection("reviews").select("rating", "status");
+
+  return db.runTransaction(async (t) => {
+    // PHASE 1: READS
+    const productDoc = await t.get(productRef);
+    if (!productDoc.exists) return { reviewCount: 0, averageRating: 0 };
+    const reviewsSnap = await t.get(reviewsQuery);
+
+    // PHASE 2: LOGIC
+    const histogram = { "1": 0, "2": 0, "3": 0, "4": 0, "5": 0 };
+    let count = 0;
+    let sum = 0;
+    reviewsSnap.docs.forEach(doc => {
+      const r = doc.data();
+      const rating = Number(r.rating);
+      if (!isReviewPublished(r) || !(rating >= 1 && rating <= 5)) return;
+      count++;
+      sum += rating;
+      histogram[String(Math.round(rating))]++;
+    });
+    const stats = {
+      reviewCount: count,
+      averageRating: count > 0 ? Math.round((sum / count) * 100) / 100 : 0,
+      ratingHistogram: histogram,
+    };
+
+    // PHASE 3: WRITES
+    t.update(productRef, stats);
+    return stats;
+  });
+}
+
+// =================================================================================
+// HELPER FUNCTIONS (Wishlist Notifications)
+// =================================================================================
+
+/**
+ * Queues the wishlist alerts for one page of wishlist entries.
+ * Reads the user profiles and throttle markers of the page in bulk, then writes
+ * the mails and updated markers in a single batch. Returns the number of mails queued.
+ */
+async function notifyWishlistPage(wishlistDocs, product, change) {
+  const entries = wishlistDocs.map(doc => ({
+    userRef: doc.ref.parent.parent,
+    priceWhenAdded: (typeof doc.data().priceWhenAdded === 'number') ? doc.data().priceWhenAdded : null
+  }));
+
+  const userSnaps = await db.getAll(...entries.map(e => e.userRef));
+  const throttleSnaps = await db.getAll(...entries.map(e => e.userRef.collection("wishlistAlerts").doc(product.productId)));
+
+  const batch = db.batch();
+  let count = 0;
+  const now = Date.now();
+
+  entries.forEach((entry, i) => {
+    const uSnap = userSnaps[i];
+    if (!uSnap.exists) return;
+    const uData = uSnap.data();
+
+    // Opt-out and missing address
+    if (uData.notificationPreferences && uData.notificationPreferences.wishlistAlerts === false) return;
+    if (!uData.email) return;
+
+    // Throttle: one mail per product per window
+    const tSnap = throttleSnaps[i];
+    const lastSent = tSnap.exists ? toMillis(tSnap.data().lastSentAt) : null;
+    if (lastSent && now - lastSent < WISHLIST_NOTIFICATION_THROTTLE_MS) return;
+
+    // Price drop only counts against the price the user saw (unknown for old entries: previous price)
+    const seenPrice = entry.priceWhenAdded !== null ? entry.priceWhenAdded : product.oldPrice;
+    const isPriceDrop = change.priceDrop && product.newPrice < seenPrice;
+    if (!change.backInStock && !isPriceDrop) return;
+
+    const templateName = change.backInStock ? "wishlistBackInStock" : "wishlistPriceDrop";
+    const message = renderEmail(templateName, {
+      customerName: uData.name || null,
+      productName: product.productName,
+      imageUrl: product.imageUrl,
+      oldPrice: seenPrice,
+      newPrice: product.newPrice,
+      priceDrop: isPriceDrop
+    }, uData.locale);
+
+    batch.set(db.collection("mail").doc(), { to: uData.email, message: message });
+    batch.set(tSnap.ref, {
+      productId: product.productId,
+      type: change.backInStock ? "back_in_stock" : "price_drop",
+      lastSentAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    count++;
+  });
+
+  if (count > 0) await batch.commit();
+  return count;
+}
+
+// =================================================================================
+// HELPER FUNCTIONS (Mail Delivery)
+// =================================================================================
+
+let mailTransport = null;
+
+/** Lazily creates the nodemailer SMTP transport from the environment config. */
+function getMailTransport() {
+  if (mailTransport) return mailTransport;
+  if (!process.env.SMTP_HOST) throw new Error("SMTP_HOST is not configured.");
+
+  const port = Number(process.env.SMTP_PORT) || 587;
+  mailTransport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+  return mailTransport;
+}
+
+/**
+ * Claims a mail document, sends it and records the delivery state.
+ * The claim (state `processing` + lease in `nextAttemptAt`) is taken in a transaction so that
+ * the trigger and the retry job never send the same message twice concurrently.
+ */
+async function processMail(mailRef) {
+  const claim = await db.runTransaction(async (t) => {
+    const doc = await t.get(mailRef);
+    if (!doc.exists) return null;
+    const mail = doc.data();
+    const delivery = mail.delivery || {};
+    const state = delivery.state || "pending";
+
+    if (state === "sent" || state === "dead_letter") return null;
+    if ((state === "processing" || state === "error") && delivery.nextAttemptAt &&
+        delivery.nextAttemptAt.toMillis() > Date.now()) {
+      return null; // Claimed by another run, or still backing off
+    }
+
+    const attempts = (delivery.attempts || 0) + 1;
+    t.update(mailRef, {
+      "delivery.state": "processing",
+      "delivery.attempts": attempts,
+      "delivery.startTime": admin.firestore.FieldValue.serverTimestamp(),
+      "delivery.nextAttemptAt": admin.firestore.Timestamp.fromMillis(Date.now() + MAIL_LEASE_MS),
+    });
+    return { mail: mail, attempts: attempts };
+  });
+
+  if (!claim) return;
+  const { mail, attempts } = claim;
+
+  try {
+    const message = mail.message || {};
+    const info = await getMailTransport().sendMail({
+      from: mail.from || process.env.MAIL_FROM,
+      to: mail.to,
+      cc: mail.cc,
+      bcc: mail.bcc,
+      replyTo: mail.replyTo,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+    });
+
+    await mailRef.update({
+      "delivery.state": "sent",
+      "delivery.messageId": info.messageId || null,
+      "delivery.lastError": null,
+      "delivery.nextAttemptAt": null,
+      "delivery.endTime": admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (e) {
+    console.error(`[deliverMail] Attempt ${attempts} failed for ${mailRef.id}:`, e);
+    const deadLetter = attempts >= MAIL_MAX_ATTEMPTS;
+    await mailRef.update({
+      "delivery.state": deadLetter ? "dead_letter" : "error",
+      "delivery.lastError": String(e.message || e),
+      "delivery.nextAttemptAt": deadLetter
+        ? null
+        : admin.firestore.Timestamp.fromMillis(Date.now() + MAIL_RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1)),
+      "delivery.endTime": admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+}
+
+// =================================================================================
+// HELPER FUNCTIONS (Invoices & VAT)
+// =================================================================================
+
+/** Loads `settings/tax`, falling back to `DEFAULT_TAX_SETTINGS`. Pass a transaction to read it as part of it. */
+async function loadTaxSettings(t = null) {
+  const ref = db.collection("settings").doc("tax");
+  const doc = t ? await t.get(ref) : await ref.get();
+  const data = doc.exists ? doc.data() : {};
+  return {
+    defaultRate: (typeof data.defaultRate === 'number') ? data.defaultRate : DEFAULT_TAX_SETTINGS.defaultRate,
+    categoryRates: data.categoryRates || DEFAULT_TAX_SETTINGS.categoryRates,
+  };
+}
+
+/** Counter document of a yearly number sequence, e.g. `counters/invoice-2026`. */
+function documentCounterRef(type, year = new Date().getFullYear()) {
+  return db.collection("counters").doc(`${type}-${year}`);
+}
+
+/**
+ * Takes the next number of a sequence whose counter was read in the same transaction
+ * (e.g. `INV-2026-000042`). Numbers are gapless because the counter and the document
+ * using the number are written atomically.
+ */
+function takeDocumentNumber(t, counterDoc, type) {
+  const year = counterDoc.id.split("-").pop();
+  const next = counterDoc.exists ? (counterDoc.data().next || 1) : 1;
+  t.set(counterDoc.ref, { type: type, year: Number(year), next: next + 1 }, { merge: true });
+  return `${INVOICE_NUMBER_PREFIXES[type]}-${year}-${String(next).padStart(6, "0")}`;
+}
+
+/**
+ * Splits gross amounts into net and VAT.
+ * The order-level `discount` (promotion + fidelity points) is spread over the lines in proportion
+ * to their value; shipping is taxed at the default rate. Returns:
+ * - `items`: the order lines with `vatRate`, `discountAmount`, `grossAmount`, `netAmount`, `taxAmount`,
+ * - `lines`: the invoice lines (items plus a `shipping` line),
+ * - `vatBreakdown`: totals per rate, and `totals` ({ net, tax, gross }).
+ */
+function computeTaxBreakdown(lines, { discount = 0, shippingCost = 0, shippingName = null }, settings) {
+  const merchandise = lines.reduce((sum, l) => sum + l.productPrice * l.quantity, 0);
+  const totalDiscount = roundCurrency(Math.min(discount, merchandise));
+  let discountLeft = totalDiscount;
+
+  const split = (gross, rate) => {
+    const net = roundCurrency(gross / (1 + rate));
+    return { grossAmount: roundCurrency(gross), netAmount: net, taxAmount: roundCurrency(gross - net) };
+  };
+
+  const items = lines.map((line, i) => {
+    const lineGross = roundCurrency(line.productPrice * line.quantity);
+    // The last line takes the rounding remainder of the discount
+    const share = (i === lines.length - 1)
+      ? discountLeft
+      : Math.min(discountLeft, roundCurrency(merchandise > 0 ? totalDiscount * lineGross / merchandise : 0));
+    discountLeft = roundCurrency(discountLeft - share);
+
+    const rate = (line.category && typeof settings.categoryRates[line.category] === 'number')
+      ? settings.categoryRates[line.category]
+      : settings.defaultRate;
+    return { ...line, vatRate: rate, discountAmount: share, ...split(lineGross - share, rate) };
+  });
+
+  const invoiceLines = items.map(item => ({
+    kind: "product",
+    productId: item.productId,
+    description: item.productName,
+    quantity: item.quantity,
+    unitPrice: item.productPrice,
+    vatRate: item.vatRate,
+    discountAmount: item.discountAmount,
+    grossAmount: item.grossAmount,
+    netAmount: item.netAmount,
+    taxAmount: item.taxAmount,
+  }));
+  if (shippingCost > 0 || shippingName) {
+    invoiceLines.push({
+      kind: "shipping",
+      description: shippingName,
+      quantity: 1,
+      unitPrice: roundCurrency(shippingCost),
+      vatRate: settings.defaultRate,
+      discountAmount: 0,
+      ...split(shippingCost, settings.defaultRate),
+    });
+  }
+
+  const { vatBreakdown, totals } = summarizeVat(invoiceLines);
+  return { items: items, lines: invoiceLines, vatBreakdown: vatBreakdown, totals: totals };
+}
+
+/** Sums invoice lines per VAT rate. Returns `{ vatBreakdown, totals }` ({ net, tax, gross }). */
+function summarizeVat(lines) {
+  const byRate = {};
+  lines.forEach(l => {
+    const b = byRate[l.vatRate] || (byRate[l.vatRate] = { rate: l.vatRate, net: 0, tax: 0, gross: 0 });
+    b.net = roundCurrency(b.net + l.netAmount);
+    b.tax = roundCurrency(b.tax + l.taxAmount);
+    b.gross = roundCurrency(b.gross + l.grossAmount);
+  });
+  const vatBreakdown = Object.values(byRate).sort((a, b) => a.rate - b.rate);
+  const totals = vatBreakdown.reduce((acc, b) => ({
+    net: roundCurrency(acc.net + b.net),
+    tax: roundCurrency(acc.tax + b.tax),
+    gross: roundCurrency(acc.gross + b.gross),
+  }), { net: 0, tax: 0, gross: 0 });
+  return { vatBreakdown: vatBreakdown, totals: totals };
+}
+
+/**
+ * Builds a credit note that fully reverses an invoice (all amounts negated).
+ * With `remaining` (`{ returnedQuantities, giftCardAmount, amountPaid }`) it only reverses what
+ * the return credit notes have not: the remaining lines and the given amounts.
+ */
+function buildCreditNote(invoice, number, reason, remaining = null) {
+  const neg = (v) => roundCurrency(-(v || 0));
+  const lines = (remaining ? remainingInvoiceLines(invoice.lines, remaining.returnedQuantities) : (invoice.lines || [])).map(l => ({
+    ...l,
+    unitPrice: neg(l.unitPrice),
+    discountAmount: neg(l.discountAmount),
+    grossAmount: neg(l.grossAmount),
+    netAmount: neg(l.netAmount),
+    taxAmount: neg(l.taxAmount),
+  }));
+  const { vatBreakdown, totals } = remaining ? summarizeVat(lines) : {
+    vatBreakdown: (invoice.vatBreakdown || []).map(b => ({ rate: b.rate, net: neg(b.net), tax: neg(b.tax), gross: neg(b.gross) })),
+    totals: { net: neg(invoice.totals.net), tax: neg(invoice.totals.tax), gross: neg(invoice.totals.gross) },
+  };
+  return {
+    type: "credit_note",
+    number: number,
+    referencesInvoice: invoice.number,
+    orderId: invoice.orderId,
+    userId: invoice.userId,
+    customer: invoice.customer,
+    reason: reason || null,
+    lines: lines,
+    vatBreakdown: vatBreakdown,
+    totals: totals,
+    giftCardAmount: neg(remaining ? remaining.giftCardAmount : invoice.giftCardAmount),
+    amountPaid: neg(remaining ? remaining.amountPaid : invoice.amountPaid),
+    currency: invoice.currency || "EUR",
+    locale: invoice.locale || null,
+    issuedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+// =================================================================================
+// HELPER FUNCTIONS (Orders)
+// =================================================================================
+
+/** Checks the order state machine. Unknown legacy statuses may only move to `processing` or `cancelled`. */
+function canTransitionOrder(from, to) {
+  const allowed = ORDER_STATUS_TRANSITIONS[from] || ["processing", "cancelled"];
+  return allowed.includes(to);
+}
+
+/** Appends a status transition to `orders/{id}/history` inside a transaction. */
+function appendOrderHistory(t, orderRef, entry) {
+  t.set(orderRef.collection("history").doc(), {
+    ...entry,
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+/** Builds the public tracking link for a known carrier (null for unknown carriers). */
+function buildTrackingUrl(carrier, trackingNumber) {
+  const template = CARRIER_TRACKING_URLS[String(carrier).toLowerCase()];
+  return template ? template.replace("{tracking}", encodeURIComponent(trackingNumber)) : null;
+}
+
+// =================================================================================
+// HELPER FUNCTIONS (Stock Reservations)
+// =================================================================================
+
+/**
+ * Releases an active reservation: removes its quantities from `products.reservedStock`
+ * and closes it with the given status. Re-checks the state inside the transaction,
+ * so a reservation converted by `completeOrder` in the meantime is left untouched.
+ */
+function releaseReservation(reservationRef, status) {
+  return db.runTransaction(async (t) => {
+    const rDoc = await t.get(reservationRef);
+    if (!rDoc.exists || rDoc.data().status !== "active") return false;
+    if (status === "expired" && rDoc.data().expiresAt.toMillis() > Date.now()) return false;
+
+    const items = rDoc.data().items || {};
+    const snaps = {};
+    for (const pid of Object.keys(items)) {
+      snaps[pid] = await t.get(db.collection("products").doc(pid));
+    }
+
+    Object.entries(snaps).forEach(([pid, pSnap]) => {
+      if (!pSnap.exists) return;
+      t.update(pSnap.ref, { reservedStock: Math.max(0, (pSnap.data().reservedStock || 0) - items[pid]) });
+    });
+    t.update(reservationRef, { status: status, closedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return true;
+  });
+}
+
+// =================================================================================
+// HELPER FUNCTIONS (Shipping)
+// =================================================================================
+
+/**
+ * Loads the active shipping methods, sorted by `sortOrder`.
+ * Falls back to `DEFAULT_SHIPPING_METHODS` while `shippingMethods` is empty.
+ * Pass a transaction to read them as part of it.
+ */
+async function loadShippingMethods(t = null) {
+  const query = db.collection("shippingMethods");
+  const snap = t ? await t.get(query) : await query.get();
+  if (snap.empty) return DEFAULT_SHIPPING_METHODS;
+  return snap.docs
+    .map(doc => ({ ...doc.data(), id: doc.id }))
+    .filter(m => m.isActive !== false)
+    .sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0));
+}
+
+/** Total shipping weight of cart/order lines. */
+function computeCartWeight(lines) {
+  return Math.round(lines.reduce((sum, l) => sum + (l.weightKg || 0) * (l.quantity || 0), 0) * 1000) / 1000;
+}
+
+/** Destination postcode: the one passed by the client, else the user profile's. */
+async function resolveShippingPostcode(userId, postcode) {
+  if (typeof postcode === 'string' && postcode.trim()) return postcode.trim();
+  const uDoc = await db.collection("users").doc(userId).get();
+  return uDoc.exists ? String(uDoc.data().postcode || '').trim() : '';
+}
+
+/**
+ * Prices one shipping method for a destination and cart.
+ * The zone with the longest matching postcode prefix wins ("*" matches any postcode);
+ * the first rate whose `maxWeightKg` covers the weight applies (`null` = no limit).
+ * Returns null if the method does not serve the postcode or the weight.
+ */
+function quoteShipping(method, { postcode, weightKg, subtotal }) {
+  const code = String(postcode || '').replace(/\s+/g, '').toUpperCase();
+  let zone = null;
+  let zoneMatch = -1;
+  (method.zones || []).forEach(z => {
+    (z.postcodePrefixes || []).forEach(prefix => {
+      const p = String(prefix).toUpperCase();
+      const length = (p === "*") ? 0 : (code.startsWith(p) ? p.length : -1);
+      if (length > zoneMatch) {
+        zone = z;
+        zoneMatch = length;
+      }
+    });
+  });
+  if (!zone) return null;
+
+  const rate = (zone.rates || [])
+    .filter(r => r.maxWeightKg === null || r.maxWeightKg === undefined || weightKg <= r.maxWeightKg)
+    .sort((a, b) => (a.maxWeightKg ?? Infinity) - (b.maxWeightKg ?? Infinity))[0];
+  if (!rate) return null;
+
+  const threshold = method.freeShippingThreshold;
+  const freeShipping = typeof threshold === 'number' && subtotal >= threshold;
+  return {
+    methodId: method.id,
+    name: method.name || method.id,
+    type: method.type || "standard",
+    zone: zone.id || null,
+    deliveryDays: (typeof method.deliveryDays === 'number') ? method.deliveryDays : null,
+    price: freeShipping ? 0 : roundCurrency(Number(rate.price) || 0),
+    freeShipping: freeShipping,
+    freeShippingThreshold: (typeof threshold === 'number') ? threshold : null,
+  };
+}
+
+// =================================================================================
+// HELPER FUNCTIONS (Cart Totals)
+// =================================================================================
+
+/** Reads the current price of a product document (`productPrice` may be stored as a string). */
+function getProductPrice(pData) {
+  const price = Number(pData.productPrice);
+  return Number.isFinite(price) ? price : 0;
+}
+
+/** Reads the current stock of a product document, supporting the legacy `productStock` field. */
+function getProductStock(pData) {
+  return (typeof pData.stock === 'number') ? pData.stock : (pData.productStock || 0);
+}
+
+/** Shipping weight of one unit in kg (`DEFAULT_PRODUCT_WEIGHT_KG` if the product has none). */
+function getProductWeight(pData) {
+  const w = (typeof pData.weightKg === 'number') ? pData.weightKg : parseFloat(pData.weightKg);
+  return (Number.isFinite(w) && w >= 0) ? w : DEFAULT_PRODUCT_WEIGHT_KG;
+}
+
+/**
+ * Stock a user can buy: physical stock minus the quantities reserved by other checkouts.
+ * `ownHeld` is the quantity held by the user's own reservation (already included in `reservedStock`).
+ */
+function getAvailableStock(pData, ownHeld = 0) {
+  const reservedByOthers = Math.max(0, (pData.reservedStock || 0) - ownHeld);
+  return getProductStock(pData) - reservedByOthers;
+}
+
+/**
+ * Issue type for a cart quantity (client-written): `invalid_quantity` unless it is a positive
+ * integer, `unavailable` if it exceeds the `available` stock, otherwise null.
+ */
+function quantityIssueType(qty, available) {
+  if (!Number.isInteger(qty) || qty < 1) return "invalid_quantity";
+  return (qty > available) ? "unavailable" : null;
+}
+
+/**
+ * Verifies cart item documents against the loaded products.
+ * Deducts quantities from `productMap[pid].currentStock` (handles multiple rows of the same product)
+ * and returns the order lines priced from the catalogue, the resulting subtotal and a list of issues:
+ * - `price_changed`: the price stored on the cart item differs from the current product price.
+ * - `unavailable`: the product no longer exists or has insufficient stock.
+ * - `invalid_quantity`: the quantity is not a positive integer.
+ */
+function verifyCartItems(itemDocs, productMap) {
+  const lines = [];
+  const issues = [];
+  let subtotal = 0;
+
+  for (const doc of itemDocs) {
+    const val = doc.data();
+    const pid = val.productId;
+    const qty = val.quantity;
+    const pInfo = productMap[pid];
+
+    if (!pInfo || !pInfo.data) {
+      issues.push({ type: "unavailable", productId: pid || doc.id, productName: val.productName || 'Unknown', requestedQuantity: qty, availableStock: 0 });
+      continue;
+    }
+
+    const name = pInfo.data.productName || val.productName || 'Unknown';
+    const price = getProductPrice(pInfo.data);
+    const cartPrice = Number(val.productPrice);
+
+    if (!Number.isFinite(cartPrice) || Math.abs(cartPrice - price) >= 0.005) {
+      issues.push({ type: "price_changed", productId: pid, productName: name, oldPrice: Number.isFinite(cartPrice) ? cartPrice : null, newPrice: price });
+    }
+
+    const qtyIssue = quantityIssueType(qty, pInfo.currentStock);
+    if (qtyIssue) {
+      issues.push({ type: qtyIssue, productId: pid, productName: name, requestedQuantity: qty, availableStock: Math.max(0, pInfo.currentStock) });
+      continue;
+    }
+
+    // Deduct from temporary memory
+    pInfo.currentStock -= qty;
+    subtotal += price * qty;
+
+    lines.push({
+      productId: pid,
+      productName: name,
+      productPrice: price,
+      quantity: qty,
+      category: pInfo.data.category || null,
+      weightKg: getProductWeight(pInfo.data),
+      imageUrl: val.imageUrl || pInfo.data.imageUrl || null
+    });
+  }
+
+  return { lines: lines, issues: issues, subtotal: roundCurrency(subtotal) };
+}
+
+/**
+ * Loads the items of a cart and prices them from the catalogue.
+ * Items whose product no longer exists are skipped, as are items with an invalid quantity or
+ * more than the product's stock (reported in `issues`, same format as `verifyCartItems`).
+ * Pass a transaction to read them as part of it.
+ * Returns `{ lines, subtotal, itemCount, issues }`.
+ */
+async function loadCartLines(itemsRef, t = null) {
+  const itemsSnapshot = t ? await t.get(itemsRef) : await itemsRef.get();
+  const productIds = [...new Set(itemsSnapshot.docs.map(d => d.data().productId).filter(Boolean))];
+  const productRefs = productIds.map(id => db.collection("products").doc(id));
+  const productSnaps = productRefs.length > 0 ? await (t || db).getAll(...productRefs) : [];
+  const products = {};
+  productSnaps.forEach(snap => {
+    if (snap.exists) products[snap.id] = snap.data();
+  });
+
+  const lines = [];
+  const issues = [];
+  let subtotal = 0;
+  let itemCount = 0;
+  itemsSnapshot.forEach((doc) => {
+    const d = doc.data();
+    const pData = products[d.productId];
+    if (!pData) return; // Product no longer exists
+    const price = getProductPrice(pData);
+    const qty = d.quantity;
+    const stock = getProductStock(pData);
+    const qtyIssue = quantityIssueType(qty, stock);
+    if (qtyIssue) {
+      issues.push({ type: qtyIssue, productId: d.productId, productName: pData.productName || d.productName || 'Unknown', requestedQuantity: qty, availableStock: Math.max(0, stock) });
+      return;
+    }
+    subtotal += price * qty;
+    itemCount += qty;
+    lines.push({
+      productId: d.productId,
+      productName: pData.productName || d.productName || 'Unknown',
+      productPrice: price,
+      quantity: qty,
+      category: pData.category || null,
+      weightKg: getProductWeight(pData),
+      imageUrl: d.imageUrl || pData.imageUrl || null
+    });
+  });
+
+  return { lines: lines, subtotal: roundCurrency(subtotal), itemCount: itemCount, issues: issues };
+}
+
+/** Builds the structured error thrown when the cart no longer matches the catalogue. */
+function cartChangedError(issues) {
+  const names = [...new Set(issues.map(i => i.productName))].join(', ');
+  return new functions.https.HttpsError("failed-precondition", `Your cart has changed: ${names}.`, {
+    reason: "cart-changed",
+    issues: issues
+  });
+}
+
+/**
+ * Applies the discounts of a cart/order to a merchandise subtotal in a fixed order:
+ * 1. Promotion, 2. Fidelity points, 3. Gift card (after adding the shipping cost).
+ * Each discount is capped to what is still open after the previous ones, so the
+ * returned amounts are the ones actually used and `finalAmount` never goes below zero.
+ */
+function computeOrderTotals(subtotal, discounts) {
+  let open = roundCurrency(subtotal);
+
+  const promoDiscount = Math.min(Math.max(0, discounts.promoDiscount || 0), open);
+  open = roundCurrency(open - promoDiscount);
+
+  const fidelityDiscount = Math.min(Math.max(0, discounts.fidelityDiscount || 0), open);
+  open = roundCurrency(open - fidelityDiscount);
+
+  // Shipping is not discounted by promotions or points, but can be paid with a gift card
+  const shippingCost = Math.max(0, discounts.shippingCost || 0);
+  open = roundCurrency(open + shippingCost);
+
+  const giftCardAmount = Math.min(Math.max(0, discounts.giftCardAmount || 0), open);
+  open = roundCurrency(open - giftCardAmount);
+
+  return {
+    promoDiscount: roundCurrency(promoDiscount),
+    fidelityDiscount: roundCurrency(fidelityDiscount),
+    shippingCost: roundCurrency(shippingCost),
+    giftCardAmount: roundCurrency(giftCardAmount),
+    finalAmount: Math.max(0, open)
+  };
+}
+
+/**
+ * Computes the amount left to pay for a cart, applying all discounts stored on the
+ * cart document (promotion, fidelity points, gift card) to the given merchandise total.
+ */
+function computeFinalAmount(cartData, totalPrice) {
+  const num = (v) => (typeof v === 'number') ? v : 0;
+  return computeOrderTotals(totalPrice, {
+    promoDiscount: cartData.appliedPromoCode ? num(cartData.promoDiscountAmount) : 0,
+    fidelityDiscount: num(cartData.fidelityDiscountAmount),
+    shippingCost: cartData.shippingMethodId ? num(cartData.shippingCost) : 0,
+    giftCardAmount: cartData.appliedGiftCardCode ? num(cartData.giftCardAppliedAmount) : 0
+  }).finalAmount;
+}
+
+/**
+ * Builds the list of discount lines stored on the order and shown in the confirmation email.
+ * Lines with a zero amount are omitted.
+ */
+function buildDiscountLines(d) {
+  const lines = [];
+  if (d.promoDiscount > 0) {
+    lines.push({ type: "promotion", code: d.promoCode, description: d.promoDescription || null, label: d.promoDescription || `Promo ${d.promoCode}`, amount: d.promoDiscount });
+  }
+  if (d.fidelityDiscount > 0) {
+    lines.push({ type: "fidelity", points: d.pointsRedeemed, label: `Fidelity points (${d.pointsRedeemed})`, amount: d.fidelityDiscount });
+  }
+  if (d.giftCardAmount > 0) {
+    lines.push({ type: "giftCard", code: d.giftCardCode, label: "Gift card", amount: d.giftCardAmount });
+  }
+  return lines;
+}
+
+// =================================================================================
+// HELPER FUNCTIONS (Promotions)
+// =================================================================================
+
+/**
+ * Loads a promotion document together with the number of times the user has used it.
+ * Pass a transaction to read them as part of it.
+ */
+async function loadPromotion(code, userId, t = null) {
+  const promoRef = db.collection("promotions").doc(code);
+  const [promoDoc, usageDoc] = await (t || db).getAll(promoRef, promoRef.collection("usages").doc(userId));
+  return {
+    data: promoDoc.exists ? promoDoc.data() : null,
+    userUses: usageDoc.exists ? (usageDoc.data().count || 0) : 0
+  };
+}
+
+/** Converts a Firestore Timestamp / Date / ISO string to milliseconds (or null). */
+function toMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  const ms = new Date(value).getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * Checks whether a promotion can be used.
+ * Returns an error message, or null if the promotion is valid for this user and subtotal.
+ */
+function validatePromotion(promo, userUses, subtotal, userId = null, now = Date.now()) {
+  if (!promo) return "Promo code not found.";
+  if (promo.userId && promo.userId !== userId) return "Promo code not found."; // personal code of another user
+  if (promo.isActive === false) return "Promo code is not active.";
+  if (!PROMOTION_TYPES.includes(promo.type)) return "Promo code is not supported.";
+
+  const startsAt = toMillis(promo.startsAt);
+  const expiresAt = toMillis(promo.expiresAt);
+  if (startsAt && now < startsAt) return "Promo code is not active yet.";
+  if (expiresAt && now > expiresAt) return "Promo code has expired.";
+
+  if (typeof promo.maxUses === 'number' && (promo.usageCount || 0) >= promo.maxUses) {
+    return "Promo code usage limit reached.";
+  }
+  if (typeof promo.maxUsesPerUser === 'number' && userUses >= promo.maxUsesPerUser) {
+    return "You have already used this promo code.";
+  }
+  if (typeof promo.minSpend === 'number' && subtotal < promo.minSpend) {
+    return `Minimum spend of €${promo.minSpend.toFixed(2)} not reached.`;
+  }
+  return null;
+}
+
+/**
+ * Computes the discount of a (valid) promotion for the given order lines.
+ * Category-scoped promotions only consider lines of that category.
+ * - `percentage`: `value`% off the eligible lines.
+ * - `fixed`: `value` EUR off, capped to the eligible lines.
+ * - `buy_x_get_y`: for every `buyQuantity + getQuantity` eligible units, the `getQuantity` cheapest are free.
+ */
+function computePromotionDiscount(promo, lines) {
+  const eligible = lines.filter(l => !promo.category || l.category === promo.category);
+  const eligibleTotal = eligible.reduce((sum, l) => sum + l.productPrice * l.quantity, 0);
+  const value = Number(promo.value) || 0;
+  let discount = 0;
+
+  if (promo.type === "percentage") {
+    discount = eligibleTotal * Math.min(100, Math.max(0, value)) / 100;
+  } else if (promo.type === "fixed") {
+    discount = Math.min(Math.max(0, value), eligibleTotal);
+  } else if (promo.type === "buy_x_get_y") {
+    const buy = Number(promo.buyQuantity) || 0;
+    const get = Number(promo.getQuantity) || 0;
+    if (buy > 0 && get > 0) {
+      // Free units are the cheapest eligible units across all lines: lines are drained cheapest first
+      const units = eligible.reduce((sum, l) => sum + l.quantity, 0);
+      let freeUnits = Math.floor(units / (buy + get)) * get;
+      const cheapestFirst = [...eligible].sort((a, b) => a.productPrice - b.productPrice);
+      for (const l of cheapestFirst) {
+        if (freeUnits <= 0) break;
+        const free = Math.min(freeUnits, l.quantity);
+        discount += free * l.productPrice;
+        freeUnits -= free;
+      }
+    }
+  }
+
+  return roundCurrency(discount);
+}
+
+/** Rounds a currency amount to cents to avoid floating point drift. */
+function roundCurrency(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
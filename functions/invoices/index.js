@@ -0,0 +1,220 @@
+/**
+ * ============================================================================
+ * INVOICES
+ * Printable invoices and credit notes stored in `invoices/{number}` (see `getInvoice`).
+ * * Features:
+ * - One layout model per document, rendered as standalone HTML or as an A4 PDF (PDFKit).
+ * - Labels, currency and dates follow the document locale (strings live in `emails/strings.js`).
+ * - All interpolated values in the HTML are escaped by the `html` tagged template.
+ * ============================================================================
+ */
+
+const PDFDocument = require("pdfkit");
+const { html, createContext } = require("../emails");
+
+// Seller details printed on every document (environment config, see CLOUD_FUNCTIONS.md)
+const SELLER = {
+  name: process.env.SHOP_NAME || "WebShop",
+  address: process.env.INVOICE_SELLER_ADDRESS || "",
+  vatId: process.env.INVOICE_SELLER_VAT_ID || "",
+};
+
+// =================================================================================
+// LAYOUT MODEL
+// =================================================================================
+
+/** Formats a VAT rate (0.22 → "22%"). */
+function formatRate(rate) {
+  return `${Math.round((Number(rate) || 0) * 10000) / 100}%`;
+}
+
+/**
+ * Turns an invoice document into plain strings for both renderers:
+ * title, meta rows, addresses, the line table and the totals.
+ */
+function buildLayout(invoice, ctx) {
+  const isCredit = invoice.type === "credit_note";
+  const c = invoice.customer || {};
+
+  const meta = [
+    [ctx.plain("invoiceNumber"), invoice.number],
+    [ctx.plain("invoiceDate"), ctx.date(invoice.issuedAt)],
+    [ctx.plain("invoiceOrder"), invoice.orderId],
+  ];
+  if (isCredit && invoice.referencesInvoice) meta.push([ctx.plain("invoiceReferences"), invoice.referencesInvoice]);
+  if (isCredit && invoice.reason) meta.push([ctx.plain("reason"), invoice.reason]);
+
+  const rows = (invoice.lines || []).map(l => ({
+    description: l.kind === "shipping" ? ctx.plain("shipping", { method: l.description || "" }) : l.description,
+    note: l.discountAmount ? ctx.plain("invoiceDiscount", { amount: ctx.money(Math.abs(l.discountAmount)) }) : "",
+    cells: [
+      String(l.quantity),
+      ctx.money(l.unitPrice),
+      formatRate(l.vatRate),
+      ctx.money(l.netAmount),
+      ctx.money(l.grossAmount),
+    ],
+  }));
+
+  const totals = [[ctx.plain("invoiceNetTotal"), ctx.money(invoice.totals.net)]];
+  (invoice.vatBreakdown || []).forEach(b => {
+    totals.push([ctx.plain("invoiceVatLine", { rate: formatRate(b.rate), net: ctx.money(b.net) }), ctx.money(b.tax)]);
+  });
+  totals.push([ctx.plain("total"), ctx.money(invoice.totals.gross)]);
+  if (invoice.giftCardAmount) totals.push([ctx.plain("invoicePaidGiftCard"), ctx.money(-invoice.giftCardAmount)]);
+  totals.push([ctx.plain("invoiceAmountPaid"), ctx.money(invoice.amountPaid)]);
+
+  return {
+    title: ctx.plain(isCredit ? "creditNoteTitle" : "invoiceTitle"),
+    seller: [SELLER.name, SELLER.address, SELLER.vatId ? `${ctx.plain("invoiceVatId")}: ${SELLER.vatId}` : ""].filter(Boolean),
+    billTo: [
+      [c.name, c.surname].filter(Boolean).join(" "),
+      c.address,
+      [c.postcode, c.city].filter(Boolean).join(" "),
+      c.email,
+    ].filter(Boolean),
+    meta: meta,
+    columns: [ctx.plain("colName"), ctx.plain("colQty"), ctx.plain("colPrice"), ctx.plain("colVat"), ctx.plain("colNet"), ctx.plain("colGross")],
+    rows: rows,
+    totals: totals,
+    footer: ctx.plain("invoicePricesNote"),
+  };
+}
+
+// =================================================================================
+// HTML
+// =================================================================================
+
+/** Renders a standalone, printable HTML page. */
+function renderInvoiceHtml(invoice, locale) {
+  const ctx = createContext(locale);
+  const doc = buildLayout(invoice, ctx);
+  const cell = "padding: 8px; border-bottom: 1px solid #eee;";
+
+  return html`<!DOCTYPE html>
+<html lang="${ctx.locale}">
+<head>
+  <meta charset="utf-8">
+  <title>${doc.title} ${invoice.number}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #333; max-width: 800px; margin: 0 auto; padding: 40px; }
+    table { width: 100%; border-collapse: collapse; }
+    @media print { body { padding: 0; } }
+  </style>
+</head>
+<body>
+  <table>
+    <tr>
+      <td style="vertical-align: top;">${doc.seller.map(line => html`${line}<br>`)}</td>
+      <td style="vertical-align: top; text-align: right;"><h1 style="margin: 0;">${doc.title}</h1></td>
+    </tr>
+  </table>
+  <table style="margin-top: 30px;">
+    <tr>
+      <td style="vertical-align: top;">
+        <strong>${ctx.plain("invoiceBillTo")}</strong><br>
+        ${doc.billTo.map(line => html`${line}<br>`)}
+      </td>
+      <td style="vertical-align: top; text-align: right;">
+        ${doc.meta.map(([label, value]) => html`<strong>${label}:</strong> ${value}<br>`)}
+      </td>
+    </tr>
+  </table>
+  <table style="margin-top: 30px;">
+    <thead>
+      <tr>${doc.columns.map((label, i) => html`<th align="${i === 0 ? "left" : "right"}" style="${cell} color: #999; font-size: 12px;">${label}</th>`)}</tr>
+    </thead>
+    <tbody>${doc.rows.map(row => html`
+      <tr>
+        <td style="${cell}">${row.description}${row.note ? html`<br><small style="color: #999;">${row.note}</small>` : ""}</td>
+        ${row.cells.map(value => html`<td align="right" style="${cell}">${value}</td>`)}
+      </tr>`)}
+    </tbody>
+  </table>
+  <table style="margin-top: 20px; width: 50%; margin-left: 50%;">
+    ${doc.totals.map(([label, value], i) => html`
+    <tr style="${i === doc.totals.length - 1 ? "font-weight: bold; font-size: 16px;" : ""}">
+      <td style="padding: 4px 0;">${label}</td>
+      <td align="right" style="padding: 4px 0;">${value}</td>
+    </tr>`)}
+  </table>
+  <p style="margin-top: 40px; font-size: 12px; color: #999;">${doc.footer}</p>
+</body>
+</html>`.value;
+}
+
+// =================================================================================
+// PDF
+// =================================================================================
+
+/** Renders an A4 PDF. Resolves with the file as a Buffer. */
+function renderInvoicePdf(invoice, locale) {
+  const ctx = createContext(locale);
+  const doc = buildLayout(invoice, ctx);
+  // The standard PDF fonts cannot encode narrow no-break spaces used by some locales
+  const txt = (value) => String(value || "").replace(/[\u00A0\u202F]/g, " ");
+
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    pdf.on("data", chunk => chunks.push(chunk));
+    pdf.on("end", () => resolve(Buffer.concat(chunks)));
+    pdf.on("error", reject);
+
+    const left = 50;
+    const width = 495;
+
+    // Header: seller and title
+    pdf.font("Helvetica").fontSize(10).text(doc.seller.map(txt).join("\n"), left, 50);
+    pdf.font("Helvetica-Bold").fontSize(20).text(txt(doc.title), left, 50, { width: width, align: "right" });
+
+    // Customer and document data
+    pdf.font("Helvetica-Bold").fontSize(10).text(txt(ctx.plain("invoiceBillTo")), left, 140);
+    pdf.font("Helvetica").text(doc.billTo.map(txt).join("\n"));
+    pdf.text(doc.meta.map(([label, value]) => `${txt(label)}: ${txt(value)}`).join("\n"), left, 140, { width: width, align: "right" });
+
+    // Line table
+    const cols = [{ x: left, w: 195 }, { x: 245, w: 40 }, { x: 285, w: 70 }, { x: 355, w: 45 }, { x: 400, w: 70 }, { x: 470, w: 75 }];
+    let y = 240;
+    pdf.font("Helvetica-Bold").fontSize(8).fillColor("#999999");
+    doc.columns.forEach((label, i) => pdf.text(txt(label), cols[i].x, y, { width: cols[i].w, align: i === 0 ? "left" : "right" }));
+    y += 15;
+    pdf.moveTo(left, y).lineTo(left + width, y).strokeColor("#eeeeee").stroke();
+    y += 6;
+
+    pdf.font("Helvetica").fontSize(9).fillColor("#333333");
+    doc.rows.forEach(row => {
+      if (y > 720) {
+        pdf.addPage();
+        y = 50;
+      }
+      pdf.text(txt(row.description), cols[0].x, y, { width: cols[0].w });
+      let rowHeight = pdf.heightOfString(txt(row.description), { width: cols[0].w });
+      if (row.note) {
+        pdf.fontSize(7).fillColor("#999999").text(txt(row.note), cols[0].x, y + rowHeight, { width: cols[0].w });
+        rowHeight += pdf.heightOfString(txt(row.note), { width: cols[0].w });
+        pdf.fontSize(9).fillColor("#333333");
+      }
+      row.cells.forEach((value, i) => pdf.text(txt(value), cols[i + 1].x, y, { width: cols[i + 1].w, align: "right" }));
+      y += Math.max(rowHeight, 12) + 8;
+    });
+
+    // Totals
+    y += 10;
+    doc.totals.forEach(([label, value], i) => {
+      const isTotal = i === doc.totals.length - 1;
+      pdf.font(isTotal ? "Helvetica-Bold" : "Helvetica").fontSize(isTotal ? 11 : 9);
+      pdf.text(txt(label), 300, y, { width: 170 });
+      pdf.text(txt(value), 470, y, { width: 75, align: "right" });
+      y += isTotal ? 18 : 14;
+    });
+
+    pdf.font("Helvetica").fontSize(8).fillColor("#999999").text(txt(doc.footer), left, y + 30, { width: width });
+    pdf.end();
+  });
+}
+
+module.exports = {
+  renderInvoiceHtml,
+  renderInvoicePdf,
+};
@@ -0,0 +1,146 @@
+/**
+ * ============================================================================
+ * PAYMENT PROVIDERS
+ * Pluggable payment service integrations used by `createPaymentIntent` and `paymentWebhook`.
+ * * Provider interface:
+ * - `name`: Stored on intents and orders.
+ * - `createIntent({ amount, currency, metadata })`: Registers a payment with the service.
+ *   `amount` is in minor units (cents). Resolves with `{ providerIntentId, clientSecret, status }`.
+ * - `verifyWebhook(rawBody, headers)`: Checks the signature of a webhook delivery and returns the
+ *   normalized event `{ id, type, providerIntentId, amount, currency, failureReason }`
+ *   (`type` is "succeeded" or "failed", `null` for events we do not handle).
+ *   Throws a `PaymentSignatureError` for unsigned, forged or stale deliveries.
+ * * The built-in `mock` provider needs no external service: it signs its own webhook
+ *   events (`simulateEvent`), so the whole flow runs in the emulator.
+ * ============================================================================
+ */
+
+const crypto = require("crypto");
+
+// Provider selection and webhook secret (environment config, see CLOUD_FUNCTIONS.md)
+const PROVIDER_NAME = process.env.PAYMENT_PROVIDER || "mock";
+const WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET
+  || (process.env.FUNCTIONS_EMULATOR === "true" ? "whsec_emulator" : "");
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60; // older deliveries are rejected (replay protection)
+
+/** Raised when a webhook delivery cannot be authenticated. */
+class PaymentSignatureError extends Error {}
+
+// =================================================================================
+// SIGNATURES
+// =================================================================================
+
+/** HMAC-SHA256 over "<timestamp>.<raw body>", hex encoded. */
+function computeSignature(secret, timestamp, rawBody) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${rawBody}`).digest("hex");
+}
+
+/** Builds a signature header value: "t=<unix seconds>,v1=<hmac>". */
+function signPayload(secret, rawBody, now = Date.now()) {
+  const timestamp = Math.floor(now / 1000);
+  return `t=${timestamp},v1=${computeSignature(secret, timestamp, rawBody)}`;
+}
+
+/**
+ * Verifies a "t=...,v1=..." signature header against the raw request body.
+ * Comparison is constant-time; the timestamp must be within the tolerance window.
+ */
+function verifySignature(secret, rawBody, header, now = Date.now()) {
+  if (!secret) throw new PaymentSignatureError("Webhook secret is not configured.");
+  if (typeof header !== "string" || !header) throw new PaymentSignatureError("Missing signature.");
+
+  const parts = {};
+  header.split(",").forEach(part => {
+    const [key, value] = part.split("=");
+    if (key && value) parts[key.trim()] = value.trim();
+  });
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) throw new PaymentSignatureError("Malformed signature.");
+  if (Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new PaymentSignatureError("Signature timestamp outside the tolerance window.");
+  }
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, rawBody), "hex");
+  const actual = Buffer.from(parts.v1, "hex");
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new PaymentSignatureError("Invalid signature.");
+  }
+}
+
+// =================================================================================
+// MOCK PROVIDER
+// =================================================================================
+
+const MOCK_SIGNATURE_HEADER = "x-mock-signature";
+
+/**
+ * In-process stand-in for a card processor. Intents are accepted immediately;
+ * the outcome is decided by `simulateEvent`, which produces a signed webhook
+ * delivery exactly like a real service would send it.
+ */
+function createMockProvider(secret) {
+  return {
+    name: "mock",
+
+    async createIntent() {
+      const intentId = `pi_mock_${crypto.randomBytes(12).toString("hex")}`;
+      return {
+        providerIntentId: intentId,
+        clientSecret: `${intentId}_secret_${crypto.randomBytes(12).toString("hex")}`,
+        status: "requires_confirmation",
+      };
+    },
+
+    verifyWebhook(rawBody, headers) {
+      verifySignature(secret, rawBody, headers[MOCK_SIGNATURE_HEADER]);
+      const event = JSON.parse(rawBody);
+      return {
+        id: event.id,
+        type: ["succeeded", "failed"].includes(event.type) ? event.type : null,
+        providerIntentId: event.intentId,
+        amount: event.amount,
+        currency: event.currency,
+        failureReason: event.failureReason || null,
+      };
+    },
+
+    /** Builds a signed delivery for an intent: `{ rawBody, headers }`. */
+    simulateEvent(intent, outcome) {
+      const rawBody = JSON.stringify({
+        id: `evt_mock_${crypto.randomBytes(12).toString("hex")}`,
+        type: outcome,
+        intentId: intent.providerIntentId,
+        amount: intent.amountMinor,
+        currency: intent.currency,
+        failureReason: outcome === "failed" ? "card_declined" : null,
+      });
+      return { rawBody: rawBody, headers: { [MOCK_SIGNATURE_HEADER]: signPayload(secret, rawBody) } };
+    },
+  };
+}
+
+// =================================================================================
+// REGISTRY
+// =================================================================================
+
+// Add real integrations here (factory receives the webhook secret).
+const PROVIDERS = {
+  mock: createMockProvider,
+};
+
+let cachedProvider = null;
+
+/** Returns the configured provider (`PAYMENT_PROVIDER`, default "mock"). */
+function getPaymentProvider() {
+  if (!cachedProvider) {
+    const factory = PROVIDERS[PROVIDER_NAME];
+    if (!factory) throw new Error(`Unknown payment provider "${PROVIDER_NAME}".`);
+    cachedProvider = factory(WEBHOOK_SECRET);
+  }
+  return cachedProvider;
+}
+
+module.exports = {
+  getPaymentProvider,
+  PaymentSignatureError,
+};
@@ -0,0 +1,96 @@
+/**
+ * ============================================================================
+ * RETURNS
+ * Bookkeeping shared by the return flow (`requestReturn` / `receiveReturn`) and `cancelOrder`.
+ * * Orders track returned units in `returnedQuantities` (per product ID) and refunded money in
+ *   `refundedAmount` (all returns) and `paymentRefundAmount` (the part refunded to the payment).
+ *   The rest of a return refund was issued as a new gift card.
+ * * Cancelling an order after received returns only reverses what the returns have not:
+ *   the remaining units, the remaining amount and the remaining invoice lines.
+ * ============================================================================
+ */
+
+/** Rounds to cents (same rule as the order totals). */
+function roundCurrency(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+/** Whether any units of the order were returned (or are in an open return). */
+function hasReturnedItems(order) {
+  return Object.values(order.returnedQuantities || {}).some(q => q > 0);
+}
+
+/**
+ * Computes what a cancellation still has to reverse after the order's returns.
+ * Returns `{ restock: { productId: units }, giftCardRefund, paymentRefund }`:
+ * - `restock`: units bought minus units returned, per product.
+ * - `giftCardRefund`: the applied gift card amount minus what returns already refunded as gift cards.
+ * - `paymentRefund`: the amount paid minus what returns already refunded to the payment, and minus
+ *   gift-card refunds of returns that exceeded the applied gift card amount.
+ * Without returns this is the full order: every unit, `giftCardAppliedAmount` and `finalAmountPaid`.
+ */
+function computeCancellationRefund(order) {
+  const returned = order.returnedQuantities || {};
+
+  const bought = {};
+  (order.items || []).forEach(item => {
+    if (!item.productId) return;
+    const quantity = (typeof item.quantity === 'number') ? item.quantity : 0;
+    bought[item.productId] = (bought[item.productId] || 0) + quantity;
+  });
+  const restock = {};
+  Object.entries(bought).forEach(([productId, quantity]) => {
+    const left = quantity - (returned[productId] || 0);
+    if (left > 0) restock[productId] = left;
+  });
+
+  const giftCardApplied = order.giftCardAppliedAmount || 0;
+  const paymentRefunded = order.paymentRefundAmount || 0;
+  const giftCardRefunded = Math.max(0, roundCurrency((order.refundedAmount || 0) - paymentRefunded));
+  const overflow = Math.max(0, roundCurrency(giftCardRefunded - giftCardApplied));
+
+  return {
+    restock: restock,
+    giftCardRefund: Math.max(0, roundCurrency(giftCardApplied - giftCardRefunded)),
+    paymentRefund: Math.max(0, roundCurrency((order.finalAmountPaid || 0) - paymentRefunded - overflow)),
+  };
+}
+
+/**
+ * Returns the invoice lines not yet reversed by return credit notes.
+ * Product lines lose their returned units (amounts scaled to the units left, fully returned lines
+ * are dropped); shipping and other lines are kept as they are.
+ */
+function remainingInvoiceLines(lines, returnedQuantities) {
+  const returned = { ...(returnedQuantities || {}) };
+  const remaining = [];
+  (lines || []).forEach(line => {
+    const units = (line.kind === "product" && line.quantity > 0) ? Math.min(returned[line.productId] || 0, line.quantity) : 0;
+    if (units === 0) {
+      remaining.push(line);
+      return;
+    }
+    returned[line.productId] -= units;
+    const left = line.quantity - units;
+    if (left === 0) return;
+
+    const share = left / line.quantity;
+    const grossAmount = roundCurrency(line.grossAmount * share);
+    const netAmount = roundCurrency(line.netAmount * share);
+    remaining.push({
+      ...line,
+      quantity: left,
+      discountAmount: roundCurrency((line.discountAmount || 0) * share),
+      grossAmount: grossAmount,
+      netAmount: netAmount,
+      taxAmount: roundCurrency(grossAmount - netAmount),
+    });
+  });
+  return remaining;
+}
+
+module.exports = {
+  hasReturnedItems,
+  computeCancellationRefund,
+  remainingInvoiceLines,
+};
@@ -0,0 +1,71 @@
+/**
+ * ============================================================================
+ * ROLE CLAIM MIGRATION (one-off)
+ * Gives every profile with a role its `role` custom claim, so admins from before roles
+ * existed (`users/{uid}.isAdmin: true`, no claim) keep their rights once the claim is the
+ * only thing the callables and `firestore.rules` check.
+ * * Usage (from `functions/`, with credentials of the project, e.g. GOOGLE_APPLICATION_CREDENTIALS):
+ *   npm run migrate:roles -- [--dry-run]
+ * * Profiles without `role` count as "admin" for `isAdmin: true` (else "customer"), the same
+ *   mapping `syncUserRoleClaims` uses. The higher of that role and an existing claim is written
+ *   to both, so nobody loses rights. Affected users see them after their next ID token refresh.
+ * ============================================================================
+ */
+
+const admin = require("firebase-admin");
+
+// Mirrors `USER_ROLES` in index.js (lowest to highest).
+const USER_ROLES = ["customer", "admin", "super_admin"];
+const PAGE_SIZE = 300;
+
+/** The role stored on a profile. Profiles from before roles existed only carry `isAdmin`. */
+function profileRole(profile) {
+  if (USER_ROLES.includes(profile.role)) return profile.role;
+  return profile.isAdmin === true ? "admin" : "customer";
+}
+
+async function migrate({ dryRun }) {
+  admin.initializeApp();
+  const db = admin.firestore();
+  const counts = { checked: 0, updated: 0, missing: 0 };
+
+  let lastDoc = null;
+  do {
+    let query = db.collection("users").orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+    const page = await query.get();
+
+    for (const doc of page.docs) {
+      counts.checked++;
+      const profile = doc.data();
+      let user;
+      try {
+        user = await admin.auth().getUser(doc.id);
+      } catch (e) {
+        if (e.code !== "auth/user-not-found") throw e;
+        counts.missing++;
+        continue;
+      }
+      // Nobody loses rights here: the higher of profile role and claim wins
+      const claims = { ...(user.customClaims || {}) };
+      const current = USER_ROLES.includes(claims.role) ? claims.role : "customer";
+      const stored = profileRole(profile);
+      const role = USER_ROLES.indexOf(stored) > USER_ROLES.indexOf(current) ? stored : current;
+      if (role === current && stored === role) continue;
+
+      console.log(`${doc.id}: claim "${current}", profile "${stored}" -> "${role}"${dryRun ? " (dry run)" : ""}`);
+      counts.updated++;
+      if (dryRun) continue;
+      if (role !== current) await admin.auth().setCustomUserClaims(doc.id, { ...claims, role: role });
+      await doc.ref.update({ role: role, isAdmin: role !== "customer" });
+    }
+    lastDoc = page.size < PAGE_SIZE ? null : page.docs[page.docs.length - 1];
+  } while (lastDoc);
+
+  console.log(`Checked ${counts.checked} profiles, ${dryRun ? "would update" : "updated"} ${counts.updated}, ${counts.missing} without an account.`);
+}
+
+migrate({ dryRun: process.argv.includes("--dry-run") }).catch(e => {
+  console.error(e);
+  process.exit(1);
+});
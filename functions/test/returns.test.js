@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { hasReturnedItems, computeCancellationRefund, remainingInvoiceLines } = require("../returns");
+
+// A shipped order: 3 × A at 20 € and 1 × B at 10 €, 5 € shipping, 15 € paid by gift card.
+const order = {
+  items: [
+    { productId: "A", quantity: 3, productPrice: 20 },
+    { productId: "B", quantity: 1, productPrice: 10 },
+  ],
+  giftCardAppliedAmount: 15,
+  finalAmountPaid: 60,
+};
+
+const invoiceLines = [
+  { kind: "product", productId: "A", quantity: 3, unitPrice: 20, vatRate: 0.2, discountAmount: 0, grossAmount: 60, netAmount: 50, taxAmount: 10 },
+  { kind: "product", productId: "B", quantity: 1, unitPrice: 10, vatRate: 0.2, discountAmount: 0, grossAmount: 10, netAmount: 8.33, taxAmount: 1.67 },
+  { kind: "shipping", description: "Standard", quantity: 1, unitPrice: 5, vatRate: 0.2, discountAmount: 0, grossAmount: 5, netAmount: 4.17, taxAmount: 0.83 },
+];
+
+test("cancelling without returns reverses the whole order", () => {
+  assert.equal(hasReturnedItems(order), false);
+  assert.deepEqual(computeCancellationRefund(order), {
+    restock: { A: 3, B: 1 },
+    giftCardRefund: 15,
+    paymentRefund: 60,
+  });
+  assert.deepEqual(remainingInvoiceLines(invoiceLines, {}), invoiceLines);
+});
+
+test("cancelling after a return refunded to the payment leaves out the returned units and amount", () => {
+  const returned = { ...order, returnedQuantities: { A: 1 }, refundedAmount: 20, paymentRefundAmount: 20 };
+
+  assert.equal(hasReturnedItems(returned), true);
+  assert.deepEqual(computeCancellationRefund(returned), {
+    restock: { A: 2, B: 1 },
+    giftCardRefund: 15,
+    paymentRefund: 40,
+  });
+
+  const lines = remainingInvoiceLines(invoiceLines, returned.returnedQuantities);
+  assert.equal(lines.length, 3);
+  assert.deepEqual(lines[0], { ...invoiceLines[0], quantity: 2, grossAmount: 40, netAmount: 33.33, taxAmount: 6.67 });
+  assert.deepEqual(lines.slice(1), invoiceLines.slice(1));
+});
+
+test("return refunds issued as gift cards come out of the gift card refund first, then the payment", () => {
+  const returned = {
+    ...order,
+    returnedQuantities: { A: 1, B: 1 },
+    refundedAmount: 30,
+    paymentRefundAmount: 0,
+  };
+
+  assert.deepEqual(computeCancellationRefund(returned), {
+    restock: { A: 2 },
+    giftCardRefund: 0,
+    paymentRefund: 45,
+  });
+  assert.deepEqual(remainingInvoiceLines(invoiceLines, returned.returnedQuantities).map(l => l.productId || l.kind), ["A", "shipping"]);
+});
+
+test("a fully returned order has nothing left to restock or credit but the shipping", () => {
+  const returned = {
+    ...order,
+    returnedQuantities: { A: 3, B: 1 },
+    refundedAmount: 70,
+    paymentRefundAmount: 55,
+  };
+
+  assert.deepEqual(computeCancellationRefund(returned), {
+    restock: {},
+    giftCardRefund: 0,
+    paymentRefund: 5,
+  });
+  assert.deepEqual(remainingInvoiceLines(invoiceLines, returned.returnedQuantities), [invoiceLines[2]]);
+});
@@ -18,7 +18,10 @@ import 'package:webshop/widgets/custom_image.dart';
 /// 4. A button to proceed to the Shipping/Checkout phase.
 ///
 /// It relies on Riverpod providers ([cartItemsProvider], [cartDetailsProvider])
-/// to reactively update the UI as the cart state changes.
+/// to reactively update the UI as the cart state changes. [cartValidationProvider]
+/// checks the cart against the catalogue: issues (changed price, not enough
+/// stock, invalid quantity) are shown on the affected line, and checkout stays
+/// disabled until they are resolved.
 class CartPage extends ConsumerWidget {
   const CartPage({super.key});
 
@@ -30,6 +33,19 @@ class CartPage extends ConsumerWidget {
     // Watch cart details (Map<String, dynamic>) for totals and discounts.
     final cartDetailsAsync = ref.watch(cartDetailsProvider);
     
+    // Watch the server-side validation; issues are grouped by product ID.
+    final validationAsync = ref.watch(cartValidationProvider);
+    final issues = ((validationAsync.value?['issues'] as List?) ?? [])
+        .map((i) => Map<String, dynamic>.from(i as Map))
+        .toList();
+    final bool hasPriceChanges =
+        issues.any((i) => i['type'] == 'price_changed');
+    // Lines the list cannot show (deleted product, unreadable quantity)
+    final visibleIds =
+        (cartItemsAsync.value ?? []).map((i) => i.product.id).toSet();
+    final hiddenIssues =
+        issues.where((i) => !visibleIds.contains(i['productId'])).toList();
+
     // Access the service to perform write operations (update/delete).
     final CartService cartService = ref.read(cartServiceProvider);
 
@@ -53,6 +69,24 @@ class CartPage extends ConsumerWidget {
       }
     }
 
+    /// Updates the cart items to the current catalogue prices.
+    Future<void> _acceptPriceChanges(BuildContext context) async {
+      try {
+        await cartService.validateCart(acceptChanges: true);
+        ref.invalidate(cartValidationProvider);
+      } catch (e) {
+        if (context.mounted) {
+          ScaffoldMessenger.of(context).showSnackBar(
+            SnackBar(
+              content: Text('Error updating prices: $e'),
+              backgroundColor: errorColor,
+              duration: const Duration(seconds: 2),
+            ),
+          );
+        }
+      }
+    }
+
     return Scaffold(
       appBar: AppBar(title: const Text('Your Cart')),
       body: Column(
@@ -84,6 +118,9 @@ class CartPage extends ConsumerWidget {
                   itemCount: items.length,
                   itemBuilder: (context, index) {
                     final item = items[index];
+                    final itemIssues = issues
+                        .where((i) => i['productId'] == item.product.id)
+                        .toList();
                     return Card(
                       margin: const EdgeInsets.symmetric(
                           horizontal: smallPadding, vertical: 4),
@@ -120,6 +157,13 @@ class CartPage extends ConsumerWidget {
                                     '€${item.product.price.toStringAsFixed(2)}',
                                     style: TextStyle(color: Colors.grey[700]),
                                   ),
+                                  // Issues reported by `validateCart`
+                                  for (final issue in itemIssues)
+                                    Text(
+                                      CartChangedException.describe(issue),
+                                      style: const TextStyle(
+                                          color: errorColor, fontSize: 12),
+                                    ),
                                 ],
                               ),
                             ),
@@ -200,6 +244,45 @@ class CartPage extends ConsumerWidget {
                   child: Column(
                     mainAxisSize: MainAxisSize.min,
                     children: [
+                      // Cart Issues Banner (Conditional)
+                      if (issues.isNotEmpty)
+                        Padding(
+                          padding: const EdgeInsets.only(bottom: 8.0),
+                          child: Row(
+                            children: [
+                              const Icon(Icons.warning_amber,
+                                  color: errorColor),
+                              const SizedBox(width: 8),
+                              const Expanded(
+                                child: Text(
+                                    'Some items have changed. Please review your cart.',
+                                    style: TextStyle(color: errorColor)),
+                              ),
+                              if (hasPriceChanges)
+                                TextButton(
+                                  onPressed: () =>
+                                      _acceptPriceChanges(context),
+                                  child: const Text('Accept New Prices'),
+                                ),
+                            ],
+                          ),
+                        ),
+                      for (final issue in hiddenIssues)
+                        Row(
+                          children: [
+                            Expanded(
+                              child: Text(
+                                  '${issue['productName']}: ${CartChangedException.describe(issue)}',
+                                  style: const TextStyle(color: errorColor)),
+                            ),
+                            TextButton(
+                              onPressed: () => cartService
+                                  .removeCartItem(issue['productId'] as String),
+                              child: const Text('Remove'),
+                            ),
+                          ],
+                        ),
+
                       // Subtotal Row
                       Row(
                         mainAxisAlignment: MainAxisAlignment.spaceBetween,
@@ -254,7 +337,8 @@ class CartPage extends ConsumerWidget {
                         width: double.infinity,
                         height: 50,
                         child: ElevatedButton(
-                          onPressed: () {
+                          // Disabled while the cart has unresolved issues
+                          onPressed: issues.isNotEmpty ? null : () {
                             // Navigate to the Shipping Address Form
                             Navigator.of(context).push(
                               MaterialPageRoute(
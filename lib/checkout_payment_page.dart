@@ -1,5 +1,6 @@
 // lib/checkout_payment_page.dart
 import 'package:flutter/material.dart';
+import 'package:flutter/services.dart';
 import 'package:flutter_riverpod/flutter_riverpod.dart';
 import 'package:webshop/order_confirmation_page.dart';
 import 'package:webshop/services/order_service.dart';
@@ -7,14 +8,15 @@ import 'package:webshop/services/auth_service.dart';
 import 'package:webshop/services/cart_service.dart';
 import 'package:webshop/models/cart_item.dart';
 import 'package:webshop/providers/cart_providers.dart';
+import 'package:webshop/providers/user_provider.dart';
 import 'package:webshop/utils/constants.dart';
 
 /// The final step of the checkout process.
 ///
 /// This screen allows the user to:
 /// 1. Review their order items and financial breakdown.
-/// 2. Apply or remove Gift Cards.
-/// 3. Confirm the payment method (simulated).
+/// 2. Apply or remove Promo Codes and Gift Cards and redeem Fidelity Points.
+/// 3. Confirm the payment method (the server's mock provider unless a real one is configured).
 /// 4. Finalize the order, which triggers server-side processing and local updates.
 class CheckoutPaymentPage extends ConsumerStatefulWidget {
   const CheckoutPaymentPage({super.key});
@@ -29,8 +31,10 @@ class _CheckoutPaymentPageState extends ConsumerState<CheckoutPaymentPage> {
   final OrderService _orderService = OrderService();
   final AuthService _authService = AuthService();
 
-  // Controller for the gift card input field
+  // Controllers for the promo code, gift card and fidelity points input fields
+  final TextEditingController _promoCodeController = TextEditingController();
   final TextEditingController _giftCardController = TextEditingController();
+  final TextEditingController _pointsController = TextEditingController();
 
   // Local state to show a loading spinner during async network operations
   bool _isLoading = false;
@@ -40,7 +44,9 @@ class _CheckoutPaymentPageState extends ConsumerState<CheckoutPaymentPage> {
 
   @override
   void dispose() {
+    _promoCodeController.dispose();
     _giftCardController.dispose();
+    _pointsController.dispose();
     super.dispose();
   }
 
@@ -78,8 +84,20 @@ class _CheckoutPaymentPageState extends ConsumerState<CheckoutPaymentPage> {
         (cartDetails['totalPrice'] as num?)?.toDouble() ?? 0.0;
     final double giftCardAppliedAmount =
         (cartDetails['giftCardAppliedAmount'] as num?)?.toDouble() ?? 0.0;
+    final String? appliedPromoCode =
+        cartDetails['appliedPromoCode'] as String?;
+    final double promoDiscountAmount =
+        (cartDetails['promoDiscountAmount'] as num?)?.toDouble() ?? 0.0;
+    final int fidelityPointsRedeemed =
+        (cartDetails['fidelityPointsRedeemed'] as num?)?.toInt() ?? 0;
+    final double fidelityDiscountAmount =
+        (cartDetails['fidelityDiscountAmount'] as num?)?.toDouble() ?? 0.0;
     final double finalAmountToPay =
         (cartDetails['finalAmountToPay'] as num?)?.toDouble() ?? 0.0;
+    final String? shippingMethodName =
+        cartDetails['shippingMethodName'] as String?;
+    final double shippingCost =
+        (cartDetails['shippingCost'] as num?)?.toDouble() ?? 0.0;
     
     // Update local variable for UI logic
     _appliedGiftCardCode = cartDetails['appliedGiftCardCode'] as String?;
@@ -102,23 +120,38 @@ class _CheckoutPaymentPageState extends ConsumerState<CheckoutPaymentPage> {
                 
                 // 2. Financial Breakdown (Subtotal, Discount, Total)
                 _buildFinancialBreakdown(
-                    totalPrice, giftCardAppliedAmount, finalAmountToPay),
+                    totalPrice,
+                    promoDiscountAmount,
+                    fidelityDiscountAmount,
+                    giftCardAppliedAmount,
+                    finalAmountToPay,
+                    shippingMethodName,
+                    shippingCost),
                 
                 const SizedBox(height: 24),
                 
-                // 3. Gift Card Management Section
+                // 3. Promo Code Section
+                _buildPromoCodeSection(
+                    appliedPromoCode, cartDetails['promoError'] as String?),
+                
+                const SizedBox(height: 24),
+                
+                // 4. Gift Card Management Section
                 _buildGiftCardSection(),
                 
+                // 5. Fidelity Points (only for active fidelity cards)
+                _buildFidelitySection(fidelityPointsRedeemed),
+                
                 const SizedBox(height: 24),
                 
-                // 4. Payment Method Selection (Static for this demo)
+                // 6. Payment Method Selection (Static for this demo)
                 _buildPaymentMethodSection(),
               ],
             ),
           ),
         ),
         
-        // 5. "Complete Order" Action Button (Pinned to bottom)
+        // 7. "Complete Order" Action Button (Pinned to bottom)
         _buildActionButton(finalAmountToPay),
       ],
     );
@@ -190,12 +223,26 @@ class _CheckoutPaymentPageState extends ConsumerState<CheckoutPaymentPage> {
     );
   }
 
-  /// Builds the section displaying Subtotal, Discounts, and Final Total.
-  Widget _buildFinancialBreakdown(double totalPrice,
-      double giftCardAppliedAmount, double finalAmountToPay) {
+  /// Builds the section displaying Subtotal, Shipping, Discounts, and Final Total.
+  Widget _buildFinancialBreakdown(
+      double totalPrice,
+      double promoDiscountAmount,
+      double fidelityDiscountAmount,
+      double giftCardAppliedAmount,
+      double finalAmountToPay,
+      String? shippingMethodName,
+      double shippingCost) {
     return Column(
       children: [
         _buildPriceRow('Subtotal:', totalPrice),
+        if (promoDiscountAmount > 0)
+          _buildPriceRow('Discount (Promo Code):', -promoDiscountAmount,
+              color: successColor),
+        if (fidelityDiscountAmount > 0)
+          _buildPriceRow('Discount (Fidelity Points):', -fidelityDiscountAmount,
+              color: successColor),
+        if (shippingMethodName != null)
+          _buildPriceRow('Shipping ($shippingMethodName):', shippingCost),
         if (giftCardAppliedAmount > 0)
           _buildPriceRow('Discount (Gift Card):', -giftCardAppliedAmount,
               color: successColor),
@@ -205,6 +252,61 @@ class _CheckoutPaymentPageState extends ConsumerState<CheckoutPaymentPage> {
     );
   }
 
+  /// Builds the Promo Code input or applied status section.
+  ///
+  /// [promoError] is set by the server when a cart change made the applied
+  /// code invalid (e.g. the minimum spend is no longer reached).
+  Widget _buildPromoCodeSection(String? appliedPromoCode, String? promoError) {
+    return Column(
+      crossAxisAlignment: CrossAxisAlignment.start,
+      children: [
+        const Text(
+          promoCodeTitle,
+          style: TextStyle(fontSize: 20, fontWeight: FontWeight.bold),
+        ),
+        const SizedBox(height: smallPadding),
+        if (appliedPromoCode != null && appliedPromoCode.isNotEmpty) ...[
+          Row(
+            children: [
+              Expanded(
+                child: Text(
+                  'Promo Code Applied: $appliedPromoCode',
+                  style: TextStyle(
+                      fontSize: 16,
+                      color: promoError == null ? successColor : errorColor),
+                ),
+              ),
+              TextButton(
+                onPressed: _removePromoCode,
+                child: const Text('Remove'),
+              ),
+            ],
+          ),
+          if (promoError != null)
+            Text(promoError, style: const TextStyle(color: errorColor)),
+        ] else
+          Row(
+            children: [
+              Expanded(
+                child: TextFormField(
+                  controller: _promoCodeController,
+                  decoration: const InputDecoration(
+                    labelText: 'Promo Code',
+                    border: OutlineInputBorder(),
+                  ),
+                ),
+              ),
+              const SizedBox(width: smallPadding),
+              ElevatedButton(
+                onPressed: _applyPromoCode,
+                child: const Text('Apply'),
+              ),
+            ],
+          ),
+      ],
+    );
+  }
+
   /// Builds the Gift Card input or applied status section.
   Widget _buildGiftCardSection() {
     return Column(
@@ -265,6 +367,70 @@ class _CheckoutPaymentPageState extends ConsumerState<CheckoutPaymentPage> {
     );
   }
 
+  /// Builds the Fidelity Points redemption section.
+  ///
+  /// Hidden unless the user has an active fidelity card. The balance comes
+  /// from the live profile; the points are only debited when the order is
+  /// completed.
+  Widget _buildFidelitySection(int pointsRedeemed) {
+    final profile = ref.watch(userProfileProvider).value;
+    if (profile == null || !profile.isFidelityActive) {
+      return const SizedBox.shrink();
+    }
+
+    return Column(
+      crossAxisAlignment: CrossAxisAlignment.start,
+      children: [
+        const SizedBox(height: 24),
+        const Text(
+          fidelityPointsTitle,
+          style: TextStyle(fontSize: 20, fontWeight: FontWeight.bold),
+        ),
+        const SizedBox(height: smallPadding),
+        if (pointsRedeemed > 0)
+          Row(
+            children: [
+              Expanded(
+                child: Text(
+                  'Points Redeemed: $pointsRedeemed',
+                  style: const TextStyle(fontSize: 16, color: successColor),
+                ),
+              ),
+              TextButton(
+                onPressed: _removeFidelityPoints,
+                child: const Text('Remove'),
+              ),
+            ],
+          )
+        else ...[
+          Text('Available: ${profile.fidelityPoints} points'),
+          const SizedBox(height: smallPadding),
+          Row(
+            children: [
+              Expanded(
+                child: TextFormField(
+                  controller: _pointsController,
+                  keyboardType: TextInputType.number,
+                  inputFormatters: [FilteringTextInputFormatter.digitsOnly],
+                  decoration: const InputDecoration(
+                    labelText: 'Points to Redeem',
+                    border: OutlineInputBorder(),
+                  ),
+                ),
+              ),
+              const SizedBox(width: smallPadding),
+              ElevatedButton(
+                onPressed:
+                    profile.fidelityPoints > 0 ? _redeemFidelityPoints : null,
+                child: const Text('Redeem'),
+              ),
+            ],
+          ),
+        ],
+      ],
+    );
+  }
+
   /// Builds the section showing the selected payment method.
   Widget _buildPaymentMethodSection() {
     return Column(
@@ -278,7 +444,7 @@ class _CheckoutPaymentPageState extends ConsumerState<CheckoutPaymentPage> {
         const Card(
           child: ListTile(
             leading: Icon(Icons.credit_card),
-            title: Text('Credit/Debit Card (Simulated)'),
+            title: Text('Credit/Debit Card'),
             trailing: Icon(Icons.check_circle_outline, color: successColor),
           ),
         ),
@@ -363,6 +529,45 @@ class _CheckoutPaymentPageState extends ConsumerState<CheckoutPaymentPage> {
 
   // --- BUSINESS LOGIC METHODS ---
 
+  /// Attempts to apply a promo code using the CartService.
+  Future<void> _applyPromoCode() async {
+    final promoCode = _promoCodeController.text.trim();
+    if (promoCode.isEmpty) {
+      _showSnackBar('Please enter a promo code.', isError: true);
+      return;
+    }
+
+    setState(() => _isLoading = true);
+
+    try {
+      final CartService cartService = ref.read(cartServiceProvider);
+      await cartService.applyPromoCode(promoCode);
+
+      _showSnackBar('Promo code applied successfully!');
+      _promoCodeController.clear();
+    } catch (e) {
+      _showErrorDialog('Promo Code Error', e.toString());
+    } finally {
+      if (mounted) setState(() => _isLoading = false);
+    }
+  }
+
+  /// Removes the currently applied promo code using the CartService.
+  Future<void> _removePromoCode() async {
+    setState(() => _isLoading = true);
+
+    try {
+      final CartService cartService = ref.read(cartServiceProvider);
+      await cartService.removePromoCode();
+
+      _showSnackBar('Promo code removed successfully!');
+    } catch (e) {
+      _showErrorDialog('Promo Code Error', e.toString());
+    } finally {
+      if (mounted) setState(() => _isLoading = false);
+    }
+  }
+
   /// Attempts to apply a gift card using the CartService.
   Future<void> _applyGiftCard() async {
     final giftCardCode = _giftCardController.text.trim();
@@ -402,12 +607,57 @@ class _CheckoutPaymentPageState extends ConsumerState<CheckoutPaymentPage> {
     }
   }
 
+  /// Redeems the entered fidelity points on the cart using the CartService.
+  Future<void> _redeemFidelityPoints() async {
+    final points = int.tryParse(_pointsController.text.trim()) ?? 0;
+    if (points <= 0) {
+      _showSnackBar('Please enter the points to redeem.', isError: true);
+      return;
+    }
+
+    setState(() => _isLoading = true);
+
+    try {
+      final CartService cartService = ref.read(cartServiceProvider);
+      final result = await cartService.redeemFidelityPoints(points);
+      final discount = (result['discountAmount'] as num?)?.toDouble() ?? 0.0;
+
+      _showSnackBar(
+          '${result['pointsRedeemed']} points redeemed (€${discount.toStringAsFixed(2)} off)!');
+      _pointsController.clear();
+    } catch (e) {
+      _showErrorDialog('Fidelity Points Error', e.toString());
+    } finally {
+      if (mounted) setState(() => _isLoading = false);
+    }
+  }
+
+  /// Removes the redeemed fidelity points from the cart using the CartService.
+  Future<void> _removeFidelityPoints() async {
+    setState(() => _isLoading = true);
+
+    try {
+      final CartService cartService = ref.read(cartServiceProvider);
+      await cartService.redeemFidelityPoints(0);
+
+      _showSnackBar('Fidelity points removed.');
+    } catch (e) {
+      _showErrorDialog('Fidelity Points Error', e.toString());
+    } finally {
+      if (mounted) setState(() => _isLoading = false);
+    }
+  }
+
   /// Finalizes the order process.
   /// 
   /// 1. Retrieves user email.
-  /// 2. Fetches current cart subtotal for fidelity points calculation.
-  /// 3. Calls the OrderService to process the transaction.
-  /// 4. Navigates to the Confirmation Page on success.
+  /// 2. Creates a payment intent if anything is left to pay (the server takes
+  ///    the amount from the cart).
+  /// 3. Calls the OrderService to process the transaction (totals and fidelity
+  ///    points are computed server-side) and links the payment to the order.
+  /// 4. Confirms the payment. The server marks the order as paid once the
+  ///    provider reports it.
+  /// 5. Navigates to the Confirmation Page on success.
   Future<void> _completeOrder() async {
     final userEmail = _authService.currentUser?.email;
 
@@ -417,20 +667,31 @@ class _CheckoutPaymentPageState extends ConsumerState<CheckoutPaymentPage> {
       return;
     }
 
-    // 1. Retrieve the cart total (Subtotal) to calculate fidelity points correctly
-    final cartState = ref.read(cartDetailsProvider);
-    // 'subtotal' comes from the logic in cart_providers.dart, representing the raw cart value
-    final double subtotal =
-        (cartState.value?['subtotal'] as num?)?.toDouble() ?? 0.0;
-
     setState(() => _isLoading = true);
 
     try {
-      // 2. Pass the subtotal to the completeOrder method service
-      final result = await _orderService.completeOrder(userEmail, subtotal);
+      final cartDetails = ref.read(cartDetailsProvider).value ?? {};
+      final amountDue =
+          (cartDetails['finalAmountToPay'] as num?)?.toDouble() ?? 0.0;
+
+      Map<String, dynamic>? intent;
+      if (amountDue > 0) {
+        intent = await _orderService.createPaymentIntent();
+      }
+
+      final result = await _orderService.completeOrder(userEmail,
+          paymentIntentId: intent?['paymentIntentId'] as String?);
 
       final data = result as Map<String, dynamic>?;
 
+      if (intent != null &&
+          intent['provider'] == 'mock' &&
+          data?['paymentStatus'] == 'awaiting_payment') {
+        // Stands in for the card form of a real provider
+        await _orderService
+            .confirmMockPayment(intent['paymentIntentId'] as String);
+      }
+
       if (data != null && data['orderId'] != null) {
         if (mounted) {
           // Navigate to Success Page on successful order
@@ -449,6 +710,11 @@ class _CheckoutPaymentPageState extends ConsumerState<CheckoutPaymentPage> {
         _showErrorDialog('Order Error',
             'Unexpected response from the order completion service.');
       }
+    } on CartChangedException catch (e) {
+      // The cart page shows the issues per line (re-validated on return).
+      ref.invalidate(cartValidationProvider);
+      _showErrorDialog('Cart Changed',
+          '$e\n\nPlease review your cart before ordering.');
     } catch (e) {
       _showErrorDialog('Error Completing Order', e.toString());
     } finally {
@@ -2,6 +2,7 @@
 import 'package:flutter/material.dart';
 import 'package:webshop/checkout_payment_page.dart';
 import 'package:webshop/services/auth_service.dart';
+import 'package:webshop/services/cart_service.dart';
 import 'package:webshop/models/app_user.dart';
 import 'package:webshop/utils/constants.dart';
 import 'package:webshop/utils/ui_helper.dart';
@@ -10,6 +11,7 @@ import 'package:webshop/utils/ui_helper.dart';
 ///
 /// This form captures the user's physical address. It attempts to pre-fill
 /// data from the existing user profile (if available) to speed up checkout.
+/// Before moving on, the user picks a shipping method priced for the address.
 class CheckoutShippingPage extends StatefulWidget {
   const CheckoutShippingPage({super.key});
 
@@ -29,6 +31,7 @@ class _CheckoutShippingPageState extends State<CheckoutShippingPage> {
   final _cityController = TextEditingController();
 
   final AuthService _authService = AuthService();
+  final CartService _cartService = CartService();
 
   // Cache the user profile to modify it safely before saving.
   AppUser? _currentUserProfile;
@@ -41,6 +44,9 @@ class _CheckoutShippingPageState extends State<CheckoutShippingPage> {
     super.initState();
     // Fetch existing data as soon as the screen loads.
     _loadShippingDetails();
+    // Checkout starts here: hold the cart quantities so the order cannot
+    // fail for lack of stock on the payment step.
+    _reserveCart();
   }
 
   @override
@@ -54,6 +60,15 @@ class _CheckoutShippingPageState extends State<CheckoutShippingPage> {
     super.dispose();
   }
 
+  /// Reserves the cart stock on the server for the duration of the checkout.
+  Future<void> _reserveCart() async {
+    try {
+      await _cartService.reserveCart();
+    } catch (e) {
+      if (mounted) UiHelper.showError(context, e);
+    }
+  }
+
   /// Fetches the user's profile from Firestore and pre-fills the form fields.
   Future<void> _loadShippingDetails() async {
     setState(() => _isLoading = true);
@@ -101,6 +116,43 @@ class _CheckoutShippingPageState extends State<CheckoutShippingPage> {
     await _authService.saveAppUserProfile(updatedUserProfile);
   }
 
+  /// Loads the shipping methods for the entered postcode and lets the user pick one.
+  ///
+  /// Returns `true` once the chosen method has been stored on the cart.
+  Future<bool> _chooseShippingMethod() async {
+    final postcode = _postcodeController.text.trim();
+    final options = await _cartService.getShippingOptions(postcode: postcode);
+    if (!mounted) return false;
+    if (options.isEmpty) {
+      UiHelper.showError(
+          context, 'No shipping method is available for this address.');
+      return false;
+    }
+
+    final methodId = await showDialog<String>(
+      context: context,
+      builder: (ctx) => SimpleDialog(
+        title: const Text('Shipping Method'),
+        children: options.map((option) {
+          final price = (option['price'] as num?)?.toDouble() ?? 0.0;
+          final days = option['deliveryDays'] as int?;
+          return ListTile(
+            title: Text(option['name'] as String? ?? ''),
+            subtitle: days != null && days > 0
+                ? Text('$days business day(s)')
+                : null,
+            trailing: Text(price > 0 ? '€${price.toStringAsFixed(2)}' : 'Free'),
+            onTap: () => Navigator.pop(ctx, option['methodId'] as String?),
+          );
+        }).toList(),
+      ),
+    );
+    if (methodId == null) return false;
+
+    await _cartService.selectShippingMethod(methodId, postcode: postcode);
+    return true;
+  }
+
   /// Validates inputs, saves data, and navigates to the Payment step.
   void _processCheckout() async {
     // 1. Run all validators. If any fail, stop here.
@@ -112,7 +164,10 @@ class _CheckoutShippingPageState extends State<CheckoutShippingPage> {
       // 2. Save data to Firestore
       await _saveShippingDetails();
 
-      // 3. Navigate to Payment Page
+      // 3. Choose the shipping method (its cost is added to the cart total)
+      if (!await _chooseShippingMethod()) return;
+
+      // 4. Navigate to Payment Page
       if (mounted) {
         Navigator.of(context).push(
           MaterialPageRoute(builder: (context) => const CheckoutPaymentPage()),
@@ -37,9 +37,16 @@ class AppUser {
 
   /// Indicates if the user has administrative privileges.
   ///
-  /// If `true`, the user can access the Admin Dashboard and modify products.
+  /// Derived from [role] by the backend; the app never writes it. For display
+  /// only: access is granted by the `role` custom claim of the ID token (see
+  /// `AuthService.getCurrentRole`).
   final bool isAdmin;
 
+  /// The user's role: 'customer', 'admin' or 'super_admin'.
+  ///
+  /// Assigned by super admins via the `setUserRole` Cloud Function.
+  final String role;
+
   // ==================================================================
   // FIDELITY PROGRAM FIELDS
   // ==================================================================
@@ -48,8 +55,12 @@ class AppUser {
   final bool isFidelityActive;
 
   /// The current balance of loyalty points accumulated by the user.
+  /// Credited and debited by the backend only (see `completeOrder`).
   final int fidelityPoints;
 
+  /// Whether the user may assign roles to other users.
+  bool get isSuperAdmin => role == 'super_admin';
+
   /// Creates a constant instance of [AppUser].
   const AppUser({
     required this.id,
@@ -60,6 +71,7 @@ class AppUser {
     this.postcode,
     this.city,
     this.isAdmin = false,
+    this.role = 'customer',
     this.isFidelityActive = false, // Defaults to inactive
     this.fidelityPoints = 0,       // Defaults to 0 points
   });
@@ -84,6 +96,9 @@ class AppUser {
       postcode: data['postcode'] as String?,
       city: data['city'] as String?,
       isAdmin: data['isAdmin'] as bool? ?? false,
+      // Profiles from before roles existed only carry the `isAdmin` flag.
+      role: data['role'] as String? ??
+          ((data['isAdmin'] as bool? ?? false) ? 'admin' : 'customer'),
       
       // Reading Fidelity Program fields with safe defaults
       isFidelityActive: data['isFidelityActive'] as bool? ?? false,
@@ -94,6 +109,8 @@ class AppUser {
   /// Converts the [AppUser] instance into a JSON-compatible Map.
   ///
   /// This is used when saving or updating the user profile in Cloud Firestore.
+  /// [isAdmin], [role] and [fidelityPoints] are managed by the backend and
+  /// therefore not included.
   Map<String, dynamic> toMap() {
     return {
       'email': email,
@@ -102,9 +119,7 @@ class AppUser {
       'address': address,
       'postcode': postcode,
       'city': city,
-      'isAdmin': isAdmin,
       'isFidelityActive': isFidelityActive,
-      'fidelityPoints': fidelityPoints,
     };
   }
 
@@ -122,6 +137,7 @@ class AppUser {
     String? postcode,
     String? city,
     bool? isAdmin,
+    String? role,
     bool? isFidelityActive,
     int? fidelityPoints,
   }) {
@@ -134,6 +150,7 @@ class AppUser {
       postcode: postcode ?? this.postcode,
       city: city ?? this.city,
       isAdmin: isAdmin ?? this.isAdmin,
+      role: role ?? this.role,
       isFidelityActive: isFidelityActive ?? this.isFidelityActive,
       fidelityPoints: fidelityPoints ?? this.fidelityPoints,
     );
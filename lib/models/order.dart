@@ -36,12 +36,25 @@ class Order {
   /// The specific gift card code used (nullable if none).
   final String? appliedGiftCardCode;
 
+  /// The name of the chosen shipping method (e.g. 'Standard'), if any.
+  final String? shippingMethodName;
+
+  /// The shipping cost included in [finalAmountPaid].
+  final double shippingCost;
+
+  /// The sequential invoice number (e.g. 'INV-2026-000001'), if issued.
+  final String? invoiceNumber;
+
   /// The shipping address snapshot stored as a Map.
   final Map<String, dynamic>? shippingAddress;
 
   /// The current status of the order (e.g., 'pending', 'shipped', 'delivered').
   final String status;
 
+  /// The payment state set by the server: 'awaiting_payment', 'paid',
+  /// 'payment_failed', 'refund_pending' or 'not_required' (`null` for older orders).
+  final String? paymentStatus;
+
   /// The date and time when the order was placed.
   final DateTime timestamp;
 
@@ -54,8 +67,12 @@ class Order {
     required this.finalAmountPaid,
     required this.giftCardAppliedAmount,
     this.appliedGiftCardCode,
+    this.shippingMethodName,
+    this.shippingCost = 0.0,
+    this.invoiceNumber,
     this.shippingAddress,
     required this.status,
+    this.paymentStatus,
     required this.timestamp,
   });
 
@@ -103,8 +120,13 @@ class Order {
       giftCardAppliedAmount:
           (data['giftCardAppliedAmount'] as num?)?.toDouble() ?? 0.0,
       appliedGiftCardCode: data['appliedGiftCardCode'] as String?,
+      shippingMethodName:
+          (data['shippingMethod'] as Map<String, dynamic>?)?['name'] as String?,
+      shippingCost: (data['shippingCost'] as num?)?.toDouble() ?? 0.0,
+      invoiceNumber: data['invoiceNumber'] as String?,
       shippingAddress: data['shippingAddress'] as Map<String, dynamic>?,
       status: data['status'] ?? 'pending',
+      paymentStatus: data['paymentStatus'] as String?,
       // Convert the Firestore Timestamp to a standard Dart DateTime for UI usage.
       timestamp: (data['timestamp'] as Timestamp?)?.toDate() ?? DateTime.now(),
     );
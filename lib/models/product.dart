@@ -28,12 +28,23 @@ class Product {
   /// The current quantity available in the inventory.
   final int stock;
 
+  /// The quantity currently held by other customers' checkouts.
+  ///
+  /// Maintained by the `reserveCart` Cloud Function; never written by the client.
+  final int reservedStock;
+
   /// The average rating derived from user reviews (0.0 to 5.0).
   final double averageRating;
 
-  /// The total number of reviews submitted for this product.
+  /// The total number of published reviews for this product.
   final int reviewCount;
 
+  /// Number of published reviews per star value (1 to 5).
+  ///
+  /// [averageRating], [reviewCount] and this histogram are maintained by the
+  /// `onReviewWrite` Cloud Function and are never written by the client.
+  final Map<int, int> ratingHistogram;
+
   /// The percentage discount applied to the original price (0-100).
   final int discountPercentage;
 
@@ -48,6 +59,11 @@ class Product {
   /// * Used to calculate the estimated delivery date in the detail view.
   final int deliveryDays;
 
+  /// The shipping weight of one unit in kilograms.
+  ///
+  /// Used by the server to price shipping; `null` means the server default applies.
+  final double? weightKg;
+
   /// Creates a [Product] instance.
   ///
   /// If [originalPrice] is not provided, it defaults to [price], implying
@@ -60,13 +76,22 @@ class Product {
     required this.imageUrl,
     required this.category,
     required this.stock,
+    this.reservedStock = 0,
     this.averageRating = 0.0,
     this.reviewCount = 0,
+    this.ratingHistogram = const {},
     this.discountPercentage = 0,
     double? originalPrice,
     this.deliveryDays = 3, // Default standard delivery
+    this.weightKg,
   }) : originalPrice = originalPrice ?? price;
 
+  /// The quantity that can still be bought (stock minus active checkout reservations).
+  ///
+  /// This is the value shown to customers and used for cart validation.
+  int get availableStock =>
+      stock - reservedStock > 0 ? stock - reservedStock : 0;
+
   /// Converts the [Product] instance to a JSON-compatible [Map].
   ///
   /// This method is used when creating or updating a product document
@@ -80,11 +105,10 @@ class Product {
       'imageUrl': imageUrl,
       'category': category,
       'stock': stock,
-      'averageRating': averageRating,
-      'reviewCount': reviewCount,
       'discountPercentage': discountPercentage,
       'originalPrice': originalPrice,
       'deliveryDays': deliveryDays,
+      if (weightKg != null) 'weightKg': weightKg,
     };
   }
 
@@ -119,6 +143,15 @@ class Product {
 
     // --- Data Extraction ---
 
+    final rawHistogram = map['ratingHistogram'] is Map
+        ? map['ratingHistogram'] as Map
+        : const {};
+    final Map<int, int> histogram = {
+      for (final entry in rawHistogram.entries)
+        if (int.tryParse(entry.key.toString()) != null)
+          int.parse(entry.key.toString()): safeParseInt(entry.value),
+    };
+
     final double currentPrice = safeParseDouble(map['productPrice']);
     
     // Fallback logic: if originalPrice is missing, assume it equals the current price.
@@ -134,14 +167,17 @@ class Product {
       imageUrl: map['imageUrl'] ?? '',
       category: map['category'] ?? 'General',
       stock: safeParseInt(map['stock']),
+      reservedStock: safeParseInt(map['reservedStock']),
       averageRating: safeParseDouble(map['averageRating']),
       reviewCount: safeParseInt(map['reviewCount']),
+      ratingHistogram: histogram,
       discountPercentage: safeParseInt(map['discountPercentage']),
       originalPrice: original,
       // Delivery Logic: Ensure at least a fallback value if field is missing or invalid.
       deliveryDays: safeParseInt(map['deliveryDays']) > 0 
           ? safeParseInt(map['deliveryDays']) 
           : 3,
+      weightKg: map['weightKg'] != null ? safeParseDouble(map['weightKg']) : null,
     );
   }
 }
\ No newline at end of file
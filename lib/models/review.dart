@@ -29,6 +29,16 @@ class Review {
   /// The date and time when the review was created.
   final DateTime timestamp;
 
+  /// Whether the author has bought the product, as verified by the server.
+  ///
+  /// Set by the `onReviewWrite` Cloud Function from the `orders` collection.
+  final bool verifiedPurchase;
+
+  /// Moderation state: 'pending', 'approved' or 'rejected'.
+  ///
+  /// Reviews that hit a moderation rule stay 'pending' until an admin approves them.
+  final String status;
+
   /// Creates a [Review] instance.
   Review({
     required this.id,
@@ -38,8 +48,13 @@ class Review {
     required this.rating,
     required this.comment,
     required this.timestamp,
+    this.verifiedPurchase = false,
+    this.status = 'pending',
   });
 
+  /// Whether the review is visible to other customers and counted in the product rating.
+  bool get isPublished => status == 'approved';
+
   /// Factory constructor to create a [Review] instance from a Firestore Map.
   ///
   /// This method includes robust error handling and type casting to ensure
@@ -59,6 +74,9 @@ class Review {
       // Safe casting: Converts Firestore Timestamp to Dart DateTime.
       // Defaults to current time if the field is null (e.g., immediate local optimistic update).
       timestamp: (data['timestamp'] as Timestamp?)?.toDate() ?? DateTime.now(),
+      verifiedPurchase: data['verifiedPurchase'] == true,
+      // Reviews written before moderation existed have no status and count as approved.
+      status: data['status'] ?? 'approved',
     );
   }
 
@@ -68,6 +86,8 @@ class Review {
   ///
   /// **Note:** The `timestamp` field uses [FieldValue.serverTimestamp()] to ensure
   /// consistency based on the server's time, rather than the client device's time.
+  /// New reviews always start as 'pending'; `verifiedPurchase` and the final
+  /// status are set by the server.
   Map<String, dynamic> toMap() {
     return {
       'userId': userId,
@@ -76,6 +96,7 @@ class Review {
       'rating': rating,
       'comment': comment,
       'timestamp': FieldValue.serverTimestamp(),
+      'status': 'pending',
     };
   }
 }
\ No newline at end of file
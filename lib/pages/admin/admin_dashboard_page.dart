@@ -3,7 +3,11 @@ import 'package:flutter/material.dart';
 import 'package:flutter_riverpod/flutter_riverpod.dart';
 import 'package:webshop/models/product.dart';
 import 'package:webshop/pages/admin/admin_edit_product_page.dart';
+import 'package:webshop/pages/admin/admin_gift_cards_page.dart';
 import 'package:webshop/pages/admin/admin_orders_page.dart';
+import 'package:webshop/pages/admin/admin_product_import_page.dart';
+import 'package:webshop/pages/admin/admin_returns_page.dart';
+import 'package:webshop/pages/admin/admin_sales_report_page.dart';
 import 'package:webshop/providers/products_provider.dart';
 import 'package:webshop/repositories/admin_repository.dart';
 import 'package:webshop/utils/constants.dart';
@@ -16,6 +20,10 @@ import 'package:webshop/widgets/custom_image.dart';
 /// * Creating new products.
 /// * Editing or deleting existing products.
 /// * Navigating to the Order Management section.
+/// * Opening the Sales Report.
+/// * Bulk import/export of products via CSV.
+/// * Processing return requests.
+/// * Issuing gift cards.
 class AdminDashboardPage extends ConsumerWidget {
   const AdminDashboardPage({super.key});
 
@@ -68,6 +76,46 @@ class AdminDashboardPage extends ConsumerWidget {
         // We strictly define the icon color to ensure visibility against the dark app bar.
         iconTheme: const IconThemeData(color: Colors.white),
         actions: [
+          // "Import / Export" Button
+          IconButton(
+            icon: const Icon(Icons.import_export, color: Colors.white),
+            tooltip: 'Import / Export',
+            onPressed: () {
+              Navigator.push(
+                  context,
+                  MaterialPageRoute(
+                      builder: (_) => const AdminProductImportPage()));
+            },
+          ),
+          // "Sales Report" Button
+          IconButton(
+            icon: const Icon(Icons.bar_chart, color: Colors.white),
+            tooltip: 'Sales Report',
+            onPressed: () {
+              Navigator.push(
+                  context,
+                  MaterialPageRoute(
+                      builder: (_) => const AdminSalesReportPage()));
+            },
+          ),
+          // "Returns" Button
+          IconButton(
+            icon: const Icon(Icons.assignment_return, color: Colors.white),
+            tooltip: 'Returns',
+            onPressed: () {
+              Navigator.push(context,
+                  MaterialPageRoute(builder: (_) => const AdminReturnsPage()));
+            },
+          ),
+          // "Gift Cards" Button
+          IconButton(
+            icon: const Icon(Icons.card_giftcard, color: Colors.white),
+            tooltip: 'Gift Cards',
+            onPressed: () {
+              Navigator.push(context,
+                  MaterialPageRoute(builder: (_) => const AdminGiftCardsPage()));
+            },
+          ),
           // "Manage Orders" Button
           IconButton(
             icon: const Icon(Icons.list_alt, color: Colors.white),
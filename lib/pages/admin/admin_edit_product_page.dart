@@ -48,6 +48,9 @@ class _AdminEditProductPageState extends State<AdminEditProductPage> {
   // Controller for the estimated delivery time (in days).
   late TextEditingController _deliveryCtrl; 
 
+  // Controller for the shipping weight (in kg, optional).
+  late TextEditingController _weightCtrl;
+
   // Dropdown selection state.
   String _selectedCategory = 'General';
 
@@ -74,6 +77,7 @@ class _AdminEditProductPageState extends State<AdminEditProductPage> {
     
     // Initialize delivery days (Default to 3 if new or missing).
     _deliveryCtrl = TextEditingController(text: p?.deliveryDays.toString() ?? '3');
+    _weightCtrl = TextEditingController(text: p?.weightKg?.toString() ?? '');
 
     // Category logic: Ensure selected category exists in the global list.
     _selectedCategory = p?.category ?? 'General';
@@ -92,6 +96,7 @@ class _AdminEditProductPageState extends State<AdminEditProductPage> {
     _stockCtrl.dispose();
     _imageCtrl.dispose();
     _deliveryCtrl.dispose(); 
+    _weightCtrl.dispose();
     super.dispose();
   }
 
@@ -137,6 +142,8 @@ class _AdminEditProductPageState extends State<AdminEditProductPage> {
         category: _selectedCategory,
         // Save delivery estimate
         deliveryDays: int.parse(_deliveryCtrl.text.trim()),
+        // Empty weight: the server uses its default shipping weight
+        weightKg: double.tryParse(_weightCtrl.text.trim()),
       );
 
       // Persist to Firestore
@@ -255,6 +262,22 @@ class _AdminEditProductPageState extends State<AdminEditProductPage> {
                           int.tryParse(v ?? '') == null ? 'Invalid' : null,
                     ),
                   ),
+                  const SizedBox(width: 16),
+                  Expanded(
+                    child: TextFormField(
+                      controller: _weightCtrl,
+                      decoration: const InputDecoration(
+                        labelText: 'Weight',
+                        suffixText: 'kg',
+                      ),
+                      keyboardType:
+                          const TextInputType.numberWithOptions(decimal: true),
+                      validator: (v) => (v == null || v.trim().isEmpty) ||
+                              (double.tryParse(v.trim()) ?? -1) >= 0
+                          ? null
+                          : 'Invalid',
+                    ),
+                  ),
                 ],
               ),
 
@@ -0,0 +1,167 @@
+// lib/pages/admin/admin_gift_cards_page.dart
+import 'package:flutter/material.dart';
+import 'package:flutter/services.dart';
+import 'package:webshop/repositories/admin_repository.dart';
+import 'package:webshop/utils/constants.dart';
+import 'package:webshop/utils/ui_helper.dart';
+
+/// Issues gift cards.
+///
+/// The server generates the code, emails it to the recipient and records the
+/// issue in the card's ledger and the audit log. The code is also shown here
+/// (and can be copied) in case it has to be handed over in person.
+class AdminGiftCardsPage extends StatefulWidget {
+  const AdminGiftCardsPage({super.key});
+
+  @override
+  State<AdminGiftCardsPage> createState() => _AdminGiftCardsPageState();
+}
+
+class _AdminGiftCardsPageState extends State<AdminGiftCardsPage> {
+  final AdminRepository _adminRepo = AdminRepository();
+  final _formKey = GlobalKey<FormState>();
+  final TextEditingController _amountCtrl = TextEditingController();
+  final TextEditingController _emailCtrl = TextEditingController();
+  final TextEditingController _nameCtrl = TextEditingController();
+  final TextEditingController _messageCtrl = TextEditingController();
+
+  DateTime? _expiresAt;
+  bool _isBusy = false;
+  String? _issuedCode;
+
+  @override
+  void dispose() {
+    _amountCtrl.dispose();
+    _emailCtrl.dispose();
+    _nameCtrl.dispose();
+    _messageCtrl.dispose();
+    super.dispose();
+  }
+
+  Future<void> _pickExpiry() async {
+    final now = DateTime.now();
+    final picked = await showDatePicker(
+      context: context,
+      initialDate: _expiresAt ?? DateTime(now.year + 1, now.month, now.day),
+      firstDate: now,
+      lastDate: DateTime(now.year + 5),
+    );
+    if (picked != null) setState(() => _expiresAt = picked);
+  }
+
+  Future<void> _issue() async {
+    if (!_formKey.currentState!.validate()) return;
+    setState(() => _isBusy = true);
+    try {
+      final code = await _adminRepo.issueGiftCard(
+        amount: double.parse(_amountCtrl.text.replaceAll(',', '.')),
+        recipientEmail: _emailCtrl.text.trim(),
+        recipientName: _nameCtrl.text.trim(),
+        message: _messageCtrl.text.trim(),
+        expiresAt: _expiresAt,
+      );
+      setState(() => _issuedCode = code);
+      _formKey.currentState!.reset();
+      _amountCtrl.clear();
+      _emailCtrl.clear();
+      _nameCtrl.clear();
+      _messageCtrl.clear();
+      setState(() => _expiresAt = null);
+      if (mounted) UiHelper.showSuccess(context, 'Gift card sent');
+    } catch (e) {
+      if (mounted) UiHelper.showError(context, e);
+    } finally {
+      if (mounted) setState(() => _isBusy = false);
+    }
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    return Scaffold(
+      appBar: AppBar(title: const Text('Gift Cards')),
+      body: SingleChildScrollView(
+        padding: const EdgeInsets.all(defaultPadding),
+        child: Form(
+          key: _formKey,
+          child: Column(
+            crossAxisAlignment: CrossAxisAlignment.start,
+            children: [
+              TextFormField(
+                controller: _amountCtrl,
+                decoration: const InputDecoration(
+                    labelText: 'Amount (€)', suffixText: '€'),
+                keyboardType:
+                    const TextInputType.numberWithOptions(decimal: true),
+                validator: (v) {
+                  final value = double.tryParse((v ?? '').replaceAll(',', '.'));
+                  return (value == null || value <= 0) ? 'Invalid' : null;
+                },
+              ),
+              const SizedBox(height: 16),
+              TextFormField(
+                controller: _emailCtrl,
+                decoration:
+                    const InputDecoration(labelText: 'Recipient Email'),
+                keyboardType: TextInputType.emailAddress,
+                validator: (v) =>
+                    (v == null || !v.contains('@')) ? 'Invalid email' : null,
+              ),
+              const SizedBox(height: 16),
+              TextFormField(
+                controller: _nameCtrl,
+                decoration: const InputDecoration(
+                    labelText: 'Recipient Name (optional)'),
+              ),
+              const SizedBox(height: 16),
+              TextFormField(
+                controller: _messageCtrl,
+                maxLength: 500,
+                maxLines: 3,
+                decoration:
+                    const InputDecoration(labelText: 'Message (optional)'),
+              ),
+              ListTile(
+                contentPadding: EdgeInsets.zero,
+                leading: const Icon(Icons.event),
+                title: Text(_expiresAt == null
+                    ? 'No expiry date'
+                    : 'Valid until ${_expiresAt!.toIso8601String().substring(0, 10)}'),
+                trailing: _expiresAt == null
+                    ? null
+                    : IconButton(
+                        icon: const Icon(Icons.clear),
+                        tooltip: 'Remove expiry date',
+                        onPressed: () => setState(() => _expiresAt = null),
+                      ),
+                onTap: _pickExpiry,
+              ),
+              const SizedBox(height: smallPadding),
+              ElevatedButton.icon(
+                onPressed: _isBusy ? null : _issue,
+                icon: const Icon(Icons.card_giftcard),
+                label: const Text('Issue & Send'),
+              ),
+              if (_issuedCode != null) ...[
+                const SizedBox(height: defaultPadding),
+                ListTile(
+                  contentPadding: EdgeInsets.zero,
+                  title: const Text('Last issued code'),
+                  subtitle: SelectableText(_issuedCode!,
+                      style: const TextStyle(
+                          fontFamily: 'monospace',
+                          fontWeight: FontWeight.bold)),
+                  trailing: IconButton(
+                    icon: const Icon(Icons.copy),
+                    tooltip: 'Copy code',
+                    onPressed: () => Clipboard.setData(
+                        ClipboardData(text: _issuedCode!)),
+                  ),
+                ),
+              ],
+            ],
+          ),
+        ),
+      ),
+    );
+  }
+}
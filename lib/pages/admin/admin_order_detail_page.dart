@@ -30,7 +30,8 @@ class _AdminOrderDetailPageState extends State<AdminOrderDetailPage> {
     'processing',
     'shipped',
     'delivered',
-    'cancelled'
+    'cancelled',
+    'returned'
   ];
 
   @override
@@ -45,10 +46,19 @@ class _AdminOrderDetailPageState extends State<AdminOrderDetailPage> {
     // Avoid unnecessary network calls if the status hasn't actually changed.
     if (newStatus == null || newStatus == _currentStatus) return;
 
+    // Shipping requires the carrier and tracking number for the customer email.
+    Map<String, String>? tracking;
+    if (newStatus == 'shipped') {
+      tracking = await _askTrackingDetails();
+      if (tracking == null) return;
+    }
+    if (!mounted) return;
+
     try {
-      // Show a blocking loader to prevent interactions while writing to Firestore.
+      // Show a blocking loader to prevent interactions while the server validates the change.
       UiHelper.showLoading(context);
-      await _repo.updateOrderStatus(widget.order.id, newStatus);
+      await _repo.updateOrderStatus(widget.order.id, newStatus,
+          carrier: tracking?['carrier'], trackingNumber: tracking?['trackingNumber']);
 
       // Check mounted to ensure the widget is still in the tree before using context.
       if (mounted) {
@@ -64,6 +74,46 @@ class _AdminOrderDetailPageState extends State<AdminOrderDetailPage> {
     }
   }
 
+  /// Asks the admin for the carrier and tracking number.
+  ///
+  /// Returns `null` if the dialog is dismissed or a field is left empty.
+  Future<Map<String, String>?> _askTrackingDetails() async {
+    final carrierController = TextEditingController();
+    final trackingController = TextEditingController();
+
+    final confirmed = await showDialog<bool>(
+      context: context,
+      builder: (ctx) => AlertDialog(
+        title: const Text('Shipping Details'),
+        content: Column(
+          mainAxisSize: MainAxisSize.min,
+          children: [
+            TextField(
+              controller: carrierController,
+              decoration: const InputDecoration(labelText: 'Carrier (e.g. DHL, UPS)'),
+            ),
+            TextField(
+              controller: trackingController,
+              decoration: const InputDecoration(labelText: 'Tracking Number'),
+            ),
+          ],
+        ),
+        actions: [
+          TextButton(onPressed: () => Navigator.pop(ctx, false), child: const Text('Cancel')),
+          ElevatedButton(onPressed: () => Navigator.pop(ctx, true), child: const Text('Ship')),
+        ],
+      ),
+    );
+
+    final carrier = carrierController.text.trim();
+    final trackingNumber = trackingController.text.trim();
+    carrierController.dispose();
+    trackingController.dispose();
+
+    if (confirmed != true || carrier.isEmpty || trackingNumber.isEmpty) return null;
+    return {'carrier': carrier, 'trackingNumber': trackingNumber};
+  }
+
   @override
   Widget build(BuildContext context) {
     final order = widget.order;
@@ -0,0 +1,149 @@
+// lib/pages/admin/admin_product_import_page.dart
+import 'package:flutter/material.dart';
+import 'package:flutter/services.dart';
+import 'package:webshop/repositories/admin_repository.dart';
+import 'package:webshop/utils/constants.dart';
+import 'package:webshop/utils/ui_helper.dart';
+
+/// Bulk maintenance of the catalogue via CSV.
+///
+/// * **Export:** Copies the whole catalogue as CSV to the clipboard.
+/// * **Import:** The admin pastes CSV (e.g. an edited export), checks it with a
+///   dry run and then imports it. Validation happens on the server; the page
+///   lists the outcome of every row.
+class AdminProductImportPage extends StatefulWidget {
+  const AdminProductImportPage({super.key});
+
+  @override
+  State<AdminProductImportPage> createState() => _AdminProductImportPageState();
+}
+
+class _AdminProductImportPageState extends State<AdminProductImportPage> {
+  final AdminRepository _adminRepo = AdminRepository();
+  final TextEditingController _csvCtrl = TextEditingController();
+
+  bool _isBusy = false;
+  Map<String, dynamic>? _report;
+
+  @override
+  void dispose() {
+    _csvCtrl.dispose();
+    super.dispose();
+  }
+
+  Future<void> _export() async {
+    setState(() => _isBusy = true);
+    try {
+      final csv = await _adminRepo.exportProductsCsv();
+      await Clipboard.setData(ClipboardData(text: csv));
+      if (mounted) UiHelper.showSuccess(context, 'Catalogue copied to clipboard');
+    } catch (e) {
+      if (mounted) UiHelper.showError(context, e);
+    } finally {
+      if (mounted) setState(() => _isBusy = false);
+    }
+  }
+
+  Future<void> _import({required bool dryRun}) async {
+    if (_csvCtrl.text.trim().isEmpty) return;
+    setState(() => _isBusy = true);
+    try {
+      final report =
+          await _adminRepo.importProducts(_csvCtrl.text, dryRun: dryRun);
+      setState(() => _report = report);
+    } catch (e) {
+      if (mounted) UiHelper.showError(context, e);
+    } finally {
+      if (mounted) setState(() => _isBusy = false);
+    }
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    return Scaffold(
+      appBar: AppBar(
+        title: const Text('Import / Export'),
+        actions: [
+          IconButton(
+            icon: const Icon(Icons.download),
+            tooltip: 'Export CSV',
+            onPressed: _isBusy ? null : _export,
+          ),
+        ],
+      ),
+      body: ListView(
+        padding: const EdgeInsets.all(defaultPadding),
+        children: [
+          TextField(
+            controller: _csvCtrl,
+            maxLines: 10,
+            style: const TextStyle(fontFamily: 'monospace', fontSize: 12),
+            decoration: const InputDecoration(
+              labelText: 'CSV',
+              hintText:
+                  'id,productName,productPrice,stock,category\n,New Mug,9.90,20,Home',
+              border: OutlineInputBorder(),
+            ),
+          ),
+          const SizedBox(height: smallPadding),
+          Row(
+            children: [
+              OutlinedButton(
+                onPressed: _isBusy ? null : () => _import(dryRun: true),
+                child: const Text('Check (Dry Run)'),
+              ),
+              const SizedBox(width: smallPadding),
+              ElevatedButton(
+                onPressed: _isBusy ? null : () => _import(dryRun: false),
+                child: const Text('Import'),
+              ),
+              if (_isBusy) ...[
+                const SizedBox(width: defaultPadding),
+                const SizedBox(
+                    width: 20,
+                    height: 20,
+                    child: CircularProgressIndicator(strokeWidth: 2)),
+              ],
+            ],
+          ),
+          if (_report != null) ..._buildReport(_report!),
+        ],
+      ),
+    );
+  }
+
+  List<Widget> _buildReport(Map<String, dynamic> report) {
+    final summary = Map<String, dynamic>.from(report['summary'] as Map);
+    final ignored = List<String>.from(report['ignoredColumns'] as List? ?? []);
+    final rows = (report['rows'] as List? ?? [])
+        .map((r) => Map<String, dynamic>.from(r as Map))
+        .toList();
+
+    return [
+      const SizedBox(height: defaultPadding),
+      Text(
+        '${report['dryRun'] == true ? 'Dry run: ' : ''}'
+        '${summary['created']} created, ${summary['updated']} updated, '
+        '${summary['rejected']} rejected',
+        style: const TextStyle(fontWeight: FontWeight.bold),
+      ),
+      if (ignored.isNotEmpty)
+        Text('Ignored columns: ${ignored.join(', ')}',
+            style: const TextStyle(color: Colors.orange)),
+      ...rows.map((r) {
+        final rejected = r['action'] == 'rejected';
+        final errors = List<String>.from(r['errors'] as List? ?? []);
+        return ListTile(
+          dense: true,
+          leading: Icon(
+            rejected ? Icons.error_outline : Icons.check_circle_outline,
+            color: rejected ? Colors.red : Colors.green,
+          ),
+          title: Text('Row ${r['row']}: ${r['action']}'
+              '${r['id'] != null ? ' (${r['id']})' : ''}'),
+          subtitle: errors.isEmpty ? null : Text(errors.join('\n')),
+        );
+      }),
+    ];
+  }
+}
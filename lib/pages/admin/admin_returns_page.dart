@@ -0,0 +1,163 @@
+// lib/pages/admin/admin_returns_page.dart
+import 'package:flutter/material.dart';
+import 'package:webshop/repositories/admin_repository.dart';
+import 'package:webshop/utils/constants.dart';
+import 'package:webshop/utils/ui_helper.dart';
+import 'package:webshop/widgets/error_retry_widget.dart';
+
+/// Processes customer return requests.
+///
+/// * **Requested:** Approve (the customer sends the items back) or reject with a reason.
+/// * **Approved:** Mark as received once the parcel arrives. The server restocks
+///   the items, issues the refund (gift card or payment refund) and a credit note.
+///
+/// Every step emails the customer.
+class AdminReturnsPage extends StatefulWidget {
+  const AdminReturnsPage({super.key});
+
+  @override
+  State<AdminReturnsPage> createState() => _AdminReturnsPageState();
+}
+
+class _AdminReturnsPageState extends State<AdminReturnsPage> {
+  final AdminRepository _adminRepo = AdminRepository();
+  String? _busyId;
+
+  Future<void> _run(String returnId, Future<void> Function() action,
+      String successMessage) async {
+    setState(() => _busyId = returnId);
+    try {
+      await action();
+      if (mounted) UiHelper.showSuccess(context, successMessage);
+    } catch (e) {
+      if (mounted) UiHelper.showError(context, e);
+    } finally {
+      if (mounted) setState(() => _busyId = null);
+    }
+  }
+
+  Future<void> _reject(String returnId) async {
+    final ctrl = TextEditingController();
+    final reason = await showDialog<String>(
+      context: context,
+      builder: (ctx) => AlertDialog(
+        title: const Text('Reject Return'),
+        content: TextField(
+          controller: ctrl,
+          maxLength: 500,
+          decoration: const InputDecoration(labelText: 'Reason'),
+        ),
+        actions: [
+          TextButton(
+              onPressed: () => Navigator.pop(ctx),
+              child: const Text('Cancel')),
+          ElevatedButton(
+              onPressed: () => Navigator.pop(ctx, ctrl.text.trim()),
+              child: const Text('Reject')),
+        ],
+      ),
+    );
+    ctrl.dispose();
+    if (reason == null || reason.isEmpty) return;
+    await _run(returnId, () => _adminRepo.rejectReturn(returnId, reason),
+        'Return rejected');
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    return Scaffold(
+      appBar: AppBar(title: const Text('Returns')),
+      body: StreamBuilder<List<Map<String, dynamic>>>(
+        stream: _adminRepo.getReturnsStream(),
+        builder: (context, snapshot) {
+          if (snapshot.connectionState == ConnectionState.waiting) {
+            return const Center(child: CircularProgressIndicator());
+          }
+          if (snapshot.hasError) {
+            return ErrorRetryWidget(
+              errorMessage: snapshot.error.toString(),
+              onRetry: () => setState(() {}),
+            );
+          }
+
+          final returns = snapshot.data ?? [];
+          if (returns.isEmpty) {
+            return const Center(child: Text('No return requests.'));
+          }
+
+          return ListView.builder(
+            padding: const EdgeInsets.all(defaultPadding),
+            itemCount: returns.length,
+            itemBuilder: (context, index) => _buildReturnCard(returns[index]),
+          );
+        },
+      ),
+    );
+  }
+
+  Widget _buildReturnCard(Map<String, dynamic> ret) {
+    final id = ret['id'] as String;
+    final status = ret['status'] as String? ?? '';
+    final items = (ret['items'] as List? ?? [])
+        .map((i) => Map<String, dynamic>.from(i as Map))
+        .toList();
+    final refund = ret['refund'] == null
+        ? null
+        : Map<String, dynamic>.from(ret['refund'] as Map);
+    final amount = (ret['refundAmount'] as num?)?.toDouble() ?? 0.0;
+    final isBusy = _busyId == id;
+
+    return Card(
+      child: Padding(
+        padding: const EdgeInsets.all(smallPadding),
+        child: Column(
+          crossAxisAlignment: CrossAxisAlignment.start,
+          children: [
+            Text('Order #${ret['orderId']}',
+                style: const TextStyle(fontWeight: FontWeight.bold)),
+            Text('${status.toUpperCase()} · €${amount.toStringAsFixed(2)} · '
+                '${ret['refundMethod'] == 'gift_card' ? 'Gift card' : 'Original payment'}'),
+            ...items.map((i) =>
+                Text('${i['quantity']}x ${i['productName'] ?? i['productId']}')),
+            if (ret['reason'] != null)
+              Text('Reason: ${ret['reason']}',
+                  style: const TextStyle(color: Colors.grey)),
+            if (refund != null && refund['giftCardCode'] != null)
+              Text('Gift card ${refund['giftCardCode']}: '
+                  '€${((refund['giftCardAmount'] as num?) ?? 0).toStringAsFixed(2)}'),
+            if (refund != null && ((refund['paymentAmount'] as num?) ?? 0) > 0)
+              Text('Payment refund due: '
+                  '€${((refund['paymentAmount'] as num?) ?? 0).toStringAsFixed(2)}',
+                  style: const TextStyle(color: Colors.orange)),
+            if (status == 'requested' || status == 'approved')
+              Row(
+                mainAxisAlignment: MainAxisAlignment.end,
+                children: [
+                  TextButton(
+                    onPressed: isBusy ? null : () => _reject(id),
+                    child: const Text('Reject'),
+                  ),
+                  if (status == 'requested')
+                    ElevatedButton(
+                      onPressed: isBusy
+                          ? null
+                          : () => _run(id, () => _adminRepo.approveReturn(id),
+                              'Return approved'),
+                      child: const Text('Approve'),
+                    ),
+                  if (status == 'approved')
+                    ElevatedButton(
+                      onPressed: isBusy
+                          ? null
+                          : () => _run(id, () => _adminRepo.receiveReturn(id),
+                              'Return received and refunded'),
+                      child: const Text('Mark Received'),
+                    ),
+                ],
+              ),
+          ],
+        ),
+      ),
+    );
+  }
+}
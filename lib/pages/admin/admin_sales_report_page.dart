@@ -0,0 +1,153 @@
+// lib/pages/admin/admin_sales_report_page.dart
+import 'package:flutter/material.dart';
+import 'package:flutter/services.dart';
+import 'package:webshop/repositories/admin_repository.dart';
+import 'package:webshop/utils/constants.dart';
+import 'package:webshop/utils/ui_helper.dart';
+import 'package:webshop/widgets/error_retry_widget.dart';
+
+/// Sales figures for the admin dashboard.
+///
+/// The numbers are aggregated server-side (`getSalesReport`), so the page never
+/// has to download individual orders. It shows:
+/// * The totals of the selected range (revenue, orders, average order value, ...).
+/// * The best-selling products and categories.
+/// * A CSV export of the series, copied to the clipboard.
+class AdminSalesReportPage extends StatefulWidget {
+  const AdminSalesReportPage({super.key});
+
+  @override
+  State<AdminSalesReportPage> createState() => _AdminSalesReportPageState();
+}
+
+class _AdminSalesReportPageState extends State<AdminSalesReportPage> {
+  final AdminRepository _adminRepo = AdminRepository();
+
+  // Defaults to the last 30 days.
+  late DateTimeRange _range = DateTimeRange(
+    start: DateTime.now().subtract(const Duration(days: 29)),
+    end: DateTime.now(),
+  );
+  late Future<Map<String, dynamic>> _report = _load();
+
+  Future<Map<String, dynamic>> _load() =>
+      _adminRepo.getSalesReport(_range.start, _range.end);
+
+  Future<void> _pickRange() async {
+    final picked = await showDateRangePicker(
+      context: context,
+      firstDate: DateTime(2020),
+      lastDate: DateTime.now(),
+      initialDateRange: _range,
+    );
+    if (picked == null) return;
+    setState(() {
+      _range = picked;
+      _report = _load();
+    });
+  }
+
+  /// Fetches the CSV version of the report and copies the series to the clipboard.
+  Future<void> _exportCsv() async {
+    try {
+      final report = await _adminRepo.getSalesReport(_range.start, _range.end,
+          csv: true);
+      final csv = Map<String, dynamic>.from(report['csv'] as Map);
+      await Clipboard.setData(ClipboardData(text: csv['series'] as String));
+      if (mounted) UiHelper.showSuccess(context, 'CSV copied to clipboard');
+    } catch (e) {
+      if (mounted) UiHelper.showError(context, e);
+    }
+  }
+
+  String _money(dynamic value) =>
+      '€${((value as num?) ?? 0).toStringAsFixed(2)}';
+
+  @override
+  Widget build(BuildContext context) {
+    return Scaffold(
+      appBar: AppBar(
+        title: const Text('Sales Report'),
+        actions: [
+          IconButton(
+            icon: const Icon(Icons.date_range),
+            tooltip: 'Date Range',
+            onPressed: _pickRange,
+          ),
+          IconButton(
+            icon: const Icon(Icons.download),
+            tooltip: 'Export CSV',
+            onPressed: _exportCsv,
+          ),
+        ],
+      ),
+      body: FutureBuilder<Map<String, dynamic>>(
+        future: _report,
+        builder: (context, snapshot) {
+          if (snapshot.connectionState == ConnectionState.waiting) {
+            return const Center(child: CircularProgressIndicator());
+          }
+          if (snapshot.hasError) {
+            return ErrorRetryWidget(
+              errorMessage: snapshot.error.toString(),
+              onRetry: () => setState(() => _report = _load()),
+            );
+          }
+
+          final report = snapshot.data!;
+          final totals = Map<String, dynamic>.from(report['totals'] as Map);
+          final products = (report['products'] as List? ?? [])
+              .map((p) => Map<String, dynamic>.from(p as Map))
+              .toList();
+          final categories = (report['categories'] as List? ?? [])
+              .map((c) => Map<String, dynamic>.from(c as Map))
+              .toList();
+
+          return ListView(
+            padding: const EdgeInsets.all(defaultPadding),
+            children: [
+              Text('${report['from']} – ${report['to']}',
+                  style: const TextStyle(color: Colors.grey)),
+              const SizedBox(height: smallPadding),
+              Card(
+                child: Column(
+                  children: [
+                    _row('Revenue', _money(totals['revenue'])),
+                    _row('Orders', '${totals['orderCount']}'),
+                    _row('Average Order Value',
+                        _money(totals['averageOrderValue'])),
+                    _row('Units Sold', '${totals['unitsSold']}'),
+                    _row('Paid with Gift Cards',
+                        '${_money(totals['giftCardAmount'])} (${totals['giftCardOrderCount']} orders)'),
+                    _row('Cancellations',
+                        '${totals['cancellationCount']} (${_money(totals['cancelledAmount'])})'),
+                  ],
+                ),
+              ),
+              const SizedBox(height: defaultPadding),
+              const Text('Top Products',
+                  style: TextStyle(fontWeight: FontWeight.bold)),
+              if (products.isEmpty) const Text('No sales in this period.'),
+              ...products.take(10).map((p) => _row(
+                  '${p['name']} (${p['units']}×)', _money(p['revenue']))),
+              const SizedBox(height: defaultPadding),
+              const Text('Categories',
+                  style: TextStyle(fontWeight: FontWeight.bold)),
+              ...categories.map((c) => _row(
+                  '${c['category']} (${c['units']}×)', _money(c['revenue']))),
+            ],
+          );
+        },
+      ),
+    );
+  }
+
+  Widget _row(String label, String value) {
+    return ListTile(
+      dense: true,
+      title: Text(label),
+      trailing:
+          Text(value, style: const TextStyle(fontWeight: FontWeight.bold)),
+    );
+  }
+}
@@ -1,11 +1,11 @@
 // lib/pages/customer_area_page.dart
 import 'package:firebase_auth/firebase_auth.dart';
 import 'package:flutter/material.dart';
-import 'package:webshop/models/app_user.dart';
 import 'package:webshop/pages/admin/admin_dashboard_page.dart';
 import 'package:webshop/pages/orders_page.dart';
 import 'package:webshop/pages/wishlist_page.dart';
 import 'package:webshop/pages/fidelity_card_page.dart';
+import 'package:webshop/pages/privacy_page.dart';
 import 'package:webshop/services/auth_service.dart';
 import 'package:webshop/utils/constants.dart'; // Import constants for consistent styling
 
@@ -17,6 +17,7 @@ import 'package:webshop/utils/constants.dart'; // Import constants for consisten
 /// * **Order History**: Link to past purchases.
 /// * **Wishlist**: Link to saved favorite items.
 /// * **Fidelity Program**: Access to the digital fidelity card.
+/// * **Privacy & Data**: Data export and account deletion.
 /// * **Admin Tools**: Conditionally rendered link for administrators.
 class CustomerAreaPage extends StatelessWidget {
   const CustomerAreaPage({super.key});
@@ -73,14 +74,15 @@ class CustomerAreaPage extends StatelessWidget {
             // ==================================================================
             // DYNAMIC MENU GRID
             // ==================================================================
-            // We use a FutureBuilder to fetch the user's full profile data (AppUser).
-            // This is necessary to check the 'isAdmin' flag, which isn't available
-            // in the standard FirebaseAuth user object.
-            FutureBuilder<AppUser?>(
-              future: authService.getAppUserProfileOnce(),
+            // We use a FutureBuilder to read the role custom claim from the ID token.
+            // The claim (not the profile) is what the Cloud Functions and security
+            // rules check, so the admin tools are only offered if it grants them.
+            FutureBuilder<String>(
+              future: authService.getCurrentRole(),
               builder: (context, snapshot) {
-                // Determine admin status (default to false if loading or null)
-                final bool isAdmin = snapshot.data?.isAdmin ?? false;
+                // Determine admin status (default to false if loading or failed)
+                final role = snapshot.data;
+                final bool isAdmin = role == 'admin' || role == 'super_admin';
 
                 // Use a GridView with SliverGridDelegateWithMaxCrossAxisExtent
                 // to ensure the menu buttons have a consistent size and aspect ratio,
@@ -125,7 +127,17 @@ class CustomerAreaPage extends StatelessWidget {
                           MaterialPageRoute(builder: (_) => const FidelityCardPage())),
                     ),
 
-                    // 4. Admin Panel Button (Conditional Render)
+                    // 4. Privacy & Data Button
+                    _buildMenuButton(
+                      context,
+                      title: 'Privacy & Data',
+                      icon: Icons.privacy_tip_outlined,
+                      color: Colors.teal,
+                      onTap: () => Navigator.of(context).push(
+                          MaterialPageRoute(builder: (_) => const PrivacyPage())),
+                    ),
+
+                    // 5. Admin Panel Button (Conditional Render)
                     // Only visible if the user has administrative privileges.
                     if (isAdmin)
                       _buildMenuButton(
@@ -1,13 +1,19 @@
 // lib/pages/order_detail_page.dart
 import 'package:flutter/material.dart';
+import 'package:flutter/services.dart';
 import 'package:webshop/models/order.dart' as app_model;
+import 'package:webshop/services/order_service.dart';
 import 'package:webshop/utils/constants.dart';
+import 'package:webshop/utils/ui_helper.dart';
 import 'package:webshop/widgets/custom_image.dart';
+import 'package:webshop/widgets/return_request_dialog.dart';
 
 /// A read-only screen that displays the full details of a completed order.
 ///
 /// This includes the status, purchased items, shipping address, and final
-/// price breakdown. It is reached from the "My Orders" list.
+/// price breakdown. It is reached from the "My Orders" list. Pending orders
+/// can be cancelled; shipped and delivered orders offer a return request.
+/// Once issued, the invoice can be copied as HTML or as a base64 PDF.
 class OrderDetailPage extends StatelessWidget {
   final app_model.Order order;
 
@@ -122,16 +128,148 @@ class OrderDetailPage extends StatelessWidget {
                   if (order.giftCardAppliedAmount > 0)
                     _buildSummaryRow('Discount', -order.giftCardAppliedAmount,
                         color: successColor),
+                  if (order.shippingMethodName != null)
+                    _buildSummaryRow(
+                        'Shipping (${order.shippingMethodName})', order.shippingCost),
                   const Divider(),
                   _buildSummaryRow('Total Paid', order.finalAmountPaid,
                       isTotal: true),
                 ],
               ),
             ),
+
+            // --- INVOICE ---
+            if (order.invoiceNumber != null) ...[
+              const SizedBox(height: defaultPadding),
+              OutlinedButton.icon(
+                icon: const Icon(Icons.receipt_long),
+                label: Text('Invoice ${order.invoiceNumber}'),
+                onPressed: () => _copyInvoice(context),
+              ),
+            ],
+
+            // --- CANCELLATION ---
+            if (order.status == 'pending') ...[
+              const SizedBox(height: defaultPadding),
+              OutlinedButton.icon(
+                style: OutlinedButton.styleFrom(foregroundColor: errorColor),
+                icon: const Icon(Icons.cancel_outlined),
+                label: const Text('Cancel Order'),
+                onPressed: () => _cancelOrder(context),
+              ),
+            ],
+
+            // --- RETURNS ---
+            if (order.status == 'shipped' || order.status == 'delivered') ...[
+              const SizedBox(height: defaultPadding),
+              OutlinedButton.icon(
+                icon: const Icon(Icons.assignment_return),
+                label: const Text('Return Items'),
+                onPressed: () => _requestReturn(context),
+              ),
+            ],
+          ],
+        ),
+      ),
+    );
+  }
+
+  /// Lets the customer pick a format, then copies the invoice to the clipboard.
+  Future<void> _copyInvoice(BuildContext context) async {
+    final pdf = await showDialog<bool>(
+      context: context,
+      builder: (ctx) => SimpleDialog(
+        title: Text('Invoice ${order.invoiceNumber}'),
+        children: [
+          SimpleDialogOption(
+            onPressed: () => Navigator.pop(ctx, false),
+            child: const Text('Copy as HTML'),
+          ),
+          SimpleDialogOption(
+            onPressed: () => Navigator.pop(ctx, true),
+            child: const Text('Copy as PDF (Base64)'),
+          ),
+        ],
+      ),
+    );
+    if (pdf == null) return;
+
+    try {
+      final invoice =
+          await OrderService().getInvoice(orderId: order.id, pdf: pdf);
+      final text = (pdf ? invoice['pdf'] : invoice['html']) as String? ?? '';
+      await Clipboard.setData(ClipboardData(text: text));
+      if (context.mounted) {
+        UiHelper.showSuccess(
+            context, 'Invoice ${invoice['number']} copied to clipboard');
+      }
+    } catch (e) {
+      if (context.mounted) UiHelper.showError(context, e);
+    }
+  }
+
+  /// Asks for confirmation (and an optional reason), then cancels the order.
+  ///
+  /// The page shows a snapshot of the order, so it closes on success; the
+  /// "My Orders" list reflects the new status.
+  Future<void> _cancelOrder(BuildContext context) async {
+    final reasonCtrl = TextEditingController();
+    final confirmed = await showDialog<bool>(
+      context: context,
+      builder: (ctx) => AlertDialog(
+        title: const Text('Cancel Order?'),
+        content: Column(
+          mainAxisSize: MainAxisSize.min,
+          children: [
+            const Text(
+                'The items go back into stock and any gift card amount or '
+                'fidelity points used are returned to you.'),
+            TextField(
+              controller: reasonCtrl,
+              maxLength: 500,
+              decoration:
+                  const InputDecoration(labelText: 'Reason (optional)'),
+            ),
           ],
         ),
+        actions: [
+          TextButton(
+              onPressed: () => Navigator.pop(ctx, false),
+              child: const Text('Keep Order')),
+          ElevatedButton(
+            style: ElevatedButton.styleFrom(backgroundColor: errorColor),
+            onPressed: () => Navigator.pop(ctx, true),
+            child: const Text('Cancel Order',
+                style: TextStyle(color: Colors.white)),
+          ),
+        ],
       ),
     );
+    final reason = reasonCtrl.text.trim();
+    reasonCtrl.dispose();
+    if (confirmed != true) return;
+
+    try {
+      await OrderService()
+          .cancelOrder(order.id, reason: reason.isEmpty ? null : reason);
+      if (!context.mounted) return;
+      UiHelper.showSuccess(context, 'Order cancelled');
+      Navigator.pop(context);
+    } catch (e) {
+      if (context.mounted) UiHelper.showError(context, e);
+    }
+  }
+
+  /// Opens the return dialog and confirms a submitted request.
+  Future<void> _requestReturn(BuildContext context) async {
+    final submitted = await showDialog<bool>(
+      context: context,
+      builder: (_) => ReturnRequestDialog(order: order),
+    );
+    if (submitted == true && context.mounted) {
+      UiHelper.showSuccess(
+          context, 'Return requested. We will email you the next steps.');
+    }
   }
 
   /// Builds the top section showing Order ID, Date, and Status chip.
@@ -155,6 +293,19 @@ class OrderDetailPage extends StatelessWidget {
           'Placed on: ${order.timestamp.toLocal().toString().split('.')[0]}',
           style: TextStyle(color: Colors.grey[700], fontSize: 14),
         ),
+        if (order.paymentStatus != null &&
+            order.paymentStatus != 'not_required') ...[
+          const SizedBox(height: 4),
+          Text(
+            'Payment: ${order.paymentStatus!.replaceAll('_', ' ')}',
+            style: TextStyle(
+              color: order.paymentStatus == 'payment_failed'
+                  ? Colors.red
+                  : Colors.grey[700],
+              fontSize: 14,
+            ),
+          ),
+        ],
       ],
     );
   }
@@ -0,0 +1,107 @@
+// lib/pages/privacy_page.dart
+import 'package:flutter/material.dart';
+import 'package:flutter/services.dart';
+import 'package:webshop/services/auth_service.dart';
+import 'package:webshop/utils/constants.dart';
+import 'package:webshop/utils/ui_helper.dart';
+
+/// Lets customers exercise their data rights.
+///
+/// * **Export:** Copies a JSON archive of everything stored about the account
+///   to the clipboard.
+/// * **Delete:** Permanently deletes the account after a confirmation. Orders
+///   are kept in anonymized form for accounting.
+class PrivacyPage extends StatefulWidget {
+  const PrivacyPage({super.key});
+
+  @override
+  State<PrivacyPage> createState() => _PrivacyPageState();
+}
+
+class _PrivacyPageState extends State<PrivacyPage> {
+  final AuthService _authService = AuthService();
+  bool _isBusy = false;
+
+  Future<void> _export() async {
+    setState(() => _isBusy = true);
+    try {
+      final json = await _authService.exportMyData();
+      await Clipboard.setData(ClipboardData(text: json));
+      if (mounted) UiHelper.showSuccess(context, 'Data copied to clipboard');
+    } catch (e) {
+      if (mounted) UiHelper.showError(context, e);
+    } finally {
+      if (mounted) setState(() => _isBusy = false);
+    }
+  }
+
+  Future<void> _delete() async {
+    final confirmed = await showDialog<bool>(
+      context: context,
+      builder: (ctx) => AlertDialog(
+        title: const Text('Delete Account?'),
+        content: const Text(
+            'Your profile, cart, wishlist and fidelity points will be deleted '
+            'and your reviews will be shown as "Anonymous". Orders are kept '
+            'without your contact details for accounting. This cannot be undone.'),
+        actions: [
+          TextButton(
+              onPressed: () => Navigator.pop(ctx, false),
+              child: const Text('Cancel')),
+          ElevatedButton(
+            style: ElevatedButton.styleFrom(backgroundColor: errorColor),
+            onPressed: () => Navigator.pop(ctx, true),
+            child: const Text('Delete', style: TextStyle(color: Colors.white)),
+          ),
+        ],
+      ),
+    );
+    if (confirmed != true) return;
+
+    setState(() => _isBusy = true);
+    try {
+      await _authService.deleteMyAccount();
+      if (!mounted) return;
+      UiHelper.showSuccess(context, 'Your account was deleted');
+      Navigator.of(context).popUntil((route) => route.isFirst);
+    } catch (e) {
+      if (mounted) UiHelper.showError(context, e);
+    } finally {
+      if (mounted) setState(() => _isBusy = false);
+    }
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    return Scaffold(
+      appBar: AppBar(title: const Text('Privacy & Data')),
+      body: ListView(
+        padding: const EdgeInsets.all(defaultPadding),
+        children: [
+          ListTile(
+            leading: const Icon(Icons.download),
+            title: const Text('Export My Data'),
+            subtitle: const Text(
+                'Profile, orders, invoices, returns, reviews and more as JSON.'),
+            onTap: _isBusy ? null : _export,
+          ),
+          const Divider(),
+          ListTile(
+            leading: const Icon(Icons.delete_forever, color: errorColor),
+            title: const Text('Delete My Account',
+                style: TextStyle(color: errorColor)),
+            subtitle: const Text(
+                'Possible once all orders and returns are completed. '
+                'You may be asked to sign in again first.'),
+            onTap: _isBusy ? null : _delete,
+          ),
+          if (_isBusy)
+            const Padding(
+              padding: EdgeInsets.all(defaultPadding),
+              child: Center(child: CircularProgressIndicator()),
+            ),
+        ],
+      ),
+    );
+  }
+}
@@ -93,7 +93,7 @@ class _ProductDetailPageState extends ConsumerState<ProductDetailPage> {
 
   /// Increments the local quantity counter, ensuring it doesn't exceed available stock.
   void _incrementQuantity() {
-    if (_quantity < widget.product.stock) {
+    if (_quantity < widget.product.availableStock) {
       setState(() => _quantity++);
     } else {
       ScaffoldMessenger.of(context).showSnackBar(
@@ -278,7 +278,8 @@ class _ProductDetailPageState extends ConsumerState<ProductDetailPage> {
 
                 if (mounted) {
                   Navigator.pop(ctx);
-                  UiHelper.showSuccess(context, "Review posted!");
+                  UiHelper.showSuccess(
+                      context, "Review submitted! It will appear once it has been checked.");
                 }
               } catch (e) {
                 if (mounted) UiHelper.showError(context, e);
@@ -491,7 +492,7 @@ class _ProductDetailPageState extends ConsumerState<ProductDetailPage> {
     // ==================================================================
     // UI BUILD
     // ==================================================================
-    final bool isOutOfStock = widget.product.stock <= 0;
+    final bool isOutOfStock = widget.product.availableStock <= 0;
     final bool isOnSale = widget.product.discountPercentage > 0;
 
     // Check if product is in wishlist to update UI state
@@ -637,7 +638,7 @@ class _ProductDetailPageState extends ConsumerState<ProductDetailPage> {
                       Text(
                         isOutOfStock
                             ? 'Out of Stock'
-                            : 'In Stock: ${widget.product.stock} units',
+                            : 'In Stock: ${widget.product.availableStock} units',
                         style: TextStyle(
                           color: isOutOfStock ? errorColor : successColor,
                           fontWeight: FontWeight.bold,
@@ -702,7 +703,7 @@ class _ProductDetailPageState extends ConsumerState<ProductDetailPage> {
                             IconButton(
                               icon: const Icon(Icons.add),
                               onPressed: isOutOfStock ||
-                                      _quantity >= widget.product.stock
+                                      _quantity >= widget.product.availableStock
                                   ? null
                                   : _incrementQuantity,
                             ),
@@ -1,4 +1,5 @@
 // lib/providers/cart_providers.dart
+import 'dart:math';
 import 'package:flutter_riverpod/flutter_riverpod.dart';
 import 'package:firebase_auth/firebase_auth.dart';
 import 'package:webshop/services/cart_service.dart';
@@ -51,7 +52,9 @@ final rawCartDetailsProvider = StreamProvider<Map<String, dynamic>>((ref) {
 ///
 /// This is a "Computed Provider" that combines data from two sources:
 /// 1. [cartItemsProvider]: To calculate the subtotal locally (Price * Quantity).
-/// 2. [rawCartDetailsProvider]: To get server-side validated discounts.
+/// 2. [rawCartDetailsProvider]: To get server-side validated discounts and the
+///    shipping cost. They are applied in the server's order: promotion,
+///    fidelity points, then shipping, then the gift card.
 ///
 /// **Why calculate locally?**
 /// Calculating the subtotal on the client provides instant feedback to the user
@@ -77,19 +80,41 @@ final cartDetailsProvider = Provider<AsyncValue<Map<String, dynamic>>>((ref) {
     subtotal += item.product.price * item.quantity;
   }
 
-  // Retrieve the discount value from the database.
-  // This value is typically written by a Cloud Function after verifying the gift card.
+  // Retrieve the discount values from the database.
+  // These values are written by the Cloud Functions after validating them.
   double giftCardDiscount =
       (rawDetails['giftCardAppliedAmount'] as num?)?.toDouble() ?? 0.0;
   String? appliedCode = rawDetails['appliedGiftCardCode'] as String?;
+  final String? promoCode = rawDetails['appliedPromoCode'] as String?;
+  final int pointsRedeemed =
+      (rawDetails['fidelityPointsRedeemed'] as num?)?.toInt() ?? 0;
+  final double shippingCost = rawDetails['shippingMethodId'] != null
+      ? (rawDetails['shippingCost'] as num?)?.toDouble() ?? 0.0
+      : 0.0;
 
   // Calculate the final amount to pay.
-  // We apply a floor of 0.0 to prevent negative totals in case the discount > subtotal.
-  double totalToPay = subtotal - giftCardDiscount;
-  if (totalToPay < 0) totalToPay = 0.0;
+  // Each discount is capped to what is still open, so the total never goes below 0.0.
+  double open = subtotal;
+  final double promoDiscount = promoCode != null
+      ? min((rawDetails['promoDiscountAmount'] as num?)?.toDouble() ?? 0.0, open)
+      : 0.0;
+  open -= promoDiscount;
+  final double fidelityDiscount = pointsRedeemed > 0
+      ? min((rawDetails['fidelityDiscountAmount'] as num?)?.toDouble() ?? 0.0, open)
+      : 0.0;
+  open = open - fidelityDiscount + shippingCost;
+  giftCardDiscount = min(giftCardDiscount, open);
+  final double totalToPay = open - giftCardDiscount;
 
   return AsyncValue.data({
     'subtotal': subtotal, // The raw cost of items
+    'appliedPromoCode': promoCode, // The promotion code to display in the UI
+    'promoDiscountAmount': promoDiscount, // The promotion discount
+    'promoError': rawDetails['promoError'] as String?, // Why the code no longer applies
+    'fidelityPointsRedeemed': pointsRedeemed, // Points reserved for this order
+    'fidelityDiscountAmount': fidelityDiscount, // Their value in Euro
+    'shippingMethodName': rawDetails['shippingMethodName'] as String?,
+    'shippingCost': shippingCost,
     'giftCardAppliedAmount': giftCardDiscount, // The discount applied
     'finalAmountToPay': totalToPay, // What the user actually pays
     'totalPrice': subtotal, // Alias kept for UI compatibility
@@ -97,3 +122,16 @@ final cartDetailsProvider = Provider<AsyncValue<Map<String, dynamic>>>((ref) {
     'itemCount': items.length, // Total unique items count
   });
 });
+
+/// Checks the cart against the current catalogue (`validateCart`).
+///
+/// Re-runs whenever the cart items change, so the cart page can flag changed
+/// prices, unavailable items and invalid quantities per line before checkout
+/// instead of `completeOrder` rejecting the order at the end.
+final cartValidationProvider =
+    FutureProvider.autoDispose<Map<String, dynamic>>((ref) async {
+  final items = ref.watch(cartItemsProvider).value ?? [];
+  if (items.isEmpty) return {'valid': true, 'issues': []};
+
+  return ref.watch(cartServiceProvider).validateCart();
+});
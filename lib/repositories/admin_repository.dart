@@ -1,6 +1,8 @@
 // lib/repositories/admin_repository.dart
 import 'package:cloud_firestore/cloud_firestore.dart';
+import 'package:cloud_functions/cloud_functions.dart';
 import 'package:webshop/models/product.dart';
+import 'package:webshop/models/review.dart';
 // We use an alias 'app_model' to avoid potential naming conflicts if other
 // libraries export a class named 'Order' (e.g., payment SDKs).
 import 'package:webshop/models/order.dart' as app_model;
@@ -11,28 +13,75 @@ import 'package:webshop/models/order.dart' as app_model;
 /// modifications to the product catalog and full visibility into all customer orders.
 class AdminRepository {
   final FirebaseFirestore _firestore = FirebaseFirestore.instance;
+  final FirebaseFunctions _functions = FirebaseFunctions.instance;
 
   // --- Product Management ---
 
-  /// Saves a product to the Firestore 'products' collection.
+  /// Saves a product via the `saveProduct` Cloud Function.
   ///
-  /// This method intelligently handles both creation and updates:
-  /// * If [product.id] is empty, it treats it as a new item and lets Firestore generate a unique ID.
-  /// * If [product.id] exists, it updates the existing document.
+  /// The server validates the fields and records the change in the audit log:
+  /// * If [product.id] is empty, a new product is created with a generated ID.
+  /// * If [product.id] exists, the existing document is updated.
   Future<void> saveProduct(Product product) async {
-    final collection = _firestore.collection('products');
-    if (product.id.isEmpty) {
-      // Create: Add new document
-      await collection.add(product.toMap());
-    } else {
-      // Update: Modify existing document
-      await collection.doc(product.id).update(product.toMap());
+    try {
+      final callable = _functions.httpsCallable('saveProduct');
+      await callable.call<Map<String, dynamic>>({
+        if (product.id.isNotEmpty) 'id': product.id,
+        'product': product.toMap(),
+      });
+    } on FirebaseFunctionsException catch (e) {
+      throw Exception('Save Error: ${e.message}');
     }
   }
 
-  /// Permanently deletes a product from the catalog.
+  /// Permanently deletes a product from the catalog (recorded in the audit log).
   Future<void> deleteProduct(String productId) async {
-    await _firestore.collection('products').doc(productId).delete();
+    try {
+      final callable = _functions.httpsCallable('deleteProduct');
+      await callable.call<Map<String, dynamic>>({'id': productId});
+    } on FirebaseFunctionsException catch (e) {
+      throw Exception('Delete Error: ${e.message}');
+    }
+  }
+
+  // --- Bulk Import / Export ---
+
+  /// Upserts products from a CSV (with header row) or JSON payload via the
+  /// `importProducts` Cloud Function.
+  ///
+  /// * [payload]: The CSV text or a JSON array string.
+  /// * [dryRun]: Validates only; nothing is written.
+  ///
+  /// Returns the report: `summary` (created/updated/rejected counts), `ignoredColumns`
+  /// and `rows` with the action and errors of every row.
+  Future<Map<String, dynamic>> importProducts(String payload,
+      {bool json = false, bool dryRun = false}) async {
+    try {
+      final callable = _functions.httpsCallable('importProducts');
+      final result = await callable.call<Map<String, dynamic>>({
+        'format': json ? 'json' : 'csv',
+        'data': payload,
+        'dryRun': dryRun,
+      });
+      return Map<String, dynamic>.from(result.data);
+    } on FirebaseFunctionsException catch (e) {
+      throw Exception('Import Error: ${e.message}');
+    }
+  }
+
+  /// Exports the whole catalogue as CSV via the `exportProducts` Cloud Function.
+  ///
+  /// The result uses the import columns plus `averageRating` and `reviewCount`,
+  /// so it can be edited and imported again.
+  Future<String> exportProductsCsv() async {
+    try {
+      final callable = _functions.httpsCallable('exportProducts');
+      final result =
+          await callable.call<Map<String, dynamic>>({'format': 'csv'});
+      return result.data['data'] as String? ?? '';
+    } on FirebaseFunctionsException catch (e) {
+      throw Exception('Export Error: ${e.message}');
+    }
   }
 
   // --- Order Management ---
@@ -53,11 +102,162 @@ class AdminRepository {
 
   /// Updates the workflow status of a specific order.
   ///
+  /// Delegates to the `updateOrderStatus` Cloud Function, which enforces the
+  /// allowed lifecycle transitions and records them in the order history.
+  ///
   /// * [orderId]: The unique document ID of the order.
   /// * [newStatus]: The new status string (e.g., 'shipped', 'delivered', 'cancelled').
-  Future<void> updateOrderStatus(String orderId, String newStatus) async {
-    await _firestore.collection('orders').doc(orderId).update({
-      'status': newStatus,
-    });
+  /// * [carrier] / [trackingNumber]: Required when [newStatus] is 'shipped'.
+  Future<void> updateOrderStatus(String orderId, String newStatus,
+      {String? carrier, String? trackingNumber, String? note}) async {
+    try {
+      final callable = _functions.httpsCallable('updateOrderStatus');
+      await callable.call<Map<String, dynamic>>({
+        'orderId': orderId,
+        'status': newStatus,
+        if (carrier != null) 'carrier': carrier,
+        if (trackingNumber != null) 'trackingNumber': trackingNumber,
+        if (note != null) 'note': note,
+      });
+    } on FirebaseFunctionsException catch (e) {
+      throw Exception('Status Update Error: ${e.message}');
+    }
+  }
+
+  // --- Review Moderation ---
+
+  /// Returns a real-time stream of all reviews waiting for moderation, across all products.
+  Stream<List<Review>> getPendingReviewsStream() {
+    return _firestore
+        .collectionGroup('reviews')
+        .where('status', isEqualTo: 'pending')
+        .snapshots()
+        .map((snapshot) => snapshot.docs
+            .map((doc) => Review.fromMap(doc.data(), doc.id))
+            .toList());
+  }
+
+  /// Approves or rejects a pending review via the `moderateReview` Cloud Function.
+  ///
+  /// Only approved reviews are shown and counted in the product rating.
+  Future<void> moderateReview(String productId, String reviewId,
+      {required bool approve}) async {
+    try {
+      final callable = _functions.httpsCallable('moderateReview');
+      await callable.call<Map<String, dynamic>>({
+        'productId': productId,
+        'reviewId': reviewId,
+        'decision': approve ? 'approve' : 'reject',
+      });
+    } on FirebaseFunctionsException catch (e) {
+      throw Exception('Moderation Error: ${e.message}');
+    }
+  }
+
+  // --- Returns ---
+
+  /// Returns a real-time stream of return requests, newest first.
+  ///
+  /// Each entry is the raw `returns/{id}` document (status, items, refund).
+  Stream<List<Map<String, dynamic>>> getReturnsStream() {
+    return _firestore
+        .collection('returns')
+        .orderBy('createdAt', descending: true)
+        .limit(100)
+        .snapshots()
+        .map((snapshot) =>
+            snapshot.docs.map((doc) => {...doc.data(), 'id': doc.id}).toList());
+  }
+
+  /// Approves a requested return (`approveReturn`).
+  Future<void> approveReturn(String returnId, {String? note}) =>
+      _updateReturn('approveReturn', {'returnId': returnId, 'note': note});
+
+  /// Rejects a return (`rejectReturn`); the [reason] is sent to the customer.
+  Future<void> rejectReturn(String returnId, String reason) =>
+      _updateReturn('rejectReturn', {'returnId': returnId, 'reason': reason});
+
+  /// Marks the items as received (`receiveReturn`): restocks them and
+  /// issues the refund and the credit note.
+  Future<void> receiveReturn(String returnId, {String? note}) =>
+      _updateReturn('receiveReturn', {'returnId': returnId, 'note': note});
+
+  Future<void> _updateReturn(String name, Map<String, dynamic> data) async {
+    try {
+      final callable = _functions.httpsCallable(name);
+      await callable.call<Map<String, dynamic>>(data);
+    } on FirebaseFunctionsException catch (e) {
+      throw Exception('Return Error: ${e.message}');
+    }
+  }
+
+  // --- Gift Cards ---
+
+  /// Issues a gift card via the `issueGiftCard` Cloud Function and emails the
+  /// code to [recipientEmail].
+  ///
+  /// * [expiresAt]: Optional last day of validity (UTC calendar day).
+  ///
+  /// Returns the generated code.
+  Future<String> issueGiftCard({
+    required double amount,
+    required String recipientEmail,
+    String? recipientName,
+    String? message,
+    DateTime? expiresAt,
+  }) async {
+    try {
+      final callable = _functions.httpsCallable('issueGiftCard');
+      final result = await callable.call<Map<String, dynamic>>({
+        'amount': amount,
+        'recipientEmail': recipientEmail,
+        'recipientName': recipientName,
+        'message': message,
+        if (expiresAt != null)
+          'expiresAt': expiresAt.toIso8601String().substring(0, 10),
+      });
+      return result.data['code'] as String;
+    } on FirebaseFunctionsException catch (e) {
+      throw Exception('Gift Card Error: ${e.message}');
+    }
+  }
+
+  // --- User Roles ---
+
+  /// Assigns a role ('customer', 'admin' or 'super_admin') to a user via the
+  /// `setUserRole` Cloud Function. Only super admins may call it.
+  Future<void> setUserRole(String userId, String role) async {
+    try {
+      final callable = _functions.httpsCallable('setUserRole');
+      await callable.call<Map<String, dynamic>>({'uid': userId, 'role': role});
+    } on FirebaseFunctionsException catch (e) {
+      throw Exception('Role Update Error: ${e.message}');
+    }
+  }
+
+  // --- Sales Reports ---
+
+  /// Loads the sales report for a date range via the `getSalesReport` Cloud Function.
+  ///
+  /// * [from] / [to]: Inclusive range (UTC calendar days).
+  /// * [monthly]: Groups the series by month instead of by day.
+  /// * [csv]: Also returns the tables as CSV under `csv`.
+  ///
+  /// Returns the raw report: `series`, `totals`, `products` and `categories`.
+  Future<Map<String, dynamic>> getSalesReport(DateTime from, DateTime to,
+      {bool monthly = false, bool csv = false}) async {
+    String day(DateTime d) => d.toIso8601String().substring(0, 10);
+    try {
+      final callable = _functions.httpsCallable('getSalesReport');
+      final result = await callable.call<Map<String, dynamic>>({
+        'from': day(from),
+        'to': day(to),
+        'granularity': monthly ? 'month' : 'day',
+        if (csv) 'format': 'csv',
+      });
+      return Map<String, dynamic>.from(result.data);
+    } on FirebaseFunctionsException catch (e) {
+      throw Exception('Sales Report Error: ${e.message}');
+    }
   }
 }
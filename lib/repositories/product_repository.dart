@@ -1,6 +1,7 @@
 // lib/repositories/product_repository.dart
 import 'package:cloud_firestore/cloud_firestore.dart';
 import 'package:webshop/models/product.dart';
+import 'package:webshop/repositories/product_search_repository.dart';
 
 /// Manages data operations for the product catalog.
 ///
@@ -11,9 +12,13 @@ import 'package:webshop/models/product.dart';
 /// * Caching strategies to reduce network costs and latency.
 class ProductRepository {
   final FirebaseFirestore _firestore;
+  final ProductSearchRepository _search;
 
-  /// Allows injecting a [FirebaseFirestore] instance for testing (emulator/mocks).
-  ProductRepository({FirebaseFirestore? firestore}) : _firestore = firestore ?? FirebaseFirestore.instance;
+  /// Allows injecting a [FirebaseFirestore] instance and a [ProductSearchRepository]
+  /// for testing (emulator/mocks).
+  ProductRepository({FirebaseFirestore? firestore, ProductSearchRepository? search})
+      : _firestore = firestore ?? FirebaseFirestore.instance,
+        _search = search ?? ProductSearchRepository();
   
   // A simple in-memory cache to store fetched products by their ID.
   // This prevents redundant network calls when viewing details of the same product multiple times.
@@ -111,30 +116,21 @@ class ProductRepository {
     }
   }
 
+  /// Full-text search over the catalogue, ranked by relevance.
+  ///
+  /// Delegates to the server-side search index (see [ProductSearchRepository]),
+  /// so only the matching products are transferred.
   Future<List<Product>> searchProductsByText(String queryText, {int limit = 50}) async {
     try {
-      final snapshot = await _firestore
-          .collection('products')
-          .orderBy('productName')
-          .limit(limit)
-          .get();
-
-      final terms = queryText.toLowerCase().split(RegExp(r"\s+"));
-
-      final results = snapshot.docs
-          .map((d) => Product.fromMap(d.data(), d.id))
-          .where((p) {
-        final hay = (p.name + ' ' + p.description).toLowerCase();
-        return terms.every((t) => hay.contains(t));
-      }).toList();
+      final result = await _search.search(query: queryText, limit: limit);
 
       // Update cache
-      for (final p in results) _memoryCache[p.id] = p;
+      for (final p in result.products) _memoryCache[p.id] = p;
 
-      return results;
+      return result.products;
     } catch (e) {
       print('Error during search: $e');
       return <Product>[];
     }
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,102 @@
+// lib/repositories/product_search_repository.dart
+import 'package:cloud_functions/cloud_functions.dart';
+import 'package:webshop/models/product.dart';
+
+/// Sort orders supported by the `searchProducts` Cloud Function.
+enum ProductSearchSort { relevance, priceAsc, priceDesc, rating, name }
+
+/// One page of search results.
+class ProductSearchResult {
+  /// The products of this page, already ranked by the server.
+  final List<Product> products;
+
+  /// The number of matches across all pages.
+  final int total;
+
+  /// `true` if the query matched more products than the server ranks, so the
+  /// results are incomplete and the search should be narrowed.
+  final bool truncated;
+
+  /// Pass this to the next search call to load the following page (`null` on the last page).
+  final String? nextCursor;
+
+  const ProductSearchResult({
+    required this.products,
+    required this.total,
+    this.truncated = false,
+    this.nextCursor,
+  });
+
+  bool get hasMore => nextCursor != null;
+}
+
+/// Searches the catalogue on the server (`searchProducts` Cloud Function).
+///
+/// Matching, filtering and ranking run against a search index maintained by
+/// the backend, so the client never has to download the product list.
+class ProductSearchRepository {
+  final FirebaseFunctions _functions;
+
+  /// Allows injecting a [FirebaseFunctions] instance for testing (emulator/mocks).
+  ProductSearchRepository({FirebaseFunctions? functions})
+      : _functions = functions ?? FirebaseFunctions.instance;
+
+  static const Map<ProductSearchSort, String> _sortNames = {
+    ProductSearchSort.relevance: 'relevance',
+    ProductSearchSort.priceAsc: 'price_asc',
+    ProductSearchSort.priceDesc: 'price_desc',
+    ProductSearchSort.rating: 'rating',
+    ProductSearchSort.name: 'name',
+  };
+
+  /// Runs a search. All filters are optional.
+  ///
+  /// * [query]: Free text; every word must match (prefixes count, accents are ignored).
+  /// * [category]: Exact category (case and accents are ignored).
+  /// * [minPrice] / [maxPrice]: Price range in Euro.
+  /// * [minRating]: Minimum average rating (0-5).
+  /// * [inStockOnly]: Hides products that cannot be bought right now.
+  /// * [sort]: Defaults to relevance with a [query], to name without.
+  /// * [cursor]: The [ProductSearchResult.nextCursor] of the previous page.
+  Future<ProductSearchResult> search({
+    String? query,
+    String? category,
+    double? minPrice,
+    double? maxPrice,
+    double? minRating,
+    bool inStockOnly = false,
+    ProductSearchSort? sort,
+    String? cursor,
+    int limit = 20,
+  }) async {
+    try {
+      final callable = _functions.httpsCallable('searchProducts');
+      final result = await callable.call<Map<String, dynamic>>({
+        if (query != null && query.trim().isNotEmpty) 'query': query.trim(),
+        if (category != null) 'category': category,
+        if (minPrice != null) 'minPrice': minPrice,
+        if (maxPrice != null) 'maxPrice': maxPrice,
+        if (minRating != null) 'minRating': minRating,
+        if (inStockOnly) 'inStock': true,
+        if (sort != null) 'sort': _sortNames[sort],
+        if (cursor != null) 'cursor': cursor,
+        'limit': limit,
+      });
+
+      final data = result.data;
+      final products = (data['products'] as List? ?? []).map((item) {
+        final map = Map<String, dynamic>.from(item as Map);
+        return Product.fromMap(map, map['id'] as String? ?? '');
+      }).toList();
+
+      return ProductSearchResult(
+        products: products,
+        total: (data['total'] as num?)?.toInt() ?? products.length,
+        truncated: data['truncated'] as bool? ?? false,
+        nextCursor: data['nextCursor'] as String?,
+      );
+    } on FirebaseFunctionsException catch (e) {
+      throw Exception('Search Error: ${e.message}');
+    }
+  }
+}
@@ -6,15 +6,16 @@ import 'package:webshop/models/review.dart';
 ///
 /// This repository manages the interaction with Firestore for:
 /// * Fetching the list of reviews for a specific product.
-/// * Adding new reviews while maintaining data consistency.
+/// * Adding new reviews (aggregates and moderation are handled server-side).
 /// * Verifying if a user is eligible to review a product based on purchase history.
 class ReviewRepository {
   final FirebaseFirestore _firestore = FirebaseFirestore.instance;
 
-  /// Provides a real-time stream of reviews for a given [productId].
+  /// Provides a real-time stream of published reviews for a given [productId].
   ///
   /// * **Ordering:** Reviews are sorted by `timestamp` in descending order (newest first).
   /// * **Real-time:** The stream emits a new list whenever a review is added or modified.
+  /// * **Moderation:** Reviews that are pending or rejected are filtered out.
   Stream<List<Review>> getReviewsStream(String productId) {
     return _firestore
         .collection('products')
@@ -24,56 +25,28 @@ class ReviewRepository {
         .snapshots()
         .map((snapshot) => snapshot.docs
             .map((doc) => Review.fromMap(doc.data(), doc.id))
+            .where((review) => review.isPublished)
             .toList());
   }
 
-  /// Adds a new review and atomically updates the product's rating statistics.
+  /// Adds a new review to the product's `reviews` subcollection.
   ///
-  /// This method uses a **Firestore Transaction** to ensure data integrity.
-  /// It performs two operations as a single atomic unit:
-  /// 1. Adds the review document to the `reviews` subcollection.
-  /// 2. Recalculates and updates the `averageRating` and `reviewCount` fields on the parent product document.
-  ///
-  /// This prevents race conditions where multiple users reviewing simultaneously
-  /// could lead to incorrect averages.
+  /// The rating statistics (`averageRating`, `reviewCount`, `ratingHistogram`) are
+  /// maintained by the `onReviewWrite` Cloud Function, which also stamps the
+  /// `verifiedPurchase` flag and runs moderation. A review that needs manual
+  /// approval stays hidden until an admin approves it.
   Future<void> addReview(String productId, Review review) async {
-    final productRef = _firestore.collection('products').doc(productId);
-    final reviewRef = productRef.collection('reviews').doc(); // Auto-generate ID
-
-    await _firestore.runTransaction((transaction) async {
-      // 1. Read: Fetch current product data to get existing stats.
-      final productSnapshot = await transaction.get(productRef);
-      if (!productSnapshot.exists) {
-        throw Exception("Product not found");
-      }
-
-      final data = productSnapshot.data() as Map<String, dynamic>;
-      
-      // Retrieve current values, handling nulls for new products (default to 0).
-      final double currentAverage = (data['averageRating'] as num?)?.toDouble() ?? 0.0;
-      final int currentCount = (data['reviewCount'] as int?) ?? 0;
-
-      // 2. Calculate: Compute the new aggregate values.
-      final int newCount = currentCount + 1;
-      
-      // Cumulative Moving Average formula:
-      // New Average = ((Old Average * Old Count) + New Rating) / New Count
-      final double newAverage = ((currentAverage * currentCount) + review.rating) / newCount;
-
-      // 3. Write: Save the new review to the subcollection.
-      transaction.set(reviewRef, review.toMap());
-
-      // 4. Update: Write the new stats back to the parent product document.
-      transaction.update(productRef, {
-        'averageRating': newAverage,
-        'reviewCount': newCount,
-      });
-    });
+    await _firestore
+        .collection('products')
+        .doc(productId)
+        .collection('reviews')
+        .add(review.toMap());
   }
 
   /// Verifies if a specific user has purchased a specific product.
   ///
-  /// Used to enforce "Verified Purchase" restrictions on reviews.
+  /// Used by the UI to only offer the review form to buyers. The authoritative
+  /// "Verified Purchase" flag is stamped on the review by the server.
   /// It queries the `orders` collection for the user's history and checks
   /// if the [productId] exists within the items of any order.
   ///
@@ -68,24 +68,11 @@ class UserRepository {
 
   /// Activates the loyalty program status for a specific user.
   ///
-  /// This updates the `isFidelityActive` flag to true and initializes the
-  /// point balance to 0.
+  /// This updates the `isFidelityActive` flag to true. The point balance is
+  /// maintained by the backend and starts at 0 when the field is missing.
   Future<void> activateFidelity(String userId) async {
     await _firestore.collection('users').doc(userId).update({
       'isFidelityActive': true,
-      'fidelityPoints': 0, // Reset or start at 0
-    });
-  }
-
-  /// Atomically adds loyalty points to the user's balance.
-  ///
-  /// **Why use [FieldValue.increment]?**
-  /// This operation is safe for concurrent transactions. If two separate processes
-  /// try to add points at the exact same time, Firestore handles the math
-  /// server-side, preventing race conditions (e.g., overwriting a previous write).
-  Future<void> addFidelityPoints(String userId, int pointsToAdd) async {
-    await _firestore.collection('users').doc(userId).update({
-      'fidelityPoints': FieldValue.increment(pointsToAdd),
     });
   }
 }
\ No newline at end of file
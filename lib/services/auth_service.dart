@@ -1,4 +1,7 @@
 // lib/services/auth_service.dart
+import 'dart:convert';
+
+import 'package:cloud_functions/cloud_functions.dart';
 import 'package:firebase_auth/firebase_auth.dart';
 import 'package:webshop/models/app_user.dart';
 import 'package:webshop/repositories/user_repository.dart';
@@ -10,6 +13,7 @@ import 'package:webshop/repositories/user_repository.dart';
 /// corresponding profile document in Firestore.
 class AuthService {
   final FirebaseAuth _auth = FirebaseAuth.instance;
+  final FirebaseFunctions _functions = FirebaseFunctions.instance;
   final UserRepository _userRepository = UserRepository();
 
   /// Exposes a stream of authentication state changes.
@@ -134,6 +138,20 @@ class AuthService {
     return _userRepository.getUserProfile(userId);
   }
 
+  /// Returns the current user's role from the `role` custom claim of the ID
+  /// token ('customer' if there is none or no user is logged in).
+  ///
+  /// The claim is what the Cloud Functions and security rules check, so the
+  /// admin UI is shown based on it rather than on the profile. The token is
+  /// refreshed first, so a role change is picked up without signing in again.
+  Future<String> getCurrentRole() async {
+    final user = _auth.currentUser;
+    if (user == null) return 'customer';
+    final token = await user.getIdTokenResult(true);
+    final role = token.claims?['role'];
+    return role is String ? role : 'customer';
+  }
+
   /// Updates the current user's profile information in Firestore.
   ///
   /// Throws an [Exception] if no user is currently logged in.
@@ -144,4 +162,35 @@ class AuthService {
     }
     await _userRepository.saveUserProfile(userId, userProfile);
   }
+
+  /// Exports all data stored about the current user via the `exportMyData`
+  /// Cloud Function.
+  ///
+  /// Returns the archive as indented JSON (profile, cart, wishlist, orders,
+  /// invoices, returns, reviews, gift cards, ...).
+  Future<String> exportMyData() async {
+    try {
+      final callable = _functions.httpsCallable('exportMyData');
+      final result = await callable.call<Map<String, dynamic>>();
+      return const JsonEncoder.withIndent('  ').convert(result.data);
+    } on FirebaseFunctionsException catch (e) {
+      throw Exception('Data Export Error: ${e.message}');
+    }
+  }
+
+  /// Permanently deletes the current user's account via the `deleteMyAccount`
+  /// Cloud Function, then signs out.
+  ///
+  /// The server deletes the profile, cart and wishlist and anonymizes orders,
+  /// returns and reviews. It refuses while orders or returns are still being
+  /// processed, and requires a recent sign-in (the error message says so).
+  Future<void> deleteMyAccount() async {
+    try {
+      final callable = _functions.httpsCallable('deleteMyAccount');
+      await callable.call<Map<String, dynamic>>();
+    } on FirebaseFunctionsException catch (e) {
+      throw Exception('Account Deletion Error: ${e.message}');
+    }
+    await signOut();
+  }
 }
@@ -94,9 +94,9 @@ class CartService {
     final int newTotalQuantity = currentQuantityInCart + quantityToAdd;
 
     // Stock Validation: Prevent adding more items than physically available.
-    if (newTotalQuantity > product.stock) {
+    if (newTotalQuantity > product.availableStock) {
       throw Exception(
-          'Cannot add $quantityToAdd items. You already have $currentQuantityInCart in cart and stock is only ${product.stock}.');
+          'Cannot add $quantityToAdd items. You already have $currentQuantityInCart in cart and stock is only ${product.availableStock}.');
     }
 
     // Persist the change.
@@ -138,9 +138,9 @@ class CartService {
       throw Exception('Product not found for cart item $cartItemId');
     }
 
-    if (product.stock < newQuantity) {
+    if (product.availableStock < newQuantity) {
       throw Exception(
-          'Not enough stock for ${product.name}. Available: ${product.stock}. Requested: $newQuantity');
+          'Not enough stock for ${product.name}. Available: ${product.availableStock}. Requested: $newQuantity');
     }
 
     // Update with full product details to keep cart snapshots fresh.
@@ -215,4 +215,200 @@ class CartService {
       throw Exception('Failed to remove gift card: $e');
     }
   }
+
+  /// Redeems Fidelity Points as a discount on the cart.
+  ///
+  /// Delegates to a Cloud Function (`redeemFidelityPoints`) that validates the
+  /// balance and adjusts `finalAmountToPay`. The points are only debited when
+  /// the order is completed. Passing `0` removes the redemption.
+  Future<Map<String, dynamic>> redeemFidelityPoints(int points) async {
+    final userId = _currentUserId;
+    if (userId == null) throw Exception('User not logged in.');
+
+    await _syncCartTotals(userId);
+
+    try {
+      final callable = _functions.httpsCallable('redeemFidelityPoints');
+      final result = await callable.call<Map<String, dynamic>>({
+        'points': points,
+      });
+      return Map<String, dynamic>.from(result.data as Map<String, dynamic>);
+    } on FirebaseFunctionsException catch (e) {
+      throw Exception('Fidelity Points Error: ${e.message}');
+    } catch (e) {
+      throw Exception('Failed to redeem fidelity points: $e');
+    }
+  }
+
+  /// Checks the cart against the current catalogue before checkout.
+  ///
+  /// Delegates to the `validateCart` Cloud Function, which returns
+  /// `{valid, issues, subtotal}`. Each issue has a `type` (`price_changed`,
+  /// `unavailable` or `invalid_quantity`) and the affected
+  /// `productId`/`productName` (see [CartChangedException.describe]).
+  /// Set [acceptChanges] to update the cart to the current prices.
+  Future<Map<String, dynamic>> validateCart({bool acceptChanges = false}) async {
+    final userId = _currentUserId;
+    if (userId == null) throw Exception('User not logged in.');
+
+    try {
+      final callable = _functions.httpsCallable('validateCart');
+      final result = await callable.call<Map<String, dynamic>>({
+        'acceptChanges': acceptChanges,
+      });
+      return Map<String, dynamic>.from(result.data as Map<String, dynamic>);
+    } on FirebaseFunctionsException catch (e) {
+      throw Exception('Cart Validation Error: ${e.message}');
+    } catch (e) {
+      throw Exception('Failed to validate cart: $e');
+    }
+  }
+
+  /// Applies a promotion code to the cart.
+  ///
+  /// Delegates to the `applyPromoCode` Cloud Function, which validates the
+  /// promotion (dates, usage limits, minimum spend) and stores the discount
+  /// on the cart.
+  Future<Map<String, dynamic>> applyPromoCode(String code) async {
+    final userId = _currentUserId;
+    if (userId == null) throw Exception('User not logged in.');
+
+    try {
+      final callable = _functions.httpsCallable('applyPromoCode');
+      final result = await callable.call<Map<String, dynamic>>({
+        'code': code,
+      });
+      return Map<String, dynamic>.from(result.data as Map<String, dynamic>);
+    } on FirebaseFunctionsException catch (e) {
+      throw Exception('Promo Code Error: ${e.message}');
+    } catch (e) {
+      throw Exception('Failed to apply promo code: $e');
+    }
+  }
+
+  /// Removes the currently applied promotion code.
+  Future<Map<String, dynamic>> removePromoCode() async {
+    final userId = _currentUserId;
+    if (userId == null) throw Exception('User not logged in.');
+
+    try {
+      final callable = _functions.httpsCallable('removePromoCode');
+      final result = await callable.call<Map<String, dynamic>>({});
+      return Map<String, dynamic>.from(result.data as Map<String, dynamic>);
+    } on FirebaseFunctionsException catch (e) {
+      throw Exception('Promo Code Error: ${e.message}');
+    } catch (e) {
+      throw Exception('Failed to remove promo code: $e');
+    }
+  }
+
+  /// Reserves the cart quantities for the duration of the checkout.
+  ///
+  /// Delegates to the `reserveCart` Cloud Function, which holds the stock for
+  /// a limited time so the order cannot fail for lack of stock at the end of
+  /// checkout. Returns the reserved `items` and the `expiresAt` timestamp.
+  Future<Map<String, dynamic>> reserveCart() async {
+    final userId = _currentUserId;
+    if (userId == null) throw Exception('User not logged in.');
+
+    try {
+      final callable = _functions.httpsCallable('reserveCart');
+      final result = await callable.call<Map<String, dynamic>>({});
+      return Map<String, dynamic>.from(result.data as Map<String, dynamic>);
+    } on FirebaseFunctionsException catch (e) {
+      throw CartChangedException.fromFunctionsException(e) ??
+          Exception('Reservation Error: ${e.message}');
+    } catch (e) {
+      throw Exception('Failed to reserve cart: $e');
+    }
+  }
+
+  /// Lists the shipping methods available for the current cart.
+  ///
+  /// Delegates to the `getShippingOptions` Cloud Function, which prices each
+  /// method by destination [postcode] (defaults to the profile address) and
+  /// cart weight. Each option has `methodId`, `name`, `type`, `price`,
+  /// `deliveryDays` and `freeShipping`.
+  Future<List<Map<String, dynamic>>> getShippingOptions({String? postcode}) async {
+    final userId = _currentUserId;
+    if (userId == null) throw Exception('User not logged in.');
+
+    try {
+      final callable = _functions.httpsCallable('getShippingOptions');
+      final result = await callable.call<Map<String, dynamic>>({
+        if (postcode != null) 'postcode': postcode,
+      });
+      final options = (result.data['options'] as List?) ?? [];
+      return options
+          .map((o) => Map<String, dynamic>.from(o as Map))
+          .toList();
+    } on FirebaseFunctionsException catch (e) {
+      throw Exception('Shipping Error: ${e.message}');
+    } catch (e) {
+      throw Exception('Failed to load shipping options: $e');
+    }
+  }
+
+  /// Stores the chosen shipping method and its cost on the cart.
+  ///
+  /// Delegates to the `selectShippingMethod` Cloud Function; the cost is
+  /// included in `finalAmountToPay`.
+  Future<Map<String, dynamic>> selectShippingMethod(String methodId,
+      {String? postcode}) async {
+    final userId = _currentUserId;
+    if (userId == null) throw Exception('User not logged in.');
+
+    try {
+      final callable = _functions.httpsCallable('selectShippingMethod');
+      final result = await callable.call<Map<String, dynamic>>({
+        'methodId': methodId,
+        if (postcode != null) 'postcode': postcode,
+      });
+      return Map<String, dynamic>.from(result.data as Map<String, dynamic>);
+    } on FirebaseFunctionsException catch (e) {
+      throw Exception('Shipping Error: ${e.message}');
+    } catch (e) {
+      throw Exception('Failed to select shipping method: $e');
+    }
+  }
+}
+
+/// Thrown when the server rejects the cart because it no longer matches the
+/// catalogue (`details.reason == 'cart-changed'` from `completeOrder` or
+/// `reserveCart`).
+///
+/// [issues] has the same format as the issues of [CartService.validateCart].
+class CartChangedException implements Exception {
+  final List<Map<String, dynamic>> issues;
+
+  const CartChangedException(this.issues);
+
+  /// Returns the cart issues carried by [e], or `null` for any other error.
+  static CartChangedException? fromFunctionsException(
+      FirebaseFunctionsException e) {
+    final details = e.details;
+    if (details is! Map || details['reason'] != 'cart-changed') return null;
+    final issues = (details['issues'] as List?) ?? [];
+    return CartChangedException(
+        issues.map((i) => Map<String, dynamic>.from(i as Map)).toList());
+  }
+
+  /// A short description of a single issue, shown next to the cart line.
+  static String describe(Map<String, dynamic> issue) {
+    final type = issue['type'];
+    if (type == 'price_changed') {
+      final newPrice = (issue['newPrice'] as num?)?.toDouble() ?? 0.0;
+      return 'Price changed to €${newPrice.toStringAsFixed(2)}';
+    }
+    if (type == 'invalid_quantity') return 'Invalid quantity';
+    final available = (issue['availableStock'] as num?)?.toInt() ?? 0;
+    return available > 0 ? 'Only $available available' : 'No longer available';
+  }
+
+  @override
+  String toString() {
+    final lines =
+        issues.map((i) => '${i['productName']} (${describe(i)})').join(', ');
+    return 'Your cart has changed: $lines.';
+  }
 }
@@ -1,33 +1,33 @@
 // lib/services/order_service.dart
 import 'package:cloud_functions/cloud_functions.dart';
 import 'package:firebase_auth/firebase_auth.dart';
-import 'package:webshop/repositories/user_repository.dart';
+import 'package:webshop/services/cart_service.dart';
 
 /// Service responsible for handling the checkout and order completion process.
 ///
 /// This class acts as a bridge between the client-side application and the
-/// server-side business logic (Cloud Functions). It handles:
-/// 1. Triggering the secure transaction on the server.
-/// 2. Managing post-transaction client-side updates (like Fidelity Points).
+/// server-side business logic (Cloud Functions). Everything that affects money
+/// or rewards (inventory, totals, Fidelity Points) is computed on the server.
 class OrderService {
   final FirebaseFunctions _functions = FirebaseFunctions.instance;
   final FirebaseAuth _auth = FirebaseAuth.instance;
-  final UserRepository _userRepository = UserRepository();
 
   /// Finalizes the order process.
   ///
-  /// This method performs two main actions:
-  /// 1. **Server-Side:** Calls the `completeOrder` Cloud Function to handle inventory deduction,
-  ///    order document creation, and email confirmation securely.
-  /// 2. **Client-Side:** Calculates and assigns loyalty points based on the [cartTotal]
-  ///    if the transaction is successful.
+  /// Calls the `completeOrder` Cloud Function, which handles inventory deduction,
+  /// order document creation, Fidelity Points accrual/redemption and the email
+  /// confirmation inside a single server-side transaction.
   ///
   /// * [customerEmail]: The email address where the confirmation will be sent.
-  /// * [cartTotal]: The total value of the cart, used to calculate fidelity points (1 EUR = 1 Point).
+  /// * [paymentIntentId]: The intent from [createPaymentIntent]; required
+  ///   whenever something is left to pay after the gift card.
   ///
-  /// Returns a [Map] containing the result data from the Cloud Function (e.g., success status, order ID).
-  /// Throws an [Exception] if the user is not logged in or if the backend process fails.
-  Future<Map<String, dynamic>> completeOrder(String customerEmail, double cartTotal) async {
+  /// Returns a [Map] containing the result data from the Cloud Function
+  /// (e.g., success status, order ID, `pointsEarned`, `paymentStatus`).
+  /// Throws a [CartChangedException] if prices, stock or quantities changed,
+  /// or an [Exception] if the user is not logged in or the backend process fails.
+  Future<Map<String, dynamic>> completeOrder(String customerEmail,
+      {String? paymentIntentId}) async {
     final userId = _auth.currentUser?.uid;
 
     if (userId == null) {
@@ -35,49 +35,138 @@ class OrderService {
     }
 
     try {
-      // 1. EXECUTE SERVER-SIDE TRANSACTION
       // Call the Firebase Cloud Function 'completeOrder'.
-      // This ensures that critical logic (stock management, order creation) happens in a secure, ACID-compliant environment.
+      // This ensures that critical logic (stock management, order creation, loyalty points)
+      // happens in a secure, ACID-compliant environment.
       final callable = _functions.httpsCallable('completeOrder');
       final result = await callable.call<Map<String, dynamic>>({
         'email': customerEmail,
-        // Note: We pass the email to the server, but the server calculates the total from the DB items for security.
-        // The 'cartTotal' passed to this method is primarily for client-side point calculation.
+        if (paymentIntentId != null) 'paymentIntentId': paymentIntentId,
       });
 
-      final data = result.data;
-
-      // 2. LOYALTY PROGRAM UPDATE (Post-Transaction)
-      // Once the order is successfully confirmed by the server, we process the rewards.
-      try {
-        if (cartTotal > 0) {
-          // Fetch current profile to check eligibility
-          final userProfile = await _userRepository.getUserProfile(userId);
-          
-          if (userProfile != null && userProfile.isFidelityActive) {
-            // Rule: Earn 1 Point for every full Euro spent (floor rounding).
-            int pointsEarned = cartTotal.floor();
-            
-            if (pointsEarned > 0) {
-              // Atomically increment points in the user's profile
-              await _userRepository.addFidelityPoints(userId, pointsEarned);
-              print("SUCCESS: Assigned $pointsEarned points to user (Total: €$cartTotal)");
-            }
-          }
-        }
-      } catch (e) {
-        // Log fidelity errors silently so they don't block the main order success flow.
-        print("ERROR Fidelity: $e");
-      }
-      
-      return data;
+      return result.data;
 
     } on FirebaseFunctionsException catch (e) {
       // Handle specific errors returned by the Cloud Function (e.g., 'resource-exhausted').
-      throw Exception('Cloud Function Error: ${e.message}');
+      // A changed cart carries its issues, so the UI can show them per line.
+      throw CartChangedException.fromFunctionsException(e) ??
+          Exception('Cloud Function Error: ${e.message}');
     } catch (e) {
       // Handle generic errors (network issues, etc.).
       throw Exception('Failed to complete order: $e');
     }
   }
-}
\ No newline at end of file
+
+  /// Starts a payment for the amount currently due.
+  ///
+  /// Without [orderId] the amount is the cart's `finalAmountToPay`; with it, a
+  /// new attempt is started for an order whose payment failed.
+  ///
+  /// Returns `{paymentIntentId, provider, clientSecret, amount, currency}`.
+  Future<Map<String, dynamic>> createPaymentIntent({String? orderId}) async {
+    try {
+      final callable = _functions.httpsCallable('createPaymentIntent');
+      final result = await callable.call<Map<String, dynamic>>({
+        if (orderId != null) 'orderId': orderId,
+      });
+      return Map<String, dynamic>.from(result.data);
+    } on FirebaseFunctionsException catch (e) {
+      throw Exception('Payment Error: ${e.message}');
+    }
+  }
+
+  /// Confirms a payment with the built-in `mock` provider (emulator and demo
+  /// deployments). Real providers are confirmed with their own SDK using the
+  /// `clientSecret` from [createPaymentIntent].
+  ///
+  /// Returns the outcome applied by the server ('succeeded' or 'failed').
+  Future<String> confirmMockPayment(String paymentIntentId,
+      {bool succeed = true}) async {
+    try {
+      final callable = _functions.httpsCallable('confirmMockPayment');
+      final result = await callable.call<Map<String, dynamic>>({
+        'paymentIntentId': paymentIntentId,
+        'outcome': succeed ? 'succeeded' : 'failed',
+      });
+      return result.data['outcome'] as String? ?? '';
+    } on FirebaseFunctionsException catch (e) {
+      throw Exception('Payment Error: ${e.message}');
+    }
+  }
+
+  /// Cancels an order.
+  ///
+  /// Calls the `cancelOrder` Cloud Function, which restocks the products,
+  /// refunds the gift card amount and reverses the Fidelity Points of the order
+  /// in a single transaction. Customers can only cancel `pending` orders.
+  ///
+  /// * [orderId]: The ID of the order to cancel.
+  /// * [reason]: Optional free-text reason stored on the order.
+  Future<void> cancelOrder(String orderId, {String? reason}) async {
+    try {
+      final callable = _functions.httpsCallable('cancelOrder');
+      await callable.call<Map<String, dynamic>>({
+        'orderId': orderId,
+        if (reason != null) 'reason': reason,
+      });
+    } on FirebaseFunctionsException catch (e) {
+      throw Exception('Cloud Function Error: ${e.message}');
+    } catch (e) {
+      throw Exception('Failed to cancel order: $e');
+    }
+  }
+
+  /// Requests the return of items from a shipped or delivered order.
+  ///
+  /// * [quantities]: Units to return per product ID.
+  /// * [refundToGiftCard]: Refund as a gift card instead of to the original payment.
+  ///
+  /// Returns `{returnId, refundAmount, refundMethod}`. The server rejects
+  /// requests outside the return window or for more units than are left.
+  Future<Map<String, dynamic>> requestReturn(
+    String orderId,
+    Map<String, int> quantities, {
+    String? reason,
+    bool refundToGiftCard = false,
+  }) async {
+    try {
+      final callable = _functions.httpsCallable('requestReturn');
+      final result = await callable.call<Map<String, dynamic>>({
+        'orderId': orderId,
+        'items': quantities.entries
+            .where((e) => e.value > 0)
+            .map((e) => {'productId': e.key, 'quantity': e.value})
+            .toList(),
+        if (reason != null && reason.isNotEmpty) 'reason': reason,
+        if (refundToGiftCard) 'refundMethod': 'gift_card',
+      });
+      return Map<String, dynamic>.from(result.data);
+    } on FirebaseFunctionsException catch (e) {
+      throw Exception('Return Error: ${e.message}');
+    }
+  }
+
+  /// Fetches the invoice of an order (or any credit note by its number).
+  ///
+  /// Returns `{number, type, html}`; with [pdf] set, also `pdf` as a
+  /// base64-encoded A4 document.
+  Future<Map<String, dynamic>> getInvoice({
+    String? orderId,
+    String? number,
+    bool pdf = false,
+  }) async {
+    try {
+      final callable = _functions.httpsCallable('getInvoice');
+      final result = await callable.call<Map<String, dynamic>>({
+        if (orderId != null) 'orderId': orderId,
+        if (number != null) 'number': number,
+        if (pdf) 'format': 'pdf',
+      });
+      return Map<String, dynamic>.from(result.data);
+    } on FirebaseFunctionsException catch (e) {
+      throw Exception('Cloud Function Error: ${e.message}');
+    } catch (e) {
+      throw Exception('Failed to load invoice: $e');
+    }
+  }
+}
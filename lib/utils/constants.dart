@@ -26,6 +26,12 @@ const String orderSummaryTitle = 'Order Summary';
 /// Section title for the gift card input area.
 const String giftCardTitle = 'Gift Card';
 
+/// Section title for the promotion code input area.
+const String promoCodeTitle = 'Promo Code';
+
+/// Section title for redeeming fidelity points.
+const String fidelityPointsTitle = 'Fidelity Points';
+
 /// Section title for selecting payment methods.
 const String paymentMethodTitle = 'Payment Method';
 
@@ -47,8 +47,8 @@ class ProductCard extends ConsumerWidget {
     // ==================================================================
     // 2. DERIVED UI STATE (BADGES LOGIC)
     // ==================================================================
-    final bool isOutOfStock = product.stock <= 0;
-    final bool isLowStock = product.stock > 0 && product.stock < 5;
+    final bool isOutOfStock = product.availableStock <= 0;
+    final bool isLowStock = product.availableStock > 0 && product.availableStock < 5;
     final bool isOnSale = product.discountPercentage > 0;
     
     // Determine if the product qualifies for "Express" delivery (<= 2 days).
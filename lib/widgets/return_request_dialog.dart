@@ -0,0 +1,117 @@
+// lib/widgets/return_request_dialog.dart
+import 'package:flutter/material.dart';
+import 'package:webshop/models/order.dart' as app_model;
+import 'package:webshop/services/order_service.dart';
+import 'package:webshop/utils/ui_helper.dart';
+
+/// Lets the customer pick the items (and quantities) of an order to send back.
+///
+/// Submits the request via `requestReturn`; the server checks the return
+/// window and how many units are still returnable. Pops `true` on success.
+class ReturnRequestDialog extends StatefulWidget {
+  final app_model.Order order;
+
+  const ReturnRequestDialog({super.key, required this.order});
+
+  @override
+  State<ReturnRequestDialog> createState() => _ReturnRequestDialogState();
+}
+
+class _ReturnRequestDialogState extends State<ReturnRequestDialog> {
+  final OrderService _orderService = OrderService();
+  final TextEditingController _reasonCtrl = TextEditingController();
+
+  // Quantity to return per product ID
+  final Map<String, int> _quantities = {};
+  bool _refundToGiftCard = false;
+  bool _isSubmitting = false;
+
+  @override
+  void dispose() {
+    _reasonCtrl.dispose();
+    super.dispose();
+  }
+
+  Future<void> _submit() async {
+    setState(() => _isSubmitting = true);
+    try {
+      await _orderService.requestReturn(
+        widget.order.id,
+        _quantities,
+        reason: _reasonCtrl.text.trim(),
+        refundToGiftCard: _refundToGiftCard,
+      );
+      if (mounted) Navigator.pop(context, true);
+    } catch (e) {
+      if (mounted) UiHelper.showError(context, e);
+    } finally {
+      if (mounted) setState(() => _isSubmitting = false);
+    }
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    final hasSelection = _quantities.values.any((q) => q > 0);
+
+    return AlertDialog(
+      title: const Text('Return Items'),
+      content: SingleChildScrollView(
+        child: Column(
+          mainAxisSize: MainAxisSize.min,
+          children: [
+            ...widget.order.items.map((item) {
+              final quantity = _quantities[item.id] ?? 0;
+              return ListTile(
+                contentPadding: EdgeInsets.zero,
+                title: Text(item.product.name,
+                    maxLines: 1, overflow: TextOverflow.ellipsis),
+                subtitle: Text('Bought: ${item.quantity}'),
+                trailing: Row(
+                  mainAxisSize: MainAxisSize.min,
+                  children: [
+                    IconButton(
+                      icon: const Icon(Icons.remove),
+                      onPressed: quantity > 0
+                          ? () => setState(
+                              () => _quantities[item.id] = quantity - 1)
+                          : null,
+                    ),
+                    Text('$quantity'),
+                    IconButton(
+                      icon: const Icon(Icons.add),
+                      onPressed: quantity < item.quantity
+                          ? () => setState(
+                              () => _quantities[item.id] = quantity + 1)
+                          : null,
+                    ),
+                  ],
+                ),
+              );
+            }),
+            TextField(
+              controller: _reasonCtrl,
+              maxLength: 500,
+              decoration: const InputDecoration(labelText: 'Reason (optional)'),
+            ),
+            SwitchListTile(
+              contentPadding: EdgeInsets.zero,
+              title: const Text('Refund as gift card'),
+              value: _refundToGiftCard,
+              onChanged: (value) => setState(() => _refundToGiftCard = value),
+            ),
+          ],
+        ),
+      ),
+      actions: [
+        TextButton(
+          onPressed: _isSubmitting ? null : () => Navigator.pop(context, false),
+          child: const Text('Cancel'),
+        ),
+        ElevatedButton(
+          onPressed: hasSelection && !_isSubmitting ? _submit : null,
+          child: const Text('Request Return'),
+        ),
+      ],
+    );
+  }
+}
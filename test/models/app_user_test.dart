@@ -46,5 +46,26 @@ void main() {
       expect(updated.fidelityPoints, 50);
       expect(updated.name, 'Anna');
     });
+
+    test('AppUser.fromMap should derive the role of legacy admin profiles', () {
+      final legacy = AppUser.fromMap({'isAdmin': true}, 'user-3');
+      expect(legacy.role, 'admin');
+      expect(legacy.isSuperAdmin, false);
+
+      final superAdmin =
+          AppUser.fromMap({'isAdmin': true, 'role': 'super_admin'}, 'user-4');
+      expect(superAdmin.isSuperAdmin, true);
+
+      expect(AppUser.fromMap({}, 'user-5').role, 'customer');
+    });
+
+    test('AppUser.toMap should not write privilege fields', () {
+      const user = AppUser(
+          id: 'user-6', isAdmin: true, role: 'admin', fidelityPoints: 500);
+      final map = user.toMap();
+      expect(map.containsKey('isAdmin'), false);
+      expect(map.containsKey('role'), false);
+      expect(map.containsKey('fidelityPoints'), false);
+    });
   });
 }
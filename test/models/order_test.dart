@@ -128,6 +128,15 @@ void main() {
       expect(order.timestamp, isA<DateTime>());
     });
 
+    test('fromMap reads the payment status', () {
+      final paid = model.Order.fromMap({'paymentStatus': 'paid'}, 'doc-paid');
+      final legacy = model.Order.fromMap(<String, dynamic>{}, 'doc-legacy');
+
+      expect(paid.paymentStatus, 'paid');
+      expect(legacy.paymentStatus, isNull,
+          reason: 'Orders from before the payment flow have no payment status');
+    });
+
     test('item fields default correctly when parts are missing', () {
       final data = {
         'items': [
@@ -109,5 +109,43 @@ void main() {
           reason:
               'Price formatting should produce correct string representation');
     });
+
+    test('Product.availableStock should subtract reserved quantities', () {
+      final map = {
+        'productName': 'Reserved Product',
+        'productPrice': 10.0,
+        'stock': 5,
+        'reservedStock': 3,
+      };
+
+      final product = Product.fromMap(map, 'reserved-1');
+
+      expect(product.stock, 5,
+          reason: 'Physical stock should not be changed by reservations');
+      expect(product.availableStock, 2,
+          reason: 'Available stock should exclude reserved quantities');
+      expect(product.toMap().containsKey('reservedStock'), false,
+          reason: 'Reserved stock is server-owned and must not be serialized');
+    });
+
+    test('Product.fromMap should parse the rating histogram', () {
+      final map = {
+        'productName': 'Rated Product',
+        'productPrice': 10.0,
+        'stock': 1,
+        'averageRating': 4.5,
+        'reviewCount': 2,
+        'ratingHistogram': {'1': 0, '2': 0, '3': 0, '4': 1, '5': 1},
+      };
+
+      final product = Product.fromMap(map, 'rated-1');
+
+      expect(product.ratingHistogram[5], 1);
+      expect(product.ratingHistogram[4], 1);
+      expect(product.ratingHistogram[1], 0);
+      expect(product.toMap().containsKey('averageRating'), false,
+          reason: 'Rating aggregates are server-owned and must not be serialized');
+      expect(product.toMap().containsKey('reviewCount'), false);
+    });
   });
 }
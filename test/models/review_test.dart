@@ -43,5 +43,37 @@ void main() {
       expect(review.comment, 'Top!');
       expect(review.timestamp, DateTime(2023, 1, 1));
     });
+
+    test('Review.fromMap should read moderation fields', () {
+      final pending = Review.fromMap({
+        'userId': 'user-3',
+        'rating': 1,
+        'comment': 'Visit www.example.com',
+        'status': 'pending',
+        'verifiedPurchase': true,
+      }, 'rev-3');
+      expect(pending.status, 'pending');
+      expect(pending.verifiedPurchase, true);
+      expect(pending.isPublished, false);
+
+      // Reviews written before moderation existed have no status.
+      final legacy = Review.fromMap({'userId': 'user-4', 'rating': 4}, 'rev-4');
+      expect(legacy.isPublished, true);
+      expect(legacy.verifiedPurchase, false);
+    });
+
+    test('Review.toMap should submit new reviews as pending', () {
+      final review = Review(
+        id: '',
+        userId: 'user-5',
+        userName: 'Luca',
+        productId: 'prod-5',
+        rating: 5,
+        comment: 'Ottimo',
+        timestamp: DateTime.now(),
+      );
+      expect(review.toMap()['status'], 'pending');
+      expect(review.toMap().containsKey('verifiedPurchase'), false);
+    });
   });
 }